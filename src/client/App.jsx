@@ -1,6 +1,147 @@
 import React, { useState, useEffect } from 'react';
+import { Markdown, toggleMarkdownTask } from './Markdown';
+import { Dashboard } from './Dashboard';
+import { WorkflowSettings } from './WorkflowSettings';
+import { CsvImport } from './CsvImport';
+import { ITEM_CREATE, ITEM_UPDATE, DEFAULT_WORKFLOW, validateValue, toFieldErrors } from '../shared/ipcSchemas';
 import './App.css';
 
+// Number of items fetched per items:query page
+const ITEMS_PAGE_SIZE = 50;
+
+// Delay before running a search after the last keystroke
+const SEARCH_DEBOUNCE_MS = 250;
+
+// Blank add/edit form (no priority or status: the user's defaults)
+const EMPTY_FORM = {
+    title: '', description: '', priority: '', status: '', tags: [], dueAt: '', remindAt: '', recurrenceRule: '', parentUuid: '',
+    listUuid: '', customFields: {},
+};
+
+// Custom field types and a blank new-field form
+const CUSTOM_FIELD_TYPES = [
+    { value: 'text', label: 'Text' },
+    { value: 'number', label: 'Number' },
+    { value: 'date', label: 'Date' },
+    { value: 'select', label: 'Choice' },
+    { value: 'url', label: 'Link' },
+];
+const EMPTY_FIELD_FORM = { name: '', type: 'text', required: false, options: '' };
+
+const SHARE_ROLE_LABELS = { viewer: 'Can view', editor: 'Can edit' };
+const EMPTY_SHARE_FORM = { email: '', role: 'viewer' };
+
+// Most subtasks loaded for one expanded item
+const SUBTASKS_LIMIT = 500;
+
+// Snooze choices offered on in-app reminders
+const SNOOZE_OPTIONS = [
+    { value: '10m', label: '10 min' },
+    { value: '1h', label: '1 hour' },
+    { value: 'tomorrow', label: 'Tomorrow' },
+];
+
+// Convert a stored date to the value of a datetime-local input (local time)
+const toDateTimeInput = (value) => {
+    if (!value) return '';
+    const date = new Date(value);
+    const offsetMs = date.getTimezoneOffset() * 60 * 1000;
+    return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+};
+
+// Convert a datetime-local input value back to an ISO string (or null when cleared)
+const fromDateTimeInput = (value) => (value ? new Date(value).toISOString() : null);
+
+// Repeat choices for recurring items (RRULE FREQ values)
+const RECURRENCE_FREQUENCIES = [
+    { value: '', label: 'Does not repeat' },
+    { value: 'DAILY', label: 'Daily', unit: 'days' },
+    { value: 'WEEKLY', label: 'Weekly', unit: 'weeks' },
+    { value: 'MONTHLY', label: 'Monthly', unit: 'months' },
+];
+const RECURRENCE_WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+// Split an RRULE string into { FREQ, INTERVAL, BYDAY, COUNT, UNTIL }
+const parseRecurrence = (rule) => Object.fromEntries(
+    (rule || '').split(';').filter(Boolean).map(part => part.split('='))
+);
+
+// Join recurrence parts back into an RRULE string (no FREQ means no rule)
+const formatRecurrence = (parts) => {
+    if (!parts.FREQ) return '';
+    return ['FREQ', 'INTERVAL', 'BYDAY', 'COUNT', 'UNTIL']
+        .filter(name => parts[name])
+        .map(name => `${name}=${parts[name]}`)
+        .join(';');
+};
+
+// Convert an RRULE UNTIL (20261231 or 20261231T225959Z) to a date input value (local day)
+const untilToDateInput = (until) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(until || '');
+    if (!match) return '';
+    if (!match[4]) return `${match[1]}-${match[2]}-${match[3]}`;
+    const [, year, month, day, hour, minute, second] = match.map(Number);
+    return toDateTimeInput(new Date(Date.UTC(year, month - 1, day, hour, minute, second))).slice(0, 10);
+};
+
+// Short description of a rule for the items list, e.g. "Every 2 weeks on MO, TH"
+const describeRecurrence = (rule) => {
+    const parts = parseRecurrence(rule);
+    const frequency = RECURRENCE_FREQUENCIES.find(f => f.value && f.value === parts.FREQ);
+    if (!frequency) return rule;
+
+    const interval = parseInt(parts.INTERVAL, 10) || 1;
+    let text = interval > 1 ? `Every ${interval} ${frequency.unit}` : frequency.label;
+    if (parts.BYDAY) text += ` on ${parts.BYDAY.split(',').join(', ')}`;
+    if (parts.COUNT) text += `, ${parts.COUNT} times`;
+    if (parts.UNTIL) text += ` until ${untilToDateInput(parts.UNTIL)}`;
+    return text;
+};
+
+// Human-readable file size, e.g. "1.4 MB"
+const formatFileSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Time tracked, e.g. "1:05:09" (hours:minutes:seconds)
+const formatElapsed = (ms) => {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${Math.floor(seconds / 3600)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+};
+
+// Blank manual time entry form
+const EMPTY_TIME_FORM = { startedAt: '', endedAt: '', note: '' };
+
+// Labels for the item history timeline
+const REVISION_ACTION_LABELS = {
+    create: 'Created',
+    update: 'Edited',
+    toggle: 'Completion changed',
+    delete: 'Deleted',
+    restore: 'Restored',
+    undelete: 'Restored from trash',
+};
+const HISTORY_FIELD_LABELS = {
+    title: 'Title',
+    description: 'Description',
+    completed: 'Completed',
+    status: 'Status',
+    priority: 'Priority',
+    dueAt: 'Due',
+    remindAt: 'Reminder',
+    recurrenceRule: 'Repeat',
+    parentUuid: 'Subtask of',
+    listUuid: 'List',
+    tags: 'Tags',
+};
+
+// Colours cycled through for new tags
+const TAG_COLORS = ['#667eea', '#27ae60', '#e67e22', '#e74c3c', '#16a085', '#8e44ad'];
+const DEFAULT_TAG_COLOR = '#95a5a6';
+
 const App = () => {
     // Auth state
     const [isAuthenticated, setIsAuthenticated] = useState(false);
@@ -13,9 +154,102 @@ const App = () => {
     // Items state
     const [items, setItems] = useState([]);
     const [itemsLoading, setItemsLoading] = useState(false);
-    const [formData, setFormData] = useState({ title: '', description: '', priority: 'medium' });
+    const [formData, setFormData] = useState(EMPTY_FORM);
+    // Add/edit form errors by field ({ title: 'Title is required' })
+    const [formErrors, setFormErrors] = useState({});
     const [editingId, setEditingId] = useState(null);
     const [filter, setFilter] = useState('all'); // all, active, completed
+    const [itemCounts, setItemCounts] = useState({ all: 0, active: 0, completed: 0 });
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loadingMore, setLoadingMore] = useState(false);
+
+    // Subtasks of expanded items, keyed by parent uuid
+    const [subtasks, setSubtasks] = useState({});
+
+    // Trash view (replaces the items list while shown)
+    const [showTrash, setShowTrash] = useState(false);
+    const [showArchive, setShowArchive] = useState(false);
+
+    // Productivity dashboard (replaces the form and the items list while shown)
+    const [showDashboard, setShowDashboard] = useState(false);
+
+    // The user's priority levels and statuses, and their settings page (shown like the dashboard)
+    const [workflow, setWorkflow] = useState(DEFAULT_WORKFLOW);
+    const [showWorkflow, setShowWorkflow] = useState(false);
+
+    // CSV file being imported (from items:importCsv, shown in place of the form and the list)
+    // and the outcome of the last export or import
+    const [csvImport, setCsvImport] = useState(null);
+    const [csvMessage, setCsvMessage] = useState(null);
+
+    // List state ('all', 'inbox' or a list uuid)
+    const [lists, setLists] = useState([]);
+    const [listFilter, setListFilter] = useState('all');
+    const [newListName, setNewListName] = useState('');
+    const [editingList, setEditingList] = useState(null);
+    const [listDeletion, setListDeletion] = useState(null);
+    const [showArchivedLists, setShowArchivedLists] = useState(false);
+
+    // Saved views (named queries); viewFilter is the uuid of the view shown
+    const [views, setViews] = useState([]);
+    const [viewFilter, setViewFilter] = useState(null);
+    // View being added or edited ({ id, name, query }) and the live count of its query
+    const [viewForm, setViewForm] = useState(null);
+    const [viewPreview, setViewPreview] = useState(null);
+    const [trashItems, setTrashItems] = useState([]);
+
+    // Multi-select (ctrl/cmd-click toggles, shift-click selects a range)
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [selectionAnchor, setSelectionAnchor] = useState(null);
+
+    // Drag-and-drop reordering: the dragged item and where it would land
+    // ({ id, placement: 'before' | 'after' } or null)
+    const [dragItem, setDragItem] = useState(null);
+    const [dropTarget, setDropTarget] = useState(null);
+
+    // History timeline shown under one item: { itemId, revisions } or null
+    const [history, setHistory] = useState(null);
+
+    // Sharing panel shown under one item the user owns: { itemId, shares } or null
+    const [sharing, setSharing] = useState(null);
+    const [shareForm, setShareForm] = useState(EMPTY_SHARE_FORM);
+
+    // Time tracking. runningTimer: the user's running timer (on any device) or
+    // null; timeLog: time entries shown under one item ({ itemId, entries, totalMs })
+    const [runningTimer, setRunningTimer] = useState(null);
+    const [timerNow, setTimerNow] = useState(Date.now());
+    const [timeLog, setTimeLog] = useState(null);
+    const [timeForm, setTimeForm] = useState(EMPTY_TIME_FORM);
+
+    // Dependencies panel shown under one item: { itemId, blockerId } (blocker to add) or null
+    const [dependencies, setDependencies] = useState(null);
+
+    // Item templates. templateDraft: an item being saved as a template
+    // ({ itemId, name }); templateUse: a template being used ({ template, values })
+    const [templates, setTemplates] = useState([]);
+    const [templateDraft, setTemplateDraft] = useState(null);
+    const [templateUse, setTemplateUse] = useState(null);
+
+    // Tags state (tagFilter holds the uuids of the tags the list is filtered by)
+    const [tags, setTags] = useState([]);
+    const [tagFilter, setTagFilter] = useState([]);
+    const [newTagName, setNewTagName] = useState('');
+
+    // Status and priority filters (a key, or '' for any)
+    const [statusFilter, setStatusFilter] = useState('');
+    const [priorityFilter, setPriorityFilter] = useState('');
+
+    // Custom field state
+    const [customFields, setCustomFields] = useState([]);
+    const [fieldForm, setFieldForm] = useState(EMPTY_FIELD_FORM);
+
+    // Reminders that fired while the app is open
+    const [activeReminders, setActiveReminders] = useState([]);
+
+    // Search state (searchResults is null when no search is active)
+    const [searchText, setSearchText] = useState('');
+    const [searchResults, setSearchResults] = useState(null);
+    const [searchLoading, setSearchLoading] = useState(false);
 
     // Network status state
     const [isOnline, setIsOnline] = useState(true);
@@ -117,9 +351,17 @@ const App = () => {
                 setSyncMessage(`Sync completed: ${data.syncedCount || 0} items synced`);
                 // Refresh sync status
                 getSyncStatus();
-                // Reload items to get any pulled changes
+                // Reload items and tags to get any pulled changes
                 if (isAuthenticated) {
                     loadItems();
+                    loadTags();
+                    loadCustomFields();
+                    loadLists();
+                    loadViews();
+                    loadTemplates();
+                    loadWorkflow();
+                    // A timer may have been started or stopped on another device
+                    loadRunningTimer();
                 }
                 // Clear message after 3 seconds
                 setTimeout(() => setSyncMessage(null), 3000);
@@ -185,27 +427,559 @@ const App = () => {
         };
     }, []);
 
-    // Load items when authenticated
+    // Query of the view shown (null when showing a list)
+    const viewQuery = views.find(view => view.uuid === viewFilter)?.query ?? null;
+
+    // Load items when authenticated or when the filters change
     useEffect(() => {
         if (isAuthenticated) {
             loadItems();
         }
+    }, [isAuthenticated, filter, tagFilter, statusFilter, priorityFilter, listFilter, viewQuery, showArchive]);
+
+    // Load the trash when it is opened
+    useEffect(() => {
+        if (isAuthenticated && showTrash) {
+            loadTrash();
+        }
+    }, [isAuthenticated, showTrash]);
+
+    // Sync skips archived items this device has not seen, so pull them when
+    // the archive is opened
+    useEffect(() => {
+        if (!isAuthenticated || !showArchive || !isOnline) return;
+        let cancelled = false;
+        const pullArchive = async () => {
+            const result = await window.electronAPI.sync.pull({ includeArchived: true });
+            if (!cancelled && result.success && result.pulledCount > 0) {
+                await refreshItemTree();
+            }
+        };
+        pullArchive();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [isAuthenticated, showArchive]);
+
+    // Reminder effects - in-app reminders and notification clicks
+    useEffect(() => {
+        const unsubReminder = window.electronAPI.reminders.onReminder((data) => {
+            setActiveReminders((current) => [
+                ...current.filter(reminder => reminder.itemId !== data.itemId),
+                data,
+            ]);
+        });
+
+        const unsubOpen = window.electronAPI.reminders.onOpenItem(async (data) => {
+            const result = await window.electronAPI.items.getById(data.itemId);
+            if (result.success) {
+                handleEdit(result.data);
+                window.scrollTo({ top: 0, behavior: 'smooth' });
+            }
+        });
+
+        return () => {
+            unsubReminder();
+            unsubOpen();
+        };
+    }, []);
+
+    // Load tags, custom fields, lists, views, templates, the workflow and the running timer when authenticated
+    useEffect(() => {
+        if (isAuthenticated) {
+            loadTags();
+            loadCustomFields();
+            loadLists();
+            loadViews();
+            loadTemplates();
+            loadWorkflow();
+            loadRunningTimer();
+        }
     }, [isAuthenticated]);
 
+    // Tick every second while a timer runs
+    useEffect(() => {
+        if (!runningTimer) {
+            return undefined;
+        }
+        setTimerNow(Date.now());
+        const interval = setInterval(() => setTimerNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, [runningTimer]);
+
+    // Count the items the view being edited matches as its query is typed (debounced)
+    useEffect(() => {
+        if (!viewForm || viewForm.query.trim() === '') {
+            setViewPreview(null);
+            return undefined;
+        }
+
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            const result = await window.electronAPI.views.count(viewForm.query);
+            if (cancelled) return;
+            setViewPreview(result.success ? { count: result.data.count } : { error: result.error });
+        }, SEARCH_DEBOUNCE_MS);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [viewForm?.query]);
+
+    // Run full-text search as the user types (debounced)
+    useEffect(() => {
+        if (!isAuthenticated || searchText.trim() === '') {
+            setSearchResults(null);
+            return undefined;
+        }
+
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            setSearchLoading(true);
+            const result = await window.electronAPI.items.search(searchText, { archived: showArchive });
+            if (cancelled) return;
+            if (result.success) {
+                setSearchResults(result.data);
+            } else {
+                setError(result.error);
+            }
+            setSearchLoading(false);
+        }, SEARCH_DEBOUNCE_MS);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [searchText, isAuthenticated, showArchive]);
+
+    // Build the items:query options for the current filter tab
+    const buildQueryOptions = (cursor = null) => ({
+        filters: viewQuery !== null ? {
+            // Views list every matching item flat, subtasks included
+            completed: filter === 'all' ? undefined : filter === 'completed',
+            status: statusFilter || undefined,
+            priority: priorityFilter || undefined,
+            tags: tagFilter.length > 0 ? tagFilter : undefined,
+            query: viewQuery,
+            archived: showArchive,
+        } : {
+            completed: filter === 'all' ? undefined : filter === 'completed',
+            status: statusFilter || undefined,
+            priority: priorityFilter || undefined,
+            tags: tagFilter.length > 0 ? tagFilter : undefined,
+            // Show the item tree from the top; tag, status and priority filters list matching subtasks flat
+            parentUuid: tagFilter.length > 0 || statusFilter || priorityFilter ? undefined : null,
+            listUuid: listFilter === 'all' ? undefined : listFilter === 'inbox' ? null : listFilter,
+            archived: showArchive,
+        },
+        sort: [{ field: 'position', direction: 'asc' }],
+        limit: ITEMS_PAGE_SIZE,
+        cursor,
+        includeCounts: !cursor,
+    });
+
     const loadItems = async () => {
         setItemsLoading(true);
-        const result = await window.electronAPI.items.getAll();
+        const result = await window.electronAPI.items.query(buildQueryOptions());
         if (result.success) {
             setItems(result.data);
+            setItemCounts(result.counts);
+            setNextCursor(result.pageInfo.nextCursor);
         } else {
             setError(result.error);
         }
         setItemsLoading(false);
+        // Item changes reload the list, so refresh the view counts with it
+        loadViews();
         // Also refresh sync status
         const syncResult = await window.electronAPI.sync.getStatus();
         setSyncStatus(syncResult);
     };
 
+    const loadTrash = async () => {
+        const result = await window.electronAPI.items.trash();
+        if (result.success) {
+            setTrashItems(result.data);
+        } else {
+            setError(result.error);
+        }
+    };
+
+    // Switch to a filter tab (leaving the trash and the archive)
+    const showFilter = (value) => {
+        setShowTrash(false);
+        setShowArchive(false);
+        setShowDashboard(false);
+        setShowWorkflow(false);
+        setFilter(value);
+        clearSelection();
+    };
+
+    const openArchive = () => {
+        setShowTrash(false);
+        setShowDashboard(false);
+        setShowWorkflow(false);
+        setFilter('all');
+        setShowArchive(true);
+        clearSelection();
+    };
+
+    const fetchSubtasks = async (parentUuid) => {
+        const result = await window.electronAPI.items.query({
+            filters: { parentUuid, archived: showArchive },
+            sort: [{ field: 'position', direction: 'asc' }],
+            limit: SUBTASKS_LIMIT,
+        });
+        if (!result.success) {
+            setError(result.error);
+            return null;
+        }
+        return result.data;
+    };
+
+    const toggleSubtasks = async (item) => {
+        if (subtasks[item.uuid]) {
+            const { [item.uuid]: _collapsed, ...rest } = subtasks;
+            setSubtasks(rest);
+            return;
+        }
+        const data = await fetchSubtasks(item.uuid);
+        if (data) {
+            setSubtasks((current) => ({ ...current, [item.uuid]: data }));
+        }
+    };
+
+    // Reload the list and every expanded subtask list (plus any newly expanded
+    // parents) after changes that affect progress further up the tree
+    const refreshItemTree = async (expand = []) => {
+        await loadItems();
+        const reloaded = {};
+        for (const parentUuid of new Set([...Object.keys(subtasks), ...expand])) {
+            const data = await fetchSubtasks(parentUuid);
+            if (data) {
+                reloaded[parentUuid] = data;
+            }
+        }
+        setSubtasks(reloaded);
+    };
+
+    // Replace an item wherever it is shown (top-level list or an expanded subtask list)
+    const replaceLoadedItem = (updated) => {
+        setItems((current) => current.map(item => item.id === updated.id ? updated : item));
+        setSubtasks((current) => Object.fromEntries(Object.entries(current).map(([parentUuid, children]) => (
+            [parentUuid, children.map(item => item.id === updated.id ? updated : item)]
+        ))));
+        replaceSearchResult(updated);
+    };
+
+    const loadTags = async () => {
+        const result = await window.electronAPI.tags.getAll();
+        if (result.success) {
+            setTags(result.data);
+            // Drop filters on tags that no longer exist (e.g. deleted on another device)
+            setTagFilter((current) => {
+                const remaining = current.filter(uuid => result.data.some(tag => tag.uuid === uuid));
+                return remaining.length === current.length ? current : remaining;
+            });
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleCreateTag = async (e) => {
+        e.preventDefault();
+        if (!newTagName.trim()) return;
+        const result = await window.electronAPI.tags.create({
+            name: newTagName,
+            color: TAG_COLORS[tags.length % TAG_COLORS.length],
+        });
+        if (result.success) {
+            setTags([...tags, result.data].sort((a, b) => a.name.localeCompare(b.name)));
+            setNewTagName('');
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleDeleteTag = async (tag) => {
+        const result = await window.electronAPI.tags.delete(tag.id);
+        if (result.success) {
+            setTags(tags.filter(t => t.id !== tag.id));
+            setFormData({ ...formData, tags: formData.tags.filter(uuid => uuid !== tag.uuid) });
+            if (tagFilter.includes(tag.uuid)) {
+                // Reloads items through the filter effect
+                setTagFilter(tagFilter.filter(uuid => uuid !== tag.uuid));
+            } else {
+                loadItems();
+            }
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const toggleTagFilter = (uuid) => {
+        setTagFilter(tagFilter.includes(uuid)
+            ? tagFilter.filter(u => u !== uuid)
+            : [...tagFilter, uuid]);
+    };
+
+    const loadLists = async () => {
+        const result = await window.electronAPI.lists.getAll();
+        if (result.success) {
+            setLists(result.data);
+            // Leave a list that no longer exists (e.g. deleted on another device)
+            setListFilter((current) => (
+                ['all', 'inbox'].includes(current) || result.data.some(list => list.uuid === current) ? current : 'all'
+            ));
+        } else {
+            setError(result.error);
+        }
+    };
+
+    // Show a list ('all', 'inbox' or a list uuid); new tasks go into it
+    const showList = (value) => {
+        setListFilter(value);
+        setViewFilter(null);
+        setShowTrash(false);
+        setShowArchive(false);
+        setShowDashboard(false);
+        setShowWorkflow(false);
+        clearSelection();
+        if (!editingId) {
+            setFormData({ ...formData, parentUuid: '', listUuid: ['all', 'inbox'].includes(value) ? '' : value });
+        }
+    };
+
+    // Blank item form, in the list being shown
+    const newItemForm = () => ({
+        ...EMPTY_FORM,
+        listUuid: ['all', 'inbox'].includes(listFilter) ? '' : listFilter,
+    });
+
+    const handleCreateList = async (e) => {
+        e.preventDefault();
+        if (!newListName.trim()) return;
+        const result = await window.electronAPI.lists.create({
+            name: newListName,
+            color: TAG_COLORS[lists.length % TAG_COLORS.length],
+        });
+        if (result.success) {
+            setLists([...lists, result.data].sort((a, b) => a.name.localeCompare(b.name)));
+            setNewListName('');
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleSaveList = async (e) => {
+        e.preventDefault();
+        const { id, name, icon, color } = editingList;
+        const result = await window.electronAPI.lists.update(id, { name, icon, color });
+        if (result.success) {
+            setLists(lists.map(list => list.id === id ? result.data : list).sort((a, b) => a.name.localeCompare(b.name)));
+            setEditingList(null);
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleToggleListArchived = async (list) => {
+        const result = await window.electronAPI.lists.update(list.id, { archived: !list.archived });
+        if (result.success) {
+            setLists(lists.map(l => l.id === list.id ? result.data : l));
+        } else {
+            setError(result.error);
+        }
+    };
+
+    // Delete the list in listDeletion, moving its tasks or deleting them too
+    const handleDeleteList = async (items) => {
+        const { list, targetListId } = listDeletion;
+        const result = await window.electronAPI.lists.delete(list.id, {
+            items,
+            targetListId: targetListId ? Number(targetListId) : null,
+        });
+        if (result.success) {
+            setListDeletion(null);
+            if (listFilter === list.uuid) {
+                showList('all');
+            }
+            await loadLists();
+            await refreshItemTree();
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const loadViews = async () => {
+        const result = await window.electronAPI.views.getAll();
+        if (result.success) {
+            setViews(result.data);
+            // Leave a view that no longer exists (e.g. deleted on another device)
+            setViewFilter((current) => (
+                current && !result.data.some(view => view.uuid === current) ? null : current
+            ));
+        } else {
+            setError(result.error);
+        }
+    };
+
+    // Show the items a saved view matches (new tasks go into the inbox)
+    const showView = (uuid) => {
+        setViewFilter(uuid);
+        setListFilter('all');
+        setShowTrash(false);
+        setShowArchive(false);
+        setShowDashboard(false);
+        setShowWorkflow(false);
+        clearSelection();
+        if (!editingId) {
+            setFormData({ ...formData, parentUuid: '', listUuid: '' });
+        }
+    };
+
+    const handleSaveView = async (e) => {
+        e.preventDefault();
+        const { id, name, query } = viewForm;
+        const result = id
+            ? await window.electronAPI.views.update(id, { name, query })
+            : await window.electronAPI.views.create({ name, query });
+        if (result.success) {
+            setViews([...views.filter(view => view.id !== id), result.data].sort((a, b) => a.name.localeCompare(b.name)));
+            setViewForm(null);
+            if (!id) {
+                showView(result.data.uuid);
+            }
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleDeleteView = async (view) => {
+        if (!window.confirm(`Delete the view "${view.name}"? Its tasks are kept.`)) {
+            return;
+        }
+        const result = await window.electronAPI.views.delete(view.id);
+        if (result.success) {
+            setViews(views.filter(v => v.id !== view.id));
+            if (viewFilter === view.uuid) {
+                showList('all');
+            }
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const loadCustomFields = async () => {
+        const result = await window.electronAPI.fields.getAll();
+        if (result.success) {
+            setCustomFields(result.data);
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleCreateField = async (e) => {
+        e.preventDefault();
+        if (!fieldForm.name.trim()) return;
+        const result = await window.electronAPI.fields.create({
+            ...fieldForm,
+            options: fieldForm.options.split(',').map(option => option.trim()).filter(Boolean),
+        });
+        if (result.success) {
+            setCustomFields([...customFields, result.data]);
+            setFieldForm(EMPTY_FIELD_FORM);
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleToggleFieldRequired = async (field) => {
+        const result = await window.electronAPI.fields.update(field.id, { required: !field.required });
+        if (result.success) {
+            setCustomFields(customFields.map(f => f.id === field.id ? result.data : f));
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleDeleteField = async (field) => {
+        if (!window.confirm(`Delete the field "${field.name}" and its value on every task?`)) {
+            return;
+        }
+        const result = await window.electronAPI.fields.delete(field.id);
+        if (result.success) {
+            setCustomFields(customFields.filter(f => f.id !== field.id));
+            const { [field.uuid]: _removed, ...remaining } = formData.customFields;
+            setFormData({ ...formData, customFields: remaining });
+            loadItems();
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const setFormFieldValue = (uuid, value) => {
+        setFormData({ ...formData, customFields: { ...formData.customFields, [uuid]: value } });
+    };
+
+    // Input for one custom field in the item form, by field type
+    // Fields whose errors show next to their inputs; the rest show above the form buttons
+    const INLINE_ERROR_FIELDS = ['title', 'priority', 'description', 'dueAt', 'remindAt'];
+
+    const renderFormError = (field) => (
+        formErrors[field] && <div className="form-error">{formErrors[field]}</div>
+    );
+
+    const renderFieldInput = (field) => {
+        const value = formData.customFields[field.uuid] ?? '';
+        const onChange = (e) => setFormFieldValue(field.uuid, e.target.value);
+        if (field.type === 'select') {
+            return (
+                <select value={value} onChange={onChange} className="form-select" required={field.required}>
+                    <option value="">—</option>
+                    {field.options.map(option => (
+                        <option key={option} value={option}>{option}</option>
+                    ))}
+                </select>
+            );
+        }
+        const inputTypes = { text: 'text', number: 'number', date: 'date', url: 'url' };
+        return (
+            <input
+                type={inputTypes[field.type]}
+                step={field.type === 'number' ? 'any' : undefined}
+                value={value}
+                onChange={onChange}
+                className="form-input"
+                required={field.required}
+            />
+        );
+    };
+
+    const toggleFormTag = (uuid) => {
+        setFormData({
+            ...formData,
+            tags: formData.tags.includes(uuid)
+                ? formData.tags.filter(u => u !== uuid)
+                : [...formData.tags, uuid],
+        });
+    };
+
+    const loadMoreItems = async () => {
+        if (!nextCursor || loadingMore) return;
+        setLoadingMore(true);
+        const result = await window.electronAPI.items.query(buildQueryOptions(nextCursor));
+        if (result.success) {
+            setItems((current) => [...current, ...result.data]);
+            setNextCursor(result.pageInfo.nextCursor);
+        } else {
+            setError(result.error);
+        }
+        setLoadingMore(false);
+    };
+
     const handleManualSync = async () => {
         if (isSyncing || !isOnline) return;
         setIsSyncing(true);
@@ -258,78 +1032,1573 @@ const App = () => {
         setTokenExpiresOn(null);
         setIsAuthenticated(false);
         setItems([]);
+        setItemCounts({ all: 0, active: 0, completed: 0 });
+        setNextCursor(null);
+        setSearchText('');
+        setSearchResults(null);
+        setTags([]);
+        setTagFilter([]);
+        setStatusFilter('');
+        setPriorityFilter('');
+        setWorkflow(DEFAULT_WORKFLOW);
+        setShowWorkflow(false);
+        setActiveReminders([]);
+        setSubtasks({});
+        // Items belong to the signed-out user; none may linger for the next one
+        setTrashItems([]);
+        setHistory(null);
+        setSharing(null);
+        setDependencies(null);
+        setRunningTimer(null);
+        setTimeLog(null);
+        setViews([]);
+        setViewFilter(null);
+        setViewForm(null);
+        setShowDashboard(false);
+        setShowWorkflow(false);
+        setTemplates([]);
+        setTemplateDraft(null);
+        setTemplateUse(null);
+        clearSelection();
+    };
+
+    // The items:create / items:update payload for the add/edit form
+    const buildFormPayload = (data) => {
+        const { parentUuid, listUuid, ...fields } = data;
+        const payload = {
+            ...fields,
+            // Left out when not chosen, for the user's default priority and first open status
+            priority: data.priority || undefined,
+            status: data.status || undefined,
+            dueAt: fromDateTimeInput(data.dueAt),
+            remindAt: fromDateTimeInput(data.remindAt),
+        };
+        return editingId ? payload : { ...payload, parentUuid: parentUuid || null, listUuid: listUuid || null };
     };
 
+    // Check the form against the schema the main process validates it with
+    const validateForm = (data) => (
+        toFieldErrors(validateValue(editingId ? ITEM_UPDATE : ITEM_CREATE, buildFormPayload(data)))
+    );
+
+    // Once errors are shown, re-check as the form changes so fixed fields clear
+    useEffect(() => {
+        if (Object.keys(formErrors).length > 0) {
+            setFormErrors(validateForm(formData));
+        }
+    }, [formData]);
+
+    useEffect(() => {
+        setFormErrors({});
+    }, [editingId]);
+
     const handleSubmit = async (e) => {
         e.preventDefault();
-        if (!formData.title.trim()) return;
+
+        const errors = validateForm(formData);
+        setFormErrors(errors);
+        if (Object.keys(errors).length > 0) return;
+
+        const { parentUuid, listUuid } = formData;
+        const payload = buildFormPayload(formData);
 
         if (editingId) {
-            const result = await window.electronAPI.items.update(editingId, formData);
+            const original = loadedItems.find(item => item.id === editingId);
+            const result = await window.electronAPI.items.update(editingId, payload);
             if (result.success) {
-                setItems(items.map(item => item.id === editingId ? result.data : item));
+                const parentChanged = (original?.parentUuid || '') !== parentUuid;
+                // Subtasks always follow their parent's list
+                const listChanged = !parentUuid && (original?.listUuid || '') !== listUuid;
+                if (parentChanged || listChanged) {
+                    const parent = loadedItems.find(item => item.uuid === parentUuid);
+                    let moved = { success: true };
+                    if (parentChanged) {
+                        moved = await window.electronAPI.items.reparent(editingId, parent ? parent.id : null);
+                    }
+                    if (moved.success && listChanged) {
+                        const list = lists.find(l => l.uuid === listUuid);
+                        moved = await window.electronAPI.items.moveToList([editingId], list ? list.id : null);
+                    }
+                    if (!moved.success) {
+                        setError(moved.error);
+                    }
+                    await refreshItemTree(parent ? [parent.uuid] : []);
+                } else {
+                    replaceLoadedItem(result.data);
+                }
                 setEditingId(null);
             } else {
+                setFormErrors(result.fieldErrors || {});
                 setError(result.error);
+                return;
             }
         } else {
-            const result = await window.electronAPI.items.create(formData);
-            if (result.success) {
-                setItems([result.data, ...items]);
-            } else {
+            const result = await window.electronAPI.items.create(payload);
+            if (!result.success) {
+                setFormErrors(result.fieldErrors || {});
                 setError(result.error);
+                return;
+            }
+            if (parentUuid) {
+                await refreshItemTree([parentUuid]);
+            } else if (result.data.completed || statusFilter || priorityFilter) {
+                // Created in a done status, or the filters may leave it out
+                await refreshItemTree();
+            } else {
+                if (filter !== 'completed') {
+                    setItems([result.data, ...items]);
+                }
+                setItemCounts({ ...itemCounts, all: itemCounts.all + 1, active: itemCounts.active + 1 });
             }
         }
-        setFormData({ title: '', description: '', priority: 'medium' });
+        setFormData(newItemForm());
+    };
+
+    // Re-read one item (e.g. after its attachments changed) and show the fresh copy
+    const refreshItem = async (itemId) => {
+        const result = await window.electronAPI.items.getById(itemId);
+        if (result.success) {
+            replaceLoadedItem(result.data);
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleOpenLink = async (href) => {
+        const result = await window.electronAPI.links.open(href);
+        if (!result.success) {
+            setError(result.error);
+        }
+    };
+
+    // Tick or untick a task list checkbox in an item's description
+    const handleToggleDescriptionTask = async (item, line, checked) => {
+        const description = toggleMarkdownTask(item.description, line, checked);
+        if (description === null) {
+            return;
+        }
+        const result = await window.electronAPI.items.update(item.id, { description });
+        if (result.success) {
+            replaceLoadedItem(result.data);
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleAddAttachments = async (item) => {
+        const result = await window.electronAPI.attachments.add(item.id);
+        if (!result.success) {
+            setError(result.error);
+            return;
+        }
+        if (result.rejected?.length > 0) {
+            setError(result.rejected.map(rejected => `${rejected.fileName}: ${rejected.error}`).join('\n'));
+        }
+        if (result.data.length > 0) {
+            await refreshItem(item.id);
+        }
+    };
+
+    const handleOpenAttachment = async (attachment) => {
+        const result = await window.electronAPI.attachments.open(attachment.id);
+        if (!result.success) {
+            setError(result.error);
+        }
+    };
+
+    const handleRemoveAttachment = async (item, attachment) => {
+        const result = await window.electronAPI.attachments.remove(attachment.id);
+        if (result.success) {
+            await refreshItem(item.id);
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const loadHistory = async (itemId) => {
+        const result = await window.electronAPI.items.history(itemId);
+        if (result.success) {
+            setHistory({ itemId, revisions: result.data });
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const toggleHistory = async (item) => {
+        if (history?.itemId === item.id) {
+            setHistory(null);
+        } else {
+            await loadHistory(item.id);
+        }
+    };
+
+    const loadShares = async (itemId) => {
+        const result = await window.electronAPI.items.getShares(itemId);
+        if (result.success) {
+            setSharing({ itemId, shares: result.data });
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const toggleSharing = async (item) => {
+        setShareForm(EMPTY_SHARE_FORM);
+        if (sharing?.itemId === item.id) {
+            setSharing(null);
+        } else {
+            await loadShares(item.id);
+        }
+    };
+
+    // Share with a new user, or change the role of an existing one
+    const handleShare = async (item, email, role) => {
+        const result = await window.electronAPI.items.share(item.id, email, role);
+        if (!result.success) {
+            setError(result.error);
+            return false;
+        }
+        await loadShares(item.id);
+        await refreshItem(item.id);
+        return true;
+    };
+
+    const handleShareSubmit = async (e, item) => {
+        e.preventDefault();
+        if (await handleShare(item, shareForm.email, shareForm.role)) {
+            setShareForm(EMPTY_SHARE_FORM);
+        }
+    };
+
+    const handleUnshare = async (item, share) => {
+        if (!window.confirm(`Stop sharing "${item.title}" with ${share.email}?`)) {
+            return;
+        }
+        const result = await window.electronAPI.items.unshare(item.id, share.email);
+        if (result.success) {
+            await loadShares(item.id);
+            await refreshItem(item.id);
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const loadRunningTimer = async () => {
+        const result = await window.electronAPI.timeEntries.getRunning();
+        if (result.success) {
+            setRunningTimer(result.data);
+        } else {
+            setError(result.error);
+        }
+    };
+
+    // Time tracked by the running timer so far
+    const getTimerElapsed = () => timerNow - new Date(runningTimer.startedAt).getTime();
+
+    const loadTimeLog = async (itemId) => {
+        const result = await window.electronAPI.timeEntries.getForItem(itemId);
+        if (result.success) {
+            setTimeLog({ itemId, entries: result.data, totalMs: result.totalMs });
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const toggleTimeLog = async (item) => {
+        setTimeForm(EMPTY_TIME_FORM);
+        if (timeLog?.itemId === item.id) {
+            setTimeLog(null);
+        } else {
+            await loadTimeLog(item.id);
+        }
+    };
+
+    // Start a timer on the item (the running one stops), or stop it if it runs on this item
+    const handleToggleTimer = async (item) => {
+        const result = runningTimer?.itemUuid === item.uuid
+            ? await window.electronAPI.timeEntries.stop()
+            : await window.electronAPI.timeEntries.start(item.id);
+        if (!result.success) {
+            setError(result.error);
+            return;
+        }
+        setRunningTimer(result.data.running ? result.data : null);
+        if (timeLog) {
+            await loadTimeLog(timeLog.itemId);
+        }
+    };
+
+    const handleStopTimer = async () => {
+        const result = await window.electronAPI.timeEntries.stop();
+        if (result.success) {
+            setRunningTimer(null);
+            if (timeLog) {
+                await loadTimeLog(timeLog.itemId);
+            }
+        } else {
+            setError(result.error);
+        }
+    };
+
+    // Add time spent on the item by hand
+    const handleAddTimeEntry = async (e, item) => {
+        e.preventDefault();
+        const result = await window.electronAPI.timeEntries.add(item.id, {
+            startedAt: fromDateTimeInput(timeForm.startedAt),
+            endedAt: fromDateTimeInput(timeForm.endedAt),
+            note: timeForm.note,
+        });
+        if (result.success) {
+            setTimeForm(EMPTY_TIME_FORM);
+            await loadTimeLog(item.id);
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleDeleteTimeEntry = async (item, entry) => {
+        if (!window.confirm(`Delete ${formatElapsed(entry.durationMs)} tracked on ${new Date(entry.startedAt).toLocaleDateString()}?`)) {
+            return;
+        }
+        const result = await window.electronAPI.timeEntries.delete(entry.id);
+        if (result.success) {
+            if (entry.running) {
+                setRunningTimer(null);
+            }
+            await loadTimeLog(item.id);
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const toggleDependencies = (item) => {
+        setDependencies(dependencies?.itemId === item.id ? null : { itemId: item.id, blockerId: '' });
+    };
+
+    // Block the item until the chosen item is completed
+    const handleAddDependency = async (e, item) => {
+        e.preventDefault();
+        const result = await window.electronAPI.items.addDependency(item.id, Number(dependencies.blockerId));
+        if (result.success) {
+            setDependencies({ itemId: item.id, blockerId: '' });
+            // The blocker's row changes too
+            await refreshItemTree();
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleRemoveDependency = async (item, blocker) => {
+        const result = await window.electronAPI.items.removeDependency(item.id, blocker.id);
+        if (result.success) {
+            await refreshItemTree();
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const loadTemplates = async () => {
+        const result = await window.electronAPI.templates.getAll();
+        if (result.success) {
+            setTemplates(result.data);
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const loadWorkflow = async () => {
+        const result = await window.electronAPI.workflow.get();
+        if (result.success) {
+            applyWorkflow(result.data);
+        } else {
+            setError(result.error);
+        }
+    };
+
+    // Show a new workflow, dropping filters on levels or statuses it no longer has
+    const applyWorkflow = (next) => {
+        setWorkflow(next);
+        setStatusFilter((current) => (next.statuses.some(status => status.key === current) ? current : ''));
+        setPriorityFilter((current) => (next.priorities.some(level => level.key === current) ? current : ''));
+    };
+
+    // A workflow list was saved; tasks it moved change in the list and the view counts
+    const handleWorkflowSaved = async (next, movedCount) => {
+        applyWorkflow(next);
+        if (movedCount > 0) {
+            await refreshItemTree();
+        }
+        loadViews();
+    };
+
+    // Save the tasks of the current filter as CSV (subtasks included, listed flat)
+    const handleExportCsv = async () => {
+        const { filters } = buildQueryOptions();
+        const result = await window.electronAPI.items.exportCsv({ filters: { ...filters, parentUuid: undefined } });
+        if (!result.success) {
+            setError(result.error);
+        } else if (result.data) {
+            setCsvMessage(`Exported ${result.data.count} task(s) to ${result.data.filePath}`);
+        }
+    };
+
+    // Pick a CSV file and start importing it
+    const handleImportCsv = async () => {
+        const result = await window.electronAPI.items.importCsv();
+        if (!result.success) {
+            setError(result.error);
+        } else if (result.data) {
+            setCsvMessage(null);
+            setCsvImport(result.data);
+        }
+    };
+
+    // The rows of a CSV file were imported; show them and the new view counts
+    const handleCsvImported = async (counts) => {
+        setCsvImport(null);
+        setCsvMessage(`Imported ${counts.created || 0} task(s)`
+            + (counts.duplicate ? `, skipped ${counts.duplicate} already there` : '')
+            + (counts.invalid ? `, ${counts.invalid} row(s) with errors` : ''));
+        await refreshItemTree();
+        loadViews();
+    };
+
+    const toggleTemplateDraft = (item) => {
+        setTemplateDraft(templateDraft?.itemId === item.id ? null : { itemId: item.id, name: item.title });
+    };
+
+    // Save the item in templateDraft (with its subtasks) as a template
+    const handleSaveTemplate = async (e) => {
+        e.preventDefault();
+        const result = await window.electronAPI.templates.createFromItem(templateDraft.itemId, { name: templateDraft.name });
+        if (result.success) {
+            setTemplates([...templates, result.data].sort((a, b) => a.name.localeCompare(b.name)));
+            setTemplateDraft(null);
+        } else {
+            setError(result.error);
+        }
+    };
+
+    // Start using a template, asking for the values of its prompts
+    const chooseTemplate = (id) => {
+        const template = templates.find(t => t.id === Number(id));
+        setTemplateUse(template
+            ? { template, values: Object.fromEntries(template.prompts.map(prompt => [prompt, ''])) }
+            : null);
+    };
+
+    // Create the template's items in the list being shown, expanded to show the subtasks
+    const handleUseTemplate = async (e) => {
+        e.preventDefault();
+        const { template, values } = templateUse;
+        const result = await window.electronAPI.templates.instantiate(template.id, {
+            values,
+            listUuid: newItemForm().listUuid || null,
+        });
+        if (result.success) {
+            setTemplateUse(null);
+            await refreshItemTree(result.count > 1 ? [result.data.uuid] : []);
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleDeleteTemplate = async (template) => {
+        if (!window.confirm(`Delete the template "${template.name}"? Tasks created from it are kept.`)) {
+            return;
+        }
+        const result = await window.electronAPI.templates.delete(template.id);
+        if (result.success) {
+            setTemplates(templates.filter(t => t.id !== template.id));
+            setTemplateUse(null);
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleRestoreRevision = async (item, revision) => {
+        const when = new Date(revision.createdAt).toLocaleString();
+        if (!window.confirm(`Restore "${item.title}" to how it was on ${when}?`)) {
+            return;
+        }
+        const result = await window.electronAPI.items.restoreRevision(revision.id);
+        if (!result.success) {
+            setError(result.error);
+            return;
+        }
+        // Completion and parent may have changed, which moves the item in the tree
+        replaceSearchResult(result.data);
+        await refreshItemTree();
+        await loadHistory(item.id);
+    };
+
+    const handleAddSubtask = (parent) => {
+        setEditingId(null);
+        setFormData({ ...EMPTY_FORM, parentUuid: parent.uuid, listUuid: parent.listUuid || '' });
+    };
+
+    const handleEdit = (item) => {
+        setEditingId(item.id);
+        setFormData({
+            title: item.title,
+            description: item.description || '',
+            priority: item.priority,
+            status: item.status || '',
+            tags: (item.tags || []).map(tag => tag.uuid),
+            dueAt: toDateTimeInput(item.dueAt),
+            remindAt: toDateTimeInput(item.remindAt),
+            recurrenceRule: item.recurrenceRule || '',
+            parentUuid: item.parentUuid || '',
+            listUuid: item.listUuid || '',
+            customFields: { ...item.customFields },
+        });
+    };
+
+    // Apply changes from the repeat controls to the form's rule string
+    const updateRecurrence = (changes) => {
+        const parts = { ...parseRecurrence(formData.recurrenceRule), ...changes };
+        setFormData({ ...formData, recurrenceRule: formatRecurrence(parts) });
+    };
+
+    const handleRecurrenceEndChange = (mode) => {
+        switch (mode) {
+            case 'count':
+                updateRecurrence({ COUNT: '10', UNTIL: '' });
+                break;
+            case 'until': {
+                const until = formData.dueAt ? new Date(formData.dueAt) : new Date();
+                until.setMonth(until.getMonth() + 1);
+                updateRecurrence({ COUNT: '', UNTIL: toDateTimeInput(until).slice(0, 10).replace(/-/g, '') });
+                break;
+            }
+            default:
+                updateRecurrence({ COUNT: '', UNTIL: '' });
+        }
+    };
+
+    const toggleRecurrenceDay = (day) => {
+        const days = (parseRecurrence(formData.recurrenceRule).BYDAY || '').split(',').filter(Boolean);
+        const next = days.includes(day) ? days.filter(d => d !== day) : [...days, day];
+        updateRecurrence({ BYDAY: RECURRENCE_WEEKDAYS.filter(d => next.includes(d)).join(',') });
+    };
+
+    const handleCancelEdit = () => {
+        setEditingId(null);
+        setFormData(newItemForm());
+    };
+
+    // Keep an open search result in step with an edited item (preserving its snippets)
+    const replaceSearchResult = (updated) => {
+        if (!searchResults) return;
+        setSearchResults(searchResults.map(item => (
+            item.id === updated.id ? { ...updated, search: item.search } : item
+        )));
+    };
+
+    const dismissReminder = (itemId) => {
+        setActiveReminders((current) => current.filter(reminder => reminder.itemId !== itemId));
+    };
+
+    const handleSnooze = async (itemId, option) => {
+        const result = await window.electronAPI.reminders.snooze(itemId, option);
+        if (result.success) {
+            const { remindAt } = result.data;
+            setItems(items.map(item => item.id === itemId ? { ...item, remindAt } : item));
+            dismissReminder(itemId);
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleOpenReminder = async (itemId) => {
+        const result = await window.electronAPI.items.getById(itemId);
+        if (result.success) {
+            handleEdit(result.data);
+            dismissReminder(itemId);
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleDelete = async (deleted) => {
+        const { id } = deleted;
+        const hasSubtasks = deleted.progress?.total > 0;
+        // OK deletes the subtasks too; Cancel keeps them (they move up a level)
+        const cascade = hasSubtasks && window.confirm(
+            `Also delete its ${deleted.progress.total} subtask(s)? Cancel keeps them and moves them up a level.`
+        );
+        const result = await window.electronAPI.items.delete(id, { cascade });
+        if (result.success && (hasSubtasks || deleted.parentUuid)) {
+            setSearchResults(searchResults && searchResults.filter(item => item.id !== id));
+            await refreshItemTree();
+        } else if (result.success) {
+            setItems(items.filter(item => item.id !== id));
+            setSearchResults(searchResults && searchResults.filter(item => item.id !== id));
+            if (deleted) {
+                const status = deleted.completed ? 'completed' : 'active';
+                setItemCounts({ ...itemCounts, all: itemCounts.all - 1, [status]: itemCounts[status] - 1 });
+            }
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleRestoreFromTrash = async (item) => {
+        const result = await window.electronAPI.items.restore(item.id);
+        if (result.success) {
+            await loadTrash();
+            await refreshItemTree();
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleUnarchive = async (item) => {
+        const result = await window.electronAPI.items.unarchive(item.id);
+        if (result.success) {
+            setSearchResults((current) => current && current.filter(found => found.id !== item.id));
+            await refreshItemTree();
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handlePurge = async (item) => {
+        if (!window.confirm(`Permanently delete "${item.title}"? This cannot be undone.`)) {
+            return;
+        }
+        const result = await window.electronAPI.items.purge(item.id);
+        if (result.success) {
+            await loadTrash();
+        } else {
+            setError(result.error);
+        }
+    };
+
+    const handleToggle = async (toggled) => {
+        const { id } = toggled;
+        const openBlockers = toggled.completed ? [] : (toggled.blockedBy || []).filter(blocker => !blocker.completed);
+        if (openBlockers.length > 0 && !window.confirm(
+            `"${toggled.title}" is still blocked by ${openBlockers.map(blocker => `"${blocker.title}"`).join(', ')}. Complete it anyway?`
+        )) {
+            return;
+        }
+        const cascade = toggled.progress?.total > 0 && window.confirm(
+            `${toggled.completed ? 'Reopen' : 'Complete'} its ${toggled.progress.total} subtask(s) too?`
+        );
+        const result = await window.electronAPI.items.toggle(id, { cascade });
+        if (result.success && (cascade || toggled.parentUuid || toggled.blocking > 0)) {
+            // Progress changes further up the tree, or items it blocks are unblocked
+            replaceSearchResult(result.data);
+            await refreshItemTree();
+        } else if (result.success) {
+            replaceSearchResult(result.data);
+            // Items that no longer match the current tab drop out of the list
+            if (filter === 'all') {
+                setItems(items.map(item => item.id === id ? result.data : item));
+            } else {
+                setItems(items.filter(item => item.id !== id));
+            }
+            const delta = result.data.completed ? 1 : -1;
+            const { nextOccurrence } = result;
+            setItemCounts({
+                ...itemCounts,
+                all: itemCounts.all + (nextOccurrence ? 1 : 0),
+                active: itemCounts.active - delta + (nextOccurrence ? 1 : 0),
+                completed: itemCounts.completed + delta,
+            });
+            // Completing a recurring item generated its next occurrence
+            if (nextOccurrence && filter !== 'completed') {
+                setItems((current) => [nextOccurrence, ...current]);
+            }
+        } else {
+            setError(result.error);
+        }
+    };
+
+    // Rows in the order they are shown, with expanded subtasks after their parent
+    const getVisibleItems = () => {
+        const flatten = (list) => list.flatMap(item => [item, ...flatten(subtasks[item.uuid] || [])]);
+        return flatten(searchResults !== null ? searchResults : items);
+    };
+
+    const clearSelection = () => {
+        setSelectedIds([]);
+        setSelectionAnchor(null);
+    };
+
+    // Ctrl/cmd-click toggles a row, shift-click selects from the last clicked row
+    const handleSelectClick = (e, item) => {
+        if (!(e.ctrlKey || e.metaKey || e.shiftKey) || e.target.closest('button, input, select, textarea, a')) {
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (e.shiftKey && selectionAnchor !== null) {
+            const visibleIds = getVisibleItems().map(visible => visible.id);
+            const from = visibleIds.indexOf(selectionAnchor);
+            const to = visibleIds.indexOf(item.id);
+            if (from !== -1 && to !== -1) {
+                const range = visibleIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+                setSelectedIds([...new Set([...selectedIds, ...range])]);
+                return;
+            }
+        }
+
+        setSelectedIds(selectedIds.includes(item.id)
+            ? selectedIds.filter(id => id !== item.id)
+            : [...selectedIds, item.id]);
+        setSelectionAnchor(item.id);
+    };
+
+    // Items can be dragged within their siblings in the normal (not filtered by tag or view) list
+    const canReorder = searchResults === null && !showTrash && !showArchive && tagFilter.length === 0
+        && !statusFilter && !priorityFilter && viewQuery === null;
+
+    // Rows shown alongside an item: its parent's expanded subtasks, or the top-level items
+    const getSiblings = (item) => (item.parentUuid ? subtasks[item.parentUuid] || [] : items);
+
+    const handleDragStart = (e, item) => {
+        e.stopPropagation();
+        e.dataTransfer.effectAllowed = 'move';
+        setDragItem(item);
+    };
+
+    // Only siblings of the dragged item accept it, above or below their middle
+    const handleDragOver = (e, item) => {
+        e.stopPropagation();
+        if (!dragItem || item.id === dragItem.id || item.parentUuid !== dragItem.parentUuid) {
+            return;
+        }
+        e.preventDefault();
+        const rect = e.currentTarget.getBoundingClientRect();
+        const placement = e.clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+        if (dropTarget?.id !== item.id || dropTarget.placement !== placement) {
+            setDropTarget({ id: item.id, placement });
+        }
+    };
+
+    const handleDragEnd = () => {
+        setDragItem(null);
+        setDropTarget(null);
+    };
+
+    // Reorder locally, then store the item's new position between its neighbours
+    const handleDrop = async (e, item) => {
+        e.preventDefault();
+        e.stopPropagation();
+        const moved = dragItem;
+        const placement = dropTarget?.id === item.id ? dropTarget.placement : 'after';
+        handleDragEnd();
+        if (!moved || item.id === moved.id || item.parentUuid !== moved.parentUuid) {
+            return;
+        }
+
+        const others = getSiblings(moved).filter(sibling => sibling.id !== moved.id);
+        const index = others.findIndex(sibling => sibling.id === item.id) + (placement === 'after' ? 1 : 0);
+        const previous = others[index - 1] || null;
+        const next = others[index] || null;
+        const reordered = [...others.slice(0, index), moved, ...others.slice(index)];
+        if (moved.parentUuid) {
+            setSubtasks((current) => ({ ...current, [moved.parentUuid]: reordered }));
+        } else {
+            setItems(reordered);
+        }
+
+        const result = await window.electronAPI.items.move(moved.id, {
+            previousId: previous ? previous.id : null,
+            nextId: next ? next.id : null,
+        });
+        if (!result.success) {
+            setError(result.error);
+            await refreshItemTree();
+        }
     };
 
-    const handleEdit = (item) => {
-        setEditingId(item.id);
-        setFormData({
-            title: item.title,
-            description: item.description || '',
-            priority: item.priority,
-        });
+    // Show the items a bulk operation could not change
+    const reportBulkFailures = (results) => {
+        const failed = results.filter(result => !result.success);
+        if (failed.length > 0) {
+            setError(`${failed.length} item(s) could not be changed: ${failed[0].error}`);
+        }
     };
 
-    const handleCancelEdit = () => {
-        setEditingId(null);
-        setFormData({ title: '', description: '', priority: 'medium' });
+    const handleBulkUpdate = async (changes) => {
+        const result = await window.electronAPI.items.bulkUpdate(selectedIds, changes);
+        if (result.success) {
+            reportBulkFailures(result.results);
+            result.data.forEach(replaceSearchResult);
+            await refreshItemTree();
+        } else {
+            setError(result.error);
+        }
     };
 
-    const handleDelete = async (id) => {
-        const result = await window.electronAPI.items.delete(id);
+    const handleBulkMoveToList = async (listId) => {
+        const result = await window.electronAPI.items.moveToList(selectedIds, listId === 'inbox' ? null : Number(listId));
         if (result.success) {
-            setItems(items.filter(item => item.id !== id));
+            reportBulkFailures(result.results);
+            clearSelection();
+            await refreshItemTree();
         } else {
             setError(result.error);
         }
     };
 
-    const handleToggle = async (id) => {
-        const result = await window.electronAPI.items.toggle(id);
+    const handleBulkDelete = async () => {
+        const selected = getVisibleItems().filter(item => selectedIds.includes(item.id));
+        if (!window.confirm(`Move ${selected.length} task(s) to the trash?`)) {
+            return;
+        }
+        // OK deletes the subtasks too; Cancel keeps them (they move up a level)
+        const cascade = selected.some(item => item.progress?.total > 0) && window.confirm(
+            'Also delete their subtasks? Cancel keeps them and moves them up a level.'
+        );
+        const result = await window.electronAPI.items.bulkDelete(selectedIds, { cascade });
         if (result.success) {
-            setItems(items.map(item => item.id === id ? result.data : item));
+            reportBulkFailures(result.results);
+            setSearchResults(searchResults && searchResults.filter(item => !selectedIds.includes(item.id)));
+            clearSelection();
+            await refreshItemTree();
         } else {
             setError(result.error);
         }
     };
 
-    const filteredItems = items.filter(item => {
-        if (filter === 'active') return !item.completed;
-        if (filter === 'completed') return item.completed;
-        return true;
-    });
+    // Copy the selected items (with their tags, under the same parent and in
+    // the same list; copies of items in another user's list go to the Inbox)
+    const handleBulkDuplicate = async () => {
+        const selected = getVisibleItems().filter(item => selectedIds.includes(item.id));
+        const result = await window.electronAPI.items.bulkCreate(selected.map(item => ({
+            title: `${item.title} (copy)`,
+            description: item.description,
+            priority: item.priority,
+            dueAt: item.dueAt,
+            remindAt: item.remindAt,
+            recurrenceRule: item.recurrenceRule,
+            parentUuid: item.parentUuid,
+            listUuid: lists.some(list => list.uuid === item.listUuid) ? item.listUuid : null,
+            tags: (item.tags || []).map(tag => tag.uuid),
+            customFields: item.customFields,
+        })));
+        if (result.success) {
+            reportBulkFailures(result.results);
+            clearSelection();
+            await refreshItemTree();
+        } else {
+            setError(result.error);
+        }
+    };
 
-    const getPriorityColor = (priority) => {
-        switch (priority) {
-            case 'high': return '#e74c3c';
-            case 'medium': return '#f39c12';
-            case 'low': return '#27ae60';
-            default: return '#95a5a6';
+    // Render [{ text, match }] snippet segments with matches highlighted
+    const renderSnippet = (segments) => segments.map((segment, index) => (
+        segment.match ? <mark key={index}>{segment.text}</mark> : <span key={index}>{segment.text}</span>
+    ));
+
+    // Priority level and status of an item (null for a key missing from the
+    // workflow, e.g. on an item shared by a user with other levels)
+    const findPriority = (key) => workflow.priorities.find(level => level.key === key) || null;
+    const findStatus = (key) => workflow.statuses.find(status => status.key === key) || null;
+
+    const getPriorityColor = (priority) => findPriority(priority)?.color || DEFAULT_TAG_COLOR;
+
+    // What the add form picks when no priority or status is chosen (as the main process does)
+    const defaultPriority = (workflow.priorities.find(level => level.isDefault) || workflow.priorities[0]).key;
+    const firstOpenStatus = workflow.statuses.find(status => !status.isDone)?.key;
+
+    // <option>s of the workflow's priorities / statuses; current: a key to keep
+    // listed even when the workflow lacks it
+    const renderWorkflowOptions = (entries, current) => [
+        ...entries.map(entry => <option key={entry.key} value={entry.key}>{entry.name}</option>),
+        ...(current && !entries.some(entry => entry.key === current)
+            ? [<option key={current} value={current}>{current}</option>]
+            : []),
+    ];
+    const renderPriorityOptions = (current) => renderWorkflowOptions(workflow.priorities, current);
+    const renderStatusOptions = (current) => renderWorkflowOptions(workflow.statuses, current);
+
+    // Items currently shown anywhere in the tree (candidates for a parent)
+    const loadedItems = [...items, ...Object.values(subtasks).flat()]
+        .filter((item, index, all) => all.findIndex(other => other.id === item.id) === index);
+
+    // Show a value from the history timeline
+    const formatHistoryValue = (field, value) => {
+        if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) return '—';
+        switch (field) {
+            case 'completed': return value ? 'Yes' : 'No';
+            case 'status': return findStatus(value)?.name || value;
+            case 'priority': return findPriority(value)?.name || value;
+            case 'dueAt':
+            case 'remindAt': return new Date(value).toLocaleString();
+            case 'recurrenceRule': return describeRecurrence(value);
+            case 'parentUuid': return loadedItems.find(item => item.uuid === value)?.title || 'another item';
+            case 'listUuid': return lists.find(list => list.uuid === value)?.name || 'deleted list';
+            case 'tags': return value.map(uuid => tags.find(tag => tag.uuid === uuid)?.name || 'deleted tag').join(', ');
+            case 'description': return value.length > 80 ? `${value.slice(0, 80)}…` : value;
+            default: return String(value);
         }
     };
 
+    // History timeline of an item, newest first; any entry but the latest can be restored
+    const renderHistory = (item) => (
+        <ol className="item-history">
+            {history.revisions.length === 0 && (
+                <li className="history-empty">No history recorded yet</li>
+            )}
+            {history.revisions.map((revision, index) => (
+                <li key={revision.uuid} className="history-entry">
+                    <div className="history-meta">
+                        <strong>{REVISION_ACTION_LABELS[revision.action] || revision.action}</strong>
+                        <span>
+                            {new Date(revision.createdAt).toLocaleString()}
+                            {' · '}{revision.userName || 'Signed out'}
+                            {' on '}{revision.isCurrentDevice ? 'this device' : (revision.deviceName || 'another device')}
+                        </span>
+                        {index > 0 && revision.action !== 'delete' && (
+                            <button className="history-restore" onClick={() => handleRestoreRevision(item, revision)}>
+                                Restore
+                            </button>
+                        )}
+                    </div>
+                    <ul className="history-changes">
+                        {Object.entries(revision.changes).map(([field, change]) => (
+                            <li key={field}>
+                                {HISTORY_FIELD_LABELS[field] || field}:{' '}
+                                <del>{formatHistoryValue(field, change.from)}</del>
+                                {' → '}
+                                <ins>{formatHistoryValue(field, change.to)}</ins>
+                            </li>
+                        ))}
+                    </ul>
+                </li>
+            ))}
+        </ol>
+    );
+
+    // Users an item is shared with, and a form to share it with more
+    const renderSharing = (item) => (
+        <div className="item-sharing">
+            <ul className="share-list">
+                {sharing.shares.length === 0 && (
+                    <li className="share-empty">Not shared with anyone yet</li>
+                )}
+                {sharing.shares.map(share => (
+                    <li key={share.uuid} className="share-entry">
+                        <span className="share-email">{share.email}</span>
+                        <select
+                            value={share.role}
+                            onChange={(e) => handleShare(item, share.email, e.target.value)}
+                        >
+                            {Object.entries(SHARE_ROLE_LABELS).map(([role, label]) => (
+                                <option key={role} value={role}>{label}</option>
+                            ))}
+                        </select>
+                        <button className="share-remove" onClick={() => handleUnshare(item, share)} title="Stop sharing">
+                            ×
+                        </button>
+                    </li>
+                ))}
+            </ul>
+            <form className="share-form" onSubmit={(e) => handleShareSubmit(e, item)}>
+                <input
+                    type="email"
+                    placeholder="Colleague's email"
+                    value={shareForm.email}
+                    onChange={(e) => setShareForm({ ...shareForm, email: e.target.value })}
+                />
+                <select
+                    value={shareForm.role}
+                    onChange={(e) => setShareForm({ ...shareForm, role: e.target.value })}
+                >
+                    {Object.entries(SHARE_ROLE_LABELS).map(([role, label]) => (
+                        <option key={role} value={role}>{label}</option>
+                    ))}
+                </select>
+                <button type="submit" className="btn btn-secondary" disabled={!shareForm.email.trim()}>
+                    Share
+                </button>
+            </form>
+        </div>
+    );
+
+    // Time tracked on an item, newest first, and a form to add time by hand
+    const renderTimeLog = (item) => (
+        <div className="item-time-log">
+            <ul className="time-entry-list">
+                {timeLog.entries.length === 0 && (
+                    <li className="time-entry-empty">No time tracked yet</li>
+                )}
+                {timeLog.entries.map(entry => (
+                    <li key={entry.uuid} className="time-entry">
+                        <span className="time-entry-range">
+                            {new Date(entry.startedAt).toLocaleString()}
+                            {' – '}
+                            {entry.running ? 'running' : new Date(entry.endedAt).toLocaleTimeString()}
+                        </span>
+                        <strong className="time-entry-duration">
+                            {formatElapsed(entry.running && runningTimer?.uuid === entry.uuid ? getTimerElapsed() : entry.durationMs)}
+                        </strong>
+                        {entry.note && <span className="time-entry-note">{entry.note}</span>}
+                        {!entry.isCurrentDevice && (
+                            <span className="time-entry-device">on {entry.deviceName || 'another device'}</span>
+                        )}
+                        <button className="time-entry-remove" onClick={() => handleDeleteTimeEntry(item, entry)} title="Delete entry">
+                            ×
+                        </button>
+                    </li>
+                ))}
+            </ul>
+            {timeLog.entries.length > 0 && (
+                <div className="time-entry-total">Total {formatElapsed(timeLog.totalMs)}</div>
+            )}
+            <form className="time-entry-form" onSubmit={(e) => handleAddTimeEntry(e, item)}>
+                <input
+                    type="datetime-local"
+                    value={timeForm.startedAt}
+                    onChange={(e) => setTimeForm({ ...timeForm, startedAt: e.target.value })}
+                    title="Start"
+                />
+                <input
+                    type="datetime-local"
+                    value={timeForm.endedAt}
+                    onChange={(e) => setTimeForm({ ...timeForm, endedAt: e.target.value })}
+                    title="End"
+                />
+                <input
+                    type="text"
+                    placeholder="Note"
+                    value={timeForm.note}
+                    onChange={(e) => setTimeForm({ ...timeForm, note: e.target.value })}
+                    maxLength={500}
+                />
+                <button type="submit" className="btn btn-secondary" disabled={!timeForm.startedAt || !timeForm.endedAt}>
+                    Add time
+                </button>
+            </form>
+        </div>
+    );
+
+    // Items blocking an item, and a form to add another from the items shown
+    const renderDependencies = (item) => (
+        <div className="item-dependencies">
+            <ul className="dependency-list">
+                {item.blockedBy.length === 0 && (
+                    <li className="dependency-empty">Not blocked by any item</li>
+                )}
+                {item.blockedBy.map(blocker => (
+                    <li key={blocker.uuid} className={`dependency-entry ${blocker.completed ? 'done' : ''}`}>
+                        <span className="dependency-title">{blocker.completed ? '✔' : '⛔'} {blocker.title}</span>
+                        <button
+                            className="dependency-remove"
+                            onClick={() => handleRemoveDependency(item, blocker)}
+                            title="No longer blocked by this item"
+                        >
+                            ×
+                        </button>
+                    </li>
+                ))}
+            </ul>
+            <form className="dependency-form" onSubmit={(e) => handleAddDependency(e, item)}>
+                <select
+                    value={dependencies.blockerId}
+                    onChange={(e) => setDependencies({ ...dependencies, blockerId: e.target.value })}
+                >
+                    <option value="">Blocked by…</option>
+                    {loadedItems
+                        .filter(other => other.id !== item.id && !item.blockedBy.some(blocker => blocker.uuid === other.uuid))
+                        .map(other => (
+                            <option key={other.id} value={other.id}>{other.title}</option>
+                        ))}
+                </select>
+                <button type="submit" className="btn btn-secondary" disabled={!dependencies.blockerId}>
+                    Add
+                </button>
+            </form>
+        </div>
+    );
+
+    // Form saving an item (and its subtasks) as a template
+    const renderTemplateDraft = () => (
+        <form className="item-template-form" onSubmit={handleSaveTemplate}>
+            <input
+                type="text"
+                placeholder="Template name"
+                value={templateDraft.name}
+                onChange={(e) => setTemplateDraft({ ...templateDraft, name: e.target.value })}
+                maxLength={100}
+                autoFocus
+            />
+            <button type="submit" className="btn btn-secondary" disabled={!templateDraft.name.trim()}>
+                Save template
+            </button>
+            <button type="button" className="btn-icon" onClick={() => setTemplateDraft(null)} title="Cancel">
+                ×
+            </button>
+        </form>
+    );
+
+    // Template picker above the add form; a chosen template asks for its prompts
+    const renderTemplatePicker = () => (
+        <form className="template-picker" onSubmit={handleUseTemplate}>
+            <div className="form-row">
+                <select
+                    value={templateUse?.template.id ?? ''}
+                    onChange={(e) => chooseTemplate(e.target.value)}
+                    className="form-select"
+                >
+                    <option value="">📑 New from template...</option>
+                    {templates.map(template => (
+                        <option key={template.uuid} value={template.id}>
+                            {template.name}{template.itemCount > 1 ? ` (${template.itemCount} tasks)` : ''}
+                        </option>
+                    ))}
+                </select>
+                {templateUse && (
+                    <>
+                        <button type="submit" className="btn btn-primary">Create</button>
+                        <button
+                            type="button"
+                            className="btn-icon"
+                            onClick={() => handleDeleteTemplate(templateUse.template)}
+                            title="Delete template"
+                        >
+                            🗑️
+                        </button>
+                    </>
+                )}
+            </div>
+            {templateUse?.template.prompts.map(prompt => (
+                <input
+                    key={prompt}
+                    type="text"
+                    placeholder={prompt}
+                    value={templateUse.values[prompt]}
+                    onChange={(e) => setTemplateUse({
+                        ...templateUse,
+                        values: { ...templateUse.values, [prompt]: e.target.value },
+                    })}
+                    className="form-input"
+                />
+            ))}
+        </form>
+    );
+
+    // Single row in the items list (search results carry highlighted snippets),
+    // followed by its subtasks when expanded
+    const renderItem = (item) => (
+        <li
+            key={item.id}
+            className={`item ${item.completed ? 'completed' : ''} ${subtasks[item.uuid] ? 'expanded' : ''} ${selectedIds.includes(item.id) ? 'selected' : ''} ${dragItem?.id === item.id ? 'dragging' : ''} ${dropTarget?.id === item.id ? `drop-${dropTarget.placement}` : ''}`}
+            onClick={(e) => handleSelectClick(e, item)}
+            draggable={canReorder}
+            onDragStart={canReorder ? (e) => handleDragStart(e, item) : undefined}
+            onDragOver={canReorder ? (e) => handleDragOver(e, item) : undefined}
+            onDrop={canReorder ? (e) => handleDrop(e, item) : undefined}
+            onDragEnd={canReorder ? handleDragEnd : undefined}
+        >
+            <div className="item-checkbox">
+                <input
+                    type="checkbox"
+                    checked={item.completed}
+                    onChange={() => handleToggle(item)}
+                />
+            </div>
+            <div className="item-content">
+                <div className="item-header">
+                    <span className="item-title">
+                        {item.search?.titleSnippet?.length ? renderSnippet(item.search.titleSnippet) : item.title}
+                    </span>
+                    {item.progress && (
+                        <button
+                            className="item-progress"
+                            onClick={() => toggleSubtasks(item)}
+                            title={subtasks[item.uuid] ? 'Hide subtasks' : 'Show subtasks'}
+                        >
+                            {subtasks[item.uuid] ? '▾' : '▸'} {item.progress.done}/{item.progress.total}
+                        </button>
+                    )}
+                    {listFilter === 'all' && !item.parentUuid && lists.some(list => list.uuid === item.listUuid) && (
+                        <span className="item-list-chip">
+                            {renderListLabel(lists.find(list => list.uuid === item.listUuid))}
+                        </span>
+                    )}
+                    {item.sharing?.role === 'owner' && item.sharing.shareCount > 0 && (
+                        <span className="item-share-chip" title="Shared">
+                            👥 {item.sharing.shareCount}
+                        </span>
+                    )}
+                    {item.sharing && item.sharing.role !== 'owner' && (
+                        <span className="item-share-chip" title="Shared with you">
+                            👥 {SHARE_ROLE_LABELS[item.sharing.role]}
+                        </span>
+                    )}
+                    {runningTimer?.itemUuid === item.uuid && (
+                        <span className="item-timer-chip" title="Timer running">
+                            ⏱ {formatElapsed(getTimerElapsed())}
+                        </span>
+                    )}
+                    {item.archivedAt && (
+                        <span className="item-archived-chip" title={`Archived ${new Date(item.archivedAt).toLocaleString()}`}>
+                            🗄️ Archived
+                        </span>
+                    )}
+                    {item.blocked && !item.completed && (
+                        <span
+                            className="item-blocked-chip"
+                            title={`Blocked by ${item.blockedBy.filter(blocker => !blocker.completed).map(blocker => blocker.title).join(', ')}`}
+                        >
+                            ⛔ Blocked
+                        </span>
+                    )}
+                    {item.status && (
+                        <span
+                            className="item-status"
+                            style={{ borderColor: findStatus(item.status)?.color, color: findStatus(item.status)?.color }}
+                        >
+                            {findStatus(item.status)?.name || item.status}
+                        </span>
+                    )}
+                    <span
+                        className="item-priority"
+                        style={{ backgroundColor: getPriorityColor(item.priority) }}
+                    >
+                        {findPriority(item.priority)?.name || item.priority}
+                    </span>
+                </div>
+                {(item.dueAt || item.remindAt || item.recurrenceRule) && (
+                    <div className="item-dates">
+                        {item.dueAt && (
+                            <span className={`item-due ${!item.completed && new Date(item.dueAt) < new Date() ? 'overdue' : ''}`}>
+                                Due {new Date(item.dueAt).toLocaleString()}
+                            </span>
+                        )}
+                        {item.remindAt && !item.completed && (
+                            <span className="item-reminder" title="Reminder">
+                                🔔 {new Date(item.remindAt).toLocaleString()}
+                            </span>
+                        )}
+                        {item.recurrenceRule && (
+                            <span className="item-recurrence" title={item.recurrenceRule}>
+                                🔁 {describeRecurrence(item.recurrenceRule)}
+                            </span>
+                        )}
+                    </div>
+                )}
+                {item.tags?.length > 0 && (
+                    <div className="item-tags">
+                        {item.tags.map(tag => (
+                            <span key={tag.uuid} className="tag-chip" style={{ backgroundColor: tag.color || DEFAULT_TAG_COLOR }}>
+                                {tag.name}
+                            </span>
+                        ))}
+                    </div>
+                )}
+                {customFields.some(field => item.customFields?.[field.uuid]) && (
+                    <div className="item-fields">
+                        {customFields.filter(field => item.customFields[field.uuid]).map(field => (
+                            <span key={field.uuid} className="item-field">
+                                {field.name}: <strong>{item.customFields[field.uuid]}</strong>
+                            </span>
+                        ))}
+                    </div>
+                )}
+                {item.attachments?.length > 0 && (
+                    <div className="item-attachments">
+                        {item.attachments.map(attachment => (
+                            <span key={attachment.uuid} className="attachment-chip">
+                                <button
+                                    className="attachment-open"
+                                    onClick={() => handleOpenAttachment(attachment)}
+                                    title={`Open (${formatFileSize(attachment.size)})`}
+                                >
+                                    📎 {attachment.fileName}
+                                </button>
+                                <button
+                                    className="attachment-remove"
+                                    onClick={() => handleRemoveAttachment(item, attachment)}
+                                    title="Remove attachment"
+                                >
+                                    ×
+                                </button>
+                            </span>
+                        ))}
+                    </div>
+                )}
+                {item.description && (item.search?.descriptionSnippet?.length ? (
+                    <p className="item-description">
+                        {renderSnippet(item.search.descriptionSnippet)}
+                    </p>
+                ) : (
+                    <Markdown
+                        className="item-description markdown"
+                        source={item.description}
+                        onOpenLink={handleOpenLink}
+                        onToggleTask={item.sharing?.role === 'viewer'
+                            ? undefined
+                            : (line, checked) => handleToggleDescriptionTask(item, line, checked)}
+                    />
+                ))}
+                {item.syncStatus === 'error' && item.syncError && (
+                    <div className="item-sync-error">⚠ Not synced: {item.syncError}</div>
+                )}
+                {sharing?.itemId === item.id && renderSharing(item)}
+                {dependencies?.itemId === item.id && renderDependencies(item)}
+                {timeLog?.itemId === item.id && renderTimeLog(item)}
+                {templateDraft?.itemId === item.id && renderTemplateDraft()}
+                {history?.itemId === item.id && renderHistory(item)}
+                {subtasks[item.uuid]?.length > 0 && (
+                    <ul className="items-list subtask-list">
+                        {subtasks[item.uuid].map(child => renderItem(child))}
+                    </ul>
+                )}
+            </div>
+            <div className="item-actions">
+                <button className="btn-icon" onClick={() => handleAddAttachments(item)} title="Attach files">
+                    📎
+                </button>
+                {item.archivedAt ? (
+                    <button className="btn-icon" onClick={() => handleUnarchive(item)} title="Unarchive">
+                        📤
+                    </button>
+                ) : (
+                    <button className="btn-icon" onClick={() => handleAddSubtask(item)} title="Add subtask">
+                        ➕
+                    </button>
+                )}
+                {item.sharing?.role === 'owner' && (
+                    <button className="btn-icon" onClick={() => toggleSharing(item)} title="Share">
+                        👥
+                    </button>
+                )}
+                <button
+                    className="btn-icon"
+                    onClick={() => handleToggleTimer(item)}
+                    title={runningTimer?.itemUuid === item.uuid ? 'Stop timer' : 'Start timer'}
+                >
+                    {runningTimer?.itemUuid === item.uuid ? '⏹️' : '▶️'}
+                </button>
+                <button className="btn-icon" onClick={() => toggleTimeLog(item)} title="Time tracked">
+                    ⏱️
+                </button>
+                <button
+                    className="btn-icon"
+                    onClick={() => toggleDependencies(item)}
+                    title={item.blocking > 0 ? `Dependencies (blocks ${item.blocking})` : 'Dependencies'}
+                >
+                    🔗
+                </button>
+                <button className="btn-icon" onClick={() => toggleTemplateDraft(item)} title="Save as template">
+                    📑
+                </button>
+                <button className="btn-icon" onClick={() => toggleHistory(item)} title="History">
+                    🕘
+                </button>
+                <button className="btn-icon" onClick={() => handleEdit(item)} title="Edit">
+                    ✏️
+                </button>
+                <button className="btn-icon" onClick={() => handleDelete(item)} title="Delete">
+                    🗑️
+                </button>
+            </div>
+        </li>
+    );
+
+    // Icon (or colour dot) and name of a list
+    const renderListLabel = (list) => (
+        <>
+            {list.icon
+                ? <span className="list-icon">{list.icon}</span>
+                : <span className="list-dot" style={{ backgroundColor: list.color || DEFAULT_TAG_COLOR }} />}
+            {list.name}
+        </>
+    );
+
+    // List in the sidebar, with inline edit and delete (move or delete its tasks)
+    const renderListEntry = (list) => (
+        <li key={list.uuid}>
+            {editingList?.id === list.id ? (
+                <form className="list-edit" onSubmit={handleSaveList}>
+                    <input
+                        type="text"
+                        value={editingList.icon}
+                        onChange={(e) => setEditingList({ ...editingList, icon: e.target.value })}
+                        className="list-icon-input"
+                        placeholder="🙂"
+                        maxLength={4}
+                    />
+                    <input
+                        type="text"
+                        value={editingList.name}
+                        onChange={(e) => setEditingList({ ...editingList, name: e.target.value })}
+                        className="list-name-input"
+                        maxLength={100}
+                        autoFocus
+                    />
+                    <input
+                        type="color"
+                        value={editingList.color}
+                        onChange={(e) => setEditingList({ ...editingList, color: e.target.value })}
+                        className="list-color-input"
+                    />
+                    <button type="submit" className="btn-icon" title="Save">✔️</button>
+                    <button type="button" className="btn-icon" onClick={() => setEditingList(null)} title="Cancel">✖️</button>
+                </form>
+            ) : (
+                <div className={`list-entry ${listFilter === list.uuid && !viewFilter && !showTrash && !showDashboard && !showWorkflow ? 'active' : ''}`}>
+                    <button className="list-entry-label" onClick={() => showList(list.uuid)}>
+                        {renderListLabel(list)}
+                    </button>
+                    <span className="list-entry-actions">
+                        <button
+                            className="btn-icon"
+                            onClick={() => setEditingList({
+                                id: list.id, name: list.name, icon: list.icon || '', color: list.color || DEFAULT_TAG_COLOR,
+                            })}
+                            title="Edit list"
+                        >
+                            ✏️
+                        </button>
+                        <button
+                            className="btn-icon"
+                            onClick={() => handleToggleListArchived(list)}
+                            title={list.archived ? 'Unarchive list' : 'Archive list'}
+                        >
+                            {list.archived ? '📤' : '📦'}
+                        </button>
+                        <button
+                            className="btn-icon"
+                            onClick={() => setListDeletion({ list, targetListId: '' })}
+                            title="Delete list"
+                        >
+                            🗑️
+                        </button>
+                    </span>
+                </div>
+            )}
+            {listDeletion?.list.id === list.id && (
+                <div className="list-delete">
+                    <span>Delete "{list.name}"? Its tasks can move to</span>
+                    <select
+                        value={listDeletion.targetListId}
+                        onChange={(e) => setListDeletion({ ...listDeletion, targetListId: e.target.value })}
+                        className="form-select"
+                    >
+                        <option value="">Inbox</option>
+                        {lists.filter(other => other.id !== list.id).map(other => (
+                            <option key={other.uuid} value={other.id}>{other.name}</option>
+                        ))}
+                    </select>
+                    <div className="list-delete-actions">
+                        <button className="btn btn-secondary" onClick={() => handleDeleteList('move')}>
+                            Move tasks
+                        </button>
+                        <button className="btn btn-danger" onClick={() => handleDeleteList('delete')}>
+                            Delete tasks too
+                        </button>
+                        <button className="btn-icon" onClick={() => setListDeletion(null)} title="Cancel">
+                            ×
+                        </button>
+                    </div>
+                </div>
+            )}
+        </li>
+    );
+
+    // Form adding or editing a saved view, with the live count of its query
+    const renderViewForm = () => (
+        <form className="view-form" onSubmit={handleSaveView}>
+            <input
+                type="text"
+                placeholder="View name"
+                value={viewForm.name}
+                onChange={(e) => setViewForm({ ...viewForm, name: e.target.value })}
+                className="list-name-input"
+                maxLength={100}
+                autoFocus
+            />
+            <textarea
+                placeholder='e.g. priority:high is:open created:>2026-01-01 "invoice"'
+                value={viewForm.query}
+                onChange={(e) => setViewForm({ ...viewForm, query: e.target.value })}
+                className={`view-query-input ${viewPreview?.error ? 'invalid' : ''}`}
+                maxLength={1000}
+                rows={3}
+            />
+            {viewPreview && (
+                <span className={viewPreview.error ? 'view-preview error' : 'view-preview'}>
+                    {viewPreview.error || `${viewPreview.count} matching task${viewPreview.count === 1 ? '' : 's'}`}
+                </span>
+            )}
+            <div className="list-delete-actions">
+                <button
+                    type="submit"
+                    className="btn btn-primary"
+                    disabled={!viewForm.name.trim() || !viewForm.query.trim() || Boolean(viewPreview?.error)}
+                >
+                    {viewForm.id ? 'Save view' : 'Add view'}
+                </button>
+                <button type="button" className="btn-icon" onClick={() => setViewForm(null)} title="Cancel">
+                    ×
+                </button>
+            </div>
+        </form>
+    );
+
+    // Saved view in the sidebar with its live count (⚠ when its query no longer parses)
+    const renderViewEntry = (view) => (
+        <li key={view.uuid}>
+            {viewForm?.id === view.id ? renderViewForm() : (
+                <div className={`list-entry ${viewFilter === view.uuid && !showTrash && !showDashboard && !showWorkflow ? 'active' : ''}`}>
+                    <button className="list-entry-label" onClick={() => showView(view.uuid)} title={view.query}>
+                        <span className="list-icon">🔎</span>
+                        <span className="view-name">{view.name}</span>
+                        {view.error
+                            ? <span className="view-count error" title={view.error}>⚠</span>
+                            : <span className="view-count">{view.count}</span>}
+                    </button>
+                    <span className="list-entry-actions">
+                        <button
+                            className="btn-icon"
+                            onClick={() => setViewForm({ id: view.id, name: view.name, query: view.query })}
+                            title="Edit view"
+                        >
+                            ✏️
+                        </button>
+                        <button className="btn-icon" onClick={() => handleDeleteView(view)} title="Delete view">
+                            🗑️
+                        </button>
+                    </span>
+                </div>
+            )}
+        </li>
+    );
+
+    // Row in the trash view
+    const renderTrashItem = (item) => (
+        <li key={item.id} className="item trashed">
+            <div className="item-content">
+                <div className="item-header">
+                    <span className="item-title">{item.title}</span>
+                </div>
+                <div className="item-dates">
+                    <span>Deleted {new Date(item.deletedAt).toLocaleString()}</span>
+                    <span className="item-purge">Removed permanently on {new Date(item.purgeAt).toLocaleDateString()}</span>
+                </div>
+                {item.description && (
+                    <Markdown className="item-description markdown" source={item.description} onOpenLink={handleOpenLink} />
+                )}
+            </div>
+            <div className="item-actions">
+                <button className="btn-icon" onClick={() => handleRestoreFromTrash(item)} title="Restore">
+                    ♻️
+                </button>
+                <button className="btn-icon" onClick={() => handlePurge(item)} title="Delete permanently">
+                    ❌
+                </button>
+            </div>
+        </li>
+    );
+
     // Update handlers
     const handleCheckForUpdates = async () => {
         setUpdateStatus('checking');
@@ -351,6 +2620,41 @@ const App = () => {
         setUpdateInfo(null);
     };
 
+    // In-app reminders with snooze buttons
+    const ReminderToasts = () => {
+        if (activeReminders.length === 0) return null;
+
+        return (
+            <div className="reminder-toasts">
+                {activeReminders.map(reminder => (
+                    <div key={reminder.itemId} className="reminder-toast">
+                        <div className="reminder-text">
+                            <strong>🔔 {reminder.title}</strong>
+                            {reminder.dueAt && <span>Due {new Date(reminder.dueAt).toLocaleString()}</span>}
+                        </div>
+                        <div className="reminder-actions">
+                            <button className="btn btn-primary btn-sm" onClick={() => handleOpenReminder(reminder.itemId)}>
+                                Open
+                            </button>
+                            {SNOOZE_OPTIONS.map(option => (
+                                <button
+                                    key={option.value}
+                                    className="btn btn-secondary btn-sm"
+                                    onClick={() => handleSnooze(reminder.itemId, option.value)}
+                                >
+                                    {option.label}
+                                </button>
+                            ))}
+                            <button className="btn-icon" onClick={() => dismissReminder(reminder.itemId)} title="Dismiss">
+                                ✕
+                            </button>
+                        </div>
+                    </div>
+                ))}
+            </div>
+        );
+    };
+
     // Network status indicator component
     const NetworkIndicator = () => (
         <>
@@ -560,12 +2864,17 @@ const App = () => {
         );
     }
 
+    // Repeat controls state derived from the form's rule string
+    const recurrence = parseRecurrence(formData.recurrenceRule);
+    const recurrenceEnd = recurrence.COUNT ? 'count' : recurrence.UNTIL ? 'until' : 'never';
+
     // Authenticated view with CRUD
     return (
         <div className="app-container">
             <NetworkIndicator />
             <UpdateNotification />
             <SyncIndicator />
+            <ReminderToasts />
             <header className="app-header">
                 <div className="user-info">
                     <div className="user-avatar">
@@ -576,127 +2885,623 @@ const App = () => {
                         <span className="user-email">{user?.email}</span>
                     </div>
                 </div>
+                {runningTimer && (
+                    <div className="timer-bar">
+                        <span className="timer-title">⏱ {runningTimer.itemTitle || 'Unavailable item'}</span>
+                        <strong className="timer-elapsed">{formatElapsed(getTimerElapsed())}</strong>
+                        {!runningTimer.isCurrentDevice && (
+                            <span className="timer-device">on {runningTimer.deviceName || 'another device'}</span>
+                        )}
+                        <button className="btn btn-secondary btn-sm" onClick={handleStopTimer}>
+                            Stop
+                        </button>
+                    </div>
+                )}
                 <button className="logout-button" onClick={handleLogout}>
                     Sign out
                 </button>
             </header>
 
-            <main className="app-main">
-                <h1>Task Manager</h1>
-
-                {error && (
-                    <div className="error-message" style={{ marginBottom: '1rem' }}>
-                        {error}
-                        <button onClick={() => setError(null)} style={{ marginLeft: '1rem' }}>Dismiss</button>
-                    </div>
-                )}
-
-                {/* Add/Edit Form */}
-                <form className="item-form" onSubmit={handleSubmit}>
-                    <div className="form-row">
+            <div className="app-body">
+                {/* Lists sidebar */}
+                <aside className="list-sidebar">
+                    <ul className="list-nav">
+                        <li>
+                            <div className={`list-entry ${listFilter === 'all' && !viewFilter && !showTrash && !showDashboard && !showWorkflow ? 'active' : ''}`}>
+                                <button className="list-entry-label" onClick={() => showList('all')}>
+                                    <span className="list-icon">📋</span>All tasks
+                                </button>
+                            </div>
+                        </li>
+                        <li>
+                            <div className={`list-entry ${listFilter === 'inbox' && !viewFilter && !showTrash && !showDashboard && !showWorkflow ? 'active' : ''}`}>
+                                <button className="list-entry-label" onClick={() => showList('inbox')}>
+                                    <span className="list-icon">📥</span>Inbox
+                                </button>
+                            </div>
+                        </li>
+                        <li>
+                            <div className={`list-entry ${showDashboard ? 'active' : ''}`}>
+                                <button
+                                    className="list-entry-label"
+                                    onClick={() => { setShowDashboard(true); setShowWorkflow(false); clearSelection(); }}
+                                >
+                                    <span className="list-icon">📊</span>Dashboard
+                                </button>
+                            </div>
+                        </li>
+                        <li>
+                            <div className={`list-entry ${showWorkflow ? 'active' : ''}`}>
+                                <button
+                                    className="list-entry-label"
+                                    onClick={() => { setShowWorkflow(true); setShowDashboard(false); clearSelection(); }}
+                                >
+                                    <span className="list-icon">⚙️</span>Workflow
+                                </button>
+                            </div>
+                        </li>
+                        {lists.filter(list => !list.archived).map(list => renderListEntry(list))}
+                    </ul>
+                    <form className="list-create" onSubmit={handleCreateList}>
                         <input
                             type="text"
-                            placeholder="Task title..."
-                            value={formData.title}
-                            onChange={(e) => setFormData({ ...formData, title: e.target.value })}
-                            className="form-input"
+                            placeholder="New list..."
+                            value={newListName}
+                            onChange={(e) => setNewListName(e.target.value)}
+                            className="tag-input"
+                            maxLength={100}
                         />
-                        <select
-                            value={formData.priority}
-                            onChange={(e) => setFormData({ ...formData, priority: e.target.value })}
-                            className="form-select"
+                    </form>
+                    {lists.some(list => list.archived) && (
+                        <>
+                            <button className="list-archived-toggle" onClick={() => setShowArchivedLists(!showArchivedLists)}>
+                                {showArchivedLists ? '▾' : '▸'} Archived ({lists.filter(list => list.archived).length})
+                            </button>
+                            {showArchivedLists && (
+                                <ul className="list-nav archived">
+                                    {lists.filter(list => list.archived).map(list => renderListEntry(list))}
+                                </ul>
+                            )}
+                        </>
+                    )}
+                    <div className="view-header">
+                        <span>Views</span>
+                        <button
+                            className="btn-icon"
+                            onClick={() => setViewForm({ id: null, name: '', query: '' })}
+                            title="New view"
                         >
-                            <option value="low">Low</option>
-                            <option value="medium">Medium</option>
-                            <option value="high">High</option>
-                        </select>
-                    </div>
-                    <textarea
-                        placeholder="Description (optional)..."
-                        value={formData.description}
-                        onChange={(e) => setFormData({ ...formData, description: e.target.value })}
-                        className="form-textarea"
-                        rows={2}
-                    />
-                    <div className="form-actions">
-                        <button type="submit" className="btn btn-primary">
-                            {editingId ? 'Update Task' : 'Add Task'}
+                            ➕
                         </button>
-                        {editingId && (
-                            <button type="button" className="btn btn-secondary" onClick={handleCancelEdit}>
-                                Cancel
-                            </button>
-                        )}
                     </div>
-                </form>
+                    <ul className="list-nav">
+                        {views.map(view => renderViewEntry(view))}
+                    </ul>
+                    {viewForm && !viewForm.id && renderViewForm()}
+                </aside>
 
-                {/* Filter Tabs */}
-                <div className="filter-tabs">
-                    <button
-                        className={`filter-tab ${filter === 'all' ? 'active' : ''}`}
-                        onClick={() => setFilter('all')}
-                    >
-                        All ({items.length})
-                    </button>
-                    <button
-                        className={`filter-tab ${filter === 'active' ? 'active' : ''}`}
-                        onClick={() => setFilter('active')}
-                    >
-                        Active ({items.filter(i => !i.completed).length})
-                    </button>
-                    <button
-                        className={`filter-tab ${filter === 'completed' ? 'active' : ''}`}
-                        onClick={() => setFilter('completed')}
-                    >
-                        Completed ({items.filter(i => i.completed).length})
-                    </button>
-                </div>
+                <main className="app-main">
+                    <h1>Task Manager</h1>
 
-                {/* Items List */}
-                {itemsLoading ? (
-                    <div className="loading">Loading tasks...</div>
-                ) : filteredItems.length === 0 ? (
-                    <div className="empty-state">
-                        {filter === 'all' ? 'No tasks yet. Add one above!' : `No ${filter} tasks.`}
-                    </div>
-                ) : (
-                    <ul className="items-list">
-                        {filteredItems.map(item => (
-                            <li key={item.id} className={`item ${item.completed ? 'completed' : ''}`}>
-                                <div className="item-checkbox">
+                    {error && (
+                        <div className="error-message" style={{ marginBottom: '1rem' }}>
+                            {error}
+                            <button onClick={() => setError(null)} style={{ marginLeft: '1rem' }}>Dismiss</button>
+                        </div>
+                    )}
+
+                    {showDashboard ? (
+                        <Dashboard onError={setError} />
+                    ) : showWorkflow ? (
+                        <WorkflowSettings workflow={workflow} onSaved={handleWorkflowSaved} onError={setError} />
+                    ) : csvImport ? (
+                        <CsvImport
+                            file={csvImport}
+                            onImported={handleCsvImported}
+                            onClose={() => setCsvImport(null)}
+                            onError={setError}
+                        />
+                    ) : (
+                        <>
+                            {templates.length > 0 && !editingId && renderTemplatePicker()}
+
+                            {/* Add/Edit Form */}
+                            <form className="item-form" onSubmit={handleSubmit}>
+                                <div className="form-row">
                                     <input
-                                        type="checkbox"
-                                        checked={item.completed}
-                                        onChange={() => handleToggle(item.id)}
+                                        type="text"
+                                        placeholder="Task title..."
+                                        value={formData.title}
+                                        onChange={(e) => setFormData({ ...formData, title: e.target.value })}
+                                        className={`form-input ${formErrors.title ? 'invalid' : ''}`}
                                     />
+                                    <select
+                                        value={formData.priority || defaultPriority}
+                                        onChange={(e) => setFormData({ ...formData, priority: e.target.value })}
+                                        className="form-select"
+                                        title="Priority"
+                                    >
+                                        {renderPriorityOptions(formData.priority)}
+                                    </select>
+                                    <select
+                                        value={formData.status || firstOpenStatus}
+                                        onChange={(e) => setFormData({ ...formData, status: e.target.value })}
+                                        className="form-select"
+                                        title="Status"
+                                    >
+                                        {renderStatusOptions(formData.status)}
+                                    </select>
                                 </div>
-                                <div className="item-content">
-                                    <div className="item-header">
-                                        <span className="item-title">{item.title}</span>
-                                        <span
-                                            className="item-priority"
-                                            style={{ backgroundColor: getPriorityColor(item.priority) }}
+                                {renderFormError('title')}
+                                {renderFormError('priority')}
+                                {renderFormError('status')}
+                                <textarea
+                                    placeholder="Description (optional, Markdown)..."
+                                    value={formData.description}
+                                    onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                                    className={`form-textarea ${formErrors.description ? 'invalid' : ''}`}
+                                    rows={2}
+                                />
+                                {renderFormError('description')}
+                                <div className="form-row">
+                                    <label className="form-label">
+                                        Due
+                                        <input
+                                            type="datetime-local"
+                                            value={formData.dueAt}
+                                            onChange={(e) => setFormData({ ...formData, dueAt: e.target.value })}
+                                            className="form-input"
+                                        />
+                                    </label>
+                                    <label className="form-label">
+                                        Remind me
+                                        <input
+                                            type="datetime-local"
+                                            value={formData.remindAt}
+                                            onChange={(e) => setFormData({ ...formData, remindAt: e.target.value })}
+                                            className="form-input"
+                                        />
+                                    </label>
+                                </div>
+                                {renderFormError('dueAt')}
+                                {renderFormError('remindAt')}
+                                <div className="form-row">
+                                    <label className="form-label">
+                                        Subtask of
+                                        <select
+                                            value={formData.parentUuid}
+                                            onChange={(e) => setFormData({ ...formData, parentUuid: e.target.value })}
+                                            className="form-select"
                                         >
-                                            {item.priority}
-                                        </span>
+                                            <option value="">(top level)</option>
+                                            {formData.parentUuid && !loadedItems.some(item => item.uuid === formData.parentUuid) && (
+                                                <option value={formData.parentUuid}>(parent not loaded)</option>
+                                            )}
+                                            {loadedItems
+                                                .filter(item => item.id !== editingId)
+                                                .map(item => (
+                                                    <option key={item.uuid} value={item.uuid}>{item.title}</option>
+                                                ))}
+                                        </select>
+                                    </label>
+                                    <label className="form-label">
+                                        List
+                                        <select
+                                            value={formData.parentUuid
+                                                ? (loadedItems.find(item => item.uuid === formData.parentUuid)?.listUuid || '')
+                                                : formData.listUuid}
+                                            onChange={(e) => setFormData({ ...formData, listUuid: e.target.value })}
+                                            className="form-select"
+                                            disabled={Boolean(formData.parentUuid)}
+                                            title={formData.parentUuid ? 'Subtasks are in the list of their parent' : undefined}
+                                        >
+                                            <option value="">Inbox</option>
+                                            {lists
+                                                .filter(list => !list.archived || list.uuid === formData.listUuid)
+                                                .map(list => (
+                                                    <option key={list.uuid} value={list.uuid}>{list.icon} {list.name}</option>
+                                                ))}
+                                        </select>
+                                    </label>
+                                </div>
+                                <div className="form-row">
+                                    <label className="form-label">
+                                        Repeat
+                                        <select
+                                            value={recurrence.FREQ || ''}
+                                            onChange={(e) => updateRecurrence({ FREQ: e.target.value, BYDAY: '' })}
+                                            className="form-select"
+                                        >
+                                            {RECURRENCE_FREQUENCIES.map(frequency => (
+                                                <option key={frequency.value} value={frequency.value}>{frequency.label}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    {recurrence.FREQ && (
+                                        <>
+                                            <label className="form-label">
+                                                Every ({RECURRENCE_FREQUENCIES.find(f => f.value === recurrence.FREQ)?.unit})
+                                                <input
+                                                    type="number"
+                                                    min="1"
+                                                    value={recurrence.INTERVAL || '1'}
+                                                    onChange={(e) => {
+                                                        const interval = Math.max(parseInt(e.target.value, 10) || 1, 1);
+                                                        updateRecurrence({ INTERVAL: interval > 1 ? String(interval) : '' });
+                                                    }}
+                                                    className="form-input"
+                                                />
+                                            </label>
+                                            <label className="form-label">
+                                                Ends
+                                                <select
+                                                    value={recurrenceEnd}
+                                                    onChange={(e) => handleRecurrenceEndChange(e.target.value)}
+                                                    className="form-select"
+                                                >
+                                                    <option value="never">Never</option>
+                                                    <option value="count">After</option>
+                                                    <option value="until">On date</option>
+                                                </select>
+                                            </label>
+                                            {recurrenceEnd === 'count' && (
+                                                <label className="form-label">
+                                                    Occurrences
+                                                    <input
+                                                        type="number"
+                                                        min="1"
+                                                        value={recurrence.COUNT}
+                                                        onChange={(e) => updateRecurrence({ COUNT: String(Math.max(parseInt(e.target.value, 10) || 1, 1)) })}
+                                                        className="form-input"
+                                                    />
+                                                </label>
+                                            )}
+                                            {recurrenceEnd === 'until' && (
+                                                <label className="form-label">
+                                                    Last date
+                                                    <input
+                                                        type="date"
+                                                        value={untilToDateInput(recurrence.UNTIL)}
+                                                        onChange={(e) => e.target.value && updateRecurrence({ UNTIL: e.target.value.replace(/-/g, '') })}
+                                                        className="form-input"
+                                                    />
+                                                </label>
+                                            )}
+                                        </>
+                                    )}
+                                </div>
+                                {recurrence.FREQ === 'WEEKLY' && (
+                                    <div className="recurrence-days">
+                                        {RECURRENCE_WEEKDAYS.map(day => (
+                                            <button
+                                                key={day}
+                                                type="button"
+                                                className={`recurrence-day ${(recurrence.BYDAY || '').split(',').includes(day) ? 'selected' : ''}`}
+                                                onClick={() => toggleRecurrenceDay(day)}
+                                            >
+                                                {day}
+                                            </button>
+                                        ))}
                                     </div>
-                                    {item.description && (
-                                        <p className="item-description">{item.description}</p>
+                                )}
+                                {tags.length > 0 && (
+                                    <div className="form-tags">
+                                        {tags.map(tag => (
+                                            <button
+                                                key={tag.uuid}
+                                                type="button"
+                                                className={`tag-chip selectable ${formData.tags.includes(tag.uuid) ? 'selected' : ''}`}
+                                                style={{ backgroundColor: tag.color || DEFAULT_TAG_COLOR }}
+                                                onClick={() => toggleFormTag(tag.uuid)}
+                                            >
+                                                {tag.name}
+                                            </button>
+                                        ))}
+                                    </div>
+                                )}
+                                {customFields.length > 0 && (
+                                    <div className="form-row form-custom-fields">
+                                        {customFields.map(field => (
+                                            <label key={field.uuid} className="form-label">
+                                                {field.name}{field.required ? ' *' : ''}
+                                                {renderFieldInput(field)}
+                                            </label>
+                                        ))}
+                                    </div>
+                                )}
+                                {Object.entries(formErrors)
+                                    .filter(([field]) => !INLINE_ERROR_FIELDS.includes(field))
+                                    .map(([field, message]) => (
+                                        <div key={field} className="form-error">{message}</div>
+                                    ))}
+                                <div className="form-actions">
+                                    <button type="submit" className="btn btn-primary">
+                                        {editingId ? 'Update Task' : 'Add Task'}
+                                    </button>
+                                    {editingId && (
+                                        <button type="button" className="btn btn-secondary" onClick={handleCancelEdit}>
+                                            Cancel
+                                        </button>
                                     )}
                                 </div>
-                                <div className="item-actions">
-                                    <button className="btn-icon" onClick={() => handleEdit(item)} title="Edit">
-                                        ✏️
+                            </form>
+
+                            {/* Custom field definitions */}
+                            <details className="field-manager">
+                                <summary>Custom fields ({customFields.length})</summary>
+                                <ul className="field-list">
+                                    {customFields.map(field => (
+                                        <li key={field.uuid} className="field-entry">
+                                            <span className="field-name">{field.name}</span>
+                                            <span className="field-type">
+                                                {CUSTOM_FIELD_TYPES.find(type => type.value === field.type)?.label}
+                                                {field.type === 'select' && ` (${field.options.join(', ')})`}
+                                            </span>
+                                            <label className="field-required">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={field.required}
+                                                    onChange={() => handleToggleFieldRequired(field)}
+                                                />
+                                                Required
+                                            </label>
+                                            <button className="btn-icon" onClick={() => handleDeleteField(field)} title="Delete field">
+                                                ×
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                                <form className="field-create" onSubmit={handleCreateField}>
+                                    <input
+                                        type="text"
+                                        placeholder="Field name..."
+                                        value={fieldForm.name}
+                                        onChange={(e) => setFieldForm({ ...fieldForm, name: e.target.value })}
+                                        className="form-input"
+                                        maxLength={50}
+                                    />
+                                    <select
+                                        value={fieldForm.type}
+                                        onChange={(e) => setFieldForm({ ...fieldForm, type: e.target.value })}
+                                        className="form-select"
+                                    >
+                                        {CUSTOM_FIELD_TYPES.map(type => (
+                                            <option key={type.value} value={type.value}>{type.label}</option>
+                                        ))}
+                                    </select>
+                                    {fieldForm.type === 'select' && (
+                                        <input
+                                            type="text"
+                                            placeholder="Options, comma separated"
+                                            value={fieldForm.options}
+                                            onChange={(e) => setFieldForm({ ...fieldForm, options: e.target.value })}
+                                            className="form-input"
+                                        />
+                                    )}
+                                    <label className="field-required">
+                                        <input
+                                            type="checkbox"
+                                            checked={fieldForm.required}
+                                            onChange={(e) => setFieldForm({ ...fieldForm, required: e.target.checked })}
+                                        />
+                                        Required
+                                    </label>
+                                    <button type="submit" className="btn btn-secondary">Add field</button>
+                                </form>
+                            </details>
+
+                            {/* Search */}
+                            <div className="search-bar">
+                                <input
+                                    type="search"
+                                    placeholder="Search tasks..."
+                                    value={searchText}
+                                    onChange={(e) => setSearchText(e.target.value)}
+                                    className="form-input"
+                                />
+                            </div>
+
+                            {/* Filter Tabs (hidden while searching) */}
+                            {searchResults === null && (
+                                <div className="filter-tabs">
+                                    <button
+                                        className={`filter-tab ${filter === 'all' && !showTrash && !showArchive ? 'active' : ''}`}
+                                        onClick={() => showFilter('all')}
+                                    >
+                                        All ({itemCounts.all})
                                     </button>
-                                    <button className="btn-icon" onClick={() => handleDelete(item.id)} title="Delete">
-                                        🗑️
+                                    <button
+                                        className={`filter-tab ${filter === 'active' && !showTrash && !showArchive ? 'active' : ''}`}
+                                        onClick={() => showFilter('active')}
+                                    >
+                                        Active ({itemCounts.active})
+                                    </button>
+                                    <button
+                                        className={`filter-tab ${filter === 'completed' && !showTrash && !showArchive ? 'active' : ''}`}
+                                        onClick={() => showFilter('completed')}
+                                    >
+                                        Completed ({itemCounts.completed})
+                                    </button>
+                                    <button
+                                        className={`filter-tab ${showArchive ? 'active' : ''}`}
+                                        onClick={openArchive}
+                                    >
+                                        🗄️ Archive
+                                    </button>
+                                    <button
+                                        className={`filter-tab ${showTrash ? 'active' : ''}`}
+                                        onClick={() => { setShowTrash(true); setShowArchive(false); clearSelection(); }}
+                                    >
+                                        🗑️ Trash
                                     </button>
                                 </div>
-                            </li>
-                        ))}
-                    </ul>
-                )}
-            </main>
+                            )}
+
+                            {/* Status and priority filters */}
+                            {searchResults === null && !showTrash && (
+                                <div className="workflow-filter">
+                                    <select
+                                        className="bulk-priority"
+                                        value={statusFilter}
+                                        onChange={(e) => { setStatusFilter(e.target.value); clearSelection(); }}
+                                    >
+                                        <option value="">Any status</option>
+                                        {renderStatusOptions()}
+                                    </select>
+                                    <select
+                                        className="bulk-priority"
+                                        value={priorityFilter}
+                                        onChange={(e) => { setPriorityFilter(e.target.value); clearSelection(); }}
+                                    >
+                                        <option value="">Any priority</option>
+                                        {renderPriorityOptions()}
+                                    </select>
+                                    <span className="csv-actions">
+                                        {csvMessage && <span className="csv-message">{csvMessage}</span>}
+                                        <button
+                                            className="btn btn-secondary btn-sm"
+                                            onClick={handleExportCsv}
+                                            title="Save the tasks of the current filter as CSV"
+                                        >
+                                            Export CSV
+                                        </button>
+                                        <button className="btn btn-secondary btn-sm" onClick={handleImportCsv}>
+                                            Import CSV
+                                        </button>
+                                    </span>
+                                </div>
+                            )}
+
+                            {/* Tag Filter */}
+                            {searchResults === null && !showTrash && (
+                                <div className="tag-filter">
+                                    {tags.map(tag => (
+                                        <span
+                                            key={tag.uuid}
+                                            className={`tag-chip selectable ${tagFilter.includes(tag.uuid) ? 'selected' : ''}`}
+                                            style={{ backgroundColor: tag.color || DEFAULT_TAG_COLOR }}
+                                        >
+                                            <button type="button" className="tag-chip-label" onClick={() => toggleTagFilter(tag.uuid)}>
+                                                {tag.name}
+                                            </button>
+                                            <button
+                                                type="button"
+                                                className="tag-chip-remove"
+                                                onClick={() => handleDeleteTag(tag)}
+                                                title="Delete tag"
+                                            >
+                                                ×
+                                            </button>
+                                        </span>
+                                    ))}
+                                    <form className="tag-create" onSubmit={handleCreateTag}>
+                                        <input
+                                            type="text"
+                                            placeholder="New tag..."
+                                            value={newTagName}
+                                            onChange={(e) => setNewTagName(e.target.value)}
+                                            className="tag-input"
+                                            maxLength={50}
+                                        />
+                                    </form>
+                                </div>
+                            )}
+
+                            {/* Bulk actions for the selected items */}
+                            {selectedIds.length > 0 && !showTrash && (
+                                <div className="bulk-bar">
+                                    <span className="bulk-count">{selectedIds.length} selected</span>
+                                    <button className="btn btn-secondary" onClick={() => handleBulkUpdate({ completed: true })}>
+                                        Complete
+                                    </button>
+                                    <button className="btn btn-secondary" onClick={() => handleBulkUpdate({ completed: false })}>
+                                        Reopen
+                                    </button>
+                                    <select
+                                        className="bulk-priority"
+                                        value=""
+                                        onChange={(e) => e.target.value && handleBulkUpdate({ priority: e.target.value })}
+                                    >
+                                        <option value="">Set priority...</option>
+                                        {renderPriorityOptions()}
+                                    </select>
+                                    <select
+                                        className="bulk-priority"
+                                        value=""
+                                        onChange={(e) => e.target.value && handleBulkUpdate({ status: e.target.value })}
+                                    >
+                                        <option value="">Set status...</option>
+                                        {renderStatusOptions()}
+                                    </select>
+                                    <select
+                                        className="bulk-priority"
+                                        value=""
+                                        onChange={(e) => e.target.value && handleBulkMoveToList(e.target.value)}
+                                    >
+                                        <option value="">Move to list...</option>
+                                        <option value="inbox">Inbox</option>
+                                        {lists.filter(list => !list.archived).map(list => (
+                                            <option key={list.uuid} value={list.id}>{list.name}</option>
+                                        ))}
+                                    </select>
+                                    <button className="btn btn-secondary" onClick={handleBulkDuplicate}>
+                                        Duplicate
+                                    </button>
+                                    <button className="btn btn-danger" onClick={handleBulkDelete}>
+                                        Delete
+                                    </button>
+                                    <button className="btn-icon" onClick={clearSelection} title="Clear selection">
+                                        ×
+                                    </button>
+                                </div>
+                            )}
+
+                            {/* Items List */}
+                            {searchResults !== null ? (
+                                searchLoading && searchResults.length === 0 ? (
+                                    <div className="loading">Searching...</div>
+                                ) : searchResults.length === 0 ? (
+                                    <div className="empty-state">No tasks match "{searchText.trim()}".</div>
+                                ) : (
+                                    <ul className="items-list">
+                                        {searchResults.map(item => renderItem(item))}
+                                    </ul>
+                                )
+                            ) : showTrash ? (
+                                trashItems.length === 0 ? (
+                                    <div className="empty-state">The trash is empty.</div>
+                                ) : (
+                                    <ul className="items-list">
+                                        {trashItems.map(item => renderTrashItem(item))}
+                                    </ul>
+                                )
+                            ) : itemsLoading ? (
+                                <div className="loading">Loading tasks...</div>
+                            ) : items.length === 0 ? (
+                                <div className="empty-state">
+                                    {tagFilter.length > 0
+                                        ? 'No tasks with the selected tags.'
+                                        : statusFilter || priorityFilter ? 'No tasks with this status and priority.'
+                                        : showArchive ? 'The archive is empty.'
+                                        : filter === 'all' ? 'No tasks yet. Add one above!' : `No ${filter} tasks.`}
+                                </div>
+                            ) : (
+                                <ul className="items-list">
+                                    {items.map(item => renderItem(item))}
+                                </ul>
+                            )}
+
+                            {searchResults === null && !showTrash && !itemsLoading && nextCursor && (
+                                <div className="load-more">
+                                    <button className="btn btn-secondary" onClick={loadMoreItems} disabled={loadingMore}>
+                                        {loadingMore ? 'Loading...' : 'Load more'}
+                                    </button>
+                                </div>
+                            )}
+                        </>
+                    )}
+                </main>
+            </div>
         </div>
     );
 };
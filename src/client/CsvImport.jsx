@@ -0,0 +1,143 @@
+/**
+ * CSV import
+ *
+ * Imports the file read by items:importCsv (see
+ * server/controllers/itemCsvController.js) in three steps: pick the column
+ * of each field, preview how every row would be imported (nothing is created
+ * yet), then import the valid rows in one go. Rows with the UUID of an
+ * existing task are skipped.
+ */
+
+import React, { useState } from 'react';
+import { CSV_ITEM_COLUMNS } from '../shared/ipcSchemas';
+
+const IMPORT_FIELDS = CSV_ITEM_COLUMNS.filter(column => !column.exportOnly);
+
+const STATUS_LABELS = {
+    valid: 'Ready',
+    created: 'Imported',
+    duplicate: 'Already exists',
+    invalid: 'Error',
+};
+
+/**
+ * Summarize the counts of an import, e.g. '3 ready, 1 error'
+ */
+const formatCounts = (counts) => Object.entries(STATUS_LABELS)
+    .filter(([status]) => counts[status] > 0)
+    .map(([status, label]) => `${counts[status]} ${label.toLowerCase()}`)
+    .join(', ');
+
+/**
+ * The import panel
+ * file: { fileName, columns, rowCount, mapping } from items:importCsv
+ * onImported(counts): the rows were imported; onClose: leave without importing;
+ * onError: show an error message
+ */
+export const CsvImport = ({ file, onImported, onClose, onError }) => {
+    const [mapping, setMapping] = useState(file.mapping);
+    const [preview, setPreview] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const changeColumn = (field, value) => {
+        setMapping({ ...mapping, [field]: value === '' ? null : Number(value) });
+        // A new mapping needs a new preview
+        setPreview(null);
+    };
+
+    const handlePreview = async () => {
+        setBusy(true);
+        const result = await window.electronAPI.items.previewCsvImport(mapping);
+        setBusy(false);
+        if (result.success) {
+            setPreview(result.data);
+        } else {
+            onError(result.error);
+        }
+    };
+
+    const handleImport = async () => {
+        setBusy(true);
+        const result = await window.electronAPI.items.confirmCsvImport(mapping);
+        setBusy(false);
+        if (result.success) {
+            onImported(result.data.counts);
+        } else {
+            onError(result.error);
+        }
+    };
+
+    return (
+        <div className="dashboard-panel csv-import">
+            <h2>Import {file.fileName}</h2>
+            <p className="workflow-hint">
+                {file.rowCount} row(s). Choose the column of each field; statuses, priorities, lists and tags are
+                matched by name and must already exist.
+            </p>
+
+            <div className="csv-mapping">
+                {IMPORT_FIELDS.map(({ field, header }) => (
+                    <label key={field} className="csv-mapping-field">
+                        <span>{header}{field === 'title' ? ' *' : ''}</span>
+                        <select
+                            className="form-input"
+                            value={mapping[field] ?? ''}
+                            onChange={(e) => changeColumn(field, e.target.value)}
+                        >
+                            <option value="">—</option>
+                            {file.columns.map((column, index) => (
+                                <option key={index} value={index}>{column || `Column ${index + 1}`}</option>
+                            ))}
+                        </select>
+                    </label>
+                ))}
+            </div>
+
+            {preview && (
+                <>
+                    <div className="csv-summary">{formatCounts(preview.counts)}</div>
+                    <div className="csv-preview">
+                        <table className="timesheet-table">
+                            <thead>
+                                <tr>
+                                    <th>Row</th>
+                                    <th>Title</th>
+                                    <th>Result</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {preview.rows.map(row => (
+                                    <tr key={row.row} className={`csv-row-${row.status}`}>
+                                        <td>{row.row}</td>
+                                        <td className="timesheet-item">{row.title}</td>
+                                        <td>{row.error || STATUS_LABELS[row.status]}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+
+            <div className="workflow-actions">
+                <button className="btn btn-secondary btn-sm" onClick={onClose} disabled={busy}>
+                    Cancel
+                </button>
+                <button
+                    className="btn btn-secondary btn-sm"
+                    onClick={handlePreview}
+                    disabled={busy || mapping.title === null}
+                >
+                    Preview
+                </button>
+                <button
+                    className="btn btn-primary btn-sm"
+                    onClick={handleImport}
+                    disabled={busy || !preview || !preview.counts.valid}
+                >
+                    Import {preview?.counts.valid || 0} task(s)
+                </button>
+            </div>
+        </div>
+    );
+};
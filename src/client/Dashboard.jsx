@@ -0,0 +1,213 @@
+/**
+ * Productivity dashboard
+ *
+ * Shows the statistics the main process computes in SQL (stats:get, see
+ * server/controllers/statsController.js) for a chosen range: tasks created and
+ * completed per day or week, open tasks by priority, the average time to
+ * complete a task and overdue counts. Charts are plain HTML bars. The
+ * weekly timesheet of tracked time is shown below, with its own week picker.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Timesheet } from './Timesheet';
+
+// Ranges to choose from; the longer ones are grouped by week
+const RANGES = [
+    { key: '7d', label: '7 days', days: 7, groupBy: 'day' },
+    { key: '30d', label: '30 days', days: 30, groupBy: 'day' },
+    { key: '12w', label: '12 weeks', days: 84, groupBy: 'week' },
+    { key: '52w', label: '52 weeks', days: 364, groupBy: 'week' },
+];
+
+// Bars of the activity chart
+const ACTIVITY_SERIES = [
+    { key: 'created', label: 'Created', color: '#667eea' },
+    { key: 'completed', label: 'Completed', color: '#27ae60' },
+];
+
+// Most period labels under the activity chart
+const MAX_PERIOD_LABELS = 8;
+
+/**
+ * Show a duration in minutes, hours or days
+ */
+const formatDuration = (ms) => {
+    if (ms === null) return '–';
+    const hours = ms / 3600000;
+    if (hours < 1) return `${Math.max(1, Math.round(ms / 60000))} min`;
+    if (hours < 48) return `${Math.round(hours)} h`;
+    return `${(hours / 24).toFixed(1)} days`;
+};
+
+/**
+ * Show a period ('YYYY-MM-DD', its first day) as e.g. 'Oct 19'
+ */
+const formatPeriod = (period) => {
+    const [year, month, day] = period.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+};
+
+const StatCard = ({ label, value, hint, warning }) => (
+    <div className={`stat-card ${warning ? 'warning' : ''}`}>
+        <span className="stat-value">{value}</span>
+        <span className="stat-label">{label}</span>
+        {hint && <span className="stat-hint">{hint}</span>}
+    </div>
+);
+
+// Created and completed tasks per period, side by side
+const ActivityChart = ({ periods, groupBy }) => {
+    const max = Math.max(1, ...periods.flatMap(entry => ACTIVITY_SERIES.map(series => entry[series.key])));
+    const labelEvery = Math.ceil(periods.length / MAX_PERIOD_LABELS);
+
+    return (
+        <div className="chart">
+            <div className="chart-bars">
+                {periods.map(entry => (
+                    <div
+                        key={entry.period}
+                        className="chart-slot"
+                        title={`${groupBy === 'week' ? 'Week of ' : ''}${formatPeriod(entry.period)}: `
+                            + ACTIVITY_SERIES.map(series => `${entry[series.key]} ${series.label.toLowerCase()}`).join(', ')}
+                    >
+                        {ACTIVITY_SERIES.map(series => (
+                            <div
+                                key={series.key}
+                                className="chart-bar"
+                                style={{ height: `${(entry[series.key] / max) * 100}%`, backgroundColor: series.color }}
+                            />
+                        ))}
+                    </div>
+                ))}
+            </div>
+            <div className="chart-labels">
+                {periods.map((entry, index) => (
+                    <span key={entry.period} className="chart-label">
+                        {index % labelEvery === 0 ? formatPeriod(entry.period) : ''}
+                    </span>
+                ))}
+            </div>
+            <div className="chart-legend">
+                {ACTIVITY_SERIES.map(series => (
+                    <span key={series.key}>
+                        <span className="chart-swatch" style={{ backgroundColor: series.color }} />
+                        {series.label}
+                    </span>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// Open tasks per priority level (highest first), as horizontal bars
+const PriorityChart = ({ openByPriority }) => {
+    const entries = [...openByPriority].reverse();
+    const max = Math.max(1, ...entries.map(entry => entry.count));
+
+    return (
+        <div className="priority-chart">
+            {entries.map(({ key, name, color, count }) => (
+                <div key={key} className="priority-row">
+                    <span className="priority-name">{name}</span>
+                    <div className="priority-track">
+                        <div
+                            className="priority-fill"
+                            style={{ width: `${(count / max) * 100}%`, backgroundColor: color }}
+                        />
+                    </div>
+                    <span className="priority-count">{count}</span>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+/**
+ * The dashboard page
+ * onError: show an error message
+ */
+export const Dashboard = ({ onError }) => {
+    const [rangeKey, setRangeKey] = useState('30d');
+    const [stats, setStats] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    // Load the statistics of the range ending today
+    useEffect(() => {
+        let cancelled = false;
+        const loadStats = async () => {
+            const { days, groupBy } = RANGES.find(range => range.key === rangeKey);
+            const today = new Date();
+            setLoading(true);
+            const result = await window.electronAPI.stats.get({
+                from: new Date(today.getFullYear(), today.getMonth(), today.getDate() - days + 1),
+                to: today,
+                groupBy,
+            });
+            if (cancelled) return;
+            if (result.success) {
+                setStats(result.data);
+            } else {
+                onError(result.error);
+            }
+            setLoading(false);
+        };
+        loadStats();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [rangeKey]);
+
+    return (
+        <div className="dashboard">
+            <div className="filter-tabs">
+                {RANGES.map(range => (
+                    <button
+                        key={range.key}
+                        className={`filter-tab ${rangeKey === range.key ? 'active' : ''}`}
+                        onClick={() => setRangeKey(range.key)}
+                    >
+                        {range.label}
+                    </button>
+                ))}
+            </div>
+
+            {!stats ? (
+                <div className="loading">Loading statistics...</div>
+            ) : (
+                <div className={`dashboard-content ${loading ? 'stale' : ''}`}>
+                    <div className="stat-cards">
+                        <StatCard label="Created" value={stats.totals.created} />
+                        <StatCard label="Completed" value={stats.totals.completed} />
+                        <StatCard
+                            label="Avg. time to complete"
+                            value={formatDuration(stats.averageCompletionMs)}
+                            hint="from creation"
+                        />
+                        <StatCard label="Overdue now" value={stats.overdue.open} warning={stats.overdue.open > 0} />
+                        <StatCard
+                            label="Missed due dates"
+                            value={stats.overdue.missed}
+                            hint="due in range, not done on time"
+                        />
+                    </div>
+
+                    <section className="dashboard-panel">
+                        <h2>Created vs. completed per {stats.groupBy}</h2>
+                        <ActivityChart periods={stats.periods} groupBy={stats.groupBy} />
+                    </section>
+
+                    <section className="dashboard-panel">
+                        <h2>Open tasks by priority</h2>
+                        <PriorityChart openByPriority={stats.openByPriority} />
+                    </section>
+
+                    <section className="dashboard-panel">
+                        <h2>Timesheet</h2>
+                        <Timesheet onError={onError} />
+                    </section>
+                </div>
+            )}
+        </div>
+    );
+};
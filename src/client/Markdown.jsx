@@ -0,0 +1,417 @@
+/**
+ * Markdown rendering for item descriptions
+ *
+ * Descriptions sync from other devices and users, so they are untrusted. The
+ * parser below builds React elements only - raw HTML in a description is shown
+ * as text, never parsed - and links are kept only for the protocols in
+ * LINK_PROTOCOLS (the main process checks them again before opening them).
+ *
+ * Supported: headings, paragraphs, emphasis (**bold**, *italic*, ~~struck~~),
+ * `code` and fenced code blocks, links and bare URLs, block quotes, horizontal
+ * rules, and (nested) bulleted, numbered and task lists.
+ */
+
+import React from 'react';
+
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}>\s?/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TASK = /^\[([ xX])\]\s+(.*)$/;
+// A task list item's checkbox, after any quote markers and the list marker
+const TASK_MARKER = /^((?:\s{0,3}>\s?)*\s*(?:[-*+]|\d{1,9}[.)])\s+)\[[ xX]\]/;
+
+const ESCAPABLE = '\\`*_{}[]()#+-.!~>|';
+const BARE_URL = /^(?:https?:\/\/|mailto:)[^\s<]+/i;
+
+/**
+ * Whether a link target may be shown as a link
+ */
+export const isSafeLink = (href) => {
+    try {
+        return LINK_PROTOCOLS.includes(new URL(href).protocol);
+    } catch (error) {
+        return false;
+    }
+};
+
+const isBlank = (line) => line.trim() === '';
+
+const startsBlock = (line) => (
+    HEADING.test(line) || FENCE.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line)
+);
+
+/**
+ * Parse list lines (starting at lines[start]) into a list block
+ * Items indented further than the first item of a list nest under the item above
+ */
+const parseList = (lines, start, offset) => {
+    const entries = [];
+    let i = start;
+
+    while (i < lines.length) {
+        const match = lines[i].match(LIST_ITEM);
+        if (match) {
+            const text = match[3];
+            const task = text.match(TASK);
+            entries.push({
+                indent: match[1].replace(/\t/g, '    ').length,
+                ordered: /\d/.test(match[2]),
+                start: parseInt(match[2], 10) || 1,
+                text: task ? task[2] : text,
+                task: task ? { checked: task[1] !== ' ', line: offset + i } : null,
+            });
+            i++;
+        } else if (!isBlank(lines[i]) && /^\s/.test(lines[i]) && entries.length > 0) {
+            // Indented continuation of the item above
+            entries[entries.length - 1].text += ` ${lines[i].trim()}`;
+            i++;
+        } else if (isBlank(lines[i]) && i + 1 < lines.length && LIST_ITEM.test(lines[i + 1])) {
+            // Items separated by blank lines still form one list
+            i++;
+        } else {
+            break;
+        }
+    }
+
+    // Nest entries by indentation (a change of bullet and number starts a new list)
+    const build = (from, indent) => {
+        const first = entries[from];
+        const list = { type: 'list', ordered: first.ordered, start: first.start, items: [] };
+        let j = from;
+        while (j < entries.length && entries[j].indent >= indent
+            && !(entries[j].indent === indent && entries[j].ordered !== first.ordered)) {
+            const entry = entries[j];
+            const item = { text: entry.text, task: entry.task, children: null };
+            j++;
+            if (j < entries.length && entries[j].indent > entry.indent) {
+                const nested = build(j, entries[j].indent);
+                item.children = nested.list;
+                j = nested.next;
+            }
+            list.items.push(item);
+        }
+        return { list, next: j };
+    };
+
+    const blocks = [];
+    let next = 0;
+    while (next < entries.length) {
+        const built = build(next, entries[next].indent);
+        blocks.push(built.list);
+        next = built.next;
+    }
+    return { blocks, next: i };
+};
+
+/**
+ * Parse lines into blocks; offset is the source line of lines[0]
+ * (task list items remember their source line so they can be toggled)
+ */
+const parseBlocks = (lines, offset = 0) => {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (isBlank(line)) {
+            i++;
+            continue;
+        }
+
+        const fence = line.match(FENCE);
+        if (fence) {
+            const body = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                body.push(lines[i]);
+                i++;
+            }
+            blocks.push({ type: 'code', language: fence[2] || null, text: body.join('\n') });
+            i++;
+            continue;
+        }
+
+        const heading = line.match(HEADING);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] || '' });
+            i++;
+            continue;
+        }
+
+        if (RULE.test(line)) {
+            blocks.push({ type: 'rule' });
+            i++;
+            continue;
+        }
+
+        if (QUOTE.test(line)) {
+            const start = i;
+            const quoted = [];
+            while (i < lines.length && QUOTE.test(lines[i])) {
+                quoted.push(lines[i].replace(QUOTE, ''));
+                i++;
+            }
+            blocks.push({ type: 'quote', blocks: parseBlocks(quoted, offset + start) });
+            continue;
+        }
+
+        if (LIST_ITEM.test(line)) {
+            const list = parseList(lines, i, offset);
+            blocks.push(...list.blocks);
+            i = list.next;
+            continue;
+        }
+
+        // Paragraph: runs until a blank line or another kind of block
+        const text = [line.trim()];
+        i++;
+        while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i])) {
+            text.push(lines[i].trim());
+            i++;
+        }
+        blocks.push({ type: 'paragraph', text: text.join('\n') });
+    }
+
+    return blocks;
+};
+
+/**
+ * Find the closing delimiter of an emphasis run starting at text[start]
+ * Returns its index, or -1
+ */
+const findClosing = (text, start, delimiter) => {
+    let i = start;
+    while (i < text.length) {
+        if (text[i] === '\\') {
+            i += 2;
+            continue;
+        }
+        if (text[i] === '`') {
+            const end = text.indexOf('`', i + 1);
+            if (end === -1) return -1;
+            i = end + 1;
+            continue;
+        }
+        if (text.startsWith(delimiter, i) && i > start && !/\s/.test(text[i - 1])) {
+            // Intraword underscores (snake_case) do not close emphasis
+            const after = text[i + delimiter.length];
+            if (!(delimiter[0] === '_' && after && /\w/.test(after))) {
+                return i;
+            }
+        }
+        i++;
+    }
+    return -1;
+};
+
+/**
+ * Find the ']' matching the '[' at text[start], or -1
+ */
+const findLinkTextEnd = (text, start) => {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === '[') {
+            depth++;
+        } else if (text[i] === ']') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return -1;
+};
+
+/**
+ * Parse inline Markdown into nodes
+ */
+const parseInline = (text) => {
+    const nodes = [];
+    let buffer = '';
+    let i = 0;
+
+    const flush = () => {
+        if (buffer) {
+            nodes.push({ type: 'text', text: buffer });
+            buffer = '';
+        }
+    };
+
+    while (i < text.length) {
+        const char = text[i];
+        const rest = text.slice(i);
+
+        if (char === '\\' && ESCAPABLE.includes(text[i + 1])) {
+            buffer += text[i + 1];
+            i += 2;
+            continue;
+        }
+
+        if (char === '`') {
+            const run = rest.match(/^`+/)[0];
+            const end = text.indexOf(run, i + run.length);
+            if (end !== -1) {
+                flush();
+                nodes.push({ type: 'code', text: text.slice(i + run.length, end).trim() });
+                i = end + run.length;
+                continue;
+            }
+        }
+
+        if (char === '[') {
+            const textEnd = findLinkTextEnd(text, i);
+            const target = textEnd !== -1 && text.slice(textEnd + 1).match(/^\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))*)>?(?:\s+"[^"]*")?\s*\)/);
+            if (target) {
+                flush();
+                nodes.push({ type: 'link', href: target[1], children: parseInline(text.slice(i + 1, textEnd)) });
+                i = textEnd + 1 + target[0].length;
+                continue;
+            }
+        }
+
+        if (char === '<') {
+            const autolink = rest.match(/^<((?:https?:\/\/|mailto:)[^\s<>]+)>/i);
+            if (autolink) {
+                flush();
+                nodes.push({ type: 'link', href: autolink[1], children: [{ type: 'text', text: autolink[1] }] });
+                i += autolink[0].length;
+                continue;
+            }
+        }
+
+        const url = (i === 0 || /[\s(]/.test(text[i - 1])) && rest.match(BARE_URL);
+        if (url) {
+            // Trailing punctuation belongs to the sentence, not the URL
+            const href = url[0].replace(/[.,:;!?)'"]+$/, '');
+            flush();
+            nodes.push({ type: 'link', href, children: [{ type: 'text', text: href }] });
+            i += href.length;
+            continue;
+        }
+
+        const emphasis = rest.match(/^(\*\*|__|~~|\*|_)/);
+        if (emphasis && text[i + emphasis[0].length] && !/\s/.test(text[i + emphasis[0].length])
+            && !(char === '_' && i > 0 && /\w/.test(text[i - 1]))) {
+            const delimiter = emphasis[0];
+            const end = findClosing(text, i + delimiter.length, delimiter);
+            if (end !== -1) {
+                flush();
+                const type = delimiter === '~~' ? 'del' : delimiter.length === 2 ? 'strong' : 'em';
+                nodes.push({ type, children: parseInline(text.slice(i + delimiter.length, end)) });
+                i = end + delimiter.length;
+                continue;
+            }
+        }
+
+        buffer += char;
+        i++;
+    }
+
+    flush();
+    return nodes;
+};
+
+/**
+ * Tick or untick the task list checkbox on a source line
+ * Returns the new source, or null if the line holds no task
+ */
+export const toggleMarkdownTask = (source, line, checked) => {
+    const lines = source.split('\n');
+    if (!TASK_MARKER.test(lines[line] || '')) {
+        return null;
+    }
+    lines[line] = lines[line].replace(TASK_MARKER, `$1[${checked ? 'x' : ' '}]`);
+    return lines.join('\n');
+};
+
+const renderInline = (nodes, options) => nodes.map((node, index) => {
+    switch (node.type) {
+        case 'code':
+            return <code key={index}>{node.text}</code>;
+        case 'strong':
+            return <strong key={index}>{renderInline(node.children, options)}</strong>;
+        case 'em':
+            return <em key={index}>{renderInline(node.children, options)}</em>;
+        case 'del':
+            return <del key={index}>{renderInline(node.children, options)}</del>;
+        case 'link':
+            if (!isSafeLink(node.href)) {
+                return <span key={index}>{renderInline(node.children, options)}</span>;
+            }
+            return (
+                <a
+                    key={index}
+                    href={node.href}
+                    title={node.href}
+                    onClick={(e) => {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        options.onOpenLink?.(node.href);
+                    }}
+                >
+                    {renderInline(node.children, options)}
+                </a>
+            );
+        default:
+            return <React.Fragment key={index}>{node.text}</React.Fragment>;
+    }
+});
+
+const renderList = (list, key, options) => {
+    const Tag = list.ordered ? 'ol' : 'ul';
+    return (
+        <Tag key={key} start={list.ordered && list.start !== 1 ? list.start : undefined}>
+            {list.items.map((item, index) => (
+                <li key={index} className={item.task ? 'markdown-task' : undefined}>
+                    {item.task && (
+                        <input
+                            type="checkbox"
+                            checked={item.task.checked}
+                            disabled={!options.onToggleTask}
+                            onChange={() => options.onToggleTask(item.task.line, !item.task.checked)}
+                            onClick={(e) => e.stopPropagation()}
+                        />
+                    )}
+                    {renderInline(parseInline(item.text), options)}
+                    {item.children && renderList(item.children, 'children', options)}
+                </li>
+            ))}
+        </Tag>
+    );
+};
+
+const renderBlocks = (blocks, options) => blocks.map((block, index) => {
+    switch (block.type) {
+        case 'heading': {
+            const Tag = `h${block.level}`;
+            return <Tag key={index}>{renderInline(parseInline(block.text), options)}</Tag>;
+        }
+        case 'code':
+            return <pre key={index}><code>{block.text}</code></pre>;
+        case 'rule':
+            return <hr key={index} />;
+        case 'quote':
+            return <blockquote key={index}>{renderBlocks(block.blocks, options)}</blockquote>;
+        case 'list':
+            return renderList(block, index, options);
+        default:
+            return <p key={index}>{renderInline(parseInline(block.text), options)}</p>;
+    }
+});
+
+/**
+ * Rendered Markdown
+ * onToggleTask(line, checked): called when a task checkbox is clicked
+ * (checkboxes are read-only without it)
+ * onOpenLink(href): called when a link is clicked
+ */
+export const Markdown = ({ source, className, onToggleTask, onOpenLink }) => (
+    <div className={className}>
+        {renderBlocks(parseBlocks((source || '').split(/\r?\n/)), { onToggleTask, onOpenLink })}
+    </div>
+);
@@ -0,0 +1,128 @@
+/**
+ * Weekly timesheet
+ *
+ * Hours tracked per item and day for one week (Monday to Sunday), from
+ * timeEntries:getTimesheet (see server/controllers/timeEntryController.js),
+ * with the week exported as CSV through the native save dialog.
+ */
+
+import React, { useState, useEffect } from 'react';
+
+/**
+ * Show time as hours with two decimals, blank when none was tracked
+ */
+const formatHours = (ms) => (ms > 0 ? (ms / 3600000).toFixed(2) : '');
+
+/**
+ * Show a day ('YYYY-MM-DD') as e.g. 'Mon 19'
+ */
+const formatDay = (day) => {
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(year, month - 1, date).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric' });
+};
+
+/**
+ * The timesheet panel
+ * onError: show an error message
+ */
+export const Timesheet = ({ onError }) => {
+    // Any time in the week shown; the server resolves its Monday
+    const [weekOf, setWeekOf] = useState(() => new Date());
+    const [timesheet, setTimesheet] = useState(null);
+    const [exportMessage, setExportMessage] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        const loadTimesheet = async () => {
+            const result = await window.electronAPI.timeEntries.getTimesheet({ weekOf });
+            if (cancelled) return;
+            if (result.success) {
+                setTimesheet(result.data);
+            } else {
+                onError(result.error);
+            }
+        };
+        loadTimesheet();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [weekOf]);
+
+    const moveWeek = (weeks) => {
+        setExportMessage(null);
+        // Noon of the same weekday, away from any daylight saving shift
+        setWeekOf(new Date(weekOf.getFullYear(), weekOf.getMonth(), weekOf.getDate() + weeks * 7, 12));
+    };
+
+    const showThisWeek = () => {
+        setExportMessage(null);
+        setWeekOf(new Date());
+    };
+
+    const handleExport = async () => {
+        const result = await window.electronAPI.timeEntries.exportTimesheet({ weekOf });
+        if (!result.success) {
+            onError(result.error);
+        } else if (result.data) {
+            setExportMessage(`Saved to ${result.data.filePath}`);
+        }
+    };
+
+    if (!timesheet) {
+        return <div className="loading">Loading timesheet...</div>;
+    }
+
+    return (
+        <div className="timesheet">
+            <div className="timesheet-toolbar">
+                <button className="btn-icon" onClick={() => moveWeek(-1)} title="Previous week">◀</button>
+                <span className="timesheet-week">
+                    Week of {new Date(timesheet.from).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}
+                </span>
+                <button className="btn-icon" onClick={() => moveWeek(1)} title="Next week">▶</button>
+                <button className="btn btn-secondary btn-sm" onClick={showThisWeek}>
+                    This week
+                </button>
+                <button
+                    className="btn btn-secondary btn-sm timesheet-export"
+                    onClick={handleExport}
+                    disabled={timesheet.rows.length === 0}
+                >
+                    Export CSV
+                </button>
+            </div>
+            {exportMessage && <div className="timesheet-message">{exportMessage}</div>}
+
+            {timesheet.rows.length === 0 ? (
+                <div className="timesheet-empty">No time tracked in this week</div>
+            ) : (
+                <table className="timesheet-table">
+                    <thead>
+                        <tr>
+                            <th>Item</th>
+                            {timesheet.days.map(day => <th key={day}>{formatDay(day)}</th>)}
+                            <th>Total</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {timesheet.rows.map(row => (
+                            <tr key={row.itemUuid}>
+                                <td className="timesheet-item">{row.title}</td>
+                                {row.dayMs.map((ms, index) => <td key={timesheet.days[index]}>{formatHours(ms)}</td>)}
+                                <td className="timesheet-total">{formatHours(row.totalMs)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <td>Total</td>
+                            {timesheet.dayTotals.map((ms, index) => <td key={timesheet.days[index]}>{formatHours(ms)}</td>)}
+                            <td className="timesheet-total">{formatHours(timesheet.totalMs)}</td>
+                        </tr>
+                    </tfoot>
+                </table>
+            )}
+        </div>
+    );
+};
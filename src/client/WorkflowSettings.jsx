@@ -0,0 +1,183 @@
+/**
+ * Workflow settings
+ *
+ * The user's priority levels and statuses (see
+ * server/controllers/workflowController.js): their names, colours and order,
+ * the level new items get and the statuses that count as done. Each list is
+ * saved as a whole; items on a removed entry are moved by the main process.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { MAX_WORKFLOW_ENTRIES } from '../shared/ipcSchemas';
+
+// The two lists of a workflow and how they are edited
+const SECTIONS = [
+    {
+        list: 'priorities',
+        title: 'Priority levels',
+        hint: 'Lowest first. Tasks on a removed level move to the default one.',
+        flag: 'isDefault',
+        flagLabel: 'Default',
+        // Exactly one level is the default
+        exclusive: true,
+        save: (entries) => window.electronAPI.workflow.savePriorities(entries),
+    },
+    {
+        list: 'statuses',
+        title: 'Statuses',
+        hint: 'In workflow order. Tasks in a done status count as completed; tasks on a removed status move to the first one like it.',
+        flag: 'isDone',
+        flagLabel: 'Done',
+        exclusive: false,
+        save: (entries) => window.electronAPI.workflow.saveStatuses(entries),
+    },
+];
+
+const NEW_ENTRY_COLOR = '#95a5a6';
+
+/**
+ * One editable list (priority levels or statuses)
+ */
+const WorkflowList = ({ section, entries, onSaved, onError }) => {
+    const [draft, setDraft] = useState(entries);
+    const [message, setMessage] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    // Start over from the saved list when it changes (saved here or pulled by a sync)
+    useEffect(() => {
+        setDraft(entries);
+    }, [entries]);
+
+    const changed = JSON.stringify(draft) !== JSON.stringify(entries);
+
+    const edit = (next) => {
+        setMessage(null);
+        setDraft(next);
+    };
+
+    const updateEntry = (index, changes) => edit(draft.map((entry, i) => {
+        if (i === index) return { ...entry, ...changes };
+        return section.exclusive && changes[section.flag] ? { ...entry, [section.flag]: false } : entry;
+    }));
+
+    const moveEntry = (index, offset) => {
+        const next = [...draft];
+        [next[index], next[index + offset]] = [next[index + offset], next[index]];
+        edit(next);
+    };
+
+    const addEntry = () => edit([...draft, { key: null, name: '', color: NEW_ENTRY_COLOR, [section.flag]: false }]);
+
+    const handleSave = async () => {
+        setSaving(true);
+        const result = await section.save(draft.map(entry => ({
+            key: entry.key,
+            name: entry.name,
+            color: entry.color,
+            [section.flag]: entry[section.flag],
+        })));
+        setSaving(false);
+        if (result.success) {
+            setMessage(result.movedCount > 0 ? `Saved; ${result.movedCount} task(s) moved` : 'Saved');
+            onSaved(result.data, result.movedCount);
+        } else {
+            onError(result.error);
+        }
+    };
+
+    return (
+        <div className="dashboard-panel">
+            <h2>{section.title}</h2>
+            <p className="workflow-hint">{section.hint}</p>
+            <ul className="workflow-entries">
+                {draft.map((entry, index) => (
+                    <li key={entry.key || `new-${index}`} className="workflow-entry">
+                        <input
+                            type="color"
+                            value={entry.color}
+                            onChange={(e) => updateEntry(index, { color: e.target.value })}
+                            className="workflow-color"
+                            title="Colour"
+                        />
+                        <input
+                            type="text"
+                            value={entry.name}
+                            onChange={(e) => updateEntry(index, { name: e.target.value })}
+                            className="form-input workflow-name"
+                            placeholder="Name..."
+                            maxLength={50}
+                        />
+                        <label className="workflow-flag">
+                            <input
+                                type={section.exclusive ? 'radio' : 'checkbox'}
+                                name={section.exclusive ? `${section.list}-flag` : undefined}
+                                checked={entry[section.flag]}
+                                onChange={(e) => updateEntry(index, { [section.flag]: e.target.checked })}
+                            />
+                            {section.flagLabel}
+                        </label>
+                        <button
+                            className="btn-icon"
+                            onClick={() => moveEntry(index, -1)}
+                            disabled={index === 0}
+                            title="Move up"
+                        >
+                            ▲
+                        </button>
+                        <button
+                            className="btn-icon"
+                            onClick={() => moveEntry(index, 1)}
+                            disabled={index === draft.length - 1}
+                            title="Move down"
+                        >
+                            ▼
+                        </button>
+                        <button
+                            className="btn-icon"
+                            onClick={() => edit(draft.filter((_, i) => i !== index))}
+                            disabled={draft.length === 1}
+                            title="Remove"
+                        >
+                            ×
+                        </button>
+                    </li>
+                ))}
+            </ul>
+            <div className="workflow-actions">
+                <button
+                    className="btn btn-secondary btn-sm"
+                    onClick={addEntry}
+                    disabled={draft.length >= MAX_WORKFLOW_ENTRIES}
+                >
+                    Add
+                </button>
+                {message && <span className="workflow-message">{message}</span>}
+                <button className="btn btn-secondary btn-sm" onClick={() => edit(entries)} disabled={!changed}>
+                    Reset
+                </button>
+                <button className="btn btn-primary btn-sm" onClick={handleSave} disabled={!changed || saving}>
+                    Save
+                </button>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * The workflow settings page
+ * workflow: the user's { priorities, statuses }
+ * onSaved(workflow, movedCount): a list was saved; onError: show an error message
+ */
+export const WorkflowSettings = ({ workflow, onSaved, onError }) => (
+    <div className="workflow-settings">
+        {SECTIONS.map(section => (
+            <WorkflowList
+                key={section.list}
+                section={section}
+                entries={workflow[section.list]}
+                onSaved={onSaved}
+                onError={onError}
+            />
+        ))}
+    </div>
+);
@@ -103,6 +103,41 @@ const getMssqlConfig = () => ({
     },
 });
 
+/**
+ * Attachment limits
+ * - maxFileBytes: largest file that can be attached (ATTACHMENT_MAX_MB, default 25)
+ * - chunkBytes: contents are stored and synced in chunks of this size
+ */
+const DEFAULT_ATTACHMENT_MAX_MB = 25;
+const ATTACHMENT_CHUNK_BYTES = 512 * 1024;
+
+const getAttachmentConfig = () => ({
+    maxFileBytes: (parseFloat(process.env.ATTACHMENT_MAX_MB) || DEFAULT_ATTACHMENT_MAX_MB) * 1024 * 1024,
+    chunkBytes: ATTACHMENT_CHUNK_BYTES,
+});
+
+/**
+ * Trash retention: items stay in the trash this many days before they are
+ * permanently removed (TRASH_RETENTION_DAYS, default 30)
+ */
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const getTrashConfig = () => ({
+    retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS, 10) || DEFAULT_TRASH_RETENTION_DAYS,
+});
+
+/**
+ * Archive: completed items are archived once they have been completed (and
+ * left unchanged) this many days (ARCHIVE_AFTER_DAYS, default 30; 0 turns
+ * automatic archiving off)
+ */
+const DEFAULT_ARCHIVE_AFTER_DAYS = 30;
+
+const getArchiveConfig = () => {
+    const days = parseInt(process.env.ARCHIVE_AFTER_DAYS, 10);
+    return { afterDays: Number.isNaN(days) || days < 0 ? DEFAULT_ARCHIVE_AFTER_DAYS : days };
+};
+
 /**
  * Check if MSSQL is configured for remote connection
  * Returns true if host is set to something other than localhost
@@ -120,5 +155,8 @@ module.exports = {
     getDbFolderPath,
     getSqliteConfig,
     getMssqlConfig,
+    getAttachmentConfig,
+    getTrashConfig,
+    getArchiveConfig,
     isMssqlConfigured,
 };
@@ -0,0 +1,249 @@
+/**
+ * Attachment Controller
+ * Handles attaching files to items on SQLite (offline-first)
+ * Attachments are marked as 'pending' for sync to MSSQL; their contents are
+ * stored encrypted inside the database by attachmentService
+ */
+
+const fs = require('node:fs/promises');
+const { rmSync } = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { getUserSqliteItemModel, getSqliteAttachmentModel } = require('../database');
+const { getAttachmentConfig } = require('../config/dbConfig');
+const attachmentService = require('../services/attachmentService');
+const { requireOwnerId } = require('./authController');
+const shareController = require('./shareController');
+
+// Decrypted copies handed to the OS for opening (removed on quit)
+const OPEN_FOLDER = path.join(os.tmpdir(), 'item-attachments');
+
+const MIME_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.bmp': 'image/bmp',
+    '.pdf': 'application/pdf',
+    '.txt': 'text/plain',
+    '.csv': 'text/csv',
+    '.json': 'application/json',
+    '.zip': 'application/zip',
+};
+
+/**
+ * Pick the public fields of an attachment for the renderer
+ */
+const serializeAttachment = (attachment) => ({
+    id: attachment.id,
+    uuid: attachment.uuid,
+    itemUuid: attachment.itemUuid,
+    fileName: attachment.fileName,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    syncStatus: attachment.syncStatus,
+});
+
+/**
+ * Format a byte count for error messages
+ */
+const formatSize = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+/**
+ * Get the live attachments of many items at once
+ * Returns a Map of itemUuid -> [attachment]
+ */
+const getAttachmentsForItemUuids = async (itemUuids) => {
+    const Attachment = getSqliteAttachmentModel();
+    const attachmentsByItem = new Map(itemUuids.map(uuid => [uuid, []]));
+
+    if (itemUuids.length === 0) {
+        return attachmentsByItem;
+    }
+
+    const attachments = await Attachment.findAll({
+        where: { itemUuid: { [Op.in]: itemUuids }, isDeleted: false },
+        order: [['createdAt', 'ASC']],
+    });
+    for (const attachment of attachments) {
+        attachmentsByItem.get(attachment.itemUuid).push(serializeAttachment(attachment));
+    }
+
+    return attachmentsByItem;
+};
+
+/**
+ * Attach one file to an item
+ * A file identical to one already attached to the item is not added twice
+ */
+const attachFile = async (item, filePath) => {
+    const Attachment = getSqliteAttachmentModel();
+    const { maxFileBytes } = getAttachmentConfig();
+
+    const stats = await fs.stat(filePath);
+    if (!stats.isFile()) {
+        throw new Error('Not a file');
+    }
+    if (stats.size > maxFileBytes) {
+        throw new Error(`File is ${formatSize(stats.size)}, the limit is ${formatSize(maxFileBytes)}`);
+    }
+
+    const buffer = await fs.readFile(filePath);
+    const sha256 = attachmentService.hashContent(buffer);
+
+    const existing = await Attachment.findOne({
+        where: { itemUuid: item.uuid, sha256, isDeleted: false },
+    });
+    if (existing) {
+        return existing;
+    }
+
+    await attachmentService.storeContent(buffer);
+
+    return await Attachment.create({
+        itemUuid: item.uuid,
+        fileName: path.basename(filePath),
+        mimeType: MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+        size: buffer.length,
+        sha256,
+        syncStatus: 'pending',
+        isDeleted: false,
+    });
+};
+
+/**
+ * Attach files (paths chosen in the main process) to an item
+ * Files that cannot be attached are reported in `rejected`
+ */
+const addAttachments = async (itemId, filePaths) => {
+    try {
+        const Item = getUserSqliteItemModel(requireOwnerId());
+        const item = await Item.findOne({
+            where: { id: itemId, isDeleted: false },
+        });
+
+        if (!item) {
+            return { success: false, error: 'Item not found' };
+        }
+
+        const denied = await shareController.checkCanEdit(item);
+        if (denied) {
+            return { success: false, error: denied };
+        }
+
+        const data = [];
+        const rejected = [];
+        for (const filePath of filePaths) {
+            try {
+                const attachment = await attachFile(item, filePath);
+                data.push(serializeAttachment(attachment));
+            } catch (error) {
+                rejected.push({ fileName: path.basename(filePath), error: error.message });
+            }
+        }
+
+        if (data.length === 0 && rejected.length > 0) {
+            return {
+                success: false,
+                error: rejected.map(r => `${r.fileName}: ${r.error}`).join('\n'),
+            };
+        }
+
+        console.log('Attachments added:', data.length, 'to item', item.id, '(pending sync)');
+        return { success: true, data, rejected };
+    } catch (error) {
+        console.error('Error adding attachments:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Find a live attachment of an item the signed-in user can see
+ * Returns { attachment, item } or { error }
+ */
+const findVisibleAttachment = async (id) => {
+    const attachment = await getSqliteAttachmentModel().findOne({
+        where: { id, isDeleted: false },
+    });
+    const item = attachment && await getUserSqliteItemModel(requireOwnerId()).findOne({
+        where: { uuid: attachment.itemUuid },
+    });
+    return item ? { attachment, item } : { error: 'Attachment not found' };
+};
+
+/**
+ * Write a decrypted copy of an attachment to a temporary file for opening
+ */
+const exportAttachmentForOpening = async (id) => {
+    try {
+        const { attachment, error } = await findVisibleAttachment(id);
+        if (error) {
+            return { success: false, error };
+        }
+
+        const buffer = await attachmentService.readContent(attachment.sha256, attachment.size);
+
+        // A folder per open keeps the original file name without collisions
+        const folder = path.join(OPEN_FOLDER, crypto.randomUUID());
+        await fs.mkdir(folder, { recursive: true });
+        const filePath = path.join(folder, path.basename(attachment.fileName));
+        await fs.writeFile(filePath, buffer);
+
+        return { success: true, data: { path: filePath } };
+    } catch (error) {
+        console.error('Error opening attachment:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Remove an attachment (soft delete for sync)
+ * Its contents are removed after the removal has synced, unless still in use
+ */
+const removeAttachment = async (id) => {
+    try {
+        const { attachment, item, error } = await findVisibleAttachment(id);
+        if (error) {
+            return { success: false, error };
+        }
+
+        const denied = await shareController.checkCanEdit(item);
+        if (denied) {
+            return { success: false, error: denied };
+        }
+
+        await attachment.update({
+            isDeleted: true,
+            syncStatus: 'pending',
+        });
+
+        console.log('Attachment soft-deleted:', id, '(pending sync)');
+        return { success: true, data: { id, itemUuid: attachment.itemUuid } };
+    } catch (error) {
+        console.error('Error removing attachment:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Delete the decrypted copies written for opening attachments
+ * Synchronous so it completes while the app is quitting
+ */
+const clearOpenedAttachments = () => {
+    try {
+        rmSync(OPEN_FOLDER, { recursive: true, force: true });
+    } catch (error) {
+        console.error('Error clearing opened attachments:', error);
+    }
+};
+
+module.exports = {
+    getAttachmentsForItemUuids,
+    addAttachments,
+    exportAttachmentForOpening,
+    removeAttachment,
+    clearOpenedAttachments,
+};
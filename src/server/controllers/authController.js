@@ -4,6 +4,13 @@ const { PublicClientApplication } = require('@azure/msal-node');
 const { MSAL_CONFIG, REDIRECT_URI, LOGIN_SCOPES } = require('../config/msalConfig');
 const { generatePkce } = require('../utils/pkce');
 const sessionService = require('../services/sessionService');
+const {
+    getSqliteItemModel,
+    getSqliteListModel,
+    getSqliteTagModel,
+    getSqliteCustomFieldModel,
+} = require('../database');
+const { claimUnownedItems, claimUnownedRecords } = require('../database/itemOwnership');
 
 const SERVICE_NAME = 'electron-crud-poc';
 const CHUNK_SIZE = 2000; // Windows Credential Manager limit is ~2.5KB, use 2KB to be safe
@@ -130,6 +137,7 @@ const restoreUserSession = async () => {
                         email: cachedAccount.username || '',
                         homeAccountId: cachedAccount.homeAccountId,
                     };
+                    await claimLocalItems();
                     console.log('Restored user session for:', authenticatedUser.name);
                 } else {
                     console.log('Session expired or invalidated, clearing local cache');
@@ -156,6 +164,7 @@ const restoreUserSession = async () => {
                             email: cachedAccount.username || '',
                             homeAccountId: cachedAccount.homeAccountId,
                         };
+                        await claimLocalItems();
                         console.log('Created new session for restored user:', authenticatedUser.name);
                     }
                 } else {
@@ -187,6 +196,41 @@ const setMainWindow = (window) => {
 
 const getUser = () => authenticatedUser;
 
+/**
+ * Get the homeAccountId of the signed-in user (null when signed out)
+ * Items are owned by, and only shown and synced for, this user
+ */
+const getOwnerId = () => authenticatedUser?.homeAccountId || null;
+
+/**
+ * Get the homeAccountId of the signed-in user for an item query
+ * Throws when nobody is signed in, so item queries never run unscoped
+ */
+const requireOwnerId = () => {
+    const ownerId = getOwnerId();
+    if (!ownerId) {
+        throw new Error('Not signed in');
+    }
+    return ownerId;
+};
+
+/**
+ * Give the signed-in user the local items, lists, tags and custom fields
+ * that have no owner yet (created before they had owners)
+ */
+const claimLocalItems = async () => {
+    try {
+        await claimUnownedItems(getSqliteItemModel(), getOwnerId());
+        await claimUnownedRecords({
+            List: getSqliteListModel(),
+            Tag: getSqliteTagModel(),
+            CustomField: getSqliteCustomFieldModel(),
+        }, getOwnerId());
+    } catch (error) {
+        console.error('Failed to claim unowned items:', error);
+    }
+};
+
 const buildAuthUrl = (codeChallenge) => {
     const params = new URLSearchParams({
         client_id: MSAL_CONFIG.auth.clientId,
@@ -386,6 +430,7 @@ const handleAuthRedirect = async (url) => {
             homeAccountId: tokenResponse.account?.homeAccountId,
         };
 
+        await claimLocalItems();
         console.log('Authentication successful:', authenticatedUser.name);
         console.log('Session created:', currentSessionId);
 
@@ -469,6 +514,7 @@ const forceLogin = async () => {
                 email: cachedAccount.username || '',
                 homeAccountId: cachedAccount.homeAccountId,
             };
+            await claimLocalItems();
 
             return {
                 success: true,
@@ -488,6 +534,8 @@ module.exports = {
     initialize,
     setMainWindow,
     getUser,
+    getOwnerId,
+    requireOwnerId,
     getAccessToken,
     login,
     logout,
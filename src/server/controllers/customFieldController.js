@@ -0,0 +1,381 @@
+/**
+ * Custom Field Controller
+ * Handles custom field definitions and per-item values on SQLite (offline-first)
+ * Each user has their own fields (CustomField.ownerId); definitions and
+ * values are marked as 'pending' for sync to MSSQL
+ */
+
+const { Op } = require('sequelize');
+const { getSqliteItemModel, getSqliteCustomFieldModel, getSqliteItemFieldValueModel } = require('../database');
+const { CUSTOM_FIELD_TYPES } = require('../database/models/CustomField');
+const { requireOwnerId } = require('./authController');
+const shareController = require('./shareController');
+
+// Longest value of a text field
+const MAX_TEXT_LENGTH = 1000;
+
+/**
+ * Pick the public fields of a field definition for the renderer
+ */
+const serializeField = (field) => ({
+    id: field.id,
+    uuid: field.uuid,
+    name: field.name,
+    type: field.type,
+    required: field.required,
+    options: field.options ? JSON.parse(field.options) : [],
+    syncStatus: field.syncStatus,
+});
+
+/**
+ * Get the signed-in user's live field definitions, in the order they were created
+ */
+const findLiveFields = (options = {}) => getSqliteCustomFieldModel().findAll({
+    where: { ownerId: requireOwnerId(), isDeleted: false },
+    order: [['createdAt', 'ASC'], ['id', 'ASC']],
+    transaction: options.transaction,
+});
+
+/**
+ * Get all field definitions (excluding soft-deleted)
+ */
+const getAllFields = async () => {
+    try {
+        const fields = await findLiveFields();
+        return { success: true, data: fields.map(serializeField) };
+    } catch (error) {
+        console.error('Error fetching custom fields:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Find a live field with the same name (case-insensitive), optionally excluding one id
+ */
+const findFieldByName = async (name, excludeId = null) => {
+    const fields = await findLiveFields();
+    return fields.find(field => field.id !== excludeId && field.name.toLowerCase() === name.toLowerCase()) || null;
+};
+
+/**
+ * Validate the choices of a select field
+ * Returns { value } (JSON text, or null for other types) or { error }
+ */
+const parseFieldOptions = (type, options) => {
+    if (type !== 'select') {
+        return { value: null };
+    }
+    const choices = [...new Set((Array.isArray(options) ? options : [])
+        .map(choice => String(choice).trim())
+        .filter(choice => choice !== ''))];
+    if (choices.length === 0) {
+        return { error: 'A select field needs at least one option' };
+    }
+    return { value: JSON.stringify(choices) };
+};
+
+/**
+ * Create a new field definition
+ */
+const createField = async (fieldData) => {
+    try {
+        const CustomField = getSqliteCustomFieldModel();
+        const { name, type, required, options } = fieldData || {};
+
+        if (!name || name.trim() === '') {
+            return { success: false, error: 'Field name is required' };
+        }
+
+        if (!CUSTOM_FIELD_TYPES.includes(type)) {
+            return { success: false, error: `Invalid field type '${type}'` };
+        }
+
+        if (await findFieldByName(name.trim())) {
+            return { success: false, error: 'A field with this name already exists' };
+        }
+
+        const parsedOptions = parseFieldOptions(type, options);
+        if (parsedOptions.error) {
+            return { success: false, error: parsedOptions.error };
+        }
+
+        const field = await CustomField.create({
+            ownerId: requireOwnerId(),
+            name: name.trim(),
+            type,
+            required: Boolean(required),
+            options: parsedOptions.value,
+            syncStatus: 'pending',
+            isDeleted: false,
+        });
+
+        console.log('Custom field created:', field.id, '(pending sync)');
+        return { success: true, data: serializeField(field) };
+    } catch (error) {
+        console.error('Error creating custom field:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Rename a field, make it (not) required or change its choices
+ * The type cannot be changed, since existing values would no longer fit
+ */
+const updateField = async (id, fieldData) => {
+    try {
+        const CustomField = getSqliteCustomFieldModel();
+        const field = await CustomField.findOne({
+            where: { id, ownerId: requireOwnerId(), isDeleted: false },
+        });
+
+        if (!field) {
+            return { success: false, error: 'Field not found' };
+        }
+
+        const { name, type, required, options } = fieldData || {};
+
+        if (type !== undefined && type !== field.type) {
+            return { success: false, error: 'Field type cannot be changed' };
+        }
+
+        if (name !== undefined) {
+            if (name.trim() === '') {
+                return { success: false, error: 'Field name cannot be empty' };
+            }
+            if (await findFieldByName(name.trim(), field.id)) {
+                return { success: false, error: 'A field with this name already exists' };
+            }
+            field.name = name.trim();
+        }
+
+        if (required !== undefined) {
+            field.required = Boolean(required);
+        }
+
+        if (options !== undefined) {
+            const parsedOptions = parseFieldOptions(field.type, options);
+            if (parsedOptions.error) {
+                return { success: false, error: parsedOptions.error };
+            }
+            field.options = parsedOptions.value;
+        }
+
+        field.syncStatus = 'pending';
+        await field.save();
+
+        console.log('Custom field updated:', field.id, '(pending sync)');
+        return { success: true, data: serializeField(field) };
+    } catch (error) {
+        console.error('Error updating custom field:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Delete a field definition (soft delete for sync) and its values on all items
+ */
+const deleteField = async (id) => {
+    try {
+        const CustomField = getSqliteCustomFieldModel();
+        const ItemFieldValue = getSqliteItemFieldValueModel();
+        const field = await CustomField.findOne({
+            where: { id, ownerId: requireOwnerId(), isDeleted: false },
+        });
+
+        if (!field) {
+            return { success: false, error: 'Field not found' };
+        }
+
+        await ItemFieldValue.update(
+            { isDeleted: true, syncStatus: 'pending' },
+            { where: { fieldUuid: field.uuid, isDeleted: false } }
+        );
+        await field.update({
+            isDeleted: true,
+            syncStatus: 'pending',
+        });
+
+        console.log('Custom field soft-deleted:', id, '(pending sync)');
+        return { success: true, data: { id } };
+    } catch (error) {
+        console.error('Error deleting custom field:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Validate a value for a field and bring it to its stored form
+ * Returns { value } (string, or null when empty) or { error }
+ */
+const normalizeFieldValue = (field, value) => {
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    if (text === '') {
+        return { value: null };
+    }
+
+    switch (field.type) {
+        case 'number': {
+            const number = Number(text);
+            if (!Number.isFinite(number)) {
+                return { error: `${field.name} must be a number` };
+            }
+            return { value: String(number) };
+        }
+        case 'date': {
+            // The day must exist: Date rolls 2026-02-31 over to March
+            const date = new Date(`${text}T00:00:00Z`);
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(date.getTime())
+                || date.toISOString().slice(0, 10) !== text) {
+                return { error: `${field.name} must be a date (YYYY-MM-DD)` };
+            }
+            return { value: text };
+        }
+        case 'select': {
+            const choices = field.options ? JSON.parse(field.options) : [];
+            if (!choices.includes(text)) {
+                return { error: `${field.name} must be one of: ${choices.join(', ')}` };
+            }
+            return { value: text };
+        }
+        case 'url': {
+            let url;
+            try {
+                url = new URL(text);
+            } catch (error) {
+                return { error: `${field.name} must be a valid URL` };
+            }
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                return { error: `${field.name} must be an http(s) URL` };
+            }
+            return { value: url.toString() };
+        }
+        default:
+            if (text.length > MAX_TEXT_LENGTH) {
+                return { error: `${field.name} must be at most ${MAX_TEXT_LENGTH} characters` };
+            }
+            return { value: text };
+    }
+};
+
+/**
+ * Validate custom field values from the renderer ({ fieldUuid: value })
+ * Returns { values } (a Map of fieldUuid -> stored value or null) or { error }
+ *
+ * options.isNew: every required field needs a value (on updates only the
+ * given fields are checked, so a required field cannot be cleared)
+ * options.transaction: run inside a transaction
+ */
+const validateFieldValues = async (input, options = {}) => {
+    if (input !== undefined && input !== null && (typeof input !== 'object' || Array.isArray(input))) {
+        return { error: 'Custom fields must be an object' };
+    }
+
+    const fields = await findLiveFields(options);
+    const fieldsByUuid = new Map(fields.map(field => [field.uuid, field]));
+    const values = new Map();
+
+    for (const [fieldUuid, value] of Object.entries(input || {})) {
+        const field = fieldsByUuid.get(fieldUuid);
+        if (!field) {
+            return { error: 'Unknown custom field' };
+        }
+        const normalized = normalizeFieldValue(field, value);
+        if (normalized.error) {
+            return { error: normalized.error };
+        }
+        values.set(fieldUuid, normalized.value);
+    }
+
+    for (const field of fields) {
+        const missing = options.isNew ? !values.get(field.uuid) : values.get(field.uuid) === null;
+        if (field.required && missing) {
+            return { error: `${field.name} is required` };
+        }
+    }
+
+    return { values };
+};
+
+/**
+ * Get the values of live fields for many items at once
+ * Returns a Map of itemUuid -> { fieldUuid: value }
+ */
+const getFieldValuesForItemUuids = async (itemUuids, options = {}) => {
+    const { transaction } = options;
+    const ItemFieldValue = getSqliteItemFieldValueModel();
+    const valuesByItem = new Map(itemUuids.map(uuid => [uuid, {}]));
+
+    if (itemUuids.length === 0) {
+        return valuesByItem;
+    }
+
+    const liveFieldUuids = new Set((await findLiveFields({ transaction })).map(field => field.uuid));
+    const values = await ItemFieldValue.findAll({
+        where: { itemUuid: { [Op.in]: itemUuids }, isDeleted: false },
+        transaction,
+    });
+
+    for (const row of values) {
+        if (liveFieldUuids.has(row.fieldUuid)) {
+            valuesByItem.get(row.itemUuid)[row.fieldUuid] = row.value;
+        }
+    }
+
+    return valuesByItem;
+};
+
+/**
+ * Add `customFields` ({ fieldUuid: value }) to serialized items
+ */
+const attachFieldValues = async (items) => {
+    const valuesByItem = await getFieldValuesForItemUuids(items.map(item => item.uuid));
+    return items.map(item => ({ ...item, customFields: valuesByItem.get(item.uuid) || {} }));
+};
+
+/**
+ * Store validated values on an item (a Map from validateFieldValues)
+ * Null clears a value; only values that actually change are marked pending
+ * Throws when the user only has view access to the item
+ * options.transaction: run inside a transaction
+ */
+const setItemFieldValues = async (itemUuid, values, options = {}) => {
+    const { transaction } = options;
+    const ItemFieldValue = getSqliteItemFieldValueModel();
+
+    const item = await getSqliteItemModel().findOne({ where: { uuid: itemUuid }, transaction });
+    const denied = item && await shareController.checkCanEdit(item, { transaction });
+    if (denied) {
+        throw new Error(denied);
+    }
+
+    for (const [fieldUuid, value] of values) {
+        const existing = await ItemFieldValue.findOne({ where: { itemUuid, fieldUuid }, transaction });
+
+        if (value === null) {
+            if (existing && !existing.isDeleted) {
+                await existing.update({ isDeleted: true, syncStatus: 'pending' }, { transaction });
+            }
+        } else if (!existing) {
+            await ItemFieldValue.create({
+                itemUuid,
+                fieldUuid,
+                value,
+                syncStatus: 'pending',
+                isDeleted: false,
+            }, { transaction });
+        } else if (existing.isDeleted || existing.value !== value) {
+            await existing.update({ value, isDeleted: false, syncStatus: 'pending' }, { transaction });
+        }
+    }
+};
+
+module.exports = {
+    getAllFields,
+    createField,
+    updateField,
+    deleteField,
+    validateFieldValues,
+    getFieldValuesForItemUuids,
+    attachFieldValues,
+    setItemFieldValues,
+};
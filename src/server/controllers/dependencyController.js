@@ -0,0 +1,183 @@
+/**
+ * Dependency Controller
+ * "Blocked by" dependencies between items on SQLite (offline-first): an item
+ * cannot start until the items blocking it are done. Dependencies are marked
+ * as 'pending' for sync to MSSQL
+ *
+ * Either side of a dependency may have been deleted on another device; such
+ * dependencies are kept (the item may be restored) but do not block.
+ */
+
+const { Op } = require('sequelize');
+const {
+    getUserSqliteItemModel,
+    getSqliteItemDependencyModel,
+    getSqliteSequelize,
+} = require('../database');
+const { wouldCreateCycle } = require('../database/itemDependencies');
+const { requireOwnerId } = require('./authController');
+const shareController = require('./shareController');
+
+/**
+ * Pick the fields of a blocking item shown with the items it blocks
+ */
+const serializeBlocker = (item) => ({
+    id: item.id,
+    uuid: item.uuid,
+    title: item.title,
+    completed: item.completed,
+});
+
+/**
+ * Find two live items the signed-in user can see: the item, which they may
+ * change, and its blocker
+ * Returns { item, blocker } or { error }
+ */
+const findDependencyItems = async (itemId, blockerId) => {
+    const Item = getUserSqliteItemModel(requireOwnerId());
+    const item = await Item.findOne({ where: { id: itemId, isDeleted: false } });
+    if (!item) {
+        return { error: 'Item not found' };
+    }
+    const blocker = await Item.findOne({ where: { id: blockerId, isDeleted: false } });
+    if (!blocker) {
+        return { error: 'Blocking item not found' };
+    }
+    const denied = await shareController.checkCanEdit(item);
+    return denied ? { error: denied } : { item, blocker };
+};
+
+/**
+ * Get the dependencies of items, as seen by a user
+ * Returns a Map of itemUuid -> { blockedBy, blocked, blocking }
+ * - blockedBy: the live items blocking it, by title ([{ id, uuid, title, completed }])
+ * - blocked: whether any of them is still open
+ * - blocking: how many live items it blocks
+ */
+const getDependenciesForItems = async (items, userId) => {
+    const uuids = items.map(item => item.uuid);
+    const dependencies = uuids.length > 0
+        ? await getSqliteItemDependencyModel().findAll({
+            where: {
+                isDeleted: false,
+                [Op.or]: [
+                    { itemUuid: { [Op.in]: uuids } },
+                    { blockedByUuid: { [Op.in]: uuids } },
+                ],
+            },
+        })
+        : [];
+
+    // The other side of each dependency, when present and live
+    const related = [...new Set(dependencies.flatMap(dependency => [dependency.itemUuid, dependency.blockedByUuid]))];
+    const liveItems = related.length > 0
+        ? await getUserSqliteItemModel(userId).findAll({
+            where: { uuid: { [Op.in]: related }, isDeleted: false },
+            order: [['title', 'ASC']],
+        })
+        : [];
+    const liveByUuid = new Map(liveItems.map(item => [item.uuid, item]));
+
+    const result = new Map();
+    for (const item of items) {
+        const blockedBy = liveItems
+            .filter(blocker => dependencies.some(dependency => (
+                dependency.itemUuid === item.uuid && dependency.blockedByUuid === blocker.uuid
+            )))
+            .map(serializeBlocker);
+        const blocking = dependencies.filter(dependency => (
+            dependency.blockedByUuid === item.uuid && liveByUuid.has(dependency.itemUuid)
+        )).length;
+        result.set(item.uuid, {
+            blockedBy,
+            blocked: blockedBy.some(blocker => !blocker.completed),
+            blocking,
+        });
+    }
+    return result;
+};
+
+/**
+ * Make an item blocked by another (restores a previously removed dependency)
+ * Refused when the blocker is (transitively) blocked by the item
+ */
+const addDependency = async (itemId, blockerId) => {
+    try {
+        const { item, blocker, error } = await findDependencyItems(itemId, blockerId);
+        if (error) {
+            return { success: false, error };
+        }
+
+        const ItemDependency = getSqliteItemDependencyModel();
+        const sequelize = getSqliteSequelize();
+        const cycle = await sequelize.transaction(async (transaction) => {
+            if (await wouldCreateCycle(sequelize, item.uuid, blocker.uuid, { transaction })) {
+                return true;
+            }
+
+            const existing = await ItemDependency.findOne({
+                where: { itemUuid: item.uuid, blockedByUuid: blocker.uuid },
+                transaction,
+            });
+            if (!existing) {
+                await ItemDependency.create({
+                    itemUuid: item.uuid,
+                    blockedByUuid: blocker.uuid,
+                    syncStatus: 'pending',
+                    isDeleted: false,
+                }, { transaction });
+            } else if (existing.isDeleted) {
+                await existing.update({ isDeleted: false, syncStatus: 'pending' }, { transaction });
+            }
+            return false;
+        });
+
+        if (cycle) {
+            return {
+                success: false,
+                error: item.uuid === blocker.uuid
+                    ? 'An item cannot block itself'
+                    : `"${blocker.title}" already waits on "${item.title}"; this would create a cycle`,
+            };
+        }
+
+        console.log('Dependency added:', item.id, 'blocked by', blocker.id, '(pending sync)');
+        return { success: true, data: { itemUuid: item.uuid, blockedByUuid: blocker.uuid } };
+    } catch (error) {
+        console.error('Error adding dependency:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Remove a dependency (soft delete for sync)
+ */
+const removeDependency = async (itemId, blockerId) => {
+    try {
+        const { item, blocker, error } = await findDependencyItems(itemId, blockerId);
+        if (error) {
+            return { success: false, error };
+        }
+
+        const dependency = await getSqliteItemDependencyModel().findOne({
+            where: { itemUuid: item.uuid, blockedByUuid: blocker.uuid, isDeleted: false },
+        });
+        if (!dependency) {
+            return { success: false, error: 'Dependency not found' };
+        }
+
+        await dependency.update({ isDeleted: true, syncStatus: 'pending' });
+
+        console.log('Dependency removed:', item.id, 'blocked by', blocker.id, '(pending sync)');
+        return { success: true, data: { itemUuid: item.uuid, blockedByUuid: blocker.uuid } };
+    } catch (error) {
+        console.error('Error removing dependency:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+module.exports = {
+    getDependenciesForItems,
+    addDependency,
+    removeDependency,
+};
@@ -4,38 +4,238 @@
  * Items are marked as 'pending' for sync to MSSQL
  */
 
-const { getSqliteItemModel } = require('../database');
+const { Op } = require('sequelize');
+const {
+    getSqliteItemModel,
+    getUserSqliteItemModel,
+    getSqliteTagModel,
+    getSqliteItemRevisionModel,
+    getSqliteListModel,
+    getSqliteSequelize,
+} = require('../database');
+const { isSearchAvailable, searchItemIds } = require('../database/searchIndex');
+const { getDescendantUuids, getAncestorUuids, getSubtaskProgress } = require('../database/itemTree');
+const { getNewItemPositions, getNextSiblingPosition } = require('../database/itemOrder');
+const { getStatusFor } = require('../database/itemWorkflow');
+const tagController = require('./tagController');
+const customFieldController = require('./customFieldController');
+const attachmentController = require('./attachmentController');
+const revisionController = require('./revisionController');
+const shareController = require('./shareController');
+const dependencyController = require('./dependencyController');
+const { getWorkflow, getDefaultPriority, checkItemWorkflow } = require('./workflowController');
+const { requireOwnerId } = require('./authController');
+const reminderService = require('../services/reminderService');
+const trashService = require('../services/trashService');
+const { buildItemQuery, buildFilterWhere, encodeCursor } = require('../utils/itemQuery');
+const { containsText } = require('../utils/viewQuery');
+const { normalizeRRule, getNextOccurrence, getOccurrenceUuid } = require('../utils/rrule');
+const { generateKeyBetween } = require('../utils/orderKey');
+const { ITEM_CREATE, ITEM_UPDATE, IPC_SCHEMAS, validateValue } = require('../../shared/ipcSchemas');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Get the Item model limited to the items the signed-in user owns or that
+ * are shared with them
+ */
+const getItemModel = () => getUserSqliteItemModel(requireOwnerId());
+
+/**
+ * Add tags, custom field values, attachments, subtask progress ({ done, total }
+ * or null), sharing ({ role, shareCount }) and dependencies (blockedBy, blocked,
+ * blocking) to serialized items
+ */
+const withDetails = async (items) => {
+    const uuids = items.map(item => item.uuid);
+    const progress = await getSubtaskProgress(getSqliteSequelize(), uuids);
+    const attachments = await attachmentController.getAttachmentsForItemUuids(uuids);
+    const sharing = await shareController.getSharingForItems(items, requireOwnerId());
+    const dependencies = await dependencyController.getDependenciesForItems(items, requireOwnerId());
+    const tagged = await customFieldController.attachFieldValues(await tagController.attachTags(items));
+    return tagged.map(item => ({
+        ...item,
+        progress: progress.get(item.uuid) || null,
+        attachments: attachments.get(item.uuid) || [],
+        sharing: sharing.get(item.uuid),
+        ...dependencies.get(item.uuid),
+    }));
+};
 
 /**
- * Get all items (excluding soft-deleted)
+ * Get all items (excluding soft-deleted and archived) in manual order
  */
 const getAllItems = async () => {
     try {
-        const Item = getSqliteItemModel();
+        const Item = getItemModel();
         const items = await Item.findAll({
-            where: { isDeleted: false },
-            order: [['createdAt', 'DESC']],
+            where: { isDeleted: false, archivedAt: null },
+            order: [['position', 'ASC'], ['id', 'ASC']],
         });
-        return { success: true, data: items.map(item => item.toJSON()) };
+        const data = await withDetails(items.map(item => item.toJSON()));
+        return { success: true, data };
     } catch (error) {
         console.error('Error fetching items:', error);
         return { success: false, error: error.message };
     }
 };
 
+/**
+ * Query items with filters, multi-column sort and cursor pagination
+ *
+ * options: {
+ *   filters: { completed, status, priority, createdFrom, createdTo, updatedFrom, updatedTo, dueFrom, dueTo, text,
+ *              tags: [tagUuid], tagMatch: 'any' | 'all', archived: query the archive instead },
+ *   sort: [{ field, direction }],
+ *   limit, cursor,
+ *   includeCounts: also return { all, active, completed } counts for the filters
+ * }
+ */
+const queryItems = async (options = {}) => {
+    try {
+        const Item = getItemModel();
+        const workflow = await getWorkflow();
+        const { where, order, sort, limit } = buildItemQuery({ ...options, workflow, ownerId: requireOwnerId() });
+
+        // Fetch one extra row to know whether another page exists
+        const rows = await Item.findAll({ where, order, limit: limit + 1 });
+        const hasMore = rows.length > limit;
+        const page = hasMore ? rows.slice(0, limit) : rows;
+
+        const result = {
+            success: true,
+            data: await withDetails(page.map(item => item.toJSON())),
+            pageInfo: {
+                hasMore,
+                nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort, workflow) : null,
+            },
+        };
+
+        if (options.includeCounts) {
+            result.counts = await countItems(options.filters, workflow);
+        }
+
+        return result;
+    } catch (error) {
+        console.error('Error querying items:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Count items matching the filters, split by completion status
+ * The completed filter is ignored so the counts can drive the filter tabs
+ */
+const countItems = async (filters = {}, workflow = null) => {
+    const Item = getItemModel();
+    const rows = await Item.count({
+        where: buildFilterWhere(
+            { ...filters, completed: undefined }, workflow || await getWorkflow(), requireOwnerId()
+        ),
+        group: ['completed'],
+    });
+
+    const counts = { all: 0, active: 0, completed: 0 };
+    for (const row of rows) {
+        counts.all += row.count;
+        if (row.completed) {
+            counts.completed += row.count;
+        } else {
+            counts.active += row.count;
+        }
+    }
+    return counts;
+};
+
+/**
+ * Full-text search over item titles and descriptions
+ * Returns items ranked best match first, each with highlighted snippets:
+ * { ...item, search: { score, titleSnippet, descriptionSnippet } }
+ * where snippets are [{ text, match }] segments
+ */
+const searchItems = async (text, options = {}) => {
+    try {
+        const Item = getItemModel();
+        const limit = Math.min(parseInt(options.limit, 10) || 50, 200);
+        const archived = Boolean(options.archived);
+
+        if (typeof text !== 'string' || text.trim() === '') {
+            return { success: true, data: [] };
+        }
+
+        if (!isSearchAvailable()) {
+            return await searchItemsFallback(Item, text.trim(), limit, archived);
+        }
+
+        const hits = await searchItemIds(getSqliteSequelize(), text.trim(), limit, requireOwnerId(), { archived });
+        const items = await Item.findAll({
+            where: { id: hits.map(hit => hit.id) },
+        });
+        const itemsById = new Map(items.map(item => [item.id, item.toJSON()]));
+
+        const data = await withDetails(hits
+            .filter(hit => itemsById.has(hit.id))
+            .map(({ id, ...search }) => ({ ...itemsById.get(id), search })));
+
+        return { success: true, data };
+    } catch (error) {
+        console.error('Error searching items:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Split text into [{ text, match }] segments around case-insensitive occurrences of term
+ */
+const highlightSegments = (value, term) => {
+    if (!value) return [];
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return value
+        .split(new RegExp(`(${escaped})`, 'i'))
+        .filter(part => part !== '')
+        .map(part => ({ text: part, match: part.toLowerCase() === term.toLowerCase() }));
+};
+
+/**
+ * LIKE-based search used when the SQLite build has no FTS5 support
+ */
+const searchItemsFallback = async (Item, term, limit, archived) => {
+    const items = await Item.findAll({
+        where: {
+            isDeleted: false,
+            archivedAt: archived ? { [Op.ne]: null } : null,
+            [Op.or]: [containsText('title', term), containsText('description', term)],
+        },
+        order: [['updatedAt', 'DESC']],
+        limit,
+    });
+
+    const data = await withDetails(items.map(item => ({
+        ...item.toJSON(),
+        search: {
+            score: null,
+            titleSnippet: highlightSegments(item.title, term),
+            descriptionSnippet: highlightSegments(item.description, term),
+        },
+    })));
+
+    return { success: true, data };
+};
+
 /**
  * Get a single item by ID
  */
 const getItemById = async (id) => {
     try {
-        const Item = getSqliteItemModel();
+        const Item = getItemModel();
         const item = await Item.findOne({
             where: { id, isDeleted: false },
         });
         if (!item) {
             return { success: false, error: 'Item not found' };
         }
-        return { success: true, data: item.toJSON() };
+        const [data] = await withDetails([item.toJSON()]);
+        return { success: true, data };
     } catch (error) {
         console.error('Error fetching item:', error);
         return { success: false, error: error.message };
@@ -43,28 +243,358 @@ const getItemById = async (id) => {
 };
 
 /**
- * Create a new item
+ * Parse an optional date field from the renderer
+ * Returns { value } with a Date or null (cleared), or { error }
  */
-const createItem = async (itemData) => {
+const parseOptionalDate = (value, label) => {
+    if (value === null || value === '') {
+        return { value: null };
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        return { error: `${label} is not a valid date` };
+    }
+    return { value: date };
+};
+
+/**
+ * Set, change or clear an item's recurrence rule
+ * Setting a new rule starts a new series at this item (its due date, or now)
+ * Returns { error } when the rule is invalid
+ */
+const applyRecurrenceRule = (item, rule) => {
+    if (rule === null || rule === '') {
+        item.recurrenceRule = null;
+        item.recurrenceStart = null;
+        item.seriesUuid = null;
+        item.occurrenceIndex = null;
+        return {};
+    }
+
+    let normalized;
     try {
-        const Item = getSqliteItemModel();
-        const { title, description, priority } = itemData;
+        normalized = normalizeRRule(rule);
+    } catch (error) {
+        return { error: `Invalid recurrence rule: ${error.message}` };
+    }
+
+    if (normalized !== item.recurrenceRule) {
+        item.recurrenceRule = normalized;
+        item.recurrenceStart = item.dueAt || new Date();
+        item.seriesUuid = item.uuid;
+        item.occurrenceIndex = 1;
+    }
+    return {};
+};
+
+/**
+ * Mark an item completed or open, recording when it was completed
+ * (completedAt is kept when the state does not change). An item whose status
+ * does not match moves to the first status of the workflow that does
+ */
+const setCompleted = (item, completed, workflow) => {
+    if (Boolean(item.completed) !== completed) {
+        item.completedAt = completed ? new Date() : null;
+    }
+    item.completed = completed;
+
+    const status = workflow.statuses.find(entry => entry.key === item.status);
+    if (!status || status.isDone !== completed) {
+        item.status = getStatusFor(workflow, completed).key;
+    }
+};
+
+/**
+ * Move an item to a status, completing or reopening it to match
+ */
+const setStatus = (item, key, workflow) => {
+    const status = workflow.statuses.find(entry => entry.key === key);
+    item.status = key;
+    if (status) {
+        setCompleted(item, status.isDone, workflow);
+    }
+};
+
+/**
+ * Generate the occurrence following a completed recurring item
+ *
+ * The new occurrence's uuid is derived from the series and its date, so two
+ * devices completing the same occurrence offline generate the same item and
+ * sync merges them. Returns the new item, or null when the series has ended
+ * or the occurrence already exists (generated earlier or pulled from MSSQL).
+ * It is shared with the same users as the item it follows.
+ */
+const createNextOccurrence = async (item) => {
+    if (!item.recurrenceRule) {
+        return null;
+    }
+
+    const Item = getItemModel();
+    const workflow = await getWorkflow();
+    const current = item.dueAt || item.recurrenceStart;
+    const next = getNextOccurrence(item.recurrenceRule, item.recurrenceStart, current, item.occurrenceIndex || 1);
+    if (!next) {
+        console.log('Recurring series ended:', item.seriesUuid);
+        return null;
+    }
+
+    const uuid = getOccurrenceUuid(item.seriesUuid, next.date);
+    // Include soft-deleted rows (and rows the user cannot see) so a deleted
+    // occurrence is not brought back
+    if (await getSqliteItemModel().findOne({ where: { uuid } })) {
+        return null;
+    }
+
+    // Reminders keep their offset from the occurrence date
+    const offset = next.date.getTime() - new Date(current).getTime();
+    const [position] = await getNewItemPositions(Item, item.parentUuid, 1);
+    const occurrence = await Item.create({
+        uuid,
+        ownerId: item.ownerId,
+        position,
+        title: item.title,
+        description: item.description,
+        priority: item.priority,
+        dueAt: next.date,
+        remindAt: item.remindAt ? new Date(new Date(item.remindAt).getTime() + offset) : null,
+        parentUuid: item.parentUuid,
+        listUuid: item.listUuid,
+        recurrenceRule: item.recurrenceRule,
+        recurrenceStart: item.recurrenceStart,
+        seriesUuid: item.seriesUuid,
+        occurrenceIndex: next.index,
+        completed: false,
+        status: getStatusFor(workflow, false).key,
+        syncStatus: 'pending',
+        isDeleted: false,
+    });
+    await shareController.copyLocalShares(item.uuid, occurrence.uuid);
 
-        if (!title || title.trim() === '') {
-            return { success: false, error: 'Title is required' };
+    const tagsByItem = await tagController.getTagsForItemUuids([item.uuid]);
+    const tagUuids = tagsByItem.get(item.uuid).map(tag => tag.uuid);
+    await tagController.setItemTags(occurrence.uuid, tagUuids);
+    const fieldValues = await customFieldController.getFieldValuesForItemUuids([item.uuid]);
+    await customFieldController.setItemFieldValues(
+        occurrence.uuid, new Map(Object.entries(fieldValues.get(item.uuid)))
+    );
+    await revisionController.recordRevision(
+        occurrence.uuid, 'create', null, await revisionController.captureItemState(occurrence, tagUuids)
+    );
+
+    if (occurrence.remindAt) {
+        reminderService.refresh();
+    }
+
+    console.log('Next occurrence created:', occurrence.id, next.date.toISOString(), '(pending sync)');
+    const [data] = await withDetails([occurrence.toJSON()]);
+    return data;
+};
+
+/**
+ * Find a list of the signed-in user that has not been deleted by uuid
+ */
+const findLiveList = (uuid, options = {}) => getSqliteListModel().findOne({
+    where: { uuid, ownerId: requireOwnerId(), isDeleted: false },
+    transaction: options.transaction,
+});
+
+/**
+ * Check that a restored item can be put back in a list: no list (the Inbox),
+ * a live list, or a list of another user (the owner of a shared item), which
+ * is not on this device to check
+ */
+const canRestoreToList = async (item, listUuid) => (
+    !listUuid || item.ownerId !== requireOwnerId() || Boolean(await findLiveList(listUuid))
+);
+
+/**
+ * Move the subtasks of an item into its list (after the item itself moved)
+ * options.transaction: run inside a transaction
+ */
+const moveSubtasksToList = async (item, options = {}) => {
+    const { transaction } = options;
+    const Item = getItemModel();
+    const descendantUuids = await getDescendantUuids(getSqliteSequelize(), item.uuid, { transaction });
+    const descendants = await Item.findAll({
+        where: { uuid: { [Op.in]: descendantUuids }, isDeleted: false },
+        transaction,
+    });
+
+    for (const descendant of descendants.filter(child => child.listUuid !== item.listUuid)) {
+        const before = await revisionController.captureItemState(descendant, null, { transaction });
+        await descendant.update({ listUuid: item.listUuid, syncStatus: 'pending' }, { transaction });
+        await revisionController.recordRevision(
+            descendant.uuid, 'update', before,
+            await revisionController.captureItemState(descendant, null, { transaction }),
+            { transaction }
+        );
+    }
+};
+
+/**
+ * Check that tag uuids from the renderer are live tags of the signed-in user
+ * Returns an error message, or null
+ * options.transaction: run inside a transaction
+ */
+const checkTagUuids = async (tags, options = {}) => {
+    if (!Array.isArray(tags) || tags.length === 0) {
+        return null;
+    }
+    const wanted = [...new Set(tags)];
+    const found = await getSqliteTagModel().count({
+        where: { uuid: { [Op.in]: wanted }, ownerId: requireOwnerId(), isDeleted: false },
+        transaction: options.transaction,
+    });
+    return found === wanted.length ? null : 'Unknown tag';
+};
+
+/**
+ * Validate the data of a new item and build (but not save) it
+ * Returns { item, fieldValues } (validated custom field values) or { error }
+ * options.transaction: run inside a transaction
+ * options.workflow: the user's workflow, when already loaded
+ * options.parents: items built but not saved yet that may be parents, by uuid
+ * options.uuid: the uuid to give the item (a new one otherwise)
+ */
+const buildNewItem = async (itemData, options = {}) => {
+    const { transaction } = options;
+    const Item = getItemModel();
+    const invalid = validateValue(ITEM_CREATE, itemData);
+    if (invalid.length > 0) {
+        return { error: invalid[0].message };
+    }
+    const { title, description, priority, status, tags, parentUuid, listUuid } = itemData;
+
+    const workflow = options.workflow || await getWorkflow(requireOwnerId(), { transaction });
+    const unknown = checkItemWorkflow(workflow, { priority, status });
+    if (unknown) {
+        return { error: unknown };
+    }
+
+    const parent = parentUuid
+        ? options.parents?.get(parentUuid)
+            || await Item.findOne({ where: { uuid: parentUuid, isDeleted: false }, transaction })
+        : null;
+    if (parentUuid && !parent) {
+        return { error: 'Parent item not found' };
+    }
+
+    // Subtasks go into the list of their parent
+    if (!parent && listUuid && !(await findLiveList(listUuid, { transaction }))) {
+        return { error: 'List not found' };
+    }
+
+    const unknownTag = await checkTagUuids(tags, { transaction });
+    if (unknownTag) {
+        return { error: unknownTag };
+    }
+
+    const dueAt = parseOptionalDate(itemData.dueAt ?? null, 'Due date');
+    const remindAt = parseOptionalDate(itemData.remindAt ?? null, 'Reminder');
+    if (dueAt.error || remindAt.error) {
+        return { error: dueAt.error || remindAt.error };
+    }
+
+    const item = Item.build({
+        ...(options.uuid ? { uuid: options.uuid } : {}),
+        ownerId: requireOwnerId(),
+        title: title.trim(),
+        description: description?.trim() || null,
+        priority: priority || getDefaultPriority(workflow),
+        dueAt: dueAt.value,
+        remindAt: remindAt.value,
+        parentUuid: parentUuid || null,
+        listUuid: parent ? parent.listUuid : (listUuid || null),
+        completed: false,
+        syncStatus: 'pending', // Mark for sync
+        isDeleted: false,
+    });
+    setStatus(item, status || getStatusFor(workflow, false).key, workflow);
+
+    if (itemData.recurrenceRule) {
+        const recurrence = applyRecurrenceRule(item, itemData.recurrenceRule);
+        if (recurrence.error) {
+            return { error: recurrence.error };
         }
+    }
 
-        const item = await Item.create({
-            title: title.trim(),
-            description: description?.trim() || null,
-            priority: priority || 'medium',
-            completed: false,
-            syncStatus: 'pending', // Mark for sync
-            isDeleted: false,
+    const fields = await customFieldController.validateFieldValues(
+        itemData.customFields, { isNew: true, transaction }
+    );
+    if (fields.error) {
+        return { error: fields.error };
+    }
+
+    try {
+        await item.validate();
+    } catch (error) {
+        return { error: error.message };
+    }
+
+    return { item, fieldValues: fields.values };
+};
+
+/**
+ * Give built items their positions, keeping their order: new top-level
+ * items go first, new subtasks after their last sibling
+ * options.transaction: run inside a transaction
+ */
+const assignNewItemPositions = async (items, options = {}) => {
+    const Item = getItemModel();
+    const groups = new Map();
+    for (const item of items) {
+        groups.set(item.parentUuid, [...(groups.get(item.parentUuid) || []), item]);
+    }
+    for (const [parentUuid, group] of groups) {
+        const keys = await getNewItemPositions(Item, parentUuid, group.length, options);
+        group.forEach((item, index) => {
+            item.position = keys[index];
         });
+    }
+};
+
+/**
+ * Save a built item with its tags and custom field values, and record its creation
+ * options.transaction: run inside a transaction
+ */
+const saveNewItem = async (item, tags, fieldValues, options = {}) => {
+    const { transaction } = options;
+
+    await item.save({ transaction });
+
+    if (Array.isArray(tags)) {
+        await tagController.setItemTags(item.uuid, tags, { transaction });
+    }
+
+    await customFieldController.setItemFieldValues(item.uuid, fieldValues, { transaction });
+
+    await revisionController.recordRevision(
+        item.uuid, 'create', null,
+        await revisionController.captureItemState(item, null, { transaction }),
+        { transaction }
+    );
+};
+
+/**
+ * Create a new item
+ */
+const createItem = async (itemData) => {
+    try {
+        const { item, fieldValues, error } = await buildNewItem(itemData);
+        if (error) {
+            return { success: false, error };
+        }
+
+        await assignNewItemPositions([item]);
+        await saveNewItem(item, itemData.tags, fieldValues);
+
+        if (item.remindAt) {
+            reminderService.refresh();
+        }
 
         console.log('Item created:', item.id, '(pending sync)');
-        return { success: true, data: item.toJSON() };
+        const [data] = await withDetails([item.toJSON()]);
+        return { success: true, data };
     } catch (error) {
         console.error('Error creating item:', error);
         return { success: false, error: error.message };
@@ -75,8 +605,13 @@ const createItem = async (itemData) => {
  * Update an existing item
  */
 const updateItem = async (id, itemData) => {
+    const invalid = validateValue(ITEM_UPDATE, itemData);
+    if (invalid.length > 0) {
+        return { success: false, error: invalid[0].message };
+    }
+
     try {
-        const Item = getSqliteItemModel();
+        const Item = getItemModel();
         const item = await Item.findOne({
             where: { id, isDeleted: false },
         });
@@ -85,12 +620,21 @@ const updateItem = async (id, itemData) => {
             return { success: false, error: 'Item not found' };
         }
 
-        const { title, description, priority, completed } = itemData;
+        const denied = await shareController.checkCanEdit(item);
+        if (denied) {
+            return { success: false, error: denied };
+        }
+
+        const workflow = await getWorkflow();
+        const { title, description, priority, status, completed, tags } = itemData;
+        const unknown = checkItemWorkflow(workflow, { priority, status }, item);
+        if (unknown) {
+            return { success: false, error: unknown };
+        }
+
+        const before = await revisionController.captureItemState(item);
 
         if (title !== undefined) {
-            if (title.trim() === '') {
-                return { success: false, error: 'Title cannot be empty' };
-            }
             item.title = title.trim();
         }
 
@@ -102,16 +646,68 @@ const updateItem = async (id, itemData) => {
             item.priority = priority;
         }
 
-        if (completed !== undefined) {
-            item.completed = completed;
+        // A status change completes or reopens the item; completed alone
+        // moves it to a matching status
+        const wasCompleted = item.completed;
+        if (status !== undefined) {
+            setStatus(item, status, workflow);
+        } else if (completed !== undefined) {
+            setCompleted(item, completed, workflow);
+        }
+
+        for (const [field, label] of [['dueAt', 'Due date'], ['remindAt', 'Reminder']]) {
+            if (itemData[field] !== undefined) {
+                const parsed = parseOptionalDate(itemData[field], label);
+                if (parsed.error) {
+                    return { success: false, error: parsed.error };
+                }
+                item[field] = parsed.value;
+            }
+        }
+
+        if (itemData.recurrenceRule !== undefined) {
+            const recurrence = applyRecurrenceRule(item, itemData.recurrenceRule);
+            if (recurrence.error) {
+                return { success: false, error: recurrence.error };
+            }
+        }
+
+        const unknownTag = await checkTagUuids(tags);
+        if (unknownTag) {
+            return { success: false, error: unknownTag };
+        }
+
+        const fields = await customFieldController.validateFieldValues(itemData.customFields);
+        if (fields.error) {
+            return { success: false, error: fields.error };
         }
 
         // Mark as pending sync
         item.syncStatus = 'pending';
 
         await item.save();
+
+        if (Array.isArray(tags)) {
+            await tagController.setItemTags(item.uuid, tags);
+        }
+
+        await customFieldController.setItemFieldValues(item.uuid, fields.values);
+
+        await revisionController.recordRevision(
+            item.uuid, 'update', before, await revisionController.captureItemState(item)
+        );
+
+        const nextOccurrence = !wasCompleted && item.completed
+            ? await createNextOccurrence(item)
+            : null;
+
+        if (itemData.remindAt !== undefined) {
+            reminderService.refresh();
+        }
+
         console.log('Item updated:', item.id, '(pending sync)');
-        return { success: true, data: item.toJSON() };
+        const [data] = await withDetails([item.toJSON()]);
+        return { success: true, data, nextOccurrence };
     } catch (error) {
         console.error('Error updating item:', error);
         return { success: false, error: error.message };
@@ -119,11 +715,15 @@ const updateItem = async (id, itemData) => {
 };
 
 /**
- * Delete an item (soft delete for sync)
+ * Delete an item (move it to the trash; soft delete for sync)
+ *
+ * options.cascade: also delete all of its subtasks (with the same deletedAt,
+ * so they are restored together); otherwise its direct subtasks move up to
+ * the deleted item's parent
  */
-const deleteItem = async (id) => {
+const deleteItem = async (id, options = {}) => {
     try {
-        const Item = getSqliteItemModel();
+        const Item = getItemModel();
         const item = await Item.findOne({
             where: { id, isDeleted: false },
         });
@@ -132,13 +732,49 @@ const deleteItem = async (id) => {
             return { success: false, error: 'Item not found' };
         }
 
+        const denied = await shareController.checkCanEdit(item);
+        if (denied) {
+            return { success: false, error: denied };
+        }
+
+        const deletedAt = new Date();
+
+        if (options.cascade) {
+            const descendantUuids = await getDescendantUuids(getSqliteSequelize(), item.uuid);
+            const { editable: descendants } = await shareController.splitEditable(await Item.findAll({
+                where: { uuid: { [Op.in]: descendantUuids }, isDeleted: false },
+            }));
+            for (const descendant of descendants) {
+                const before = await revisionController.captureItemState(descendant);
+                await descendant.update({ isDeleted: true, deletedAt, syncStatus: 'pending' });
+                await revisionController.recordRevision(descendant.uuid, 'delete', before, null);
+            }
+            if (descendants.length > 0) {
+                console.log('Subtasks soft-deleted:', descendants.length, '(pending sync)');
+            }
+        } else {
+            const { editable: children } = await shareController.splitEditable(await Item.findAll({
+                where: { parentUuid: item.uuid, isDeleted: false },
+            }));
+            for (const child of children) {
+                const before = await revisionController.captureItemState(child);
+                await child.update({ parentUuid: item.parentUuid, syncStatus: 'pending' });
+                await revisionController.recordRevision(
+                    child.uuid, 'update', before, await revisionController.captureItemState(child)
+                );
+            }
+        }
+
         // Soft delete - mark for sync
+        const before = await revisionController.captureItemState(item);
         await item.update({
             isDeleted: true,
+            deletedAt,
             syncStatus: 'pending',
         });
+        await revisionController.recordRevision(item.uuid, 'delete', before, null);
 
-        console.log('Item soft-deleted:', id, '(pending sync)');
+        console.log('Item moved to trash:', id, '(pending sync)');
         return { success: true, data: { id } };
     } catch (error) {
         console.error('Error deleting item:', error);
@@ -146,12 +782,349 @@ const deleteItem = async (id) => {
     }
 };
 
+/**
+ * Get the items in the trash, most recently deleted first
+ * Each carries purgeAt: when it will be permanently removed
+ */
+const getTrash = async () => {
+    try {
+        const Item = getItemModel();
+        const items = await Item.findAll({
+            where: { isDeleted: true, isPurged: false },
+            order: [['deletedAt', 'DESC']],
+        });
+        const data = await withDetails(items.map(item => ({
+            ...item.toJSON(),
+            purgeAt: trashService.getPurgeDate(item.deletedAt || item.updatedAt),
+        })));
+        return { success: true, data };
+    } catch (error) {
+        console.error('Error fetching trash:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Get a trashed item and the subtasks deleted along with it
+ */
+const getTrashBatch = async (item) => {
+    const Item = getItemModel();
+    const batch = [item];
+    let parentUuids = [item.uuid];
+
+    while (parentUuids.length > 0) {
+        const children = await Item.findAll({
+            where: {
+                parentUuid: { [Op.in]: parentUuids },
+                isDeleted: true,
+                isPurged: false,
+                deletedAt: item.deletedAt,
+            },
+        });
+        // Skip items already collected, in case of a parent cycle
+        const added = children.filter(child => !batch.some(other => other.uuid === child.uuid));
+        batch.push(...added);
+        parentUuids = added.map(child => child.uuid);
+    }
+
+    return batch;
+};
+
+/**
+ * Find a trashed item by ID
+ */
+const findTrashedItem = (id) => getItemModel().findOne({
+    where: { id, isDeleted: true, isPurged: false },
+});
+
+/**
+ * Restore an item from the trash, with the subtasks deleted along with it
+ * An item whose parent is still deleted shows at the top level; items whose
+ * list has been deleted since go to the Inbox
+ */
+const restoreItem = async (id) => {
+    try {
+        const item = await findTrashedItem(id);
+        if (!item) {
+            return { success: false, error: 'Item not found in trash' };
+        }
+
+        const denied = await shareController.checkCanEdit(item);
+        if (denied) {
+            return { success: false, error: denied };
+        }
+
+        const { editable: batch } = await shareController.splitEditable(await getTrashBatch(item));
+        const listIsLive = await canRestoreToList(item, item.listUuid);
+        for (const restored of batch) {
+            await restored.update({
+                isDeleted: false,
+                deletedAt: null,
+                listUuid: listIsLive ? restored.listUuid : null,
+                syncStatus: 'pending',
+            });
+            await revisionController.recordRevision(
+                restored.uuid, 'undelete', null, await revisionController.captureItemState(restored)
+            );
+        }
+
+        reminderService.refresh();
+
+        console.log('Item restored from trash:', item.id, 'with', batch.length - 1, 'subtask(s) (pending sync)');
+        const [data] = await withDetails([item.toJSON()]);
+        return { success: true, data, restoredCount: batch.length };
+    } catch (error) {
+        console.error('Error restoring item:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Permanently delete an item from the trash, with the subtasks deleted
+ * along with it (removed from MSSQL on the next sync)
+ */
+const purgeItem = async (id) => {
+    try {
+        const item = await findTrashedItem(id);
+        if (!item) {
+            return { success: false, error: 'Item not found in trash' };
+        }
+        if (item.ownerId !== requireOwnerId()) {
+            return { success: false, error: 'Only the owner can permanently delete this item' };
+        }
+
+        const batch = await getTrashBatch(item);
+        await trashService.purgeItems(batch);
+
+        console.log('Item purged:', id, 'with', batch.length - 1, 'subtask(s)');
+        return { success: true, data: { id, purgedCount: batch.length } };
+    } catch (error) {
+        console.error('Error purging item:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Move an item out of the archive, with its subtasks and the ancestors that
+ * were archived along with it (so it shows in the main list again)
+ */
+const unarchiveItem = async (id) => {
+    try {
+        const Item = getItemModel();
+        const item = await Item.findOne({
+            where: { id, isDeleted: false, archivedAt: { [Op.ne]: null } },
+        });
+        if (!item) {
+            return { success: false, error: 'Item not found in archive' };
+        }
+
+        const uuids = [
+            item.uuid,
+            ...await getDescendantUuids(getSqliteSequelize(), item.uuid),
+            ...await getAncestorUuids(getSqliteSequelize(), item.uuid),
+        ];
+        const [count] = await Item.update(
+            { archivedAt: null, syncStatus: 'pending' },
+            { where: { uuid: { [Op.in]: uuids }, isDeleted: false, archivedAt: { [Op.ne]: null } } }
+        );
+
+        console.log('Item unarchived:', id, 'with', count - 1, 'related item(s) (pending sync)');
+        await item.reload();
+        const [data] = await withDetails([item.toJSON()]);
+        return { success: true, data, unarchivedCount: count };
+    } catch (error) {
+        console.error('Error unarchiving item:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Move an item under another parent (null/undefined parentId makes it top-level)
+ * Rejects moves that would make an item its own ancestor
+ * The item and its subtasks move into the new parent's list
+ */
+const moveItemToParent = async (id, parentId) => {
+    try {
+        const Item = getItemModel();
+        const item = await Item.findOne({
+            where: { id, isDeleted: false },
+        });
+
+        if (!item) {
+            return { success: false, error: 'Item not found' };
+        }
+
+        const denied = await shareController.checkCanEdit(item);
+        if (denied) {
+            return { success: false, error: denied };
+        }
+
+        let parentUuid = null;
+        let listUuid = item.listUuid;
+        if (parentId !== null && parentId !== undefined) {
+            const parent = await Item.findOne({
+                where: { id: parentId, isDeleted: false },
+            });
+            if (!parent) {
+                return { success: false, error: 'Parent item not found' };
+            }
+
+            const ancestors = await getAncestorUuids(getSqliteSequelize(), parent.uuid);
+            if (parent.uuid === item.uuid || ancestors.includes(item.uuid)) {
+                return { success: false, error: 'An item cannot be moved under itself or one of its subtasks' };
+            }
+            parentUuid = parent.uuid;
+            listUuid = parent.listUuid;
+        }
+
+        const before = await revisionController.captureItemState(item);
+        item.parentUuid = parentUuid;
+        item.listUuid = listUuid;
+        item.syncStatus = 'pending';
+        await item.save();
+        await revisionController.recordRevision(
+            item.uuid, 'update', before, await revisionController.captureItemState(item)
+        );
+        await moveSubtasksToList(item);
+
+        console.log('Item moved:', item.id, 'under', parentUuid || '(top level)', '(pending sync)');
+        const [data] = await withDetails([item.toJSON()]);
+        return { success: true, data };
+    } catch (error) {
+        console.error('Error moving item:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Move items (with their subtasks) into a list (null listId: the Inbox)
+ * Subtasks moved without their parent become top-level items
+ * Runs in one transaction; returns results per requested id
+ */
+const moveItemsToList = async (ids, listId) => {
+    if (!Array.isArray(ids) || ids.length === 0) {
+        return { success: false, error: 'No items selected' };
+    }
+
+    try {
+        const Item = getItemModel();
+        let items = [];
+        let viewOnly = [];
+
+        await getSqliteSequelize().transaction(async (transaction) => {
+            let listUuid = null;
+            if (listId !== null && listId !== undefined) {
+                const list = await getSqliteListModel().findOne({
+                    where: { id: listId, ownerId: requireOwnerId(), isDeleted: false },
+                    transaction,
+                });
+                if (!list) {
+                    throw new Error('List not found');
+                }
+                listUuid = list.uuid;
+            }
+
+            ({ editable: items, viewOnly } = await shareController.splitEditable(await Item.findAll({
+                where: { id: { [Op.in]: ids }, isDeleted: false },
+                transaction,
+            }), { transaction }));
+            const movedUuids = new Set(items.map(item => item.uuid));
+
+            for (const item of items) {
+                const before = await revisionController.captureItemState(item, null, { transaction });
+                if (item.parentUuid && !movedUuids.has(item.parentUuid)) {
+                    item.parentUuid = null;
+                }
+                item.listUuid = listUuid;
+                item.syncStatus = 'pending';
+                await item.save({ transaction });
+                await revisionController.recordRevision(
+                    item.uuid, 'update', before,
+                    await revisionController.captureItemState(item, null, { transaction }),
+                    { transaction }
+                );
+                await moveSubtasksToList(item, { transaction });
+            }
+        });
+
+        console.log('Items moved to list:', items.length, listId ?? '(inbox)', '(pending sync)');
+        const data = await withDetails(items.map(item => item.toJSON()));
+        return { success: true, data, results: bulkResults(ids, items, viewOnly) };
+    } catch (error) {
+        console.error('Error moving items to list:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Move an item in the manual order, between two of its siblings
+ * (previousId: the item it should follow, nextId: the item it should precede;
+ * either may be null at the start or end)
+ *
+ * Only the moved item's position changes. Neighbours sharing a key (created
+ * at the same spot on two devices offline) are told apart by using the next
+ * distinct key among the siblings.
+ */
+const moveItem = async (id, options = {}) => {
+    try {
+        const Item = getItemModel();
+        const item = await Item.findOne({
+            where: { id, isDeleted: false },
+        });
+
+        if (!item) {
+            return { success: false, error: 'Item not found' };
+        }
+
+        const denied = await shareController.checkCanEdit(item);
+        if (denied) {
+            return { success: false, error: denied };
+        }
+
+        const findNeighbour = async (neighbourId) => {
+            if (neighbourId === null || neighbourId === undefined) return null;
+            const neighbour = await Item.findOne({ where: { id: neighbourId, isDeleted: false } });
+            if (!neighbour || neighbour.id === item.id) {
+                throw new Error('Neighbouring item not found');
+            }
+            return neighbour;
+        };
+        const previous = await findNeighbour(options.previousId);
+        const next = await findNeighbour(options.nextId);
+
+        const lower = previous ? previous.position : null;
+        let upper = next ? next.position : null;
+        if (lower !== null && (upper === null || upper <= lower)) {
+            upper = await getNextSiblingPosition(Item, item, lower);
+        }
+
+        if (lower !== null || upper !== null) {
+            item.position = generateKeyBetween(lower, upper);
+            item.syncStatus = 'pending';
+            await item.save();
+        }
+
+        console.log('Item reordered:', item.id, item.position, '(pending sync)');
+        const [data] = await withDetails([item.toJSON()]);
+        return { success: true, data };
+    } catch (error) {
+        console.error('Error reordering item:', error);
+        return { success: false, error: error.message };
+    }
+};
+
 /**
  * Toggle item completion status
+ * Completing an occurrence of a recurring item also generates the next one,
+ * returned as nextOccurrence (null if none was created)
+ * Completing an item that is still blocked by open items is allowed, with a
+ * warning naming them (null otherwise)
+ *
+ * options.cascade: give all of its subtasks the same completion status
  */
-const toggleItemCompleted = async (id) => {
+const toggleItemCompleted = async (id, options = {}) => {
     try {
-        const Item = getSqliteItemModel();
+        const Item = getItemModel();
         const item = await Item.findOne({
             where: { id, isDeleted: false },
         });
@@ -160,23 +1133,640 @@ const toggleItemCompleted = async (id) => {
             return { success: false, error: 'Item not found' };
         }
 
-        item.completed = !item.completed;
+        const denied = await shareController.checkCanEdit(item);
+        if (denied) {
+            return { success: false, error: denied };
+        }
+
+        const workflow = await getWorkflow();
+        const before = await revisionController.captureItemState(item);
+        setCompleted(item, !item.completed, workflow);
         item.syncStatus = 'pending';
         await item.save();
+        await revisionController.recordRevision(
+            item.uuid, 'toggle', before, { ...before, completed: item.completed, status: item.status }
+        );
+
+        const nextOccurrence = item.completed ? await createNextOccurrence(item) : null;
+
+        if (options.cascade) {
+            const descendantUuids = await getDescendantUuids(getSqliteSequelize(), item.uuid);
+            const { editable: descendants } = await shareController.splitEditable(await Item.findAll({
+                where: { uuid: { [Op.in]: descendantUuids }, completed: !item.completed, isDeleted: false },
+            }));
+            for (const descendant of descendants) {
+                const descendantBefore = await revisionController.captureItemState(descendant);
+                setCompleted(descendant, item.completed, workflow);
+                descendant.syncStatus = 'pending';
+                await descendant.save();
+                await revisionController.recordRevision(
+                    descendant.uuid, 'toggle', descendantBefore,
+                    { ...descendantBefore, completed: descendant.completed, status: descendant.status }
+                );
+                if (descendant.completed) {
+                    await createNextOccurrence(descendant);
+                }
+            }
+            console.log('Subtasks toggled:', descendants.length, '(pending sync)');
+        }
 
         console.log('Item toggled:', item.id, 'completed:', item.completed, '(pending sync)');
-        return { success: true, data: item.toJSON() };
+        const [data] = await withDetails([item.toJSON()]);
+        const openBlockers = item.completed ? data.blockedBy.filter(blocker => !blocker.completed) : [];
+        const warning = openBlockers.length > 0
+            ? `Completed while still blocked by: ${openBlockers.map(blocker => blocker.title).join(', ')}`
+            : null;
+        return { success: true, data, nextOccurrence, warning };
     } catch (error) {
         console.error('Error toggling item:', error);
         return { success: false, error: error.message };
     }
 };
 
+/**
+ * Restore an item to how it was right after one of its revisions
+ *
+ * The target state is the current state with every later change undone, so
+ * revisions pulled from other devices are taken into account. A parent that
+ * no longer exists (or would create a cycle) is left unchanged, and tags that
+ * were deleted since are dropped. The restore is recorded as a new revision.
+ */
+const restoreRevision = async (revisionId) => {
+    try {
+        const Item = getItemModel();
+        const Tag = getSqliteTagModel();
+        const ItemRevision = getSqliteItemRevisionModel();
+
+        const revision = await ItemRevision.findOne({
+            where: { id: revisionId, isDeleted: false },
+        });
+        if (!revision) {
+            return { success: false, error: 'Revision not found' };
+        }
+        if (revision.action === 'delete') {
+            return { success: false, error: 'Choose a revision from before the item was deleted' };
+        }
+
+        const item = await Item.findOne({
+            where: { uuid: revision.itemUuid, isDeleted: false },
+        });
+        if (!item) {
+            return { success: false, error: 'Item no longer exists' };
+        }
+
+        const denied = await shareController.checkCanEdit(item);
+        if (denied) {
+            return { success: false, error: denied };
+        }
+
+        const before = await revisionController.captureItemState(item);
+        const target = { ...before };
+        for (const later of await revisionController.getRevisionsAfter(revision)) {
+            for (const [field, change] of Object.entries(JSON.parse(later.changes))) {
+                if (field in target) {
+                    target[field] = change.from;
+                }
+            }
+        }
+
+        if (!target.title) {
+            return { success: false, error: 'This revision cannot be restored' };
+        }
+
+        // Statuses and priorities removed from the workflow since fall back
+        // to one matching the completion and to the default priority
+        const workflow = await getWorkflow();
+        item.title = target.title;
+        item.description = target.description;
+        if (workflow.statuses.some(entry => entry.key === target.status)) {
+            setStatus(item, target.status, workflow);
+        } else {
+            setCompleted(item, Boolean(target.completed), workflow);
+        }
+        item.priority = workflow.priorities.some(level => level.key === target.priority)
+            ? target.priority
+            : getDefaultPriority(workflow);
+        item.dueAt = target.dueAt ? new Date(target.dueAt) : null;
+        item.remindAt = target.remindAt ? new Date(target.remindAt) : null;
+
+        const recurrence = applyRecurrenceRule(item, target.recurrenceRule);
+        if (recurrence.error) {
+            return { success: false, error: recurrence.error };
+        }
+
+        if (!target.parentUuid) {
+            item.parentUuid = null;
+        } else if (target.parentUuid !== item.parentUuid) {
+            const parent = await Item.findOne({
+                where: { uuid: target.parentUuid, isDeleted: false },
+            });
+            const ancestors = parent ? await getAncestorUuids(getSqliteSequelize(), parent.uuid) : [];
+            if (parent && parent.uuid !== item.uuid && !ancestors.includes(item.uuid)) {
+                item.parentUuid = parent.uuid;
+            }
+        }
+
+        // Subtasks stay in their parent's list; a deleted list is not brought back
+        if (item.parentUuid) {
+            const parent = await Item.findOne({ where: { uuid: item.parentUuid } });
+            item.listUuid = parent ? parent.listUuid : item.listUuid;
+        } else if (await canRestoreToList(item, target.listUuid)) {
+            item.listUuid = target.listUuid || null;
+        }
+
+        item.syncStatus = 'pending';
+        await item.save();
+        await moveSubtasksToList(item);
+
+        const liveTags = await Tag.findAll({
+            where: { uuid: { [Op.in]: target.tags || [] }, ownerId: requireOwnerId(), isDeleted: false },
+        });
+        await tagController.setItemTags(item.uuid, liveTags.map(tag => tag.uuid));
+
+        await revisionController.recordRevision(
+            item.uuid, 'restore', before, await revisionController.captureItemState(item),
+            { restoredFromUuid: revision.uuid }
+        );
+
+        reminderService.refresh();
+
+        console.log('Item restored:', item.id, 'to revision', revision.uuid, '(pending sync)');
+        const [data] = await withDetails([item.toJSON()]);
+        return { success: true, data };
+    } catch (error) {
+        console.error('Error restoring revision:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Create many items in one transaction
+ * Returns results in input order: { index, success, id | error }; items that
+ * fail validation are skipped, the rest are created together
+ */
+const bulkCreateItems = async (itemsData) => {
+    if (!Array.isArray(itemsData) || itemsData.length === 0) {
+        return { success: false, error: 'No items to create' };
+    }
+
+    try {
+        const results = [];
+        const created = [];
+
+        await getSqliteSequelize().transaction(async (transaction) => {
+            const workflow = await getWorkflow(requireOwnerId(), { transaction });
+            const built = [];
+            for (const [index, itemData] of itemsData.entries()) {
+                const { item, fieldValues, error } = await buildNewItem(itemData, { transaction, workflow });
+                if (error) {
+                    results.push({ index, success: false, error });
+                    continue;
+                }
+                built.push({ index, item, fieldValues, tags: itemData.tags });
+            }
+
+            await assignNewItemPositions(built.map(entry => entry.item), { transaction });
+            for (const { index, item, fieldValues, tags } of built) {
+                await saveNewItem(item, tags, fieldValues, { transaction });
+                created.push(item);
+                results.push({ index, success: true, id: item.id });
+            }
+        });
+        results.sort((a, b) => a.index - b.index);
+
+        if (created.some(item => item.remindAt)) {
+            reminderService.refresh();
+        }
+
+        console.log('Items bulk-created:', created.length, 'of', itemsData.length, '(pending sync)');
+        const data = await withDetails(created.map(item => item.toJSON()));
+        return { success: true, data, results };
+    } catch (error) {
+        console.error('Error bulk-creating items:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * An item tree's items, parents before their subtasks
+ */
+const flattenItemTree = (node) => [
+    node,
+    ...(Array.isArray(node.subtasks) ? node.subtasks.flatMap(flattenItemTree) : []),
+];
+
+/**
+ * Create an item with its subtasks in one transaction (e.g. from a template)
+ * tree: the item's items:create data plus subtasks, a list of the same
+ * (nested to any depth, created in the order given)
+ * Nothing is created when any of the items is invalid
+ */
+const createItemTree = async (tree) => {
+    const invalid = flattenItemTree(tree)
+        .map(({ subtasks, ...itemData }) => validateValue(ITEM_CREATE, itemData))
+        .find(errors => errors.length > 0);
+    if (invalid) {
+        return { success: false, error: invalid[0].message };
+    }
+    if (tree.parentUuid) {
+        return { success: false, error: 'Item trees are created at the top level' };
+    }
+
+    try {
+        let root = null;
+        let count = 0;
+
+        await getSqliteSequelize().transaction(async (transaction) => {
+            const workflow = await getWorkflow(requireOwnerId(), { transaction });
+
+            // Create one level of siblings, then the subtasks of each
+            const createLevel = async (nodes, parentUuid) => {
+                const built = [];
+                for (const { subtasks, ...itemData } of nodes) {
+                    const { item, fieldValues, error } = await buildNewItem(
+                        parentUuid ? { ...itemData, parentUuid } : itemData, { transaction, workflow }
+                    );
+                    if (error) {
+                        throw new Error(error);
+                    }
+                    built.push({ item, fieldValues, tags: itemData.tags, subtasks });
+                }
+
+                await assignNewItemPositions(built.map(entry => entry.item), { transaction });
+                for (const { item, fieldValues, tags } of built) {
+                    await saveNewItem(item, tags, fieldValues, { transaction });
+                }
+                count += built.length;
+
+                for (const { item, subtasks } of built) {
+                    if (Array.isArray(subtasks) && subtasks.length > 0) {
+                        await createLevel(subtasks, item.uuid);
+                    }
+                }
+                return built.map(entry => entry.item);
+            };
+
+            [root] = await createLevel([tree], null);
+        });
+
+        if (flattenItemTree(tree).some(itemData => itemData.remindAt)) {
+            reminderService.refresh();
+        }
+
+        console.log('Item tree created:', root.id, 'with', count - 1, 'subtask(s) (pending sync)');
+        const [data] = await withDetails([root.toJSON()]);
+        return { success: true, data, count };
+    } catch (error) {
+        console.error('Error creating item tree:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Import items (e.g. from a CSV file) in one transaction, skipping the rows
+ * that are invalid or already there
+ * entries: items:create data, each optionally with a uuid for the item to
+ * keep. Rows whose uuid is taken (or repeated) are duplicates; a parentUuid
+ * may name another row, which is created first
+ * options.dryRun: only check the rows, against the rules createItem applies
+ * Returns { results: [{ index, status, error }] } with status 'created'
+ * ('valid' on a dry run), 'duplicate' or 'invalid'
+ */
+const importItems = async (entries, options = {}) => {
+    try {
+        const results = [];
+        const created = [];
+
+        await getSqliteSequelize().transaction(async (transaction) => {
+            const workflow = await getWorkflow(requireOwnerId(), { transaction });
+            const given = entries.map(entry => entry.uuid?.toLowerCase()).filter(Boolean);
+            const taken = new Set((await getSqliteItemModel().findAll({
+                where: { uuid: { [Op.in]: given } },
+                attributes: ['uuid'],
+                transaction,
+            })).map(item => item.uuid));
+
+            // Rows to create; pendingUuids: the uuids of those not built yet
+            let remaining = [];
+            const pendingUuids = new Set();
+            for (const [index, { uuid: givenUuid, ...itemData }] of entries.entries()) {
+                const uuid = givenUuid?.toLowerCase() || null;
+                if (uuid && !UUID_PATTERN.test(uuid)) {
+                    results.push({ index, status: 'invalid', error: `Invalid UUID '${givenUuid}'` });
+                } else if (uuid && (taken.has(uuid) || pendingUuids.has(uuid))) {
+                    results.push({ index, status: 'duplicate' });
+                } else {
+                    remaining.push({ index, uuid, itemData });
+                    if (uuid) {
+                        pendingUuids.add(uuid);
+                    }
+                }
+            }
+
+            // Build level by level, so rows see the rows they are subtasks of
+            const built = [];
+            const parents = new Map();
+            while (remaining.length > 0) {
+                const ready = remaining.filter(row => !pendingUuids.has(row.itemData.parentUuid));
+                if (ready.length === 0) {
+                    const error = 'The item is a subtask of its own subtask';
+                    results.push(...remaining.map(row => ({ index: row.index, status: 'invalid', error })));
+                    break;
+                }
+
+                for (const row of ready) {
+                    pendingUuids.delete(row.uuid);
+                    const { item, fieldValues, error } = await buildNewItem(
+                        row.itemData, { transaction, workflow, parents, uuid: row.uuid }
+                    );
+                    if (error) {
+                        results.push({ index: row.index, status: 'invalid', error });
+                        continue;
+                    }
+                    if (row.uuid) {
+                        parents.set(row.uuid, item);
+                    }
+                    built.push({ item, fieldValues, tags: row.itemData.tags });
+                    results.push({ index: row.index, status: options.dryRun ? 'valid' : 'created' });
+                }
+                remaining = remaining.filter(row => !ready.includes(row));
+            }
+
+            if (options.dryRun) {
+                return;
+            }
+            await assignNewItemPositions(built.map(entry => entry.item), { transaction });
+            for (const { item, fieldValues, tags } of built) {
+                await saveNewItem(item, tags, fieldValues, { transaction });
+                created.push(item);
+            }
+        });
+        results.sort((a, b) => a.index - b.index);
+
+        if (created.some(item => item.remindAt)) {
+            reminderService.refresh();
+        }
+
+        if (!options.dryRun) {
+            console.log('Items imported:', created.length, 'of', entries.length, '(pending sync)');
+        }
+        return { success: true, results };
+    } catch (error) {
+        console.error('Error importing items:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Validate the changes of a bulk update
+ * Returns { values } (attributes to set) or { error }
+ */
+const parseBulkChanges = (changes) => {
+    const [, changesSchema] = IPC_SCHEMAS['items:bulkUpdate'];
+    const invalid = validateValue(changesSchema, changes);
+    if (invalid.length > 0) {
+        return { error: invalid[0].message };
+    }
+
+    const values = {};
+    if (changes.completed !== undefined) {
+        values.completed = changes.completed;
+    }
+    if (changes.status !== undefined) {
+        values.status = changes.status;
+    }
+    if (changes.priority !== undefined) {
+        values.priority = changes.priority;
+    }
+    if (changes.dueAt !== undefined) {
+        values.dueAt = parseOptionalDate(changes.dueAt, 'Due date').value;
+    }
+
+    if (Object.keys(values).length === 0) {
+        return { error: 'Nothing to update (supported: completed, status, priority, dueAt)' };
+    }
+    return { values };
+};
+
+/**
+ * Build per-item results for the requested ids
+ * viewOnlyItems: items found but left unchanged, as the user may only view them
+ */
+const bulkResults = (ids, foundItems, viewOnlyItems = []) => {
+    const foundIds = new Set(foundItems.map(item => item.id));
+    const viewOnlyIds = new Set(viewOnlyItems.map(item => item.id));
+    return ids.map((id) => {
+        if (foundIds.has(id)) {
+            return { id, success: true };
+        }
+        return { id, success: false, error: viewOnlyIds.has(id) ? shareController.VIEW_ONLY_ERROR : 'Item not found' };
+    });
+};
+
+/**
+ * Apply the same changes (completed, status, priority, dueAt) to many items in
+ * one transaction, marking them all pending with a single UPDATE. A status
+ * completes or reopens the items to match; completed alone moves the items
+ * that change state to the first status matching it
+ * Occurrences following newly completed recurring items are generated after
+ * the commit and returned as nextOccurrences
+ */
+const bulkUpdateItems = async (ids, changes) => {
+    if (!Array.isArray(ids) || ids.length === 0) {
+        return { success: false, error: 'No items selected' };
+    }
+
+    const { values, error } = parseBulkChanges(changes);
+    if (error) {
+        return { success: false, error };
+    }
+
+    try {
+        const workflow = await getWorkflow();
+        const unknown = checkItemWorkflow(workflow, values);
+        if (unknown) {
+            return { success: false, error: unknown };
+        }
+        if (values.status !== undefined) {
+            values.completed = workflow.statuses.find(entry => entry.key === values.status).isDone;
+        }
+
+        const Item = getItemModel();
+        let items = [];
+        let viewOnly = [];
+        let completedNow = [];
+
+        await getSqliteSequelize().transaction(async (transaction) => {
+            let found;
+            ({ editable: found, viewOnly } = await shareController.splitEditable(await Item.findAll({
+                where: { id: { [Op.in]: ids }, isDeleted: false },
+                transaction,
+            }), { transaction }));
+            const uuids = found.map(item => item.uuid);
+            const tagsByItem = await tagController.getTagsForItemUuids(uuids, { transaction });
+            const tagUuidsOf = (item) => tagsByItem.get(item.uuid).map(tag => tag.uuid);
+
+            const before = new Map();
+            for (const item of found) {
+                before.set(item.uuid, await revisionController.captureItemState(item, tagUuidsOf(item)));
+            }
+
+            // Only items whose state changes get a new completion time
+            if (values.completed !== undefined) {
+                await Item.update(
+                    {
+                        completedAt: values.completed ? new Date() : null,
+                        ...(values.status === undefined ? { status: getStatusFor(workflow, values.completed).key } : {}),
+                    },
+                    { where: { uuid: { [Op.in]: uuids }, completed: !values.completed }, transaction }
+                );
+            }
+            await Item.update(
+                { ...values, syncStatus: 'pending' },
+                { where: { uuid: { [Op.in]: uuids } }, transaction }
+            );
+
+            items = await Item.findAll({ where: { uuid: { [Op.in]: uuids } }, transaction });
+            for (const item of items) {
+                await revisionController.recordRevision(
+                    item.uuid, 'update', before.get(item.uuid),
+                    await revisionController.captureItemState(item, tagUuidsOf(item)),
+                    { transaction }
+                );
+            }
+            completedNow = items.filter(item => item.completed && !before.get(item.uuid).completed);
+        });
+
+        const nextOccurrences = [];
+        for (const item of completedNow) {
+            const occurrence = await createNextOccurrence(item);
+            if (occurrence) {
+                nextOccurrences.push(occurrence);
+            }
+        }
+
+        reminderService.refresh();
+
+        console.log('Items bulk-updated:', items.length, Object.keys(values), '(pending sync)');
+        const data = await withDetails(items.map(item => item.toJSON()));
+        return { success: true, data, results: bulkResults(ids, items, viewOnly), nextOccurrences };
+    } catch (error) {
+        console.error('Error bulk-updating items:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Move many items to the trash in one transaction
+ *
+ * options.cascade: also delete all of their subtasks; otherwise subtasks
+ * that are not deleted move up to their nearest ancestor that is not deleted
+ */
+const bulkDeleteItems = async (ids, options = {}) => {
+    if (!Array.isArray(ids) || ids.length === 0) {
+        return { success: false, error: 'No items selected' };
+    }
+
+    try {
+        const Item = getItemModel();
+        const deletedAt = new Date();
+        let found = [];
+        let viewOnly = [];
+        let deletedCount = 0;
+
+        await getSqliteSequelize().transaction(async (transaction) => {
+            ({ editable: found, viewOnly } = await shareController.splitEditable(await Item.findAll({
+                where: { id: { [Op.in]: ids }, isDeleted: false },
+                transaction,
+            }), { transaction }));
+
+            const deleteUuids = new Set(found.map(item => item.uuid));
+            if (options.cascade) {
+                for (const item of found) {
+                    const descendantUuids = await getDescendantUuids(getSqliteSequelize(), item.uuid, { transaction });
+                    descendantUuids.forEach(uuid => deleteUuids.add(uuid));
+                }
+            }
+
+            // Subtasks the user may only view are not deleted along with their parents
+            const { editable: deleted, viewOnly: kept } = await shareController.splitEditable(await Item.findAll({
+                where: { uuid: { [Op.in]: [...deleteUuids] }, isDeleted: false },
+                transaction,
+            }), { transaction });
+            kept.forEach(item => deleteUuids.delete(item.uuid));
+            const parentOf = new Map(deleted.map(item => [item.uuid, item.parentUuid]));
+
+            // Subtasks left behind move up past every deleted ancestor
+            const { editable: children } = await shareController.splitEditable(await Item.findAll({
+                where: {
+                    parentUuid: { [Op.in]: [...deleteUuids] },
+                    uuid: { [Op.notIn]: [...deleteUuids] },
+                    isDeleted: false,
+                },
+                transaction,
+            }), { transaction });
+            for (const child of children) {
+                let parentUuid = child.parentUuid;
+                const seen = new Set();
+                while (deleteUuids.has(parentUuid) && !seen.has(parentUuid)) {
+                    seen.add(parentUuid);
+                    parentUuid = parentOf.get(parentUuid);
+                }
+
+                const before = await revisionController.captureItemState(child, null, { transaction });
+                await child.update({ parentUuid, syncStatus: 'pending' }, { transaction });
+                await revisionController.recordRevision(
+                    child.uuid, 'update', before,
+                    await revisionController.captureItemState(child, null, { transaction }),
+                    { transaction }
+                );
+            }
+
+            const tagsByItem = await tagController.getTagsForItemUuids([...deleteUuids], { transaction });
+            for (const item of deleted) {
+                const before = await revisionController.captureItemState(
+                    item, tagsByItem.get(item.uuid).map(tag => tag.uuid)
+                );
+                await revisionController.recordRevision(item.uuid, 'delete', before, null, { transaction });
+            }
+
+            await Item.update(
+                { isDeleted: true, deletedAt, syncStatus: 'pending' },
+                { where: { uuid: { [Op.in]: [...deleteUuids] } }, transaction }
+            );
+            deletedCount = deleted.length;
+        });
+
+        reminderService.refresh();
+
+        console.log('Items bulk-deleted:', deletedCount, '(pending sync)');
+        return { success: true, results: bulkResults(ids, found, viewOnly), deletedCount };
+    } catch (error) {
+        console.error('Error bulk-deleting items:', error);
+        return { success: false, error: error.message };
+    }
+};
+
 module.exports = {
     getAllItems,
+    queryItems,
+    searchItems,
     getItemById,
     createItem,
     updateItem,
     deleteItem,
+    getTrash,
+    restoreItem,
+    purgeItem,
+    unarchiveItem,
+    moveItemToParent,
     toggleItemCompleted,
+    restoreRevision,
+    moveItemsToList,
+    moveItem,
+    bulkCreateItems,
+    createItemTree,
+    importItems,
+    bulkUpdateItems,
+    bulkDeleteItems,
 };
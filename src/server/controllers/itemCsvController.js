@@ -0,0 +1,283 @@
+/**
+ * Item CSV Controller
+ * Exports items as CSV and imports items from CSV files
+ *
+ * - An export holds the items matching items:query filters (all pages), one
+ *   row each with the columns of CSV_ITEM_COLUMNS: statuses, priorities,
+ *   lists and tags by name, dates in ISO 8601
+ * - An import reads the file first and keeps it until it is imported (or
+ *   another file is read). Its rows are then previewed and imported with a
+ *   column mapping: values are matched to the user's statuses, priorities,
+ *   lists and tags by name, and the rows go through itemController.importItems
+ *   (rows with the UUID of an existing item are skipped)
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { Op } = require('sequelize');
+const { getUserSqliteItemModel, getSqliteListModel, getSqliteTagModel } = require('../database');
+const itemController = require('./itemController');
+const tagController = require('./tagController');
+const { getWorkflow } = require('./workflowController');
+const { requireOwnerId } = require('./authController');
+const { getStatusFor } = require('../database/itemWorkflow');
+const { buildFilterWhere } = require('../utils/itemQuery');
+const { toCsv, parseCsv } = require('../utils/csv');
+const { CSV_ITEM_COLUMNS } = require('../../shared/ipcSchemas');
+
+// Largest file and most rows one import may hold (all rows are checked in one transaction)
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+const MAX_IMPORT_ROWS = 1000;
+
+const YES = ['yes', 'y', 'true', '1', 'x', 'done'];
+const NO = ['no', 'n', 'false', '0', ''];
+
+// The file read for import ({ ownerId, fileName, header, rows }) until it is imported
+let pendingImport = null;
+
+const toIso = (date) => (date ? new Date(date).toISOString() : '');
+
+/**
+ * Lower-case a header or name and drop everything but letters and digits,
+ * so 'Due date', 'due_date' and 'DueDate' compare equal
+ */
+const normalizeName = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Build the CSV of the signed-in user's items matching the filters
+ * Returns { fileName, csv, count }
+ */
+const getItemsCsv = async (options = {}) => {
+    try {
+        const ownerId = requireOwnerId();
+        const workflow = await getWorkflow(ownerId);
+        const rows = await getUserSqliteItemModel(ownerId).findAll({
+            where: { [Op.and]: buildFilterWhere(options?.filters || {}, workflow, ownerId) },
+            order: [['position', 'ASC'], ['id', 'ASC']],
+        });
+        const items = await tagController.attachTags(rows.map(row => row.toJSON()));
+        const lists = await getSqliteListModel().findAll({ where: { ownerId, isDeleted: false } });
+
+        const nameOf = (entries, key) => entries.find(entry => entry.key === key)?.name || key || '';
+        const exportValue = (item, field) => {
+            switch (field) {
+                case 'status': return nameOf(workflow.statuses, item.status);
+                case 'priority': return nameOf(workflow.priorities, item.priority);
+                case 'completed': return item.completed ? 'Yes' : 'No';
+                case 'list': return lists.find(list => list.uuid === item.listUuid)?.name || '';
+                case 'tags': return item.tags.map(tag => tag.name).join(', ');
+                case 'dueAt':
+                case 'remindAt':
+                case 'createdAt':
+                case 'completedAt': return toIso(item[field]);
+                default: return item[field] ?? '';
+            }
+        };
+
+        const csv = toCsv([
+            CSV_ITEM_COLUMNS.map(column => column.header),
+            ...items.map(item => CSV_ITEM_COLUMNS.map(column => exportValue(item, column.field))),
+        ]);
+        const today = toIso(new Date()).slice(0, 10);
+        return { success: true, data: { fileName: `tasks-${today}.csv`, csv, count: items.length } };
+    } catch (error) {
+        console.error('Error exporting items:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Guess the column of each importable field from the header row
+ * Returns { [field]: column index or null }
+ */
+const suggestMapping = (header) => {
+    const names = header.map(normalizeName);
+    return Object.fromEntries(CSV_ITEM_COLUMNS.filter(column => !column.exportOnly).map(({ field, header: title }) => {
+        const index = names.findIndex(name => name === normalizeName(title) || name === normalizeName(field));
+        return [field, index === -1 ? null : index];
+    }));
+};
+
+/**
+ * Read a CSV file for import, replacing any file read before
+ * Returns { fileName, columns (the header row), rowCount, mapping (suggested) }
+ */
+const readImportFile = async (filePath) => {
+    try {
+        const ownerId = requireOwnerId();
+        const { size } = await fs.promises.stat(filePath);
+        if (size > MAX_IMPORT_BYTES) {
+            const limit = `${MAX_IMPORT_BYTES / 1024 / 1024} MB`;
+            return { success: false, error: `The file is too large to import (at most ${limit})` };
+        }
+
+        const [header, ...rows] = parseCsv(await fs.promises.readFile(filePath, 'utf8'));
+        if (!header || rows.length === 0) {
+            return { success: false, error: 'The file has no rows below its header' };
+        }
+        if (rows.length > MAX_IMPORT_ROWS) {
+            return {
+                success: false,
+                error: `The file has ${rows.length} rows; at most ${MAX_IMPORT_ROWS} can be imported at once`,
+            };
+        }
+
+        const fileName = path.basename(filePath);
+        pendingImport = { ownerId, fileName, header, rows };
+        console.log('Import file read:', fileName, rows.length, 'row(s)');
+        return {
+            success: true,
+            data: { fileName, columns: header, rowCount: rows.length, mapping: suggestMapping(header) },
+        };
+    } catch (error) {
+        console.error('Error reading import file:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Find the entry of a status or priority list a cell names (by name or key)
+ */
+const findByName = (entries, value) => {
+    const name = value.toLowerCase();
+    return entries.find(entry => entry.name.toLowerCase() === name || entry.key === name);
+};
+
+/**
+ * Turn one row into items:create data (plus the uuid to keep) using the mapping
+ * context: { workflow, lists, tags } of the user
+ * Returns { entry } or { error }
+ */
+const toItemData = (row, mapping, { workflow, lists, tags }) => {
+    const cell = (field) => (mapping[field] === null || mapping[field] === undefined
+        ? ''
+        : (row[mapping[field]] ?? '').trim());
+    const optional = (field) => cell(field) || undefined;
+
+    const entry = {
+        uuid: optional('uuid')?.toLowerCase(),
+        title: cell('title'),
+        description: optional('description'),
+        dueAt: optional('dueAt'),
+        remindAt: optional('remindAt'),
+        recurrenceRule: optional('recurrenceRule'),
+        parentUuid: optional('parentUuid')?.toLowerCase(),
+    };
+
+    if (cell('priority')) {
+        const level = findByName(workflow.priorities, cell('priority'));
+        if (!level) {
+            return { error: `Unknown priority '${cell('priority')}'` };
+        }
+        entry.priority = level.key;
+    }
+
+    // The status decides whether the item is completed; a completed column
+    // alone picks the first open or done status
+    const completed = cell('completed').toLowerCase();
+    if (cell('status')) {
+        const status = findByName(workflow.statuses, cell('status'));
+        if (!status) {
+            return { error: `Unknown status '${cell('status')}'` };
+        }
+        entry.status = status.key;
+    } else if (YES.includes(completed) || NO.includes(completed)) {
+        entry.status = getStatusFor(workflow, YES.includes(completed)).key;
+    } else {
+        return { error: `Completed must be yes or no, not '${cell('completed')}'` };
+    }
+
+    if (cell('list') && cell('list').toLowerCase() !== 'inbox') {
+        const list = lists.find(candidate => candidate.name.toLowerCase() === cell('list').toLowerCase());
+        if (!list) {
+            return { error: `Unknown list '${cell('list')}'` };
+        }
+        entry.listUuid = list.uuid;
+    }
+
+    const tagNames = cell('tags').split(/[,;]/).map(name => name.trim()).filter(Boolean);
+    if (tagNames.length > 0) {
+        const unknown = tagNames.find(name => !tags.some(tag => tag.name.toLowerCase() === name.toLowerCase()));
+        if (unknown) {
+            return { error: `Unknown tag '${unknown}'` };
+        }
+        entry.tags = tagNames.map(name => tags.find(tag => tag.name.toLowerCase() === name.toLowerCase()).uuid);
+    }
+
+    return { entry };
+};
+
+/**
+ * Check (dryRun) or import the rows of the file read, with a column mapping
+ * Returns { rows: [{ row, title, status, error }], counts } where status is
+ * 'valid' (dry run) or 'created', 'duplicate' or 'invalid', and counts
+ * holds how many rows have each
+ */
+const runImport = async (mapping, dryRun) => {
+    try {
+        const ownerId = requireOwnerId();
+        const file = pendingImport?.ownerId === ownerId ? pendingImport : null;
+        if (!file) {
+            return { success: false, error: 'Choose a file to import first' };
+        }
+        if (mapping.title === null || mapping.title === undefined) {
+            return { success: false, error: 'Choose the column holding the titles' };
+        }
+        const missing = Object.values(mapping).find(index => index >= file.header.length);
+        if (missing !== undefined) {
+            return { success: false, error: `The file has no column ${missing + 1}` };
+        }
+
+        const context = {
+            workflow: await getWorkflow(ownerId),
+            lists: await getSqliteListModel().findAll({ where: { ownerId, isDeleted: false } }),
+            tags: await getSqliteTagModel().findAll({ where: { ownerId, isDeleted: false } }),
+        };
+        const converted = file.rows.map(row => toItemData(row, mapping, context));
+        const entries = converted.filter(result => result.entry).map(result => result.entry);
+
+        const imported = entries.length > 0
+            ? await itemController.importItems(entries, { dryRun })
+            : { success: true, results: [] };
+        if (!imported.success) {
+            return imported;
+        }
+
+        const results = [...imported.results];
+        const rows = converted.map((result, index) => {
+            const { status, error } = result.error ? { status: 'invalid', error: result.error } : results.shift();
+            return { row: index + 1, title: file.rows[index][mapping.title] ?? '', status, error: error || null };
+        });
+        const counts = {};
+        for (const { status } of rows) {
+            counts[status] = (counts[status] || 0) + 1;
+        }
+
+        if (!dryRun) {
+            pendingImport = null;
+            console.log('CSV imported:', file.fileName, counts);
+        }
+        return { success: true, data: { rows, counts } };
+    } catch (error) {
+        console.error('Error importing items:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Check the rows of the file read against the rules items are created with,
+ * without creating anything
+ */
+const previewImport = (mapping) => runImport(mapping, true);
+
+/**
+ * Create the valid rows of the file read in one transaction, marked pending
+ */
+const confirmImport = (mapping) => runImport(mapping, false);
+
+module.exports = {
+    getItemsCsv,
+    readImportFile,
+    previewImport,
+    confirmImport,
+};
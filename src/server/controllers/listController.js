@@ -0,0 +1,228 @@
+/**
+ * List Controller
+ * Handles list (project) CRUD on SQLite (offline-first)
+ * Each user has their own lists (List.ownerId); lists are marked as
+ * 'pending' for sync to MSSQL; items move between lists through
+ * itemController.moveItemsToList
+ */
+
+const { Op } = require('sequelize');
+const { getUserSqliteItemModel, getSqliteListModel, getSqliteSequelize } = require('../database');
+const revisionController = require('./revisionController');
+const reminderService = require('../services/reminderService');
+const { requireOwnerId } = require('./authController');
+
+/**
+ * Pick the public fields of a list for the renderer
+ */
+const serializeList = (list) => ({
+    id: list.id,
+    uuid: list.uuid,
+    name: list.name,
+    color: list.color,
+    icon: list.icon,
+    archived: list.archived,
+    syncStatus: list.syncStatus,
+});
+
+/**
+ * Get the signed-in user's lists (excluding soft-deleted), alphabetically
+ */
+const getAllLists = async () => {
+    try {
+        const List = getSqliteListModel();
+        const lists = await List.findAll({
+            where: { ownerId: requireOwnerId(), isDeleted: false },
+            order: [['name', 'ASC']],
+        });
+        return { success: true, data: lists.map(serializeList) };
+    } catch (error) {
+        console.error('Error fetching lists:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Find a live list of the user with the same name (case-insensitive), optionally excluding one id
+ */
+const findListByName = async (name, excludeId = null) => {
+    const List = getSqliteListModel();
+    const lists = await List.findAll({
+        where: {
+            ownerId: requireOwnerId(),
+            isDeleted: false,
+            ...(excludeId ? { id: { [Op.ne]: excludeId } } : {}),
+        },
+    });
+    return lists.find(list => list.name.toLowerCase() === name.toLowerCase()) || null;
+};
+
+/**
+ * Create a new list
+ */
+const createList = async (listData) => {
+    try {
+        const List = getSqliteListModel();
+        const { name, color, icon } = listData || {};
+
+        if (!name || name.trim() === '') {
+            return { success: false, error: 'List name is required' };
+        }
+
+        if (await findListByName(name.trim())) {
+            return { success: false, error: 'A list with this name already exists' };
+        }
+
+        const list = await List.create({
+            ownerId: requireOwnerId(),
+            name: name.trim(),
+            color: color || null,
+            icon: icon?.trim() || null,
+            archived: false,
+            syncStatus: 'pending',
+            isDeleted: false,
+        });
+
+        console.log('List created:', list.id, '(pending sync)');
+        return { success: true, data: serializeList(list) };
+    } catch (error) {
+        console.error('Error creating list:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Rename, recolour, change the icon of, or (un)archive a list
+ */
+const updateList = async (id, listData) => {
+    try {
+        const List = getSqliteListModel();
+        const list = await List.findOne({
+            where: { id, ownerId: requireOwnerId(), isDeleted: false },
+        });
+
+        if (!list) {
+            return { success: false, error: 'List not found' };
+        }
+
+        const { name, color, icon, archived } = listData || {};
+
+        if (name !== undefined) {
+            if (name.trim() === '') {
+                return { success: false, error: 'List name cannot be empty' };
+            }
+            if (await findListByName(name.trim(), list.id)) {
+                return { success: false, error: 'A list with this name already exists' };
+            }
+            list.name = name.trim();
+        }
+
+        if (color !== undefined) {
+            list.color = color || null;
+        }
+
+        if (icon !== undefined) {
+            list.icon = icon?.trim() || null;
+        }
+
+        if (archived !== undefined) {
+            list.archived = Boolean(archived);
+        }
+
+        list.syncStatus = 'pending';
+        await list.save();
+
+        console.log('List updated:', list.id, '(pending sync)');
+        return { success: true, data: serializeList(list) };
+    } catch (error) {
+        console.error('Error updating list:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Delete a list (soft delete for sync) in one transaction, with its items either
+ * moved to another list or moved to the trash
+ *
+ * options.items: 'move' (default) or 'delete'
+ * options.targetListId: list receiving the items when moving (null: the Inbox)
+ */
+const deleteList = async (id, options = {}) => {
+    const itemsAction = options.items || 'move';
+    if (!['move', 'delete'].includes(itemsAction)) {
+        return { success: false, error: `Invalid items option '${itemsAction}'` };
+    }
+
+    try {
+        const List = getSqliteListModel();
+        const ownerId = requireOwnerId();
+        const Item = getUserSqliteItemModel(ownerId);
+        let list = null;
+        let itemCount = 0;
+
+        await getSqliteSequelize().transaction(async (transaction) => {
+            list = await List.findOne({ where: { id, ownerId, isDeleted: false }, transaction });
+            if (!list) {
+                return;
+            }
+
+            let targetUuid = null;
+            if (itemsAction === 'move' && options.targetListId !== null && options.targetListId !== undefined) {
+                const target = await List.findOne({
+                    where: { id: options.targetListId, ownerId, isDeleted: false },
+                    transaction,
+                });
+                if (!target || target.id === list.id) {
+                    throw new Error('Target list not found');
+                }
+                targetUuid = target.uuid;
+            }
+
+            const items = await Item.findAll({
+                where: { listUuid: list.uuid, isDeleted: false },
+                transaction,
+            });
+            const deletedAt = new Date();
+
+            // Subtasks are in the same list, so they move or are deleted with their parents
+            for (const item of items) {
+                const before = await revisionController.captureItemState(item, null, { transaction });
+                if (itemsAction === 'delete') {
+                    await item.update({ isDeleted: true, deletedAt, syncStatus: 'pending' }, { transaction });
+                    await revisionController.recordRevision(item.uuid, 'delete', before, null, { transaction });
+                } else {
+                    await item.update({ listUuid: targetUuid, syncStatus: 'pending' }, { transaction });
+                    await revisionController.recordRevision(
+                        item.uuid, 'update', before,
+                        await revisionController.captureItemState(item, null, { transaction }),
+                        { transaction }
+                    );
+                }
+            }
+            itemCount = items.length;
+
+            await list.update({ isDeleted: true, syncStatus: 'pending' }, { transaction });
+        });
+
+        if (!list) {
+            return { success: false, error: 'List not found' };
+        }
+
+        if (itemsAction === 'delete' && itemCount > 0) {
+            reminderService.refresh();
+        }
+
+        console.log('List soft-deleted:', id, itemsAction === 'delete' ? 'deleting' : 'moving', itemCount, 'item(s) (pending sync)');
+        return { success: true, data: { id, itemCount } };
+    } catch (error) {
+        console.error('Error deleting list:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+module.exports = {
+    getAllLists,
+    createList,
+    updateList,
+    deleteList,
+};
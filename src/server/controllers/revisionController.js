@@ -0,0 +1,169 @@
+/**
+ * Revision Controller
+ * Records and reads item history (ItemRevision) on SQLite
+ * Revisions are marked as 'pending' for sync to MSSQL
+ */
+
+const { Op } = require('sequelize');
+const { getUserSqliteItemModel, getSqliteItemRevisionModel } = require('../database');
+const tagController = require('./tagController');
+const authController = require('./authController');
+const sessionService = require('../services/sessionService');
+
+// Item fields tracked in history ('tags' holds the sorted tag uuids)
+const HISTORY_FIELDS = [
+    'title',
+    'description',
+    'completed',
+    'status',
+    'priority',
+    'dueAt',
+    'remindAt',
+    'recurrenceRule',
+    'parentUuid',
+    'listUuid',
+    'tags',
+];
+
+/**
+ * Normalize a field value for comparison and JSON storage
+ */
+const normalizeValue = (value) => {
+    if (value instanceof Date) return value.toISOString();
+    if (value === undefined) return null;
+    return value;
+};
+
+/**
+ * Capture the tracked fields of an item
+ * Pass tagUuids when already known to save a query
+ */
+const captureItemState = async (item, tagUuids = null, options = {}) => {
+    if (!tagUuids) {
+        const tagsByItem = await tagController.getTagsForItemUuids([item.uuid], options);
+        tagUuids = tagsByItem.get(item.uuid).map(tag => tag.uuid);
+    }
+
+    const state = {};
+    for (const field of HISTORY_FIELDS) {
+        state[field] = field === 'tags'
+            ? [...tagUuids].sort()
+            : normalizeValue(item[field]);
+    }
+    return state;
+};
+
+/**
+ * Get the fields that differ between two states as { field: { from, to } }
+ * A missing state (before a create, after a delete) counts as empty fields
+ */
+const diffStates = (before, after) => {
+    const changes = {};
+    for (const field of HISTORY_FIELDS) {
+        const empty = field === 'tags' ? [] : null;
+        const from = before ? before[field] : empty;
+        const to = after ? after[field] : empty;
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = { from, to };
+        }
+    }
+    return changes;
+};
+
+/**
+ * Record a revision of an item from its state before and after a change
+ * (after is null for a delete, so the deleted values are kept)
+ * Updates that changed nothing are not recorded
+ *
+ * options: { restoredFromUuid, transaction }
+ */
+const recordRevision = async (itemUuid, action, before, after, options = {}) => {
+    const ItemRevision = getSqliteItemRevisionModel();
+    const changes = diffStates(before, after);
+
+    if (['update', 'toggle'].includes(action) && Object.keys(changes).length === 0) {
+        return null;
+    }
+
+    const user = authController.getUser();
+    return await ItemRevision.create({
+        itemUuid,
+        action,
+        changes: JSON.stringify(changes),
+        restoredFromUuid: options.restoredFromUuid || null,
+        userId: user?.homeAccountId || null,
+        userName: user?.name || null,
+        deviceId: sessionService.getDeviceId(),
+        deviceName: sessionService.getDeviceName(),
+        syncStatus: 'pending',
+        isDeleted: false,
+    }, { transaction: options.transaction });
+};
+
+/**
+ * Pick the public fields of a revision for the renderer
+ */
+const serializeRevision = (revision) => ({
+    id: revision.id,
+    uuid: revision.uuid,
+    itemUuid: revision.itemUuid,
+    action: revision.action,
+    changes: JSON.parse(revision.changes),
+    restoredFromUuid: revision.restoredFromUuid,
+    userName: revision.userName,
+    deviceName: revision.deviceName,
+    isCurrentDevice: revision.deviceId === sessionService.getDeviceId(),
+    createdAt: revision.createdAt,
+});
+
+/**
+ * Get the revisions of an item made after the given one, newest first
+ */
+const getRevisionsAfter = async (revision) => {
+    const ItemRevision = getSqliteItemRevisionModel();
+    return await ItemRevision.findAll({
+        where: {
+            itemUuid: revision.itemUuid,
+            isDeleted: false,
+            [Op.or]: [
+                { createdAt: { [Op.gt]: revision.createdAt } },
+                { createdAt: revision.createdAt, id: { [Op.gt]: revision.id } },
+            ],
+        },
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+    });
+};
+
+/**
+ * Get the history of an item, newest first
+ */
+const getItemHistory = async (itemId) => {
+    try {
+        const Item = getUserSqliteItemModel(authController.requireOwnerId());
+        const ItemRevision = getSqliteItemRevisionModel();
+        const item = await Item.findOne({
+            where: { id: itemId, isDeleted: false },
+        });
+
+        if (!item) {
+            return { success: false, error: 'Item not found' };
+        }
+
+        const revisions = await ItemRevision.findAll({
+            where: { itemUuid: item.uuid, isDeleted: false },
+            order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        });
+
+        return { success: true, data: revisions.map(serializeRevision) };
+    } catch (error) {
+        console.error('Error fetching item history:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+module.exports = {
+    captureItemState,
+    recordRevision,
+    getRevisionsAfter,
+    getItemHistory,
+};
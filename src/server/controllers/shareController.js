@@ -0,0 +1,233 @@
+/**
+ * Share Controller
+ * Shares items with other users of the tenant, by email, as viewer or editor
+ *
+ * The access list lives in MSSQL, so sharing and unsharing need a connection
+ * and take effect for the other user on their next sync. A local copy of the
+ * shares (refreshed by syncService) shows who an item is shared with offline.
+ */
+
+const { Op } = require('sequelize');
+const {
+    getUserSqliteItemModel,
+    getSqliteItemShareModel,
+    getMssqlItemShareModel,
+    isMssqlConnected,
+} = require('../database');
+const { SHARE_ROLES } = require('../database/models/ItemShare');
+const authController = require('./authController');
+
+// Loose check: the tenant's directory decides whether the address exists
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Why a change by a viewer is refused
+const VIEW_ONLY_ERROR = 'You only have view access to this item';
+
+/**
+ * Pick the public fields of a share for the renderer
+ */
+const serializeShare = (share) => ({
+    uuid: share.uuid,
+    email: share.email,
+    role: share.role,
+    createdAt: share.createdAt,
+});
+
+/**
+ * Find an item the signed-in user owns (sharing is up to the owner)
+ * Returns { item } or { error }
+ */
+const findOwnedItem = async (id) => {
+    const ownerId = authController.requireOwnerId();
+    const item = await getUserSqliteItemModel(ownerId).findOne({
+        where: { id, isDeleted: false },
+    });
+
+    if (!item) {
+        return { error: 'Item not found' };
+    }
+    if (item.ownerId !== ownerId) {
+        return { error: 'Only the owner can share this item' };
+    }
+    return { item };
+};
+
+/**
+ * List who an item is shared with (from MSSQL when connected)
+ */
+const getItemShares = async (id) => {
+    try {
+        const { item, error } = await findOwnedItem(id);
+        if (error) {
+            return { success: false, error };
+        }
+
+        const ShareModel = isMssqlConnected() ? getMssqlItemShareModel() : getSqliteItemShareModel();
+        const shares = await ShareModel.findAll({
+            where: { itemUuid: item.uuid },
+            order: [['email', 'ASC']],
+        });
+        return { success: true, data: shares.map(serializeShare) };
+    } catch (error) {
+        console.error('Error fetching item shares:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Share an item with a user by email, or change their role
+ */
+const shareItem = async (id, email, role) => {
+    try {
+        const { item, error } = await findOwnedItem(id);
+        if (error) {
+            return { success: false, error };
+        }
+
+        const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+        if (!EMAIL_PATTERN.test(normalizedEmail)) {
+            return { success: false, error: 'Enter a valid email address' };
+        }
+        if (normalizedEmail === (authController.getUser()?.email || '').toLowerCase()) {
+            return { success: false, error: 'You cannot share an item with yourself' };
+        }
+        if (!SHARE_ROLES.includes(role)) {
+            return { success: false, error: `Invalid role '${role}'` };
+        }
+        if (!isMssqlConnected()) {
+            return { success: false, error: 'Sharing needs a connection to the server' };
+        }
+
+        const where = { itemUuid: item.uuid, email: normalizedEmail };
+        const MssqlItemShare = getMssqlItemShareModel();
+        let share = await MssqlItemShare.findOne({ where });
+        if (share) {
+            await share.update({ role });
+        } else {
+            share = await MssqlItemShare.create({ ...where, ownerId: item.ownerId, role });
+        }
+
+        // Keep the local copy current for offline use
+        const SqliteItemShare = getSqliteItemShareModel();
+        const localShare = await SqliteItemShare.findOne({ where });
+        if (localShare) {
+            await localShare.update({ uuid: share.uuid, role });
+        } else {
+            await SqliteItemShare.create({ ...where, uuid: share.uuid, ownerId: item.ownerId, role });
+        }
+
+        console.log('Item shared:', item.id, 'with', normalizedEmail, `(${role})`);
+        return { success: true, data: serializeShare(share) };
+    } catch (error) {
+        console.error('Error sharing item:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Stop sharing an item with a user
+ */
+const unshareItem = async (id, email) => {
+    try {
+        const { item, error } = await findOwnedItem(id);
+        if (error) {
+            return { success: false, error };
+        }
+        if (!isMssqlConnected()) {
+            return { success: false, error: 'Sharing needs a connection to the server' };
+        }
+
+        const where = { itemUuid: item.uuid, email: String(email || '').trim().toLowerCase() };
+        const removed = await getMssqlItemShareModel().destroy({ where });
+        await getSqliteItemShareModel().destroy({ where });
+
+        if (removed === 0) {
+            return { success: false, error: 'Item is not shared with this user' };
+        }
+
+        console.log('Item unshared:', item.id, 'from', where.email);
+        return { success: true, data: { email: where.email } };
+    } catch (error) {
+        console.error('Error unsharing item:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Get how items are shared, as seen by a user
+ * Returns a Map of itemUuid -> { role: 'owner' | 'editor' | 'viewer', shareCount }
+ * (shareCount: how many users an owned item is shared with)
+ * options.transaction: run inside a transaction
+ */
+const getSharingForItems = async (items, userId, options = {}) => {
+    const uuids = items.map(item => item.uuid);
+    const shares = uuids.length > 0
+        ? await getSqliteItemShareModel().findAll({
+            where: { itemUuid: { [Op.in]: uuids } },
+            transaction: options.transaction,
+        })
+        : [];
+
+    const sharing = new Map();
+    for (const item of items) {
+        const itemShares = shares.filter(share => share.itemUuid === item.uuid);
+        if (item.ownerId === userId) {
+            sharing.set(item.uuid, { role: 'owner', shareCount: itemShares.length });
+        } else {
+            const own = itemShares.find(share => share.recipientId === userId);
+            sharing.set(item.uuid, { role: own ? own.role : 'viewer', shareCount: 0 });
+        }
+    }
+    return sharing;
+};
+
+/**
+ * Give an item the same shares as another in the local copy (the occurrence
+ * following a shared recurring item); sync copies them in MSSQL
+ */
+const copyLocalShares = async (fromUuid, toUuid) => {
+    const SqliteItemShare = getSqliteItemShareModel();
+    const shares = await SqliteItemShare.findAll({ where: { itemUuid: fromUuid } });
+    for (const share of shares) {
+        await SqliteItemShare.findOrCreate({
+            where: { itemUuid: toUuid, email: share.email },
+            defaults: { ownerId: share.ownerId, role: share.role, recipientId: share.recipientId },
+        });
+    }
+};
+
+/**
+ * Split items into those the signed-in user may change (as owner or editor)
+ * and those they may only view
+ * Returns { editable, viewOnly }
+ * options.transaction: run inside a transaction
+ */
+const splitEditable = async (items, options = {}) => {
+    const sharing = await getSharingForItems(items, authController.requireOwnerId(), options);
+    return {
+        editable: items.filter(item => sharing.get(item.uuid).role !== 'viewer'),
+        viewOnly: items.filter(item => sharing.get(item.uuid).role === 'viewer'),
+    };
+};
+
+/**
+ * Check that the signed-in user may change an item: its owner and editors
+ * may, viewers may not (sync rejects their changes anyway)
+ * Returns an error message, or null when the change is allowed
+ * options.transaction: run inside a transaction
+ */
+const checkCanEdit = async (item, options = {}) => {
+    const { viewOnly } = await splitEditable([item], options);
+    return viewOnly.length > 0 ? VIEW_ONLY_ERROR : null;
+};
+
+module.exports = {
+    getItemShares,
+    shareItem,
+    unshareItem,
+    getSharingForItems,
+    copyLocalShares,
+    splitEditable,
+    checkCanEdit,
+    VIEW_ONLY_ERROR,
+};
@@ -0,0 +1,131 @@
+/**
+ * Stats Controller
+ * Productivity statistics for the dashboard, computed in SQL on SQLite (see
+ * database/itemStats.js) over the live items the signed-in user owns; items
+ * shared with them are left out
+ */
+
+const { getUserSqliteItemModel } = require('../database');
+const {
+    getActivityByPeriod,
+    countOpenByPriority,
+    getAverageCompletionMs,
+    countOverdue,
+} = require('../database/itemStats');
+const { requireOwnerId } = require('./authController');
+const { getWorkflow } = require('./workflowController');
+
+// Range shown when none is given: the last 30 days
+const DEFAULT_RANGE_DAYS = 30;
+// Most periods one range may cover
+const MAX_PERIODS = 366;
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/**
+ * Local start of the day or week (Monday) a date falls in
+ */
+const startOfPeriod = (date, groupBy) => {
+    const day = addDays(date, 0);
+    return groupBy === 'week' ? addDays(day, -((day.getDay() + 6) % 7)) : day;
+};
+
+/**
+ * Name a period by its first day, as SQLite's date() does ('YYYY-MM-DD')
+ */
+const formatDay = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+/**
+ * Every period starting in [from, to)
+ */
+const listPeriods = (from, to, groupBy) => {
+    const periods = [];
+    for (let start = from; start < to; start = addDays(start, groupBy === 'week' ? 7 : 1)) {
+        periods.push(formatDay(start));
+    }
+    return periods;
+};
+
+/**
+ * Resolve the requested range to whole periods
+ * from: start of its period; to: end of its day (exclusive)
+ * Returns { range } or { error }
+ */
+const resolveRange = (options = {}) => {
+    const groupBy = options.groupBy || 'day';
+    const now = new Date();
+    const to = addDays(options.to ? new Date(options.to) : now, 1);
+    const from = startOfPeriod(options.from ? new Date(options.from) : addDays(now, 1 - DEFAULT_RANGE_DAYS), groupBy);
+
+    if (from >= to) {
+        return { error: 'The range must end after it starts' };
+    }
+    const periods = listPeriods(from, to, groupBy);
+    if (periods.length > MAX_PERIODS) {
+        return { error: 'The range is too long; choose a shorter one or group by week' };
+    }
+    return { range: { from, to, groupBy }, periods };
+};
+
+/**
+ * Get the statistics for a range (options: { from, to, groupBy: 'day' | 'week' })
+ * - periods: [{ period, created, completed }], one per day or week
+ * - totals: items created and completed in the range
+ * - openByPriority: [{ key, name, color, count }], open items per priority
+ *   level of the user (now), lowest first
+ * - averageCompletionMs: average time from creation to completion of the
+ *   items completed in the range (null when none were)
+ * - overdue: { open: open items past due now, missed: items due in the
+ *   range that were not completed on time }
+ */
+const getStats = async (options = {}) => {
+    try {
+        const { range, periods, error } = resolveRange(options || {});
+        if (error) {
+            return { success: false, error };
+        }
+
+        const ownerId = requireOwnerId();
+        const Item = getUserSqliteItemModel(ownerId);
+        const where = { ownerId, isDeleted: false };
+
+        const activity = await getActivityByPeriod(Item, where, range);
+        const series = periods.map(period => ({
+            period,
+            created: activity.created.get(period) || 0,
+            completed: activity.completed.get(period) || 0,
+        }));
+        const openByPriority = await countOpenByPriority(Item, where);
+        const { priorities } = await getWorkflow(ownerId);
+
+        return {
+            success: true,
+            data: {
+                from: range.from,
+                to: range.to,
+                groupBy: range.groupBy,
+                periods: series,
+                totals: {
+                    created: series.reduce((sum, entry) => sum + entry.created, 0),
+                    completed: series.reduce((sum, entry) => sum + entry.completed, 0),
+                },
+                openByPriority: priorities.map(({ key, name, color }) => ({
+                    key, name, color, count: openByPriority[key] || 0,
+                })),
+                averageCompletionMs: await getAverageCompletionMs(Item, where, range),
+                overdue: await countOverdue(Item, where, range),
+            },
+        };
+    } catch (error) {
+        console.error('Error computing stats:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+module.exports = {
+    getStats,
+};
@@ -0,0 +1,352 @@
+/**
+ * Tag Controller
+ * Handles tag CRUD and item/tag assignments on SQLite (offline-first)
+ * Each user has their own tags (Tag.ownerId); tags and assignments are
+ * marked as 'pending' for sync to MSSQL
+ */
+
+const { Op } = require('sequelize');
+const { getUserSqliteItemModel, getSqliteTagModel, getSqliteItemTagModel } = require('../database');
+const { requireOwnerId } = require('./authController');
+const shareController = require('./shareController');
+
+/**
+ * Pick the public fields of a tag for the renderer
+ */
+const serializeTag = (tag) => ({
+    id: tag.id,
+    uuid: tag.uuid,
+    name: tag.name,
+    color: tag.color,
+    syncStatus: tag.syncStatus,
+});
+
+/**
+ * Get the signed-in user's tags (excluding soft-deleted), alphabetically
+ */
+const getAllTags = async () => {
+    try {
+        const Tag = getSqliteTagModel();
+        const tags = await Tag.findAll({
+            where: { ownerId: requireOwnerId(), isDeleted: false },
+            order: [['name', 'ASC']],
+        });
+        return { success: true, data: tags.map(serializeTag) };
+    } catch (error) {
+        console.error('Error fetching tags:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Find a live tag of the user with the same name (case-insensitive), optionally excluding one id
+ */
+const findTagByName = async (name, excludeId = null) => {
+    const Tag = getSqliteTagModel();
+    const tags = await Tag.findAll({
+        where: {
+            ownerId: requireOwnerId(),
+            isDeleted: false,
+            ...(excludeId ? { id: { [Op.ne]: excludeId } } : {}),
+        },
+    });
+    return tags.find(tag => tag.name.toLowerCase() === name.toLowerCase()) || null;
+};
+
+/**
+ * Create a new tag
+ */
+const createTag = async (tagData) => {
+    try {
+        const Tag = getSqliteTagModel();
+        const { name, color } = tagData || {};
+
+        if (!name || name.trim() === '') {
+            return { success: false, error: 'Tag name is required' };
+        }
+
+        if (await findTagByName(name.trim())) {
+            return { success: false, error: 'A tag with this name already exists' };
+        }
+
+        const tag = await Tag.create({
+            ownerId: requireOwnerId(),
+            name: name.trim(),
+            color: color || null,
+            syncStatus: 'pending',
+            isDeleted: false,
+        });
+
+        console.log('Tag created:', tag.id, '(pending sync)');
+        return { success: true, data: serializeTag(tag) };
+    } catch (error) {
+        console.error('Error creating tag:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Rename or recolour a tag
+ */
+const updateTag = async (id, tagData) => {
+    try {
+        const Tag = getSqliteTagModel();
+        const tag = await Tag.findOne({
+            where: { id, ownerId: requireOwnerId(), isDeleted: false },
+        });
+
+        if (!tag) {
+            return { success: false, error: 'Tag not found' };
+        }
+
+        const { name, color } = tagData || {};
+
+        if (name !== undefined) {
+            if (name.trim() === '') {
+                return { success: false, error: 'Tag name cannot be empty' };
+            }
+            if (await findTagByName(name.trim(), tag.id)) {
+                return { success: false, error: 'A tag with this name already exists' };
+            }
+            tag.name = name.trim();
+        }
+
+        if (color !== undefined) {
+            tag.color = color || null;
+        }
+
+        tag.syncStatus = 'pending';
+        await tag.save();
+
+        console.log('Tag updated:', tag.id, '(pending sync)');
+        return { success: true, data: serializeTag(tag) };
+    } catch (error) {
+        console.error('Error updating tag:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Delete a tag (soft delete for sync) and remove it from all items
+ */
+const deleteTag = async (id) => {
+    try {
+        const Tag = getSqliteTagModel();
+        const ItemTag = getSqliteItemTagModel();
+        const tag = await Tag.findOne({
+            where: { id, ownerId: requireOwnerId(), isDeleted: false },
+        });
+
+        if (!tag) {
+            return { success: false, error: 'Tag not found' };
+        }
+
+        await ItemTag.update(
+            { isDeleted: true, syncStatus: 'pending' },
+            { where: { tagUuid: tag.uuid, isDeleted: false } }
+        );
+        await tag.update({
+            isDeleted: true,
+            syncStatus: 'pending',
+        });
+
+        console.log('Tag soft-deleted:', id, '(pending sync)');
+        return { success: true, data: { id } };
+    } catch (error) {
+        console.error('Error deleting tag:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Get the signed-in user's live tags on many items at once
+ * Returns a Map of itemUuid -> [tag]
+ * options.transaction: run inside a transaction
+ */
+const getTagsForItemUuids = async (itemUuids, options = {}) => {
+    const { transaction } = options;
+    const Tag = getSqliteTagModel();
+    const ItemTag = getSqliteItemTagModel();
+    const tagsByItem = new Map(itemUuids.map(uuid => [uuid, []]));
+
+    if (itemUuids.length === 0) {
+        return tagsByItem;
+    }
+
+    const assignments = await ItemTag.findAll({
+        where: { itemUuid: { [Op.in]: itemUuids }, isDeleted: false },
+        transaction,
+    });
+    const tagUuids = [...new Set(assignments.map(a => a.tagUuid))];
+    const tags = tagUuids.length > 0
+        ? await Tag.findAll({
+            where: { uuid: { [Op.in]: tagUuids }, ownerId: requireOwnerId(), isDeleted: false },
+            order: [['name', 'ASC']],
+            transaction,
+        })
+        : [];
+    const tagsByUuid = new Map(tags.map(tag => [tag.uuid, serializeTag(tag)]));
+
+    for (const assignment of assignments) {
+        const tag = tagsByUuid.get(assignment.tagUuid);
+        if (tag) {
+            tagsByItem.get(assignment.itemUuid).push(tag);
+        }
+    }
+
+    return tagsByItem;
+};
+
+/**
+ * Add `tags` to serialized items
+ */
+const attachTags = async (items) => {
+    const tagsByItem = await getTagsForItemUuids(items.map(item => item.uuid));
+    return items.map(item => ({ ...item, tags: tagsByItem.get(item.uuid) || [] }));
+};
+
+/**
+ * Assign a tag to an item (restores a previously removed assignment)
+ */
+const assignTag = async (itemUuid, tagUuid, options = {}) => {
+    const { transaction } = options;
+    const ItemTag = getSqliteItemTagModel();
+    const existing = await ItemTag.findOne({ where: { itemUuid, tagUuid }, transaction });
+
+    if (existing) {
+        if (existing.isDeleted) {
+            await existing.update({ isDeleted: false, syncStatus: 'pending' }, { transaction });
+        }
+        return existing;
+    }
+
+    return await ItemTag.create({
+        itemUuid,
+        tagUuid,
+        syncStatus: 'pending',
+        isDeleted: false,
+    }, { transaction });
+};
+
+/**
+ * Remove a tag from an item (soft delete for sync)
+ */
+const unassignTag = async (itemUuid, tagUuid, options = {}) => {
+    const ItemTag = getSqliteItemTagModel();
+    await ItemTag.update(
+        { isDeleted: true, syncStatus: 'pending' },
+        { where: { itemUuid, tagUuid, isDeleted: false }, transaction: options.transaction }
+    );
+};
+
+/**
+ * Replace the signed-in user's tags on an item with the given tag uuids
+ * Tags of other users (on items shared with the user) are left as they are;
+ * only the assignments that actually change are marked pending
+ * options.transaction: run inside a transaction
+ */
+const setItemTags = async (itemUuid, tagUuids, options = {}) => {
+    const { transaction } = options;
+    const Tag = getSqliteTagModel();
+    const ItemTag = getSqliteItemTagModel();
+    const ownerId = requireOwnerId();
+
+    const wanted = [...new Set(tagUuids || [])];
+    const validTags = wanted.length > 0
+        ? await Tag.findAll({ where: { uuid: { [Op.in]: wanted }, ownerId, isDeleted: false }, transaction })
+        : [];
+    if (validTags.length !== wanted.length) {
+        throw new Error('Unknown tag');
+    }
+
+    const ownTags = await Tag.findAll({ where: { ownerId }, attributes: ['uuid'], transaction });
+    const ownUuids = new Set(ownTags.map(tag => tag.uuid));
+    const current = (await ItemTag.findAll({ where: { itemUuid, isDeleted: false }, transaction }))
+        .filter(assignment => ownUuids.has(assignment.tagUuid));
+    const currentUuids = new Set(current.map(a => a.tagUuid));
+
+    for (const assignment of current) {
+        if (!wanted.includes(assignment.tagUuid)) {
+            await unassignTag(itemUuid, assignment.tagUuid, { transaction });
+        }
+    }
+    for (const tagUuid of wanted) {
+        if (!currentUuids.has(tagUuid)) {
+            await assignTag(itemUuid, tagUuid, { transaction });
+        }
+    }
+};
+
+/**
+ * Resolve item and tag ids from the renderer to an item the user may change and their tag
+ * Returns { item, tag } or { error }
+ */
+const resolveAssignment = async (itemId, tagId) => {
+    const ownerId = requireOwnerId();
+    const Item = getUserSqliteItemModel(ownerId);
+    const Tag = getSqliteTagModel();
+    const item = await Item.findOne({ where: { id: itemId, isDeleted: false } });
+    if (!item) {
+        return { error: 'Item not found' };
+    }
+    const tag = await Tag.findOne({ where: { id: tagId, ownerId, isDeleted: false } });
+    if (!tag) {
+        return { error: 'Tag not found' };
+    }
+    const denied = await shareController.checkCanEdit(item);
+    return denied ? { error: denied } : { item, tag };
+};
+
+/**
+ * Add a tag to an item (by ids)
+ */
+const addTagToItem = async (itemId, tagId) => {
+    try {
+        const { item, tag, error } = await resolveAssignment(itemId, tagId);
+        if (error) {
+            return { success: false, error };
+        }
+
+        await assignTag(item.uuid, tag.uuid);
+        console.log('Tag assigned:', tag.id, '->', item.id, '(pending sync)');
+
+        const [data] = await attachTags([item.toJSON()]);
+        return { success: true, data };
+    } catch (error) {
+        console.error('Error assigning tag:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Remove a tag from an item (by ids)
+ */
+const removeTagFromItem = async (itemId, tagId) => {
+    try {
+        const { item, tag, error } = await resolveAssignment(itemId, tagId);
+        if (error) {
+            return { success: false, error };
+        }
+
+        await unassignTag(item.uuid, tag.uuid);
+        console.log('Tag unassigned:', tag.id, '->', item.id, '(pending sync)');
+
+        const [data] = await attachTags([item.toJSON()]);
+        return { success: true, data };
+    } catch (error) {
+        console.error('Error unassigning tag:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+module.exports = {
+    getAllTags,
+    createTag,
+    updateTag,
+    deleteTag,
+    getTagsForItemUuids,
+    attachTags,
+    setItemTags,
+    addTagToItem,
+    removeTagFromItem,
+};
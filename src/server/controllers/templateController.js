@@ -0,0 +1,266 @@
+/**
+ * Template Controller
+ * Handles item templates on SQLite (offline-first): items saved with their
+ * subtasks for reuse, with placeholders filled in when used (see
+ * utils/templatePlaceholders.js). Templates belong to the signed-in user and
+ * are marked as 'pending' for sync to MSSQL
+ */
+
+const { Op } = require('sequelize');
+const { getUserSqliteItemModel, getSqliteItemTemplateModel } = require('../database');
+const { requireOwnerId } = require('./authController');
+const itemController = require('./itemController');
+const { getWorkflow } = require('./workflowController');
+const { listPrompts, fillPlaceholders } = require('../utils/templatePlaceholders');
+
+// Most items (the item and its subtasks) one template may hold
+const MAX_TEMPLATE_ITEMS = 200;
+
+/**
+ * Parse a template's content; null if it cannot be read
+ */
+const parseContent = (template) => {
+    try {
+        return JSON.parse(template.content);
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * The items of a template's content, parents before their subtasks
+ */
+const flattenContent = (node) => [node, ...(node.subtasks || []).flatMap(flattenContent)];
+
+/**
+ * Pick the public fields of a template for the renderer
+ * prompts: the values asked for when it is used; itemCount: items it creates
+ */
+const serializeTemplate = (template) => {
+    const content = parseContent(template);
+    const items = content ? flattenContent(content) : [];
+    return {
+        id: template.id,
+        uuid: template.uuid,
+        name: template.name,
+        title: content?.title ?? null,
+        prompts: listPrompts(items.flatMap(item => [item.title, item.description])),
+        itemCount: items.length,
+        syncStatus: template.syncStatus,
+    };
+};
+
+/**
+ * Find one of the signed-in user's live templates
+ */
+const findTemplate = (id) => getSqliteItemTemplateModel().findOne({
+    where: { id, ownerId: requireOwnerId(), isDeleted: false },
+});
+
+/**
+ * Find a live template of the user with the same name (case-insensitive), optionally excluding one id
+ */
+const findTemplateByName = async (name, excludeId = null) => {
+    const templates = await getSqliteItemTemplateModel().findAll({
+        where: {
+            ownerId: requireOwnerId(),
+            isDeleted: false,
+            ...(excludeId ? { id: { [Op.ne]: excludeId } } : {}),
+        },
+    });
+    return templates.find(template => template.name.toLowerCase() === name.toLowerCase()) || null;
+};
+
+/**
+ * Capture an item and its live subtasks (in manual order) as template content
+ * Returns { content } or { error } (too many subtasks)
+ */
+const captureItemTree = async (Item, item) => {
+    let count = 0;
+    const capture = async (node) => {
+        count++;
+        if (count > MAX_TEMPLATE_ITEMS) {
+            return null;
+        }
+        const children = await Item.findAll({
+            where: { parentUuid: node.uuid, isDeleted: false },
+            order: [['position', 'ASC'], ['id', 'ASC']],
+        });
+        const subtasks = [];
+        for (const child of children) {
+            const captured = await capture(child);
+            if (!captured) {
+                return null;
+            }
+            subtasks.push(captured);
+        }
+        return {
+            title: node.title,
+            description: node.description,
+            priority: node.priority,
+            ...(subtasks.length > 0 ? { subtasks } : {}),
+        };
+    };
+
+    const content = await capture(item);
+    if (!content) {
+        return { error: `A template can hold at most ${MAX_TEMPLATE_ITEMS} items` };
+    }
+    return { content };
+};
+
+/**
+ * Get the user's templates (excluding soft-deleted), alphabetically
+ */
+const getAllTemplates = async () => {
+    try {
+        const templates = await getSqliteItemTemplateModel().findAll({
+            where: { ownerId: requireOwnerId(), isDeleted: false },
+            order: [['name', 'ASC']],
+        });
+        return { success: true, data: templates.map(serializeTemplate) };
+    } catch (error) {
+        console.error('Error fetching templates:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Save an item (with its subtasks) as a new template
+ */
+const createTemplateFromItem = async (itemId, templateData) => {
+    try {
+        const Item = getUserSqliteItemModel(requireOwnerId());
+        const item = await Item.findOne({ where: { id: itemId, isDeleted: false } });
+        if (!item) {
+            return { success: false, error: 'Item not found' };
+        }
+
+        const name = templateData.name.trim();
+        if (await findTemplateByName(name)) {
+            return { success: false, error: 'A template with this name already exists' };
+        }
+
+        const { content, error } = await captureItemTree(Item, item);
+        if (error) {
+            return { success: false, error };
+        }
+
+        const template = await getSqliteItemTemplateModel().create({
+            ownerId: requireOwnerId(),
+            name,
+            content: JSON.stringify(content),
+            syncStatus: 'pending',
+            isDeleted: false,
+        });
+
+        console.log('Template created:', template.id, '(pending sync)');
+        return { success: true, data: serializeTemplate(template) };
+    } catch (error) {
+        console.error('Error creating template:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Rename a template
+ */
+const updateTemplate = async (id, templateData) => {
+    try {
+        const template = await findTemplate(id);
+        if (!template) {
+            return { success: false, error: 'Template not found' };
+        }
+
+        const name = templateData.name.trim();
+        if (await findTemplateByName(name, template.id)) {
+            return { success: false, error: 'A template with this name already exists' };
+        }
+
+        template.name = name;
+        template.syncStatus = 'pending';
+        await template.save();
+
+        console.log('Template updated:', template.id, '(pending sync)');
+        return { success: true, data: serializeTemplate(template) };
+    } catch (error) {
+        console.error('Error updating template:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Delete a template (soft delete for sync); items created from it are kept
+ */
+const deleteTemplate = async (id) => {
+    try {
+        const template = await findTemplate(id);
+        if (!template) {
+            return { success: false, error: 'Template not found' };
+        }
+
+        await template.update({ isDeleted: true, syncStatus: 'pending' });
+
+        console.log('Template soft-deleted:', id, '(pending sync)');
+        return { success: true, data: { id } };
+    } catch (error) {
+        console.error('Error deleting template:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Create items from a template, filling in its placeholders
+ * options.values: { [prompt]: value } for each of its prompts
+ * options.listUuid: list to create the item in (null: inbox)
+ */
+const instantiateTemplate = async (id, options = {}) => {
+    try {
+        const template = await findTemplate(id);
+        if (!template) {
+            return { success: false, error: 'Template not found' };
+        }
+
+        const content = parseContent(template);
+        if (!content) {
+            return { success: false, error: 'This template cannot be read' };
+        }
+
+        const values = options.values || {};
+        const { prompts } = serializeTemplate(template);
+        const missing = prompts.find(prompt => typeof values[prompt] !== 'string');
+        if (missing) {
+            return { success: false, error: `Enter a value for ${missing}` };
+        }
+
+        const now = new Date();
+        // Items saved with a priority level removed since get the default one
+        const { priorities } = await getWorkflow();
+        const fill = (node) => ({
+            title: fillPlaceholders(node.title, values, now),
+            description: fillPlaceholders(node.description, values, now),
+            priority: priorities.some(level => level.key === node.priority) ? node.priority : undefined,
+            ...(node.subtasks ? { subtasks: node.subtasks.map(fill) } : {}),
+        });
+
+        const result = await itemController.createItemTree({
+            ...fill(content),
+            listUuid: options.listUuid || null,
+        });
+        if (result.success) {
+            console.log('Template used:', template.id);
+        }
+        return result;
+    } catch (error) {
+        console.error('Error using template:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+module.exports = {
+    getAllTemplates,
+    createTemplateFromItem,
+    updateTemplate,
+    deleteTemplate,
+    instantiateTemplate,
+};
@@ -0,0 +1,395 @@
+/**
+ * Time Entry Controller
+ * Handles time tracking on SQLite (offline-first): a timer per item that can
+ * be started and stopped, and entries added by hand. Entries belong to the
+ * signed-in user and are marked as 'pending' for sync to MSSQL
+ *
+ * Only one timer runs at a time: starting one stops the one running. Running
+ * timers are stored like any entry (without endedAt), so they keep running
+ * across restarts and show on the user's other devices once synced.
+ */
+
+const { Op } = require('sequelize');
+const {
+    getUserSqliteItemModel,
+    getSqliteTimeEntryModel,
+    getSqliteSequelize,
+} = require('../database');
+const { findRunningEntries } = require('../database/timeEntries');
+const { requireOwnerId } = require('./authController');
+const sessionService = require('../services/sessionService');
+const { toCsv } = require('../utils/csv');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/**
+ * Name a day 'YYYY-MM-DD' (local time)
+ */
+const formatDay = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+/**
+ * Local start of the week (Monday) a date falls in
+ */
+const startOfWeek = (date) => {
+    const day = addDays(date, 0);
+    return addDays(day, -((day.getDay() + 6) % 7));
+};
+
+/**
+ * Pick the public fields of an entry for the renderer
+ * durationMs: time tracked so far (up to now while running)
+ */
+const serializeEntry = (entry, item = null) => ({
+    id: entry.id,
+    uuid: entry.uuid,
+    itemUuid: entry.itemUuid,
+    itemId: item?.id ?? null,
+    itemTitle: item?.title ?? null,
+    startedAt: entry.startedAt,
+    endedAt: entry.endedAt,
+    running: !entry.endedAt,
+    durationMs: (entry.endedAt ? new Date(entry.endedAt) : new Date()) - new Date(entry.startedAt),
+    note: entry.note,
+    deviceName: entry.deviceName,
+    isCurrentDevice: entry.deviceId === sessionService.getDeviceId(),
+    syncStatus: entry.syncStatus,
+});
+
+/**
+ * Find a live item the signed-in user can see
+ */
+const findItem = (id) => getUserSqliteItemModel(requireOwnerId()).findOne({
+    where: { id, isDeleted: false },
+});
+
+/**
+ * Find one of the signed-in user's live entries
+ */
+const findEntry = (id) => getSqliteTimeEntryModel().findOne({
+    where: { id, ownerId: requireOwnerId(), isDeleted: false },
+});
+
+/**
+ * Check the times of an entry: it must end after it starts, and not in the future
+ * Returns an error message or null
+ */
+const checkTimes = (startedAt, endedAt) => {
+    if (endedAt && new Date(endedAt) <= new Date(startedAt)) {
+        return 'The end time must be after the start time';
+    }
+    if (new Date(startedAt) > new Date() || (endedAt && new Date(endedAt) > new Date())) {
+        return 'Time cannot be tracked in the future';
+    }
+    return null;
+};
+
+/**
+ * Get the user's running timer (null when none is), with its item
+ */
+const getRunningTimer = async () => {
+    try {
+        const [entry] = await findRunningEntries(getSqliteTimeEntryModel(), requireOwnerId());
+        if (!entry) {
+            return { success: true, data: null };
+        }
+        const item = await getUserSqliteItemModel(requireOwnerId()).findOne({ where: { uuid: entry.itemUuid } });
+        return { success: true, data: serializeEntry(entry, item) };
+    } catch (error) {
+        console.error('Error fetching running timer:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Start a timer on an item, stopping the one running (returned as stopped, or null)
+ */
+const startTimer = async (itemId) => {
+    try {
+        const item = await findItem(itemId);
+        if (!item) {
+            return { success: false, error: 'Item not found' };
+        }
+
+        const ownerId = requireOwnerId();
+        const TimeEntry = getSqliteTimeEntryModel();
+        const now = new Date();
+        const { entry, stopped } = await getSqliteSequelize().transaction(async (transaction) => {
+            const running = await findRunningEntries(TimeEntry, ownerId, { transaction });
+            if (running.some(entry => entry.itemUuid === item.uuid)) {
+                return { entry: null, stopped: [] };
+            }
+            for (const entry of running) {
+                await entry.update({ endedAt: now, syncStatus: 'pending' }, { transaction });
+            }
+            const entry = await TimeEntry.create({
+                itemUuid: item.uuid,
+                ownerId,
+                startedAt: now,
+                endedAt: null,
+                deviceId: sessionService.getDeviceId(),
+                deviceName: sessionService.getDeviceName(),
+                syncStatus: 'pending',
+                isDeleted: false,
+            }, { transaction });
+            return { entry, stopped: running };
+        });
+
+        if (!entry) {
+            return { success: false, error: 'A timer is already running on this item' };
+        }
+
+        console.log('Timer started:', entry.id, 'on item', item.id, '(pending sync)');
+        return {
+            success: true,
+            data: serializeEntry(entry, item),
+            stopped: stopped.length > 0 ? serializeEntry(stopped[0]) : null,
+        };
+    } catch (error) {
+        console.error('Error starting timer:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Stop the running timer
+ */
+const stopTimer = async () => {
+    try {
+        const [entry] = await findRunningEntries(getSqliteTimeEntryModel(), requireOwnerId());
+        if (!entry) {
+            return { success: false, error: 'No timer is running' };
+        }
+
+        await entry.update({ endedAt: new Date(), syncStatus: 'pending' });
+
+        console.log('Timer stopped:', entry.id, '(pending sync)');
+        return { success: true, data: serializeEntry(entry) };
+    } catch (error) {
+        console.error('Error stopping timer:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Get the user's entries on an item, newest first, with their total (totalMs)
+ */
+const getItemEntries = async (itemId) => {
+    try {
+        const item = await findItem(itemId);
+        if (!item) {
+            return { success: false, error: 'Item not found' };
+        }
+
+        const entries = await getSqliteTimeEntryModel().findAll({
+            where: { itemUuid: item.uuid, ownerId: requireOwnerId(), isDeleted: false },
+            order: [['startedAt', 'DESC']],
+        });
+        const data = entries.map(entry => serializeEntry(entry, item));
+        return { success: true, data, totalMs: data.reduce((sum, entry) => sum + entry.durationMs, 0) };
+    } catch (error) {
+        console.error('Error fetching time entries:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Add an entry by hand ({ startedAt, endedAt, note })
+ */
+const addTimeEntry = async (itemId, entryData) => {
+    try {
+        const item = await findItem(itemId);
+        if (!item) {
+            return { success: false, error: 'Item not found' };
+        }
+
+        const timesError = checkTimes(entryData.startedAt, entryData.endedAt);
+        if (timesError) {
+            return { success: false, error: timesError };
+        }
+
+        const entry = await getSqliteTimeEntryModel().create({
+            itemUuid: item.uuid,
+            ownerId: requireOwnerId(),
+            startedAt: new Date(entryData.startedAt),
+            endedAt: new Date(entryData.endedAt),
+            note: entryData.note?.trim() || null,
+            deviceId: sessionService.getDeviceId(),
+            deviceName: sessionService.getDeviceName(),
+            syncStatus: 'pending',
+            isDeleted: false,
+        });
+
+        console.log('Time entry added:', entry.id, 'on item', item.id, '(pending sync)');
+        return { success: true, data: serializeEntry(entry, item) };
+    } catch (error) {
+        console.error('Error adding time entry:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Update an entry (only the fields given change; an end time stops a running timer)
+ */
+const updateTimeEntry = async (id, entryData) => {
+    try {
+        const entry = await findEntry(id);
+        if (!entry) {
+            return { success: false, error: 'Time entry not found' };
+        }
+
+        const startedAt = entryData.startedAt !== undefined ? new Date(entryData.startedAt) : entry.startedAt;
+        const endedAt = entryData.endedAt !== undefined ? new Date(entryData.endedAt) : entry.endedAt;
+        const timesError = checkTimes(startedAt, endedAt);
+        if (timesError) {
+            return { success: false, error: timesError };
+        }
+
+        entry.startedAt = startedAt;
+        entry.endedAt = endedAt;
+        if (entryData.note !== undefined) {
+            entry.note = entryData.note?.trim() || null;
+        }
+        entry.syncStatus = 'pending';
+        await entry.save();
+
+        console.log('Time entry updated:', entry.id, '(pending sync)');
+        return { success: true, data: serializeEntry(entry) };
+    } catch (error) {
+        console.error('Error updating time entry:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Delete an entry (soft delete for sync)
+ */
+const deleteTimeEntry = async (id) => {
+    try {
+        const entry = await findEntry(id);
+        if (!entry) {
+            return { success: false, error: 'Time entry not found' };
+        }
+
+        await entry.update({ isDeleted: true, syncStatus: 'pending' });
+
+        console.log('Time entry soft-deleted:', id, '(pending sync)');
+        return { success: true, data: { id } };
+    } catch (error) {
+        console.error('Error deleting time entry:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Build the timesheet of the week (Monday to Sunday, local time) a date falls in
+ * Time is counted on the day it was tracked (entries over midnight are split)
+ * and up to now for the running timer
+ */
+const buildTimesheet = async (weekOf) => {
+    const from = startOfWeek(weekOf ? new Date(weekOf) : new Date());
+    const to = addDays(from, 7);
+    const days = [0, 1, 2, 3, 4, 5, 6].map(offset => addDays(from, offset));
+    const now = new Date();
+
+    const entries = await getSqliteTimeEntryModel().findAll({
+        where: {
+            ownerId: requireOwnerId(),
+            isDeleted: false,
+            startedAt: { [Op.lt]: to },
+            [Op.or]: [{ endedAt: null }, { endedAt: { [Op.gt]: from } }],
+        },
+    });
+    const items = await getUserSqliteItemModel(requireOwnerId()).findAll({
+        where: { uuid: { [Op.in]: [...new Set(entries.map(entry => entry.itemUuid))] } },
+    });
+    const itemsByUuid = new Map(items.map(item => [item.uuid, item]));
+
+    const rowsByUuid = new Map();
+    for (const entry of entries) {
+        const row = rowsByUuid.get(entry.itemUuid) || {
+            itemUuid: entry.itemUuid,
+            // Items deleted for good (or no longer shared) keep their time
+            title: itemsByUuid.get(entry.itemUuid)?.title ?? 'Unavailable item',
+            dayMs: days.map(() => 0),
+        };
+        const start = new Date(entry.startedAt);
+        const end = entry.endedAt ? new Date(entry.endedAt) : now;
+        days.forEach((day, index) => {
+            const overlap = Math.min(end, addDays(day, 1)) - Math.max(start, day);
+            if (overlap > 0) {
+                row.dayMs[index] += overlap;
+            }
+        });
+        rowsByUuid.set(entry.itemUuid, row);
+    }
+
+    const rows = [...rowsByUuid.values()]
+        .map(row => ({ ...row, totalMs: row.dayMs.reduce((sum, ms) => sum + ms, 0) }))
+        .filter(row => row.totalMs > 0)
+        .sort((a, b) => a.title.localeCompare(b.title));
+    const dayTotals = days.map((_day, index) => rows.reduce((sum, row) => sum + row.dayMs[index], 0));
+
+    return {
+        from,
+        to,
+        days: days.map(formatDay),
+        rows,
+        dayTotals,
+        totalMs: dayTotals.reduce((sum, ms) => sum + ms, 0),
+    };
+};
+
+/**
+ * Get the timesheet of a week (options: { weekOf: any date in it, default this week })
+ * Returns { from, to, days: ['YYYY-MM-DD' x7], rows: [{ itemUuid, title, dayMs, totalMs }],
+ * dayTotals, totalMs }
+ */
+const getTimesheet = async (options = {}) => {
+    try {
+        return { success: true, data: await buildTimesheet(options?.weekOf) };
+    } catch (error) {
+        console.error('Error building timesheet:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Get the timesheet of a week as CSV, in hours: { fileName, csv }
+ */
+const getTimesheetCsv = async (options = {}) => {
+    try {
+        const timesheet = await buildTimesheet(options?.weekOf);
+        const hours = (ms) => Math.round((ms / HOUR_MS) * 100) / 100;
+        const dayLabels = timesheet.days.map((day, index) => (
+            `${addDays(timesheet.from, index).toLocaleDateString('en-US', { weekday: 'short' })} ${day}`
+        ));
+
+        const csv = toCsv([
+            ['Item', ...dayLabels, 'Total'],
+            ...timesheet.rows.map(row => [row.title, ...row.dayMs.map(hours), hours(row.totalMs)]),
+            ['Total', ...timesheet.dayTotals.map(hours), hours(timesheet.totalMs)],
+        ]);
+        return { success: true, data: { fileName: `timesheet-${timesheet.days[0]}.csv`, csv } };
+    } catch (error) {
+        console.error('Error exporting timesheet:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+module.exports = {
+    getRunningTimer,
+    startTimer,
+    stopTimer,
+    getItemEntries,
+    addTimeEntry,
+    updateTimeEntry,
+    deleteTimeEntry,
+    getTimesheet,
+    getTimesheetCsv,
+};
@@ -0,0 +1,200 @@
+/**
+ * View Controller
+ * Handles saved views (named item queries, see utils/viewQuery.js) on SQLite
+ * (offline-first). Views belong to the signed-in user and are marked as
+ * 'pending' for sync to MSSQL
+ */
+
+const { Op } = require('sequelize');
+const { getUserSqliteItemModel, getSqliteSavedViewModel } = require('../database');
+const { buildFilterWhere } = require('../utils/itemQuery');
+const { requireOwnerId } = require('./authController');
+const { getWorkflow } = require('./workflowController');
+
+/**
+ * Pick the public fields of a view for the renderer
+ * count: number of live items the query matches (null if the query is invalid)
+ */
+const serializeView = (view, { count = null, error = null } = {}) => ({
+    id: view.id,
+    uuid: view.uuid,
+    name: view.name,
+    query: view.query,
+    count,
+    error,
+    syncStatus: view.syncStatus,
+});
+
+/**
+ * Count the signed-in user's live items matching a query
+ * workflow: the user's workflow (loaded when not given)
+ * Returns { count } or { error } (the query is invalid)
+ */
+const countMatches = async (query, workflow = null) => {
+    const resolvedWorkflow = workflow || await getWorkflow();
+    let conditions;
+    try {
+        conditions = buildFilterWhere({ query }, resolvedWorkflow, requireOwnerId());
+    } catch (error) {
+        return { error: error.message };
+    }
+    const Item = getUserSqliteItemModel(requireOwnerId());
+    return { count: await Item.count({ where: { [Op.and]: conditions } }) };
+};
+
+/**
+ * Find one of the signed-in user's live views
+ */
+const findView = (id) => getSqliteSavedViewModel().findOne({
+    where: { id, ownerId: requireOwnerId(), isDeleted: false },
+});
+
+/**
+ * Find a live view of the user with the same name (case-insensitive), optionally excluding one id
+ */
+const findViewByName = async (name, excludeId = null) => {
+    const views = await getSqliteSavedViewModel().findAll({
+        where: {
+            ownerId: requireOwnerId(),
+            isDeleted: false,
+            ...(excludeId ? { id: { [Op.ne]: excludeId } } : {}),
+        },
+    });
+    return views.find(view => view.name.toLowerCase() === name.toLowerCase()) || null;
+};
+
+/**
+ * Get the user's views (excluding soft-deleted), alphabetically, with their counts
+ */
+const getAllViews = async () => {
+    try {
+        const views = await getSqliteSavedViewModel().findAll({
+            where: { ownerId: requireOwnerId(), isDeleted: false },
+            order: [['name', 'ASC']],
+        });
+
+        const workflow = await getWorkflow();
+        const data = [];
+        for (const view of views) {
+            data.push(serializeView(view, await countMatches(view.query, workflow)));
+        }
+        return { success: true, data };
+    } catch (error) {
+        console.error('Error fetching views:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Check a query and count the items it matches (for previews while editing)
+ */
+const countViewItems = async (query) => {
+    try {
+        const { count, error } = await countMatches(query);
+        if (error) {
+            return { success: false, error };
+        }
+        return { success: true, data: { count } };
+    } catch (error) {
+        console.error('Error counting view items:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Create a new view (the query must be valid)
+ */
+const createView = async (viewData) => {
+    try {
+        const { name, query } = viewData;
+
+        if (await findViewByName(name.trim())) {
+            return { success: false, error: 'A view with this name already exists' };
+        }
+
+        const matches = await countMatches(query.trim());
+        if (matches.error) {
+            return { success: false, error: matches.error };
+        }
+
+        const view = await getSqliteSavedViewModel().create({
+            ownerId: requireOwnerId(),
+            name: name.trim(),
+            query: query.trim(),
+            syncStatus: 'pending',
+            isDeleted: false,
+        });
+
+        console.log('View created:', view.id, '(pending sync)');
+        return { success: true, data: serializeView(view, matches) };
+    } catch (error) {
+        console.error('Error creating view:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Rename a view or change its query
+ */
+const updateView = async (id, viewData) => {
+    try {
+        const view = await findView(id);
+        if (!view) {
+            return { success: false, error: 'View not found' };
+        }
+
+        const { name, query } = viewData;
+
+        if (name !== undefined) {
+            if (await findViewByName(name.trim(), view.id)) {
+                return { success: false, error: 'A view with this name already exists' };
+            }
+            view.name = name.trim();
+        }
+
+        if (query !== undefined) {
+            const { error } = await countMatches(query.trim());
+            if (error) {
+                return { success: false, error };
+            }
+            view.query = query.trim();
+        }
+
+        view.syncStatus = 'pending';
+        await view.save();
+
+        console.log('View updated:', view.id, '(pending sync)');
+        return { success: true, data: serializeView(view, await countMatches(view.query)) };
+    } catch (error) {
+        console.error('Error updating view:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Delete a view (soft delete for sync)
+ */
+const deleteView = async (id) => {
+    try {
+        const view = await findView(id);
+        if (!view) {
+            return { success: false, error: 'View not found' };
+        }
+
+        await view.update({ isDeleted: true, syncStatus: 'pending' });
+
+        console.log('View soft-deleted:', id, '(pending sync)');
+        return { success: true, data: { id } };
+    } catch (error) {
+        console.error('Error deleting view:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+module.exports = {
+    getAllViews,
+    countViewItems,
+    createView,
+    updateView,
+    deleteView,
+};
@@ -0,0 +1,288 @@
+/**
+ * Workflow Controller
+ * Handles the signed-in user's priority levels and workflow statuses on
+ * SQLite (offline-first), marked as 'pending' for sync to MSSQL
+ *
+ * - Users start with the built-in levels and statuses (DEFAULT_WORKFLOW);
+ *   saving either list stores it, whole and in order
+ * - Keys never change once created; new entries get a key made from their name
+ * - Items with a removed priority move to the default priority, items with a
+ *   removed status to the first status that is done (or open) like it was.
+ *   Items whose status starts or stops counting as done are completed or
+ *   reopened with it
+ */
+
+const { Op } = require('sequelize');
+const {
+    getUserSqliteItemModel,
+    getSqlitePriorityLevelModel,
+    getSqliteWorkflowStatusModel,
+    getSqliteSequelize,
+} = require('../database');
+const { getStatusFor } = require('../database/itemWorkflow');
+const { requireOwnerId } = require('./authController');
+const revisionController = require('./revisionController');
+const reminderService = require('../services/reminderService');
+const { DEFAULT_WORKFLOW, WORKFLOW_KEY_MAX_LENGTH } = require('../../shared/ipcSchemas');
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// The two lists of a workflow and how they are stored
+const KINDS = {
+    priorities: {
+        label: 'priority level',
+        getModel: getSqlitePriorityLevelModel,
+        itemField: 'priority',
+        flag: 'isDefault',
+    },
+    statuses: {
+        label: 'status',
+        getModel: getSqliteWorkflowStatusModel,
+        itemField: 'status',
+        flag: 'isDone',
+    },
+};
+
+/**
+ * Pick the public fields of a priority level or status for the renderer
+ */
+const serializeEntry = (row, flag) => ({
+    key: row.key,
+    name: row.name,
+    color: row.color,
+    [flag]: Boolean(row[flag]),
+});
+
+/**
+ * Get a user's priority levels (lowest first) and statuses (in workflow order)
+ * Returns { priorities, statuses }, the built-in lists standing in for a list
+ * the user has not saved yet
+ * options.transaction: run inside a transaction
+ */
+const getWorkflow = async (ownerId = requireOwnerId(), options = {}) => {
+    const workflow = {};
+    for (const [list, kind] of Object.entries(KINDS)) {
+        const rows = await kind.getModel().findAll({
+            where: { ownerId, isDeleted: false },
+            order: [['position', 'ASC'], ['key', 'ASC']],
+            transaction: options.transaction,
+        });
+        workflow[list] = rows.length > 0
+            ? rows.map(row => serializeEntry(row, kind.flag))
+            : DEFAULT_WORKFLOW[list];
+    }
+    return workflow;
+};
+
+/**
+ * The priority new items get
+ */
+const getDefaultPriority = (workflow) => (
+    workflow.priorities.find(level => level.isDefault) || workflow.priorities[0]
+).key;
+
+/**
+ * Check the priority and status given for an item against the workflow
+ * Values the item already has are accepted (an item shared by another user
+ * uses the owner's workflow). Returns an error message or null
+ */
+const checkItemWorkflow = (workflow, { priority, status }, item = null) => {
+    if (priority !== undefined && priority !== item?.priority
+        && !workflow.priorities.some(level => level.key === priority)) {
+        return `Unknown priority '${priority}'`;
+    }
+    if (status !== undefined && status !== item?.status
+        && !workflow.statuses.some(entry => entry.key === status)) {
+        return `Unknown status '${status}'`;
+    }
+    return null;
+};
+
+/**
+ * Make a key for a new entry from its name, unique among the taken keys
+ */
+const makeKey = (name, taken) => {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '')
+        .slice(0, WORKFLOW_KEY_MAX_LENGTH) || 'entry';
+    let key = base;
+    for (let suffix = 2; taken.has(key); suffix++) {
+        key = `${base.slice(0, WORKFLOW_KEY_MAX_LENGTH - String(suffix).length - 1)}_${suffix}`;
+    }
+    return key;
+};
+
+/**
+ * Check a list of entries being saved
+ * Returns an error message or null
+ */
+const checkEntries = (list, entries, current) => {
+    const { label } = KINDS[list];
+    const names = new Set();
+    const keys = new Set();
+
+    for (const entry of entries) {
+        const name = entry.name.trim();
+        if (names.has(name.toLowerCase())) {
+            return `Another ${label} is already named '${name}'`;
+        }
+        names.add(name.toLowerCase());
+
+        if (!COLOR_PATTERN.test(entry.color)) {
+            return `The colour of '${name}' must be like #3498db`;
+        }
+
+        if (entry.key) {
+            if (keys.has(entry.key) || !current.some(existing => existing.key === entry.key)) {
+                return `Unknown ${label} '${entry.key}'`;
+            }
+            keys.add(entry.key);
+        }
+    }
+
+    if (list === 'priorities' && entries.filter(entry => entry.isDefault).length !== 1) {
+        return 'Choose one priority level as the default';
+    }
+    if (list === 'statuses' && (!entries.some(entry => entry.isDone) || entries.every(entry => entry.isDone))) {
+        return 'The workflow needs at least one open status and one done status';
+    }
+    return null;
+};
+
+/**
+ * Move the user's items off a changed workflow list (see the module comment)
+ * Records a revision for each item changed; returns how many were
+ */
+const migrateItems = async (list, current, workflow, ownerId, transaction) => {
+    const { itemField } = KINDS[list];
+    const Item = getUserSqliteItemModel(ownerId);
+    const kept = new Map(workflow[list].map(entry => [entry.key, entry]));
+    const changed = current.filter(entry => !kept.has(entry.key)
+        || (list === 'statuses' && kept.get(entry.key).isDone !== entry.isDone));
+    if (changed.length === 0) {
+        return 0;
+    }
+
+    const items = await Item.findAll({
+        where: { ownerId, [itemField]: { [Op.in]: changed.map(entry => entry.key) } },
+        transaction,
+    });
+
+    for (const item of items) {
+        const before = await revisionController.captureItemState(item, null, { transaction });
+        if (list === 'priorities') {
+            item.priority = getDefaultPriority(workflow);
+        } else {
+            const previous = current.find(entry => entry.key === item.status);
+            const completed = kept.has(item.status) ? kept.get(item.status).isDone : previous.isDone;
+            if (!kept.has(item.status)) {
+                item.status = getStatusFor(workflow, completed).key;
+            }
+            if (Boolean(item.completed) !== completed) {
+                item.completed = completed;
+                item.completedAt = completed ? new Date() : null;
+            }
+        }
+        item.syncStatus = 'pending';
+        await item.save({ transaction });
+        await revisionController.recordRevision(
+            item.uuid, 'update', before,
+            await revisionController.captureItemState(item, null, { transaction }),
+            { transaction }
+        );
+    }
+    return items.length;
+};
+
+/**
+ * Save one list of the user's workflow (replacing it as a whole)
+ */
+const saveEntries = async (list, entries) => {
+    try {
+        const ownerId = requireOwnerId();
+        const kind = KINDS[list];
+        const Model = kind.getModel();
+        let workflow;
+        let movedCount = 0;
+
+        await getSqliteSequelize().transaction(async (transaction) => {
+            const current = (await getWorkflow(ownerId, { transaction }))[list];
+            const invalid = checkEntries(list, entries, current);
+            if (invalid) {
+                throw new Error(invalid);
+            }
+
+            const rows = await Model.findAll({ where: { ownerId }, transaction });
+            const taken = new Set(entries.filter(entry => entry.key).map(entry => entry.key));
+            const keys = [];
+
+            for (const [position, entry] of entries.entries()) {
+                const key = entry.key || makeKey(entry.name, taken);
+                taken.add(key);
+                keys.push(key);
+
+                const values = {
+                    name: entry.name.trim(),
+                    color: entry.color.toLowerCase(),
+                    position,
+                    [kind.flag]: Boolean(entry[kind.flag]),
+                    isDeleted: false,
+                    syncStatus: 'pending',
+                };
+                const row = rows.find(existing => existing.key === key);
+                if (row) {
+                    await row.update(values, { transaction });
+                } else {
+                    await Model.create({ ...values, ownerId, key }, { transaction });
+                }
+            }
+
+            for (const row of rows.filter(existing => !existing.isDeleted && !keys.includes(existing.key))) {
+                await row.update({ isDeleted: true, syncStatus: 'pending' }, { transaction });
+            }
+
+            workflow = await getWorkflow(ownerId, { transaction });
+            movedCount = await migrateItems(list, current, workflow, ownerId, transaction);
+        });
+
+        if (list === 'statuses' && movedCount > 0) {
+            reminderService.refresh();
+        }
+
+        console.log(`Saved ${entries.length} ${kind.label}(s), ${movedCount} item(s) changed (pending sync)`);
+        return { success: true, data: workflow, movedCount };
+    } catch (error) {
+        console.error(`Error saving ${list}:`, error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Get the signed-in user's workflow for the renderer
+ */
+const getWorkflowSettings = async () => {
+    try {
+        return { success: true, data: await getWorkflow() };
+    } catch (error) {
+        console.error('Error fetching workflow:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Save the user's priority levels, lowest first ([{ key?, name, color, isDefault }])
+ */
+const savePriorityLevels = (levels) => saveEntries('priorities', levels);
+
+/**
+ * Save the user's workflow statuses in order ([{ key?, name, color, isDone }])
+ */
+const saveStatuses = (statuses) => saveEntries('statuses', statuses);
+
+module.exports = {
+    getWorkflow,
+    getDefaultPriority,
+    checkItemWorkflow,
+    getWorkflowSettings,
+    savePriorityLevels,
+    saveStatuses,
+};
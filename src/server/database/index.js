@@ -10,18 +10,94 @@ const { Sequelize } = require('sequelize');
 const { getSqliteConfig, getMssqlConfig, getDbFolderPath, getEncryptionKey, isMssqlConfigured } = require('../config/dbConfig');
 const { defineItemModel } = require('./models/Item');
 const { defineSessionModel } = require('./models/Session');
+const { defineTagModel } = require('./models/Tag');
+const { defineItemTagModel } = require('./models/ItemTag');
+const { defineAttachmentModel } = require('./models/Attachment');
+const { defineAttachmentChunkModel } = require('./models/AttachmentChunk');
+const { defineItemRevisionModel } = require('./models/ItemRevision');
+const { defineCustomFieldModel } = require('./models/CustomField');
+const { defineItemFieldValueModel } = require('./models/ItemFieldValue');
+const { defineListModel } = require('./models/List');
+const { defineItemShareModel } = require('./models/ItemShare');
+const { defineSavedViewModel } = require('./models/SavedView');
+const { defineItemTemplateModel } = require('./models/ItemTemplate');
+const { defineItemDependencyModel } = require('./models/ItemDependency');
+const { defineTimeEntryModel } = require('./models/TimeEntry');
+const { definePriorityLevelModel } = require('./models/PriorityLevel');
+const { defineWorkflowStatusModel } = require('./models/WorkflowStatus');
+const { ensureItemSearchIndex } = require('./searchIndex');
+const { backfillItemPositions } = require('./itemOrder');
+const { backfillCompletedAt } = require('./itemStats');
+const { backfillItemStatus } = require('./itemWorkflow');
 
 // SQLite (local) instances
 let sqliteSequelize = null;
 let SqliteItem = null;
 let SqliteSession = null;
+let SqliteTag = null;
+let SqliteItemTag = null;
+let SqliteAttachment = null;
+let SqliteAttachmentChunk = null;
+let SqliteItemRevision = null;
+let SqliteCustomField = null;
+let SqliteItemFieldValue = null;
+let SqliteList = null;
+let SqliteItemShare = null;
+let SqliteSavedView = null;
+let SqliteItemTemplate = null;
+let SqliteItemDependency = null;
+let SqliteTimeEntry = null;
+let SqlitePriorityLevel = null;
+let SqliteWorkflowStatus = null;
 
 // MSSQL (remote) instances
 let mssqlSequelize = null;
 let MssqlItem = null;
 let MssqlSession = null;
+let MssqlTag = null;
+let MssqlItemTag = null;
+let MssqlAttachment = null;
+let MssqlAttachmentChunk = null;
+let MssqlItemRevision = null;
+let MssqlCustomField = null;
+let MssqlItemFieldValue = null;
+let MssqlList = null;
+let MssqlItemShare = null;
+let MssqlSavedView = null;
+let MssqlItemTemplate = null;
+let MssqlItemDependency = null;
+let MssqlTimeEntry = null;
+let MssqlPriorityLevel = null;
+let MssqlWorkflowStatus = null;
 let mssqlConnected = false;
 
+/**
+ * Define associations between models of one Sequelize instance
+ * Items and tags are linked by uuid through ItemTag. No foreign key
+ * constraints are created: sync may deliver an assignment before its
+ * item or tag, and deleted items are removed remotely before their tags.
+ */
+const defineAssociations = ({ Item, Tag, ItemTag }) => {
+    Item.belongsToMany(Tag, {
+        through: ItemTag,
+        as: 'tags',
+        foreignKey: 'itemUuid',
+        otherKey: 'tagUuid',
+        sourceKey: 'uuid',
+        targetKey: 'uuid',
+        constraints: false,
+    });
+    Tag.belongsToMany(Item, {
+        through: ItemTag,
+        as: 'items',
+        foreignKey: 'tagUuid',
+        otherKey: 'itemUuid',
+        sourceKey: 'uuid',
+        targetKey: 'uuid',
+        constraints: false,
+    });
+};
+
 /**
  * Initialize SQLite database with encryption (always available)
  * Uses SQLCipher for AES-256 encryption
@@ -46,15 +122,14 @@ const initializeSqlite = async () => {
         console.log('Database migration completed successfully');
     }
 
-    sqliteSequelize = new Sequelize(config);
+    // The key is passed as the password so Sequelize applies it (PRAGMA KEY)
+    // to every connection it opens, before any other database operation -
+    // including the separate connection each transaction runs on
+    sqliteSequelize = new Sequelize({ ...config, password: encryptionKey });
 
     try {
         await sqliteSequelize.authenticate();
         console.log('SQLite connection established');
-
-        // Apply encryption key using PRAGMA
-        // This must be done before any other database operations
-        await sqliteSequelize.query(`PRAGMA key = '${encryptionKey}'`);
         console.log('SQLite encryption key applied');
 
         // Set SQLCipher settings for optimal security
@@ -73,11 +148,39 @@ const initializeSqlite = async () => {
         // Define models for SQLite
         SqliteItem = defineItemModel(sqliteSequelize, { forMssql: false });
         SqliteSession = defineSessionModel(sqliteSequelize);
+        SqliteTag = defineTagModel(sqliteSequelize, { forMssql: false });
+        SqliteItemTag = defineItemTagModel(sqliteSequelize, { forMssql: false });
+        SqliteAttachment = defineAttachmentModel(sqliteSequelize, { forMssql: false });
+        SqliteAttachmentChunk = defineAttachmentChunkModel(sqliteSequelize);
+        SqliteItemRevision = defineItemRevisionModel(sqliteSequelize, { forMssql: false });
+        SqliteCustomField = defineCustomFieldModel(sqliteSequelize, { forMssql: false });
+        SqliteItemFieldValue = defineItemFieldValueModel(sqliteSequelize, { forMssql: false });
+        SqliteList = defineListModel(sqliteSequelize, { forMssql: false });
+        SqliteItemShare = defineItemShareModel(sqliteSequelize, { forMssql: false });
+        SqliteSavedView = defineSavedViewModel(sqliteSequelize, { forMssql: false });
+        SqliteItemTemplate = defineItemTemplateModel(sqliteSequelize, { forMssql: false });
+        SqliteItemDependency = defineItemDependencyModel(sqliteSequelize, { forMssql: false });
+        SqliteTimeEntry = defineTimeEntryModel(sqliteSequelize, { forMssql: false });
+        SqlitePriorityLevel = definePriorityLevelModel(sqliteSequelize, { forMssql: false });
+        SqliteWorkflowStatus = defineWorkflowStatusModel(sqliteSequelize, { forMssql: false });
+        defineAssociations({ Item: SqliteItem, Tag: SqliteTag, ItemTag: SqliteItemTag });
 
         // Sync tables (use alter to preserve existing data while updating schema)
         await sqliteSequelize.sync({ alter: true });
         console.log('SQLite synchronized');
 
+        // Full-text search index (alter may have dropped its triggers)
+        await ensureItemSearchIndex(sqliteSequelize);
+
+        // Items created before manual ordering existed get a position
+        await backfillItemPositions(SqliteItem);
+
+        // Items completed before completion times were recorded get one
+        await backfillCompletedAt(SqliteItem);
+
+        // Items from before workflow statuses existed get one from their completion
+        await backfillItemStatus(SqliteItem);
+
         return sqliteSequelize;
     } catch (error) {
         console.error('SQLite initialization failed:', error);
@@ -93,6 +196,39 @@ let mssqlUnavailableReason = null;
  */
 const getMssqlUnavailableReason = () => mssqlUnavailableReason;
 
+/**
+ * Add columns that exist on a model but not yet in its table
+ * sync({ force: false }) only creates missing tables, so fields added to a
+ * model after its MSSQL table was created would otherwise be missing remotely
+ */
+const addMissingColumns = async (sequelize) => {
+    const queryInterface = sequelize.getQueryInterface();
+
+    for (const model of Object.values(sequelize.models)) {
+        const tableName = model.getTableName();
+        const columns = await queryInterface.describeTable(tableName);
+
+        for (const attribute of Object.values(model.getAttributes())) {
+            if (columns[attribute.field]) continue;
+
+            // Function defaults (e.g. uuid generators) only exist in JavaScript
+            const defaultValue = typeof attribute.defaultValue === 'function' ? undefined : attribute.defaultValue;
+
+            if (attribute.allowNull === false && defaultValue === undefined) {
+                console.warn(`MSSQL column ${tableName}.${attribute.field} is missing and cannot be added automatically`);
+                continue;
+            }
+
+            await queryInterface.addColumn(tableName, attribute.field, {
+                type: attribute.type,
+                allowNull: attribute.allowNull !== false,
+                defaultValue,
+            });
+            console.log(`Added MSSQL column ${tableName}.${attribute.field}`);
+        }
+    }
+};
+
 /**
  * Initialize MSSQL database (when online and configured)
  */
@@ -151,12 +287,30 @@ const initializeMssql = async () => {
         // Define models for MSSQL
         MssqlItem = defineItemModel(mssqlSequelize, { forMssql: true });
         MssqlSession = defineSessionModel(mssqlSequelize);
+        MssqlTag = defineTagModel(mssqlSequelize, { forMssql: true });
+        MssqlItemTag = defineItemTagModel(mssqlSequelize, { forMssql: true });
+        MssqlAttachment = defineAttachmentModel(mssqlSequelize, { forMssql: true });
+        MssqlAttachmentChunk = defineAttachmentChunkModel(mssqlSequelize);
+        MssqlItemRevision = defineItemRevisionModel(mssqlSequelize, { forMssql: true });
+        MssqlCustomField = defineCustomFieldModel(mssqlSequelize, { forMssql: true });
+        MssqlItemFieldValue = defineItemFieldValueModel(mssqlSequelize, { forMssql: true });
+        MssqlList = defineListModel(mssqlSequelize, { forMssql: true });
+        MssqlItemShare = defineItemShareModel(mssqlSequelize, { forMssql: true });
+        MssqlSavedView = defineSavedViewModel(mssqlSequelize, { forMssql: true });
+        MssqlItemTemplate = defineItemTemplateModel(mssqlSequelize, { forMssql: true });
+        MssqlItemDependency = defineItemDependencyModel(mssqlSequelize, { forMssql: true });
+        MssqlTimeEntry = defineTimeEntryModel(mssqlSequelize, { forMssql: true });
+        MssqlPriorityLevel = definePriorityLevelModel(mssqlSequelize, { forMssql: true });
+        MssqlWorkflowStatus = defineWorkflowStatusModel(mssqlSequelize, { forMssql: true });
+        defineAssociations({ Item: MssqlItem, Tag: MssqlTag, ItemTag: MssqlItemTag });
 
         // Sync tables for MSSQL
         // Note: MSSQL doesn't support ALTER COLUMN with UNIQUE constraint
         // Use force: false to create tables if they don't exist, without altering
-        // For schema changes, use migrations or manually update the database
+        // New nullable columns are added to existing tables below; for any other
+        // schema changes, use migrations or manually update the database
         await mssqlSequelize.sync({ force: false });
+        await addMissingColumns(mssqlSequelize);
         console.log('MSSQL synchronized');
 
         mssqlConnected = true;
@@ -240,6 +394,14 @@ const getMssqlSequelize = () => mssqlSequelize;
  */
 const getSqliteItemModel = () => SqliteItem;
 
+/**
+ * Get the SQLite Item model limited to the items a user owns or that are
+ * shared with them
+ * Applies to finds, counts, updates and deletes; items created through it
+ * still need their ownerId set
+ */
+const getUserSqliteItemModel = (userId) => SqliteItem.scope({ method: ['visibleTo', userId] });
+
 /**
  * Get MSSQL Item model
  */
@@ -255,6 +417,156 @@ const getSqliteSessionModel = () => SqliteSession;
  */
 const getMssqlSessionModel = () => MssqlSession;
 
+/**
+ * Get SQLite Tag model
+ */
+const getSqliteTagModel = () => SqliteTag;
+
+/**
+ * Get MSSQL Tag model
+ */
+const getMssqlTagModel = () => MssqlTag;
+
+/**
+ * Get SQLite ItemTag (item/tag assignment) model
+ */
+const getSqliteItemTagModel = () => SqliteItemTag;
+
+/**
+ * Get MSSQL ItemTag (item/tag assignment) model
+ */
+const getMssqlItemTagModel = () => MssqlItemTag;
+
+/**
+ * Get SQLite Attachment model
+ */
+const getSqliteAttachmentModel = () => SqliteAttachment;
+
+/**
+ * Get MSSQL Attachment model
+ */
+const getMssqlAttachmentModel = () => MssqlAttachment;
+
+/**
+ * Get SQLite AttachmentChunk (attachment contents) model
+ */
+const getSqliteAttachmentChunkModel = () => SqliteAttachmentChunk;
+
+/**
+ * Get MSSQL AttachmentChunk (attachment contents) model
+ */
+const getMssqlAttachmentChunkModel = () => MssqlAttachmentChunk;
+
+/**
+ * Get SQLite ItemRevision (item history) model
+ */
+const getSqliteItemRevisionModel = () => SqliteItemRevision;
+
+/**
+ * Get MSSQL ItemRevision (item history) model
+ */
+const getMssqlItemRevisionModel = () => MssqlItemRevision;
+
+/**
+ * Get SQLite CustomField (field definition) model
+ */
+const getSqliteCustomFieldModel = () => SqliteCustomField;
+
+/**
+ * Get MSSQL CustomField (field definition) model
+ */
+const getMssqlCustomFieldModel = () => MssqlCustomField;
+
+/**
+ * Get SQLite ItemFieldValue (custom field value) model
+ */
+const getSqliteItemFieldValueModel = () => SqliteItemFieldValue;
+
+/**
+ * Get MSSQL ItemFieldValue (custom field value) model
+ */
+const getMssqlItemFieldValueModel = () => MssqlItemFieldValue;
+
+/**
+ * Get SQLite List model
+ */
+const getSqliteListModel = () => SqliteList;
+
+/**
+ * Get MSSQL List model
+ */
+const getMssqlListModel = () => MssqlList;
+
+/**
+ * Get SQLite ItemShare (local copy of item shares) model
+ */
+const getSqliteItemShareModel = () => SqliteItemShare;
+
+/**
+ * Get MSSQL ItemShare (item access list) model
+ */
+const getMssqlItemShareModel = () => MssqlItemShare;
+
+/**
+ * Get SQLite SavedView model
+ */
+const getSqliteSavedViewModel = () => SqliteSavedView;
+
+/**
+ * Get MSSQL SavedView model
+ */
+const getMssqlSavedViewModel = () => MssqlSavedView;
+
+/**
+ * Get SQLite ItemTemplate model
+ */
+const getSqliteItemTemplateModel = () => SqliteItemTemplate;
+
+/**
+ * Get MSSQL ItemTemplate model
+ */
+const getMssqlItemTemplateModel = () => MssqlItemTemplate;
+
+/**
+ * Get SQLite ItemDependency (item blocked by item) model
+ */
+const getSqliteItemDependencyModel = () => SqliteItemDependency;
+
+/**
+ * Get MSSQL ItemDependency (item blocked by item) model
+ */
+const getMssqlItemDependencyModel = () => MssqlItemDependency;
+
+/**
+ * Get SQLite TimeEntry model
+ */
+const getSqliteTimeEntryModel = () => SqliteTimeEntry;
+
+/**
+ * Get MSSQL TimeEntry model
+ */
+const getMssqlTimeEntryModel = () => MssqlTimeEntry;
+
+/**
+ * Get SQLite PriorityLevel model
+ */
+const getSqlitePriorityLevelModel = () => SqlitePriorityLevel;
+
+/**
+ * Get MSSQL PriorityLevel model
+ */
+const getMssqlPriorityLevelModel = () => MssqlPriorityLevel;
+
+/**
+ * Get SQLite WorkflowStatus model
+ */
+const getSqliteWorkflowStatusModel = () => SqliteWorkflowStatus;
+
+/**
+ * Get MSSQL WorkflowStatus model
+ */
+const getMssqlWorkflowStatusModel = () => MssqlWorkflowStatus;
+
 /**
  * Check if MSSQL is connected
  */
@@ -268,6 +580,21 @@ const closeDatabase = async () => {
         await sqliteSequelize.close();
         sqliteSequelize = null;
         SqliteItem = null;
+        SqliteTag = null;
+        SqliteItemTag = null;
+        SqliteAttachment = null;
+        SqliteAttachmentChunk = null;
+        SqliteItemRevision = null;
+        SqliteCustomField = null;
+        SqliteItemFieldValue = null;
+        SqliteList = null;
+        SqliteItemShare = null;
+        SqliteSavedView = null;
+        SqliteItemTemplate = null;
+        SqliteItemDependency = null;
+        SqliteTimeEntry = null;
+        SqlitePriorityLevel = null;
+        SqliteWorkflowStatus = null;
         console.log('SQLite connection closed');
     }
 
@@ -275,6 +602,21 @@ const closeDatabase = async () => {
         await mssqlSequelize.close();
         mssqlSequelize = null;
         MssqlItem = null;
+        MssqlTag = null;
+        MssqlItemTag = null;
+        MssqlAttachment = null;
+        MssqlAttachmentChunk = null;
+        MssqlItemRevision = null;
+        MssqlCustomField = null;
+        MssqlItemFieldValue = null;
+        MssqlList = null;
+        MssqlItemShare = null;
+        MssqlSavedView = null;
+        MssqlItemTemplate = null;
+        MssqlItemDependency = null;
+        MssqlTimeEntry = null;
+        MssqlPriorityLevel = null;
+        MssqlWorkflowStatus = null;
         mssqlConnected = false;
         console.log('MSSQL connection closed');
     }
@@ -289,9 +631,40 @@ module.exports = {
     getSqliteSequelize,
     getMssqlSequelize,
     getSqliteItemModel,
+    getUserSqliteItemModel,
     getMssqlItemModel,
     getSqliteSessionModel,
     getMssqlSessionModel,
+    getSqliteTagModel,
+    getMssqlTagModel,
+    getSqliteItemTagModel,
+    getMssqlItemTagModel,
+    getSqliteAttachmentModel,
+    getMssqlAttachmentModel,
+    getSqliteAttachmentChunkModel,
+    getMssqlAttachmentChunkModel,
+    getSqliteItemRevisionModel,
+    getMssqlItemRevisionModel,
+    getSqliteCustomFieldModel,
+    getMssqlCustomFieldModel,
+    getSqliteItemFieldValueModel,
+    getMssqlItemFieldValueModel,
+    getSqliteListModel,
+    getMssqlListModel,
+    getSqliteItemShareModel,
+    getMssqlItemShareModel,
+    getSqliteSavedViewModel,
+    getMssqlSavedViewModel,
+    getSqliteItemTemplateModel,
+    getMssqlItemTemplateModel,
+    getSqliteItemDependencyModel,
+    getMssqlItemDependencyModel,
+    getSqliteTimeEntryModel,
+    getMssqlTimeEntryModel,
+    getSqlitePriorityLevelModel,
+    getMssqlPriorityLevelModel,
+    getSqliteWorkflowStatusModel,
+    getMssqlWorkflowStatusModel,
     isMssqlConnected,
     getMssqlUnavailableReason,
     closeDatabase,
@@ -0,0 +1,37 @@
+/**
+ * Item Dependency Queries (SQLite)
+ *
+ * Dependencies ("blocked by", see models/ItemDependency.js) must not form a
+ * cycle. The check follows blockers with a recursive CTE using UNION (not
+ * UNION ALL), so a cycle created by concurrent changes on two devices
+ * terminates instead of recursing forever.
+ */
+
+/**
+ * Whether making itemUuid blocked by blockedByUuid would create a cycle:
+ * the blocker is the item itself, or is (transitively) blocked by it
+ * options.transaction: run inside a transaction
+ */
+const wouldCreateCycle = async (sequelize, itemUuid, blockedByUuid, options = {}) => {
+    if (itemUuid === blockedByUuid) {
+        return true;
+    }
+
+    const [rows] = await sequelize.query(`
+        WITH RECURSIVE blockers(uuid) AS (
+            SELECT blocked_by_uuid FROM item_dependencies
+            WHERE item_uuid = :blockedByUuid AND is_deleted = 0
+            UNION
+            SELECT item_dependencies.blocked_by_uuid FROM item_dependencies
+            JOIN blockers ON item_dependencies.item_uuid = blockers.uuid
+            WHERE item_dependencies.is_deleted = 0
+        )
+        SELECT 1 AS found FROM blockers WHERE uuid = :itemUuid LIMIT 1`,
+        { replacements: { itemUuid, blockedByUuid }, transaction: options.transaction }
+    );
+    return rows.length > 0;
+};
+
+module.exports = {
+    wouldCreateCycle,
+};
@@ -0,0 +1,77 @@
+/**
+ * Item Order Queries (SQLite)
+ *
+ * Items are ordered manually by Item.position, a fractional index key (see
+ * utils/orderKey.js) shared by all items, so the keys of one sibling group
+ * interleave with those of others. New top-level items go first, new
+ * subtasks go after their last sibling.
+ */
+
+const { Op, fn, col } = require('sequelize');
+const { generateNKeysBetween } = require('../utils/orderKey');
+
+/**
+ * Smallest or largest position among live items matching a where clause
+ */
+const getPositionBound = async (Item, bound, where, options = {}) => {
+    const value = await Item.findOne({
+        attributes: [[fn(bound, col('position')), 'bound']],
+        where: { isDeleted: false, position: { [Op.ne]: null }, ...where },
+        raw: true,
+        transaction: options.transaction,
+    });
+    return value?.bound ?? null;
+};
+
+/**
+ * Generate positions for count new items under parentUuid (null: top level)
+ * options.transaction: run inside a transaction
+ */
+const getNewItemPositions = async (Item, parentUuid, count, options = {}) => {
+    if (parentUuid) {
+        const last = await getPositionBound(Item, 'MAX', { parentUuid }, options);
+        return generateNKeysBetween(last, null, count);
+    }
+    const first = await getPositionBound(Item, 'MIN', {}, options);
+    return generateNKeysBetween(null, first, count);
+};
+
+/**
+ * Smallest position after `position` among an item's live siblings
+ * (the next distinct key, used when neighbours share a key)
+ */
+const getNextSiblingPosition = async (Item, item, position, options = {}) => (
+    getPositionBound(Item, 'MIN', {
+        parentUuid: item.parentUuid,
+        uuid: { [Op.ne]: item.uuid },
+        position: { [Op.gt]: position },
+    }, options)
+);
+
+/**
+ * Give items without a position (created before manual ordering, or pulled
+ * without one) positions after all others, newest first like the old order
+ * Written without marking items pending; the keys sync with the next change
+ */
+const backfillItemPositions = async (Item) => {
+    const unordered = await Item.findAll({
+        where: { position: null },
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+    });
+    if (unordered.length === 0) {
+        return 0;
+    }
+
+    const last = await getPositionBound(Item, 'MAX', {});
+    const keys = generateNKeysBetween(last, null, unordered.length);
+    for (const [index, item] of unordered.entries()) {
+        await item.update({ position: keys[index] }, { silent: true });
+    }
+    return unordered.length;
+};
+
+module.exports = {
+    getNewItemPositions,
+    getNextSiblingPosition,
+    backfillItemPositions,
+};
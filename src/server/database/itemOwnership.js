@@ -0,0 +1,56 @@
+/**
+ * Item Ownership
+ *
+ * Items belong to the user who created them (Item.ownerId, the MSAL
+ * homeAccountId). Items from before ownership existed have no owner and are
+ * claimed by the first user who signs in on the device holding them (locally),
+ * then by that user when the device syncs (in MSSQL). Lists, tags and custom
+ * fields from before they had owners are claimed the same way.
+ */
+
+const { Op } = require('sequelize');
+
+/**
+ * Give every row of a model without an owner to ownerId
+ * uuids: only claim the rows with these uuids (all unowned rows when null)
+ * Written silently: claiming a row is not an edit, so it must not win
+ * last-write-wins against changes made on other devices
+ * Returns the number of rows claimed
+ */
+const claimUnowned = async (Model, ownerId, label, uuids = null) => {
+    if (!Model || !ownerId || uuids?.length === 0) {
+        return 0;
+    }
+    const where = uuids ? { ownerId: null, uuid: { [Op.in]: uuids } } : { ownerId: null };
+    const [count] = await Model.update(
+        { ownerId },
+        { where, silent: true }
+    );
+    if (count > 0) {
+        console.log(`Claimed ${count} unowned ${label}(s) for the signed-in user`);
+    }
+    return count;
+};
+
+/**
+ * Give every item without an owner (of uuids, when given) to ownerId
+ * Returns the number of items claimed
+ */
+const claimUnownedItems = (Item, ownerId, uuids = null) => claimUnowned(Item, ownerId, 'item', uuids);
+
+/**
+ * Give every list, tag and custom field without an owner to ownerId
+ * models: { List, Tag, CustomField } of one database
+ * uuids: { List, Tag, CustomField } of the rows to claim (all unowned rows of
+ * a model that is left out)
+ */
+const claimUnownedRecords = async ({ List, Tag, CustomField }, ownerId, uuids = {}) => {
+    await claimUnowned(List, ownerId, 'list', uuids.List);
+    await claimUnowned(Tag, ownerId, 'tag', uuids.Tag);
+    await claimUnowned(CustomField, ownerId, 'custom field', uuids.CustomField);
+};
+
+module.exports = {
+    claimUnownedItems,
+    claimUnownedRecords,
+};
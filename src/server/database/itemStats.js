@@ -0,0 +1,116 @@
+/**
+ * Item Statistics Queries (SQLite)
+ *
+ * Aggregates for the productivity dashboard, computed in SQL over the live
+ * items matching a where clause. Days and weeks (which start on Monday) are
+ * in local time and named by their first day ('YYYY-MM-DD').
+ */
+
+const { Op, fn, col, literal } = require('sequelize');
+
+// Milliseconds between two stored dates
+const DURATION_MS = '(julianday(completed_at) - julianday(created_at)) * 86400000';
+
+/**
+ * SQL naming the local day or week (its Monday) of a date column
+ */
+const periodOf = (column, groupBy) => (groupBy === 'week'
+    ? `date(${column}, 'localtime', '-6 days', 'weekday 1')`
+    : `date(${column}, 'localtime')`);
+
+/**
+ * Count items per period of a date column, within [from, to)
+ * Returns Map(period -> count); periods without items are left out
+ */
+const countByPeriod = async (Item, where, attribute, column, { from, to, groupBy }) => {
+    const rows = await Item.findAll({
+        attributes: [
+            [literal(periodOf(column, groupBy)), 'period'],
+            [fn('COUNT', col('id')), 'count'],
+        ],
+        where: { ...where, [attribute]: { [Op.gte]: from, [Op.lt]: to } },
+        group: [literal(periodOf(column, groupBy))],
+        raw: true,
+    });
+    return new Map(rows.map(row => [row.period, Number(row.count)]));
+};
+
+/**
+ * Items created and completed per period within [from, to)
+ * Returns { created, completed }, each a Map(period -> count)
+ */
+const getActivityByPeriod = async (Item, where, range) => ({
+    created: await countByPeriod(Item, where, 'createdAt', 'created_at', range),
+    completed: await countByPeriod(Item, { ...where, completed: true }, 'completedAt', 'completed_at', range),
+});
+
+/**
+ * Open items per priority: { [priority]: count }
+ */
+const countOpenByPriority = async (Item, where) => {
+    const rows = await Item.findAll({
+        attributes: ['priority', [fn('COUNT', col('id')), 'count']],
+        where: { ...where, completed: false },
+        group: ['priority'],
+        raw: true,
+    });
+    return Object.fromEntries(rows.map(row => [row.priority, Number(row.count)]));
+};
+
+/**
+ * Average time from creation to completion of the items completed within
+ * [from, to), in milliseconds (null when none were)
+ */
+const getAverageCompletionMs = async (Item, where, { from, to }) => {
+    const row = await Item.findOne({
+        attributes: [[fn('AVG', literal(DURATION_MS)), 'average']],
+        where: { ...where, completed: true, completedAt: { [Op.gte]: from, [Op.lt]: to } },
+        raw: true,
+    });
+    return row?.average === null || row?.average === undefined ? null : Math.round(Number(row.average));
+};
+
+/**
+ * Overdue counts
+ * open: open items past their due date now
+ * missed: items due within [from, to) (and before now) that were not
+ * completed by their due date - still open, or completed late
+ */
+const countOverdue = async (Item, where, { from, to }, now = new Date()) => {
+    const open = await Item.count({
+        where: { ...where, completed: false, dueAt: { [Op.lt]: now } },
+    });
+    const missed = await Item.count({
+        where: {
+            ...where,
+            dueAt: { [Op.gte]: from, [Op.lt]: to < now ? to : now },
+            [Op.or]: [
+                { completed: false },
+                literal('julianday(completed_at) > julianday(due_at)'),
+            ],
+        },
+    });
+    return { open, missed };
+};
+
+/**
+ * Give completed items without a completion time (completed before it was
+ * recorded, or pulled from devices that did not record it) their last update
+ * time, the closest known value
+ * Written without marking items pending, like backfillItemPositions
+ */
+const backfillCompletedAt = async (Item) => {
+    const [count] = await Item.update(
+        { completedAt: col('updated_at') },
+        { where: { completed: true, completedAt: null }, silent: true }
+    );
+    return count;
+};
+
+module.exports = {
+    getActivityByPeriod,
+    countOpenByPriority,
+    getAverageCompletionMs,
+    countOverdue,
+    backfillCompletedAt,
+};
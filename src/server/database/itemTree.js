@@ -0,0 +1,105 @@
+/**
+ * Item Hierarchy Queries (SQLite)
+ *
+ * Items form a tree through parentUuid. The subtree queries use recursive
+ * CTEs with UNION (not UNION ALL), so a cycle created by concurrent moves on
+ * two devices terminates instead of recursing forever.
+ *
+ * A child may reference a parent that has not been pulled yet (or was
+ * deleted on another device); such orphans are treated as top-level items.
+ */
+
+const { Op, Sequelize } = require('sequelize');
+
+/**
+ * Condition matching top-level items: no parent, or a parent that is not
+ * (or no longer) present locally
+ */
+const topLevelCondition = () => ({
+    [Op.or]: [
+        { parentUuid: null },
+        {
+            parentUuid: {
+                [Op.notIn]: Sequelize.literal('(SELECT uuid FROM items WHERE is_deleted = 0)'),
+            },
+        },
+    ],
+});
+
+/**
+ * Get the uuids of all live descendants of an item
+ * options.transaction: run inside a transaction
+ */
+const getDescendantUuids = async (sequelize, uuid, options = {}) => {
+    const [rows] = await sequelize.query(`
+        WITH RECURSIVE subtree(uuid) AS (
+            SELECT uuid FROM items WHERE parent_uuid = :uuid AND is_deleted = 0
+            UNION
+            SELECT items.uuid FROM items
+            JOIN subtree ON items.parent_uuid = subtree.uuid
+            WHERE items.is_deleted = 0
+        )
+        SELECT uuid FROM subtree WHERE uuid != :uuid`,
+        { replacements: { uuid }, transaction: options.transaction }
+    );
+    return rows.map((row) => row.uuid);
+};
+
+/**
+ * Get the uuids of an item's ancestors, nearest first
+ */
+const getAncestorUuids = async (sequelize, uuid) => {
+    const [rows] = await sequelize.query(`
+        WITH RECURSIVE ancestors(uuid, depth) AS (
+            SELECT parent_uuid, 1 FROM items WHERE uuid = :uuid AND parent_uuid IS NOT NULL
+            UNION
+            SELECT items.parent_uuid, ancestors.depth + 1 FROM items
+            JOIN ancestors ON items.uuid = ancestors.uuid
+            WHERE items.parent_uuid IS NOT NULL AND ancestors.depth < 1000
+        )
+        SELECT uuid FROM ancestors ORDER BY depth`,
+        { replacements: { uuid } }
+    );
+    return rows.map((row) => row.uuid);
+};
+
+/**
+ * Roll up subtask progress for many items at once, counting all live
+ * descendants (not just direct children)
+ * Returns a Map of uuid -> { done, total } for items that have subtasks
+ */
+const getSubtaskProgress = async (sequelize, uuids) => {
+    const progress = new Map();
+    if (uuids.length === 0) {
+        return progress;
+    }
+
+    const [rows] = await sequelize.query(`
+        WITH RECURSIVE subtree(root, uuid, completed) AS (
+            SELECT parent_uuid, uuid, completed FROM items
+            WHERE parent_uuid IN (:uuids) AND is_deleted = 0
+            UNION
+            SELECT subtree.root, items.uuid, items.completed FROM items
+            JOIN subtree ON items.parent_uuid = subtree.uuid
+            WHERE items.is_deleted = 0
+        )
+        SELECT root, COUNT(DISTINCT uuid) AS total,
+            COUNT(DISTINCT CASE WHEN completed = 1 THEN uuid END) AS done
+        FROM subtree
+        WHERE uuid != root
+        GROUP BY root`,
+        { replacements: { uuids } }
+    );
+
+    for (const row of rows) {
+        progress.set(row.root, { done: Number(row.done), total: Number(row.total) });
+    }
+    return progress;
+};
+
+module.exports = {
+    topLevelCondition,
+    getDescendantUuids,
+    getAncestorUuids,
+    getSubtaskProgress,
+};
@@ -0,0 +1,66 @@
+/**
+ * Item Workflow Queries (SQLite)
+ *
+ * Item.completed follows Item.status: an item is completed exactly when its
+ * status counts as done. Items keep a status that disagrees with completed
+ * only when it was changed somewhere that does not know about statuses (items
+ * from before statuses existed, or completed by an older version of the app
+ * on another device); these are fixed here, completion winning.
+ */
+
+const { Op } = require('sequelize');
+const { DEFAULT_WORKFLOW } = require('../../shared/ipcSchemas');
+
+/**
+ * The first status of a workflow that is (or is not) done
+ */
+const getStatusFor = (workflow, completed) => (
+    workflow.statuses.find((status) => status.isDone === Boolean(completed))
+);
+
+/**
+ * Give items without a status the first built-in status matching their completion
+ * Written without marking items pending, like backfillCompletedAt
+ */
+const backfillItemStatus = async (Item) => {
+    let count = 0;
+    for (const completed of [false, true]) {
+        const [updated] = await Item.update(
+            { status: getStatusFor(DEFAULT_WORKFLOW, completed).key },
+            { where: { status: null, completed }, silent: true }
+        );
+        count += updated;
+    }
+    return count;
+};
+
+/**
+ * Move the owner's items whose status is missing, unknown to their workflow
+ * or disagrees with their completion to the first status matching it
+ * Written without marking items pending: every device derives the same status
+ */
+const reconcileItemStatuses = async (Item, workflow, ownerId) => {
+    let count = 0;
+    for (const completed of [false, true]) {
+        const keys = workflow.statuses.filter((status) => status.isDone === completed).map((status) => status.key);
+        const [updated] = await Item.update(
+            { status: getStatusFor(workflow, completed).key },
+            {
+                where: {
+                    ownerId,
+                    completed,
+                    [Op.or]: [{ status: null }, { status: { [Op.notIn]: keys } }],
+                },
+                silent: true,
+            }
+        );
+        count += updated;
+    }
+    return count;
+};
+
+module.exports = {
+    getStatusFor,
+    backfillItemStatus,
+    reconcileItemStatuses,
+};
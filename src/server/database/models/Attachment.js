@@ -0,0 +1,84 @@
+/**
+ * Attachment Model
+ * A file attached to an item
+ *
+ * Only metadata lives here; the file contents are stored once per SHA-256
+ * hash in AttachmentChunk, so identical files attached to several items
+ * share their contents. Uses the same sync fields as Item (SQLite only).
+ */
+
+const { DataTypes } = require('sequelize');
+const crypto = require('crypto');
+
+const defineAttachmentModel = (sequelize, options = {}) => {
+    const { forMssql = false } = options;
+
+    const Attachment = sequelize.define('Attachment', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+        },
+        uuid: {
+            type: DataTypes.STRING(36),
+            allowNull: false,
+            unique: true,
+            defaultValue: () => crypto.randomUUID(),
+        },
+        itemUuid: {
+            type: DataTypes.STRING(36),
+            allowNull: false,
+        },
+        fileName: {
+            type: DataTypes.STRING(255),
+            allowNull: false,
+            validate: {
+                notEmpty: true,
+            },
+        },
+        mimeType: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+        },
+        // Size in bytes
+        size: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+        },
+        // Hex SHA-256 of the contents (key into AttachmentChunk)
+        sha256: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+        },
+        // Sync tracking fields (only for SQLite)
+        ...(forMssql ? {} : {
+            syncStatus: {
+                type: DataTypes.STRING(10),
+                defaultValue: 'pending',
+                validate: {
+                    isIn: [['pending', 'synced', 'error']],
+                },
+            },
+            syncedAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+            },
+            isDeleted: {
+                type: DataTypes.BOOLEAN,
+                defaultValue: false,
+            },
+        }),
+    }, {
+        tableName: 'attachments',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['item_uuid'] },
+            { fields: ['sha256'] },
+        ],
+    });
+
+    return Attachment;
+};
+
+module.exports = { defineAttachmentModel };
@@ -0,0 +1,46 @@
+/**
+ * AttachmentChunk Model
+ * Attachment contents, split into fixed-size chunks keyed by SHA-256
+ *
+ * Contents are immutable and identified by their hash, so they need no sync
+ * tracking fields: syncService uploads/downloads the chunks of an attachment
+ * before pushing/pulling its metadata, one chunk per request so large files
+ * stay within the MSSQL request timeout. In SQLite the chunks are encrypted
+ * at rest by SQLCipher along with everything else.
+ */
+
+const { DataTypes } = require('sequelize');
+
+const defineAttachmentChunkModel = (sequelize) => {
+    const AttachmentChunk = sequelize.define('AttachmentChunk', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+        },
+        sha256: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+        },
+        chunkIndex: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+        },
+        data: {
+            type: DataTypes.BLOB,
+            allowNull: false,
+        },
+    }, {
+        tableName: 'attachment_chunks',
+        timestamps: true,
+        updatedAt: false,
+        underscored: true,
+        indexes: [
+            { unique: true, fields: ['sha256', 'chunk_index'] },
+        ],
+    });
+
+    return AttachmentChunk;
+};
+
+module.exports = { defineAttachmentChunkModel };
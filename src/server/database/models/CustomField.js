@@ -0,0 +1,95 @@
+/**
+ * CustomField Model
+ * User-defined field shown on every item (e.g. customer, estimate, ticket URL)
+ *
+ * Values are stored per item in ItemFieldValue. Deleting a field soft-deletes
+ * it together with its values, like tags.
+ *
+ * - ownerId: homeAccountId of the user the field belongs to; fields sync only
+ *   to that user's devices. Null for fields from before fields had owners,
+ *   until claimed like items (see database/itemOwnership.js)
+ * - type: how values are entered and validated (CUSTOM_FIELD_TYPES)
+ * - required: items cannot be saved without a value
+ * - options: JSON array of the choices of a 'select' field
+ */
+
+const { DataTypes } = require('sequelize');
+const crypto = require('crypto');
+
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select', 'url'];
+
+const defineCustomFieldModel = (sequelize, options = {}) => {
+    const { forMssql = false } = options;
+
+    const CustomField = sequelize.define('CustomField', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+        },
+        uuid: {
+            type: DataTypes.STRING(36),
+            allowNull: false,
+            unique: true,
+            defaultValue: () => crypto.randomUUID(),
+        },
+        ownerId: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+        },
+        name: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+            validate: {
+                notEmpty: true,
+                len: [1, 50],
+            },
+        },
+        type: {
+            type: DataTypes.STRING(10),
+            allowNull: false,
+            validate: {
+                isIn: [CUSTOM_FIELD_TYPES],
+            },
+        },
+        required: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+        },
+        // JSON array of choices (select fields only)
+        options: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+        },
+        // Sync tracking fields (only for SQLite)
+        ...(forMssql ? {} : {
+            syncStatus: {
+                type: DataTypes.STRING(10),
+                defaultValue: 'pending',
+                validate: {
+                    isIn: [['pending', 'synced', 'error']],
+                },
+            },
+            syncedAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+            },
+            isDeleted: {
+                type: DataTypes.BOOLEAN,
+                defaultValue: false,
+            },
+        }),
+    }, {
+        tableName: 'custom_fields',
+        timestamps: true,
+        underscored: true,
+        // SQLite only: existing MSSQL tables get owner_id after sync, from
+        // addMissingColumns (see database/index.js), so it cannot be indexed there
+        ...(forMssql ? {} : { indexes: [{ fields: ['owner_id'] }] }),
+    });
+
+    return CustomField;
+};
+
+module.exports = { defineCustomFieldModel, CUSTOM_FIELD_TYPES };
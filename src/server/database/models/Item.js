@@ -5,12 +5,58 @@
  * Sync fields:
  * - uuid: Unique identifier across both databases
  * - syncStatus: 'pending' | 'synced' | 'error'
+ * - syncError: Why the last push failed, null otherwise
  * - syncedAt: Last successful sync timestamp
- * - isDeleted: Soft delete flag for sync
+ * - isDeleted: Soft delete flag (the item is in the trash)
+ * - isPurged: Permanently deleted, removed everywhere on the next sync
+ *
+ * Owner (synced):
+ * - ownerId: homeAccountId of the user the item belongs to; items are only
+ *   read, changed and synced for the signed-in user and the users it is
+ *   shared with (see models/ItemShare.js). Null for items created before
+ *   items had owners, until the first user to sign in claims them
+ *   (see database/itemOwnership.js)
+ *
+ * Trash (synced):
+ * - deletedAt: When the item was moved to the trash (null when live); trashed
+ *   items are kept in both databases until restored or purged
+ *
+ * Workflow (synced):
+ * - priority: key of one of the owner's priority levels (models/PriorityLevel.js)
+ * - status: key of one of the owner's workflow statuses (models/WorkflowStatus.js);
+ *   completed is true exactly when the status counts as done. Null only for
+ *   items from before statuses existed, until backfilled (database/itemWorkflow.js)
+ *
+ * Archive (synced):
+ * - archivedAt: When the item was moved to the archive (null when not
+ *   archived). Completed items are archived with their subtasks after a while
+ *   (see services/archiveService.js) and left out of the main list
+ *
+ * Reminder fields:
+ * - dueAt: When the item is due (synced)
+ * - remindAt: When to show a desktop reminder (synced)
+ * - reminderFiredAt: When this device last showed the reminder (SQLite only)
+ *
+ * Hierarchy (synced):
+ * - parentUuid: uuid of the parent item (null for top-level items); no foreign
+ *   key, since sync may deliver a child before its parent
+ * - listUuid: uuid of the List the item belongs to (null for the Inbox);
+ *   subtasks share the list of their top-level item
+ *
+ * Manual order (synced):
+ * - position: fractional index key (see utils/orderKey.js); items sort by it
+ *   ascending, so moving an item only rewrites its own key
+ *
+ * Recurrence fields (synced):
+ * - recurrenceRule: RRULE subset, e.g. 'FREQ=WEEKLY;BYDAY=MO,TH'
+ * - recurrenceStart: First occurrence of the series (DTSTART)
+ * - seriesUuid: uuid of the item the series started from
+ * - occurrenceIndex: 1-based position of this occurrence in the series (for COUNT)
  */
 
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op, literal } = require('sequelize');
 const crypto = require('crypto');
+const { WORKFLOW_KEY_MAX_LENGTH } = require('../../../shared/ipcSchemas');
 
 const defineItemModel = (sequelize, options = {}) => {
     const { forMssql = false } = options;
@@ -27,6 +73,10 @@ const defineItemModel = (sequelize, options = {}) => {
             unique: true,
             defaultValue: () => crypto.randomUUID(),
         },
+        ownerId: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+        },
         title: {
             type: DataTypes.STRING(255),
             allowNull: false,
@@ -43,13 +93,63 @@ const defineItemModel = (sequelize, options = {}) => {
             type: DataTypes.BOOLEAN,
             defaultValue: false,
         },
+        // When the item was last marked completed (null while open)
+        completedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        archivedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
         priority: {
             // Use STRING for MSSQL compatibility (ENUM not well supported)
-            type: DataTypes.STRING(10),
+            type: DataTypes.STRING(WORKFLOW_KEY_MAX_LENGTH),
             defaultValue: 'medium',
-            validate: {
-                isIn: [['low', 'medium', 'high']],
-            },
+        },
+        status: {
+            type: DataTypes.STRING(WORKFLOW_KEY_MAX_LENGTH),
+            allowNull: true,
+        },
+        dueAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        remindAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        parentUuid: {
+            type: DataTypes.STRING(36),
+            allowNull: true,
+        },
+        listUuid: {
+            type: DataTypes.STRING(36),
+            allowNull: true,
+        },
+        position: {
+            type: DataTypes.STRING(64),
+            allowNull: true,
+        },
+        recurrenceRule: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+        },
+        recurrenceStart: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        seriesUuid: {
+            type: DataTypes.STRING(36),
+            allowNull: true,
+        },
+        occurrenceIndex: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+        },
+        deletedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
         },
         // Sync tracking fields (only for SQLite)
         ...(forMssql ? {} : {
@@ -64,17 +164,64 @@ const defineItemModel = (sequelize, options = {}) => {
                 type: DataTypes.DATE,
                 allowNull: true,
             },
+            syncError: {
+                type: DataTypes.STRING(255),
+                allowNull: true,
+            },
             isDeleted: {
                 type: DataTypes.BOOLEAN,
                 defaultValue: false,
             },
+            isPurged: {
+                type: DataTypes.BOOLEAN,
+                defaultValue: false,
+            },
+            reminderFiredAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+            },
         }),
     }, {
         tableName: 'items',
         timestamps: true,
+        // Scope conditions are ANDed with a query's own (by default they are
+        // merged key by key, so a query's Op.or would replace the scope's)
+        whereMergeStrategy: 'and',
+        scopes: {
+            // Items a user owns or that are shared with them (SQLite only, see
+            // database/index.js getUserSqliteItemModel)
+            visibleTo: (userId) => ({
+                where: {
+                    [Op.or]: [
+                        { ownerId: userId },
+                        {
+                            uuid: {
+                                [Op.in]: literal(
+                                    `(SELECT item_uuid FROM item_shares WHERE recipient_id = ${sequelize.escape(userId)})`
+                                ),
+                            },
+                        },
+                    ],
+                },
+            }),
+        },
         // For SQLite, don't actually delete - mark as deleted for sync
         ...(forMssql ? {} : {
             paranoid: false,
+            // Indexes backing the items:query sorts and filters
+            indexes: [
+                { fields: ['is_deleted', 'created_at'] },
+                { fields: ['is_deleted', 'updated_at'] },
+                { fields: ['is_deleted', 'completed', 'priority'] },
+                { fields: ['is_deleted', 'deleted_at'] },
+                { fields: ['remind_at'] },
+                { fields: ['parent_uuid'] },
+                { fields: ['list_uuid'] },
+                { fields: ['is_deleted', 'position'] },
+                { fields: ['owner_id', 'is_deleted'] },
+                { fields: ['is_deleted', 'archived_at'] },
+                { fields: ['is_deleted', 'status'] },
+            ],
         }),
     });
 
@@ -0,0 +1,68 @@
+/**
+ * ItemDependency Model
+ * "Blocked by" relation between items: the item (itemUuid) cannot start until
+ * the blocker (blockedByUuid) is done
+ *
+ * Rows reference items by uuid (not id) so dependencies keep the same
+ * identity in SQLite and MSSQL, and either item may be missing locally
+ * (deleted or not pulled yet); such dependencies are ignored until it is
+ * back. A removed dependency is soft-deleted locally until the removal has
+ * been pushed, like item tags.
+ */
+
+const { DataTypes } = require('sequelize');
+
+const defineItemDependencyModel = (sequelize, options = {}) => {
+    const { forMssql = false } = options;
+
+    const ItemDependency = sequelize.define('ItemDependency', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+        },
+        itemUuid: {
+            type: DataTypes.STRING(36),
+            allowNull: false,
+        },
+        blockedByUuid: {
+            type: DataTypes.STRING(36),
+            allowNull: false,
+        },
+        // Sync tracking fields (only for SQLite)
+        ...(forMssql ? {} : {
+            syncStatus: {
+                type: DataTypes.STRING(10),
+                defaultValue: 'pending',
+                validate: {
+                    isIn: [['pending', 'synced', 'error']],
+                },
+            },
+            syncedAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+            },
+            isDeleted: {
+                type: DataTypes.BOOLEAN,
+                defaultValue: false,
+            },
+        }),
+    }, {
+        tableName: 'item_dependencies',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            {
+                unique: true,
+                fields: ['item_uuid', 'blocked_by_uuid'],
+            },
+            {
+                fields: ['blocked_by_uuid'],
+            },
+        ],
+    });
+
+    return ItemDependency;
+};
+
+module.exports = { defineItemDependencyModel };
@@ -0,0 +1,70 @@
+/**
+ * ItemFieldValue Model
+ * Value of a custom field on an item
+ *
+ * Rows reference items and fields by uuid, like ItemTag. Values are stored
+ * as text in a normalized form: numbers as decimal strings, dates as
+ * YYYY-MM-DD. A cleared value is soft-deleted locally until the removal has
+ * been pushed.
+ */
+
+const { DataTypes } = require('sequelize');
+
+const defineItemFieldValueModel = (sequelize, options = {}) => {
+    const { forMssql = false } = options;
+
+    const ItemFieldValue = sequelize.define('ItemFieldValue', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+        },
+        itemUuid: {
+            type: DataTypes.STRING(36),
+            allowNull: false,
+        },
+        fieldUuid: {
+            type: DataTypes.STRING(36),
+            allowNull: false,
+        },
+        value: {
+            type: DataTypes.TEXT,
+            allowNull: false,
+        },
+        // Sync tracking fields (only for SQLite)
+        ...(forMssql ? {} : {
+            syncStatus: {
+                type: DataTypes.STRING(10),
+                defaultValue: 'pending',
+                validate: {
+                    isIn: [['pending', 'synced', 'error']],
+                },
+            },
+            syncedAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+            },
+            isDeleted: {
+                type: DataTypes.BOOLEAN,
+                defaultValue: false,
+            },
+        }),
+    }, {
+        tableName: 'item_field_values',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            {
+                unique: true,
+                fields: ['item_uuid', 'field_uuid'],
+            },
+            {
+                fields: ['field_uuid'],
+            },
+        ],
+    });
+
+    return ItemFieldValue;
+};
+
+module.exports = { defineItemFieldValueModel };
@@ -0,0 +1,103 @@
+/**
+ * ItemRevision Model
+ * One entry in an item's change history
+ *
+ * Recorded for every create/update/toggle/delete/restore, and when an item
+ * is restored from the trash (undelete), with who made the change, on which
+ * device, and the old and new value of each changed field.
+ * Revisions are never edited, so they sync like other records but never
+ * conflict; revisions made on other devices are pulled into the local history.
+ * They are kept while the item is in the trash and removed when it is purged.
+ */
+
+const { DataTypes } = require('sequelize');
+const crypto = require('crypto');
+
+const REVISION_ACTIONS = ['create', 'update', 'toggle', 'delete', 'restore', 'undelete'];
+
+const defineItemRevisionModel = (sequelize, options = {}) => {
+    const { forMssql = false } = options;
+
+    const ItemRevision = sequelize.define('ItemRevision', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+        },
+        uuid: {
+            type: DataTypes.STRING(36),
+            allowNull: false,
+            unique: true,
+            defaultValue: () => crypto.randomUUID(),
+        },
+        itemUuid: {
+            type: DataTypes.STRING(36),
+            allowNull: false,
+        },
+        action: {
+            type: DataTypes.STRING(10),
+            allowNull: false,
+            validate: {
+                isIn: [REVISION_ACTIONS],
+            },
+        },
+        // JSON object of changed fields: { field: { from, to } }
+        changes: {
+            type: DataTypes.TEXT,
+            allowNull: false,
+            defaultValue: '{}',
+        },
+        // Revision a 'restore' went back to
+        restoredFromUuid: {
+            type: DataTypes.STRING(36),
+            allowNull: true,
+        },
+        // Signed-in account that made the change (null when signed out)
+        userId: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+        },
+        userName: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+        },
+        // Device that made the change (sessionService.getDeviceId)
+        deviceId: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+        },
+        deviceName: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+        },
+        // Sync tracking fields (only for SQLite)
+        ...(forMssql ? {} : {
+            syncStatus: {
+                type: DataTypes.STRING(10),
+                defaultValue: 'pending',
+                validate: {
+                    isIn: [['pending', 'synced', 'error']],
+                },
+            },
+            syncedAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+            },
+            isDeleted: {
+                type: DataTypes.BOOLEAN,
+                defaultValue: false,
+            },
+        }),
+    }, {
+        tableName: 'item_revisions',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['item_uuid', 'created_at'] },
+        ],
+    });
+
+    return ItemRevision;
+};
+
+module.exports = { defineItemRevisionModel, REVISION_ACTIONS };
@@ -0,0 +1,83 @@
+/**
+ * ItemShare Model
+ * Access to an item granted by its owner to another user of the tenant
+ *
+ * MSSQL holds the access list: shares are created and removed there directly
+ * (sharing needs a connection) and decide which items a user pulls and which
+ * of their changes are accepted. SQLite keeps a copy of the shares relevant
+ * to the signed-in user, refreshed on every pull:
+ * - ownerId: homeAccountId of the item's owner (who shared it)
+ * - email: the user the item is shared with (lowercase)
+ * - role: 'viewer' (read only) or 'editor' (may change and trash the item)
+ * - recipientId: homeAccountId of the local user the item is shared with
+ *   (SQLite only; null for shares of the local user's own items)
+ */
+
+const { DataTypes } = require('sequelize');
+const crypto = require('crypto');
+const { SHARE_ROLES } = require('../../../shared/ipcSchemas');
+
+const defineItemShareModel = (sequelize, options = {}) => {
+    const { forMssql = false } = options;
+
+    const ItemShare = sequelize.define('ItemShare', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+        },
+        uuid: {
+            type: DataTypes.STRING(36),
+            allowNull: false,
+            unique: true,
+            defaultValue: () => crypto.randomUUID(),
+        },
+        itemUuid: {
+            type: DataTypes.STRING(36),
+            allowNull: false,
+        },
+        ownerId: {
+            type: DataTypes.STRING(255),
+            allowNull: false,
+        },
+        email: {
+            type: DataTypes.STRING(255),
+            allowNull: false,
+        },
+        role: {
+            // Use STRING for MSSQL compatibility (ENUM not well supported)
+            type: DataTypes.STRING(10),
+            allowNull: false,
+            validate: {
+                isIn: [SHARE_ROLES],
+            },
+        },
+        // Local copy bookkeeping (only for SQLite)
+        ...(forMssql ? {} : {
+            recipientId: {
+                type: DataTypes.STRING(255),
+                allowNull: true,
+            },
+        }),
+    }, {
+        tableName: 'item_shares',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            {
+                unique: true,
+                fields: ['item_uuid', 'email'],
+            },
+            {
+                fields: ['email'],
+            },
+            {
+                fields: ['owner_id'],
+            },
+        ],
+    });
+
+    return ItemShare;
+};
+
+module.exports = { defineItemShareModel, SHARE_ROLES };
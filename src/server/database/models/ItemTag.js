@@ -0,0 +1,65 @@
+/**
+ * ItemTag Model
+ * Join table assigning tags to items
+ *
+ * Rows reference items and tags by uuid (not id) so assignments keep the
+ * same identity in SQLite and MSSQL. A removed assignment is soft-deleted
+ * locally until the removal has been pushed, like items.
+ */
+
+const { DataTypes } = require('sequelize');
+
+const defineItemTagModel = (sequelize, options = {}) => {
+    const { forMssql = false } = options;
+
+    const ItemTag = sequelize.define('ItemTag', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+        },
+        itemUuid: {
+            type: DataTypes.STRING(36),
+            allowNull: false,
+        },
+        tagUuid: {
+            type: DataTypes.STRING(36),
+            allowNull: false,
+        },
+        // Sync tracking fields (only for SQLite)
+        ...(forMssql ? {} : {
+            syncStatus: {
+                type: DataTypes.STRING(10),
+                defaultValue: 'pending',
+                validate: {
+                    isIn: [['pending', 'synced', 'error']],
+                },
+            },
+            syncedAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+            },
+            isDeleted: {
+                type: DataTypes.BOOLEAN,
+                defaultValue: false,
+            },
+        }),
+    }, {
+        tableName: 'item_tags',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            {
+                unique: true,
+                fields: ['item_uuid', 'tag_uuid'],
+            },
+            {
+                fields: ['tag_uuid'],
+            },
+        ],
+    });
+
+    return ItemTag;
+};
+
+module.exports = { defineItemTagModel };
@@ -0,0 +1,78 @@
+/**
+ * ItemTemplate Model
+ * An item saved for reuse, e.g. a repeatable checklist: its title,
+ * description, priority and subtasks, stored as JSON in content
+ * ({ title, description, priority, subtasks: [...] }, subtasks nested the
+ * same way). Titles and descriptions may hold placeholders filled in when the
+ * template is used (see utils/templatePlaceholders.js)
+ *
+ * Templates belong to the user who saved them (ownerId: homeAccountId) and
+ * sync only to that user's devices. Uses the same sync fields as List
+ * (syncStatus, syncedAt and isDeleted are SQLite only)
+ */
+
+const { DataTypes } = require('sequelize');
+const crypto = require('crypto');
+
+const defineItemTemplateModel = (sequelize, options = {}) => {
+    const { forMssql = false } = options;
+
+    const ItemTemplate = sequelize.define('ItemTemplate', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+        },
+        uuid: {
+            type: DataTypes.STRING(36),
+            allowNull: false,
+            unique: true,
+            defaultValue: () => crypto.randomUUID(),
+        },
+        ownerId: {
+            type: DataTypes.STRING(255),
+            allowNull: false,
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            validate: {
+                notEmpty: true,
+                len: [1, 100],
+            },
+        },
+        content: {
+            type: DataTypes.TEXT,
+            allowNull: false,
+        },
+        // Sync tracking fields (only for SQLite)
+        ...(forMssql ? {} : {
+            syncStatus: {
+                type: DataTypes.STRING(10),
+                defaultValue: 'pending',
+                validate: {
+                    isIn: [['pending', 'synced', 'error']],
+                },
+            },
+            syncedAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+            },
+            isDeleted: {
+                type: DataTypes.BOOLEAN,
+                defaultValue: false,
+            },
+        }),
+    }, {
+        tableName: 'item_templates',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['owner_id'] },
+        ],
+    });
+
+    return ItemTemplate;
+};
+
+module.exports = { defineItemTemplateModel };
@@ -0,0 +1,94 @@
+/**
+ * List Model
+ * Lists (projects) group items; an item belongs to at most one list
+ * (Item.listUuid, null for the Inbox) and subtasks are always in the list of
+ * their top-level item
+ *
+ * - ownerId: homeAccountId of the user the list belongs to; lists sync only
+ *   to that user's devices. Null for lists from before lists had owners,
+ *   until claimed like items (see database/itemOwnership.js)
+ * - icon: short emoji shown in the sidebar
+ * - archived: hidden from the sidebar's main section, items are kept
+ *
+ * Uses the same sync fields as Item (syncStatus, syncedAt and isDeleted are
+ * SQLite only)
+ */
+
+const { DataTypes } = require('sequelize');
+const crypto = require('crypto');
+
+const defineListModel = (sequelize, options = {}) => {
+    const { forMssql = false } = options;
+
+    const List = sequelize.define('List', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+        },
+        uuid: {
+            type: DataTypes.STRING(36),
+            allowNull: false,
+            unique: true,
+            defaultValue: () => crypto.randomUUID(),
+        },
+        ownerId: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            validate: {
+                notEmpty: true,
+                len: [1, 100],
+            },
+        },
+        // Hex colour, e.g. '#667eea'
+        color: {
+            type: DataTypes.STRING(7),
+            allowNull: true,
+            validate: {
+                is: /^#[0-9a-fA-F]{6}$/,
+            },
+        },
+        icon: {
+            type: DataTypes.STRING(16),
+            allowNull: true,
+        },
+        archived: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+        },
+        // Sync tracking fields (only for SQLite)
+        ...(forMssql ? {} : {
+            syncStatus: {
+                type: DataTypes.STRING(10),
+                defaultValue: 'pending',
+                validate: {
+                    isIn: [['pending', 'synced', 'error']],
+                },
+            },
+            syncedAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+            },
+            isDeleted: {
+                type: DataTypes.BOOLEAN,
+                defaultValue: false,
+            },
+        }),
+    }, {
+        tableName: 'lists',
+        timestamps: true,
+        underscored: true,
+        // SQLite only: existing MSSQL tables get owner_id after sync, from
+        // addMissingColumns (see database/index.js), so it cannot be indexed there
+        ...(forMssql ? {} : { indexes: [{ fields: ['owner_id'] }] }),
+    });
+
+    return List;
+};
+
+module.exports = { defineListModel };
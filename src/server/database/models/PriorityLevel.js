@@ -0,0 +1,85 @@
+/**
+ * PriorityLevel Model
+ * One of a user's priority levels: items store its key in Item.priority.
+ * Levels are ordered lowest first by position; new items get the level
+ * marked isDefault. Users who have not defined levels use the built-in ones
+ * (DEFAULT_WORKFLOW in shared/ipcSchemas.js)
+ *
+ * Levels belong to a user (ownerId: homeAccountId) and sync only to that
+ * user's devices. Rows are identified by ownerId and key in both databases,
+ * so levels two devices create with the same key merge. Uses the same sync
+ * fields as List (syncStatus, syncedAt and isDeleted are SQLite only)
+ */
+
+const { DataTypes } = require('sequelize');
+const { WORKFLOW_KEY_MAX_LENGTH } = require('../../../shared/ipcSchemas');
+
+const definePriorityLevelModel = (sequelize, options = {}) => {
+    const { forMssql = false } = options;
+
+    const PriorityLevel = sequelize.define('PriorityLevel', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+        },
+        ownerId: {
+            type: DataTypes.STRING(255),
+            allowNull: false,
+        },
+        key: {
+            type: DataTypes.STRING(WORKFLOW_KEY_MAX_LENGTH),
+            allowNull: false,
+        },
+        name: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+            validate: {
+                notEmpty: true,
+            },
+        },
+        color: {
+            type: DataTypes.STRING(7),
+            allowNull: false,
+        },
+        position: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+        },
+        isDefault: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+        },
+        // Sync tracking fields (only for SQLite)
+        ...(forMssql ? {} : {
+            syncStatus: {
+                type: DataTypes.STRING(10),
+                defaultValue: 'pending',
+                validate: {
+                    isIn: [['pending', 'synced', 'error']],
+                },
+            },
+            syncedAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+            },
+            isDeleted: {
+                type: DataTypes.BOOLEAN,
+                defaultValue: false,
+            },
+        }),
+    }, {
+        tableName: 'priority_levels',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { unique: true, fields: ['owner_id', 'key'] },
+        ],
+    });
+
+    return PriorityLevel;
+};
+
+module.exports = { definePriorityLevelModel };
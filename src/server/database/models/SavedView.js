@@ -0,0 +1,79 @@
+/**
+ * SavedView Model
+ * A named item query written in the view query language (see
+ * utils/viewQuery.js), e.g. 'priority:high is:open "invoice"', shown in the
+ * sidebar with the number of items it matches
+ *
+ * Views belong to the user who saved them (ownerId: homeAccountId) and sync
+ * only to that user's devices. Uses the same sync fields as List
+ * (syncStatus, syncedAt and isDeleted are SQLite only)
+ */
+
+const { DataTypes } = require('sequelize');
+const crypto = require('crypto');
+
+const defineSavedViewModel = (sequelize, options = {}) => {
+    const { forMssql = false } = options;
+
+    const SavedView = sequelize.define('SavedView', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+        },
+        uuid: {
+            type: DataTypes.STRING(36),
+            allowNull: false,
+            unique: true,
+            defaultValue: () => crypto.randomUUID(),
+        },
+        ownerId: {
+            type: DataTypes.STRING(255),
+            allowNull: false,
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            validate: {
+                notEmpty: true,
+                len: [1, 100],
+            },
+        },
+        query: {
+            type: DataTypes.STRING(1000),
+            allowNull: false,
+            validate: {
+                notEmpty: true,
+            },
+        },
+        // Sync tracking fields (only for SQLite)
+        ...(forMssql ? {} : {
+            syncStatus: {
+                type: DataTypes.STRING(10),
+                defaultValue: 'pending',
+                validate: {
+                    isIn: [['pending', 'synced', 'error']],
+                },
+            },
+            syncedAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+            },
+            isDeleted: {
+                type: DataTypes.BOOLEAN,
+                defaultValue: false,
+            },
+        }),
+    }, {
+        tableName: 'saved_views',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['owner_id'] },
+        ],
+    });
+
+    return SavedView;
+};
+
+module.exports = { defineSavedViewModel };
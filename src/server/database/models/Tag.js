@@ -0,0 +1,84 @@
+/**
+ * Tag Model
+ * User-defined labels attached to items (many-to-many via ItemTag)
+ *
+ * Tags belong to the user who created them (ownerId: homeAccountId) and sync
+ * only to that user's devices. Null for tags from before tags had owners,
+ * until claimed like items (see database/itemOwnership.js)
+ *
+ * Uses the same sync fields as Item:
+ * - uuid: Unique identifier across both databases
+ * - syncStatus: 'pending' | 'synced' | 'error' (SQLite only)
+ * - syncedAt: Last successful sync timestamp (SQLite only)
+ * - isDeleted: Soft delete flag for sync (SQLite only)
+ */
+
+const { DataTypes } = require('sequelize');
+const crypto = require('crypto');
+
+const defineTagModel = (sequelize, options = {}) => {
+    const { forMssql = false } = options;
+
+    const Tag = sequelize.define('Tag', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+        },
+        uuid: {
+            type: DataTypes.STRING(36),
+            allowNull: false,
+            unique: true,
+            defaultValue: () => crypto.randomUUID(),
+        },
+        ownerId: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+        },
+        name: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+            validate: {
+                notEmpty: true,
+                len: [1, 50],
+            },
+        },
+        // Hex colour used for the tag chip, e.g. '#667eea'
+        color: {
+            type: DataTypes.STRING(7),
+            allowNull: true,
+            validate: {
+                is: /^#[0-9a-fA-F]{6}$/,
+            },
+        },
+        // Sync tracking fields (only for SQLite)
+        ...(forMssql ? {} : {
+            syncStatus: {
+                type: DataTypes.STRING(10),
+                defaultValue: 'pending',
+                validate: {
+                    isIn: [['pending', 'synced', 'error']],
+                },
+            },
+            syncedAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+            },
+            isDeleted: {
+                type: DataTypes.BOOLEAN,
+                defaultValue: false,
+            },
+        }),
+    }, {
+        tableName: 'tags',
+        timestamps: true,
+        underscored: true,
+        // SQLite only: existing MSSQL tables get owner_id after sync, from
+        // addMissingColumns (see database/index.js), so it cannot be indexed there
+        ...(forMssql ? {} : { indexes: [{ fields: ['owner_id'] }] }),
+    });
+
+    return Tag;
+};
+
+module.exports = { defineTagModel };
@@ -0,0 +1,92 @@
+/**
+ * TimeEntry Model
+ * Time spent on an item: from startedAt to endedAt, with an optional note.
+ * A running timer is an entry without endedAt; a user has at most one (see
+ * controllers/timeEntryController.js). Entries record the device they were
+ * tracked on.
+ *
+ * Entries belong to the user who tracked them (ownerId: homeAccountId) and
+ * sync only to that user's devices, so a timer started on one device shows on
+ * the others. Uses the same sync fields as List (syncStatus, syncedAt and
+ * isDeleted are SQLite only)
+ */
+
+const { DataTypes } = require('sequelize');
+const crypto = require('crypto');
+
+const defineTimeEntryModel = (sequelize, options = {}) => {
+    const { forMssql = false } = options;
+
+    const TimeEntry = sequelize.define('TimeEntry', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+        },
+        uuid: {
+            type: DataTypes.STRING(36),
+            allowNull: false,
+            unique: true,
+            defaultValue: () => crypto.randomUUID(),
+        },
+        itemUuid: {
+            type: DataTypes.STRING(36),
+            allowNull: false,
+        },
+        ownerId: {
+            type: DataTypes.STRING(255),
+            allowNull: false,
+        },
+        startedAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+        },
+        // null while the timer is running
+        endedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        note: {
+            type: DataTypes.STRING(500),
+            allowNull: true,
+        },
+        deviceId: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+        },
+        deviceName: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+        },
+        // Sync tracking fields (only for SQLite)
+        ...(forMssql ? {} : {
+            syncStatus: {
+                type: DataTypes.STRING(10),
+                defaultValue: 'pending',
+                validate: {
+                    isIn: [['pending', 'synced', 'error']],
+                },
+            },
+            syncedAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+            },
+            isDeleted: {
+                type: DataTypes.BOOLEAN,
+                defaultValue: false,
+            },
+        }),
+    }, {
+        tableName: 'time_entries',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { fields: ['owner_id', 'started_at'] },
+            { fields: ['item_uuid'] },
+        ],
+    });
+
+    return TimeEntry;
+};
+
+module.exports = { defineTimeEntryModel };
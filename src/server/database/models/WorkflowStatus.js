@@ -0,0 +1,85 @@
+/**
+ * WorkflowStatus Model
+ * One step of a user's workflow (e.g. Todo -> In Progress -> Review -> Done):
+ * items store its key in Item.status. Statuses are ordered by position;
+ * isDone marks the statuses that count as completed, and Item.completed
+ * always agrees with its status (see controllers/workflowController.js).
+ * Users who have not defined a workflow use the built-in one
+ * (DEFAULT_WORKFLOW in shared/ipcSchemas.js)
+ *
+ * Statuses belong to a user and sync like PriorityLevel (identified by
+ * ownerId and key; syncStatus, syncedAt and isDeleted are SQLite only)
+ */
+
+const { DataTypes } = require('sequelize');
+const { WORKFLOW_KEY_MAX_LENGTH } = require('../../../shared/ipcSchemas');
+
+const defineWorkflowStatusModel = (sequelize, options = {}) => {
+    const { forMssql = false } = options;
+
+    const WorkflowStatus = sequelize.define('WorkflowStatus', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true,
+        },
+        ownerId: {
+            type: DataTypes.STRING(255),
+            allowNull: false,
+        },
+        key: {
+            type: DataTypes.STRING(WORKFLOW_KEY_MAX_LENGTH),
+            allowNull: false,
+        },
+        name: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+            validate: {
+                notEmpty: true,
+            },
+        },
+        color: {
+            type: DataTypes.STRING(7),
+            allowNull: false,
+        },
+        position: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+        },
+        isDone: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+        },
+        // Sync tracking fields (only for SQLite)
+        ...(forMssql ? {} : {
+            syncStatus: {
+                type: DataTypes.STRING(10),
+                defaultValue: 'pending',
+                validate: {
+                    isIn: [['pending', 'synced', 'error']],
+                },
+            },
+            syncedAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+            },
+            isDeleted: {
+                type: DataTypes.BOOLEAN,
+                defaultValue: false,
+            },
+        }),
+    }, {
+        tableName: 'workflow_statuses',
+        timestamps: true,
+        underscored: true,
+        indexes: [
+            { unique: true, fields: ['owner_id', 'key'] },
+        ],
+    });
+
+    return WorkflowStatus;
+};
+
+module.exports = { defineWorkflowStatusModel };
@@ -0,0 +1,170 @@
+/**
+ * Item Search Index (SQLite FTS5)
+ *
+ * An external-content FTS5 table mirrors items.title/description inside the
+ * encrypted SQLite database. Triggers on the items table keep it current, so
+ * rows written by itemController and rows pulled by syncService are indexed
+ * the same way.
+ *
+ * sync({ alter: true }) rebuilds the items table on SQLite, which drops its
+ * triggers. ensureItemSearchIndex() must therefore run after every sync and
+ * re-creates the triggers and rebuilds the index when they are missing.
+ */
+
+const FTS_TABLE = 'items_fts';
+
+// Control characters used to mark matches in snippets (never present in user text)
+const MATCH_START = '\u0001';
+const MATCH_END = '\u0002';
+
+const TRIGGERS = {
+    items_fts_ai: `
+        CREATE TRIGGER IF NOT EXISTS items_fts_ai AFTER INSERT ON items BEGIN
+            INSERT INTO ${FTS_TABLE}(rowid, title, description)
+            VALUES (new.id, new.title, new.description);
+        END`,
+    items_fts_ad: `
+        CREATE TRIGGER IF NOT EXISTS items_fts_ad AFTER DELETE ON items BEGIN
+            INSERT INTO ${FTS_TABLE}(${FTS_TABLE}, rowid, title, description)
+            VALUES ('delete', old.id, old.title, old.description);
+        END`,
+    items_fts_au: `
+        CREATE TRIGGER IF NOT EXISTS items_fts_au AFTER UPDATE OF title, description ON items BEGIN
+            INSERT INTO ${FTS_TABLE}(${FTS_TABLE}, rowid, title, description)
+            VALUES ('delete', old.id, old.title, old.description);
+            INSERT INTO ${FTS_TABLE}(rowid, title, description)
+            VALUES (new.id, new.title, new.description);
+        END`,
+};
+
+let searchAvailable = false;
+
+/**
+ * Create the FTS table and triggers if needed, rebuilding the index when
+ * the triggers had been dropped (e.g. by sync({ alter: true }))
+ */
+const ensureItemSearchIndex = async (sequelize) => {
+    try {
+        const [existing] = await sequelize.query(
+            "SELECT type, name FROM sqlite_master WHERE name = :table OR (type = 'trigger' AND name IN (:triggers))",
+            { replacements: { table: FTS_TABLE, triggers: Object.keys(TRIGGERS) } }
+        );
+        const existingNames = new Set(existing.map((row) => row.name));
+        const needsRebuild = Object.keys(TRIGGERS).some((name) => !existingNames.has(name))
+            || !existingNames.has(FTS_TABLE);
+
+        await sequelize.query(`
+            CREATE VIRTUAL TABLE IF NOT EXISTS ${FTS_TABLE} USING fts5(
+                title,
+                description,
+                content='items',
+                content_rowid='id',
+                tokenize='unicode61 remove_diacritics 2',
+                prefix='2 3'
+            )`);
+
+        for (const sql of Object.values(TRIGGERS)) {
+            await sequelize.query(sql);
+        }
+
+        if (needsRebuild) {
+            await sequelize.query(`INSERT INTO ${FTS_TABLE}(${FTS_TABLE}) VALUES ('rebuild')`);
+            console.log('Item search index rebuilt');
+        }
+
+        searchAvailable = true;
+    } catch (error) {
+        // FTS5 missing from the SQLite build - search falls back to LIKE
+        console.error('Item search index unavailable:', error.message);
+        searchAvailable = false;
+    }
+    return searchAvailable;
+};
+
+/**
+ * Check if the FTS index is available
+ */
+const isSearchAvailable = () => searchAvailable;
+
+/**
+ * Turn free text into a safe FTS5 MATCH expression
+ * Each word is quoted (so FTS operators in user input are literal) and
+ * prefix-matched, and all words must match
+ */
+const buildMatchExpression = (text) => {
+    const terms = String(text || '')
+        .split(/\s+/)
+        .map((term) => term.replace(/"/g, '""'))
+        .filter((term) => term.length > 0);
+
+    return terms.map((term) => `"${term}"*`).join(' ');
+};
+
+/**
+ * Split a marked snippet into [{ text, match }] segments for the renderer
+ */
+const parseSnippet = (snippet) => {
+    if (!snippet) return [];
+
+    const segments = [];
+    const pattern = new RegExp(`${MATCH_START}([^${MATCH_END}]*)${MATCH_END}`, 'g');
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(snippet)) !== null) {
+        if (match.index > lastIndex) {
+            segments.push({ text: snippet.slice(lastIndex, match.index), match: false });
+        }
+        segments.push({ text: match[1], match: true });
+        lastIndex = pattern.lastIndex;
+    }
+
+    if (lastIndex < snippet.length) {
+        segments.push({ text: snippet.slice(lastIndex), match: false });
+    }
+
+    return segments;
+};
+
+/**
+ * Run a ranked FTS query over the items a user owns or that are shared with them
+ * Searches archived items instead when options.archived is set
+ * Returns [{ id, score, titleSnippet, descriptionSnippet }] best match first
+ */
+const searchItemIds = async (sequelize, text, limit, userId, options = {}) => {
+    const match = buildMatchExpression(text);
+    if (!match) return [];
+
+    // bm25 weights: title matches count ten times as much as description matches
+    const [rows] = await sequelize.query(`
+        SELECT
+            items.id AS id,
+            bm25(${FTS_TABLE}, 10.0, 1.0) AS score,
+            snippet(${FTS_TABLE}, 0, :start, :end, '…', 12) AS titleSnippet,
+            snippet(${FTS_TABLE}, 1, :start, :end, '…', 24) AS descriptionSnippet
+        FROM ${FTS_TABLE}
+        JOIN items ON items.id = ${FTS_TABLE}.rowid
+        WHERE ${FTS_TABLE} MATCH :match AND items.is_deleted = 0
+            AND items.archived_at IS ${options.archived ? 'NOT NULL' : 'NULL'}
+            AND (items.owner_id = :userId
+                OR items.uuid IN (SELECT item_uuid FROM item_shares WHERE recipient_id = :userId))
+        ORDER BY score
+        LIMIT :limit`,
+        { replacements: { match, limit, userId, start: MATCH_START, end: MATCH_END } }
+    );
+
+    return rows.map((row) => ({
+        id: row.id,
+        score: row.score,
+        titleSnippet: parseSnippet(row.titleSnippet),
+        descriptionSnippet: parseSnippet(row.descriptionSnippet),
+    }));
+};
+
+module.exports = {
+    ensureItemSearchIndex,
+    isSearchAvailable,
+    buildMatchExpression,
+    parseSnippet,
+    searchItemIds,
+};
@@ -0,0 +1,34 @@
+/**
+ * Time Entry Queries (SQLite)
+ *
+ * A user has at most one running timer (a time entry without endedAt). Timers
+ * started on two devices before either synced both arrive with the pull; the
+ * latest one keeps running and the others are stopped when it started.
+ */
+
+/**
+ * The user's running timers, latest first
+ */
+const findRunningEntries = (TimeEntry, ownerId, options = {}) => TimeEntry.findAll({
+    where: { ownerId, endedAt: null, isDeleted: false },
+    order: [['startedAt', 'DESC'], ['uuid', 'DESC']],
+    transaction: options.transaction,
+});
+
+/**
+ * Stop all but the latest of the user's running timers, at the time it started
+ * Every device resolves the same timers the same way, so they agree once the
+ * stopped entries (marked pending) are pushed. Returns how many were stopped
+ */
+const stopConcurrentTimers = async (TimeEntry, ownerId) => {
+    const [latest, ...others] = await findRunningEntries(TimeEntry, ownerId);
+    for (const entry of others) {
+        await entry.update({ endedAt: latest.startedAt, syncStatus: 'pending' });
+    }
+    return others.length;
+};
+
+module.exports = {
+    findRunningEntries,
+    stopConcurrentTimers,
+};
@@ -0,0 +1,46 @@
+/**
+ * IPC Handlers for item attachments
+ */
+
+const { ipcMain, dialog, shell, BrowserWindow } = require('electron');
+const attachmentController = require('../controllers/attachmentController');
+
+function registerAttachmentHandlers() {
+    // Pick files with the native dialog and attach them to an item
+    ipcMain.handle('attachments:add', async (event, itemId) => {
+        const window = BrowserWindow.fromWebContents(event.sender);
+        const result = await dialog.showOpenDialog(window, {
+            title: 'Attach files',
+            properties: ['openFile', 'multiSelections'],
+            filters: [
+                { name: 'Images and PDFs', extensions: ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', 'pdf'] },
+                { name: 'All Files', extensions: ['*'] },
+            ],
+        });
+
+        if (result.canceled || result.filePaths.length === 0) {
+            return { success: true, data: [], rejected: [] };
+        }
+
+        return await attachmentController.addAttachments(itemId, result.filePaths);
+    });
+
+    // Open an attachment with the default application
+    ipcMain.handle('attachments:open', async (_event, id) => {
+        const result = await attachmentController.exportAttachmentForOpening(id);
+        if (!result.success) {
+            return result;
+        }
+
+        // openPath resolves to an error message, or '' on success
+        const openError = await shell.openPath(result.data.path);
+        return openError ? { success: false, error: openError } : { success: true };
+    });
+
+    // Remove an attachment
+    ipcMain.handle('attachments:remove', async (_event, id) => {
+        return await attachmentController.removeAttachment(id);
+    });
+}
+
+module.exports = { registerAttachmentHandlers };
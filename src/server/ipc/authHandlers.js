@@ -1,8 +1,8 @@
-const { ipcMain } = require('electron');
+const { handle } = require('./validation');
 const authController = require('../controllers/authController');
 
 function registerAuthHandlers() {
-    ipcMain.handle('auth:login', async () => {
+    handle('auth:login', async () => {
         try {
             return await authController.login();
         } catch (error) {
@@ -11,15 +11,15 @@ function registerAuthHandlers() {
         }
     });
 
-    ipcMain.handle('auth:logout', async () => {
+    handle('auth:logout', async () => {
         return await authController.logout();
     });
 
-    ipcMain.handle('auth:getUser', () => {
+    handle('auth:getUser', () => {
         return authController.getUser();
     });
 
-    ipcMain.handle('auth:getAccessToken', async () => {
+    handle('auth:getAccessToken', async () => {
         try {
             return await authController.getAccessToken();
         } catch (error) {
@@ -29,7 +29,7 @@ function registerAuthHandlers() {
     });
 
     // Session management handlers
-    ipcMain.handle('auth:getActiveSessions', async () => {
+    handle('auth:getActiveSessions', async () => {
         try {
             return await authController.getActiveSessions();
         } catch (error) {
@@ -38,7 +38,7 @@ function registerAuthHandlers() {
         }
     });
 
-    ipcMain.handle('auth:terminateSession', async (_event, sessionId) => {
+    handle('auth:terminateSession', async (_event, sessionId) => {
         try {
             return await authController.terminateSession(sessionId);
         } catch (error) {
@@ -47,7 +47,7 @@ function registerAuthHandlers() {
         }
     });
 
-    ipcMain.handle('auth:forceLogin', async () => {
+    handle('auth:forceLogin', async () => {
         try {
             return await authController.forceLogin();
         } catch (error) {
@@ -0,0 +1,31 @@
+/**
+ * IPC Handlers for custom field definitions
+ * (values are read and written with items via items:create / items:update)
+ */
+
+const { ipcMain } = require('electron');
+const customFieldController = require('../controllers/customFieldController');
+
+function registerCustomFieldHandlers() {
+    // Get all field definitions
+    ipcMain.handle('fields:getAll', async () => {
+        return await customFieldController.getAllFields();
+    });
+
+    // Create new field definition
+    ipcMain.handle('fields:create', async (_event, fieldData) => {
+        return await customFieldController.createField(fieldData);
+    });
+
+    // Update field definition (name, required, options)
+    ipcMain.handle('fields:update', async (_event, id, fieldData) => {
+        return await customFieldController.updateField(id, fieldData);
+    });
+
+    // Delete field definition (also removes its values from all items)
+    ipcMain.handle('fields:delete', async (_event, id) => {
+        return await customFieldController.deleteField(id);
+    });
+}
+
+module.exports = { registerCustomFieldHandlers };
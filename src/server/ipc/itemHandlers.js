@@ -2,50 +2,207 @@
  * IPC Handlers for Item CRUD operations
  */
 
-const { ipcMain } = require('electron');
+const fs = require('node:fs');
+const { dialog, BrowserWindow } = require('electron');
+const { handle } = require('./validation');
 const itemController = require('../controllers/itemController');
+const itemCsvController = require('../controllers/itemCsvController');
+const revisionController = require('../controllers/revisionController');
+const shareController = require('../controllers/shareController');
+const dependencyController = require('../controllers/dependencyController');
 const syncService = require('../services/syncService');
 const { isMssqlConnected, connectMssql, getMssqlUnavailableReason } = require('../database');
 
 function registerItemHandlers() {
     // Get all items
-    ipcMain.handle('items:getAll', async () => {
+    handle('items:getAll', async () => {
         return await itemController.getAllItems();
     });
 
+    // Query items (filters, sort, cursor pagination)
+    handle('items:query', async (_event, options) => {
+        return await itemController.queryItems(options || {});
+    });
+
+    // Full-text search (ranked, with highlighted snippets)
+    handle('items:search', async (_event, text, options) => {
+        return await itemController.searchItems(text, options || {});
+    });
+
     // Get single item by ID
-    ipcMain.handle('items:getById', async (_event, id) => {
+    handle('items:getById', async (_event, id) => {
         return await itemController.getItemById(id);
     });
 
     // Create new item
-    ipcMain.handle('items:create', async (_event, itemData) => {
+    handle('items:create', async (_event, itemData) => {
         return await itemController.createItem(itemData);
     });
 
     // Update existing item
-    ipcMain.handle('items:update', async (_event, id, itemData) => {
+    handle('items:update', async (_event, id, itemData) => {
         return await itemController.updateItem(id, itemData);
     });
 
-    // Delete item
-    ipcMain.handle('items:delete', async (_event, id) => {
-        return await itemController.deleteItem(id);
+    // Move item to the trash (options.cascade also deletes its subtasks)
+    handle('items:delete', async (_event, id, options) => {
+        return await itemController.deleteItem(id, options || {});
+    });
+
+    // List items in the trash
+    handle('items:trash', async () => {
+        return await itemController.getTrash();
+    });
+
+    // Restore item from the trash (with subtasks deleted along with it)
+    handle('items:restore', async (_event, id) => {
+        return await itemController.restoreItem(id);
+    });
+
+    // Permanently delete item from the trash
+    handle('items:purge', async (_event, id) => {
+        return await itemController.purgeItem(id);
+    });
+
+    // Move item out of the archive (with its subtasks and archived ancestors)
+    handle('items:unarchive', async (_event, id) => {
+        return await itemController.unarchiveItem(id);
+    });
+
+    // Toggle item completion (options.cascade applies it to its subtasks)
+    handle('items:toggle', async (_event, id, options) => {
+        return await itemController.toggleItemCompleted(id, options || {});
+    });
+
+    // Move item under another parent (null for top level)
+    handle('items:reparent', async (_event, id, parentId) => {
+        return await itemController.moveItemToParent(id, parentId);
+    });
+
+    // Move items (with their subtasks) into a list (null: the Inbox)
+    handle('items:moveToList', async (_event, ids, listId) => {
+        return await itemController.moveItemsToList(ids, listId);
+    });
+
+    // Reorder item between two siblings (placement: { previousId, nextId })
+    handle('items:move', async (_event, id, placement) => {
+        return await itemController.moveItem(id, placement || {});
+    });
+
+    // List who an item is shared with
+    handle('items:getShares', async (_event, id) => {
+        return await shareController.getItemShares(id);
+    });
+
+    // Share item with a user by email (role: 'viewer' | 'editor'), or change their role
+    handle('items:share', async (_event, id, email, role) => {
+        return await shareController.shareItem(id, email, role);
+    });
+
+    // Stop sharing item with a user
+    handle('items:unshare', async (_event, id, email) => {
+        return await shareController.unshareItem(id, email);
+    });
+
+    // Make an item blocked by another (refused if it would create a cycle)
+    handle('items:addDependency', async (_event, id, blockerId) => {
+        return await dependencyController.addDependency(id, blockerId);
+    });
+
+    // Stop an item being blocked by another
+    handle('items:removeDependency', async (_event, id, blockerId) => {
+        return await dependencyController.removeDependency(id, blockerId);
+    });
+
+    // Get item history (revisions, newest first)
+    handle('items:history', async (_event, id) => {
+        return await revisionController.getItemHistory(id);
+    });
+
+    // Restore item to how it was right after a revision
+    handle('items:restoreRevision', async (_event, revisionId) => {
+        return await itemController.restoreRevision(revisionId);
+    });
+
+    // Bulk operations (each runs in one transaction, results per item)
+    // Create several items
+    handle('items:bulkCreate', async (_event, itemsData) => {
+        return await itemController.bulkCreateItems(itemsData);
+    });
+
+    // Apply the same changes (completed, priority, dueAt) to several items
+    handle('items:bulkUpdate', async (_event, ids, changes) => {
+        return await itemController.bulkUpdateItems(ids, changes);
+    });
+
+    // Move several items to the trash
+    handle('items:bulkDelete', async (_event, ids, options) => {
+        return await itemController.bulkDeleteItems(ids, options);
+    });
+
+    // Save the items matching the filters as CSV where the user picks with the native dialog
+    handle('items:exportCsv', async (event, options) => {
+        const result = await itemCsvController.getItemsCsv(options);
+        if (!result.success) {
+            return result;
+        }
+
+        const window = BrowserWindow.fromWebContents(event.sender);
+        const { canceled, filePath } = await dialog.showSaveDialog(window, {
+            title: 'Export tasks',
+            defaultPath: result.data.fileName,
+            filters: [{ name: 'CSV files', extensions: ['csv'] }],
+        });
+        if (canceled || !filePath) {
+            return { success: true, data: null };
+        }
+
+        try {
+            // The byte order mark makes spreadsheets read the file as UTF-8
+            await fs.promises.writeFile(filePath, `\uFEFF${result.data.csv}`, 'utf8');
+        } catch (error) {
+            console.error('Error writing items CSV:', error);
+            return { success: false, error: `Could not save the file: ${error.message}` };
+        }
+        console.log('Items exported:', result.data.count, 'to', filePath);
+        return { success: true, data: { filePath, count: result.data.count } };
+    });
+
+    // Pick a CSV file to import with the native dialog and read its columns
+    handle('items:importCsv', async (event) => {
+        const window = BrowserWindow.fromWebContents(event.sender);
+        const { canceled, filePaths } = await dialog.showOpenDialog(window, {
+            title: 'Import tasks',
+            properties: ['openFile'],
+            filters: [
+                { name: 'CSV files', extensions: ['csv'] },
+                { name: 'All Files', extensions: ['*'] },
+            ],
+        });
+        if (canceled || filePaths.length === 0) {
+            return { success: true, data: null };
+        }
+        return await itemCsvController.readImportFile(filePaths[0]);
+    });
+
+    // Check the rows of the file picked with a column mapping (nothing is created)
+    handle('items:previewCsvImport', async (_event, mapping) => {
+        return await itemCsvController.previewImport(mapping);
     });
 
-    // Toggle item completion
-    ipcMain.handle('items:toggle', async (_event, id) => {
-        return await itemController.toggleItemCompleted(id);
+    // Create the valid rows of the file picked in one transaction
+    handle('items:confirmCsvImport', async (_event, mapping) => {
+        return await itemCsvController.confirmImport(mapping);
     });
 
     // Sync operations
     // Get sync status
-    ipcMain.handle('sync:getStatus', async () => {
+    handle('sync:getStatus', async () => {
         return await syncService.getSyncStatus();
     });
 
     // Trigger manual sync
-    ipcMain.handle('sync:trigger', async () => {
+    handle('sync:trigger', async () => {
         try {
             // Try to connect to MSSQL if not connected
             if (!isMssqlConnected()) {
@@ -71,13 +228,13 @@ function registerItemHandlers() {
     });
 
     // Push local changes to MSSQL
-    ipcMain.handle('sync:push', async () => {
+    handle('sync:push', async () => {
         return await syncService.syncToMssql();
     });
 
-    // Pull remote changes from MSSQL
-    ipcMain.handle('sync:pull', async () => {
-        return await syncService.syncFromMssql();
+    // Pull remote changes from MSSQL (options.includeArchived also pulls archived items)
+    handle('sync:pull', async (_event, options) => {
+        return await syncService.syncFromMssql(options || {});
     });
 }
 
@@ -0,0 +1,15 @@
+/**
+ * IPC Handlers for opening links
+ */
+
+const { ipcMain } = require('electron');
+const linkService = require('../services/linkService');
+
+function registerLinkHandlers() {
+    // Open a link from an item description in the default browser
+    ipcMain.handle('links:open', async (_event, url) => {
+        return await linkService.openLink(url);
+    });
+}
+
+module.exports = { registerLinkHandlers };
@@ -0,0 +1,30 @@
+/**
+ * IPC Handlers for List CRUD
+ */
+
+const { ipcMain } = require('electron');
+const listController = require('../controllers/listController');
+
+function registerListHandlers() {
+    // Get all lists
+    ipcMain.handle('lists:getAll', async () => {
+        return await listController.getAllLists();
+    });
+
+    // Create new list
+    ipcMain.handle('lists:create', async (_event, listData) => {
+        return await listController.createList(listData);
+    });
+
+    // Update existing list (name, color, icon, archived)
+    ipcMain.handle('lists:update', async (_event, id, listData) => {
+        return await listController.updateList(id, listData);
+    });
+
+    // Delete list, moving its items to another list or to the trash
+    ipcMain.handle('lists:delete', async (_event, id, options) => {
+        return await listController.deleteList(id, options);
+    });
+}
+
+module.exports = { registerListHandlers };
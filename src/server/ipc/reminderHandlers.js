@@ -0,0 +1,15 @@
+/**
+ * IPC Handlers for item reminders
+ */
+
+const { ipcMain } = require('electron');
+const reminderService = require('../services/reminderService');
+
+function registerReminderHandlers() {
+    // Snooze a reminder from the in-app reminder
+    ipcMain.handle('reminders:snooze', async (_event, itemId, option) => {
+        return await reminderService.snoozeReminder(itemId, option);
+    });
+}
+
+module.exports = { registerReminderHandlers };
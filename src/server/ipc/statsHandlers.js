@@ -0,0 +1,15 @@
+/**
+ * IPC Handlers for dashboard statistics
+ */
+
+const { handle } = require('./validation');
+const statsController = require('../controllers/statsController');
+
+function registerStatsHandlers() {
+    // Get the statistics for a range ({ from, to, groupBy })
+    handle('stats:get', async (_event, options) => {
+        return await statsController.getStats(options);
+    });
+}
+
+module.exports = { registerStatsHandlers };
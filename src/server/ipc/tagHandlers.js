@@ -0,0 +1,40 @@
+/**
+ * IPC Handlers for Tag CRUD and item/tag assignments
+ */
+
+const { ipcMain } = require('electron');
+const tagController = require('../controllers/tagController');
+
+function registerTagHandlers() {
+    // Get all tags
+    ipcMain.handle('tags:getAll', async () => {
+        return await tagController.getAllTags();
+    });
+
+    // Create new tag
+    ipcMain.handle('tags:create', async (_event, tagData) => {
+        return await tagController.createTag(tagData);
+    });
+
+    // Update existing tag
+    ipcMain.handle('tags:update', async (_event, id, tagData) => {
+        return await tagController.updateTag(id, tagData);
+    });
+
+    // Delete tag (also removes it from all items)
+    ipcMain.handle('tags:delete', async (_event, id) => {
+        return await tagController.deleteTag(id);
+    });
+
+    // Add a tag to an item
+    ipcMain.handle('tags:assign', async (_event, itemId, tagId) => {
+        return await tagController.addTagToItem(itemId, tagId);
+    });
+
+    // Remove a tag from an item
+    ipcMain.handle('tags:unassign', async (_event, itemId, tagId) => {
+        return await tagController.removeTagFromItem(itemId, tagId);
+    });
+}
+
+module.exports = { registerTagHandlers };
@@ -0,0 +1,35 @@
+/**
+ * IPC Handlers for item templates
+ */
+
+const { handle } = require('./validation');
+const templateController = require('../controllers/templateController');
+
+function registerTemplateHandlers() {
+    // Get the user's templates with the prompts each asks for
+    handle('templates:getAll', async () => {
+        return await templateController.getAllTemplates();
+    });
+
+    // Save an item and its subtasks as a new template ({ name })
+    handle('templates:createFromItem', async (_event, itemId, templateData) => {
+        return await templateController.createTemplateFromItem(itemId, templateData);
+    });
+
+    // Rename template
+    handle('templates:update', async (_event, id, templateData) => {
+        return await templateController.updateTemplate(id, templateData);
+    });
+
+    // Delete template
+    handle('templates:delete', async (_event, id) => {
+        return await templateController.deleteTemplate(id);
+    });
+
+    // Create items from a template ({ values, listUuid })
+    handle('templates:instantiate', async (_event, id, options) => {
+        return await templateController.instantiateTemplate(id, options);
+    });
+}
+
+module.exports = { registerTemplateHandlers };
@@ -0,0 +1,80 @@
+/**
+ * IPC Handlers for time tracking
+ */
+
+const fs = require('node:fs');
+const { dialog, BrowserWindow } = require('electron');
+const { handle } = require('./validation');
+const timeEntryController = require('../controllers/timeEntryController');
+
+function registerTimeEntryHandlers() {
+    // Get the running timer (or null)
+    handle('timeEntries:getRunning', async () => {
+        return await timeEntryController.getRunningTimer();
+    });
+
+    // Start a timer on an item (stops the one running)
+    handle('timeEntries:start', async (_event, itemId) => {
+        return await timeEntryController.startTimer(itemId);
+    });
+
+    // Stop the running timer
+    handle('timeEntries:stop', async () => {
+        return await timeEntryController.stopTimer();
+    });
+
+    // Get the time tracked on an item
+    handle('timeEntries:getForItem', async (_event, itemId) => {
+        return await timeEntryController.getItemEntries(itemId);
+    });
+
+    // Add time to an item by hand ({ startedAt, endedAt, note })
+    handle('timeEntries:add', async (_event, itemId, entryData) => {
+        return await timeEntryController.addTimeEntry(itemId, entryData);
+    });
+
+    // Update time entry
+    handle('timeEntries:update', async (_event, id, entryData) => {
+        return await timeEntryController.updateTimeEntry(id, entryData);
+    });
+
+    // Delete time entry
+    handle('timeEntries:delete', async (_event, id) => {
+        return await timeEntryController.deleteTimeEntry(id);
+    });
+
+    // Get the timesheet of a week ({ weekOf })
+    handle('timeEntries:getTimesheet', async (_event, options) => {
+        return await timeEntryController.getTimesheet(options);
+    });
+
+    // Save the timesheet of a week as CSV where the user picks with the native dialog
+    handle('timeEntries:exportTimesheet', async (event, options) => {
+        const result = await timeEntryController.getTimesheetCsv(options);
+        if (!result.success) {
+            return result;
+        }
+
+        const window = BrowserWindow.fromWebContents(event.sender);
+        const { canceled, filePath } = await dialog.showSaveDialog(window, {
+            title: 'Export timesheet',
+            defaultPath: result.data.fileName,
+            filters: [{ name: 'CSV files', extensions: ['csv'] }],
+        });
+        if (canceled || !filePath) {
+            return { success: true, data: null };
+        }
+
+        try {
+            // The byte order mark makes spreadsheets read the file as UTF-8
+            await fs.promises.writeFile(filePath, `\uFEFF${result.data.csv}`, 'utf8');
+        } catch (error) {
+            console.error('Error writing timesheet:', error);
+            return { success: false, error: `Could not save the timesheet: ${error.message}` };
+        }
+        console.log('Timesheet exported:', filePath);
+        return { success: true, data: { filePath } };
+    });
+}
+
+module.exports = { registerTimeEntryHandlers };
@@ -0,0 +1,29 @@
+/**
+ * Validated IPC handlers
+ * Checks the arguments of each call against its schema in shared/ipcSchemas.js
+ * before the handler runs. Invalid calls never reach the controllers and get
+ * { success: false, error, fieldErrors: { [field]: message } }
+ */
+
+const { ipcMain } = require('electron');
+const { IPC_SCHEMAS, validateArgs, toFieldErrors } = require('../../shared/ipcSchemas');
+
+/**
+ * Register a handler for a channel (which must have a schema)
+ */
+const handle = (channel, handler) => {
+    if (!IPC_SCHEMAS[channel]) {
+        throw new Error(`No IPC schema for ${channel}`);
+    }
+
+    ipcMain.handle(channel, async (event, ...args) => {
+        const errors = validateArgs(channel, args);
+        if (errors.length > 0) {
+            console.warn(`Rejected ${channel} call:`, errors);
+            return { success: false, error: errors[0].message, fieldErrors: toFieldErrors(errors) };
+        }
+        return await handler(event, ...args);
+    });
+};
+
+module.exports = { handle };
@@ -0,0 +1,35 @@
+/**
+ * IPC Handlers for saved views
+ */
+
+const { handle } = require('./validation');
+const viewController = require('../controllers/viewController');
+
+function registerViewHandlers() {
+    // Get the user's views with the number of items each matches
+    handle('views:getAll', async () => {
+        return await viewController.getAllViews();
+    });
+
+    // Check a query and count the items it matches
+    handle('views:count', async (_event, query) => {
+        return await viewController.countViewItems(query);
+    });
+
+    // Create new view
+    handle('views:create', async (_event, viewData) => {
+        return await viewController.createView(viewData);
+    });
+
+    // Update existing view (name, query)
+    handle('views:update', async (_event, id, viewData) => {
+        return await viewController.updateView(id, viewData);
+    });
+
+    // Delete view
+    handle('views:delete', async (_event, id) => {
+        return await viewController.deleteView(id);
+    });
+}
+
+module.exports = { registerViewHandlers };
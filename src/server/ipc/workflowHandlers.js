@@ -0,0 +1,25 @@
+/**
+ * IPC Handlers for priority levels and workflow statuses
+ */
+
+const { handle } = require('./validation');
+const workflowController = require('../controllers/workflowController');
+
+function registerWorkflowHandlers() {
+    // Get the user's priority levels and statuses
+    handle('workflow:get', async () => {
+        return await workflowController.getWorkflowSettings();
+    });
+
+    // Replace the user's priority levels, lowest first ([{ key?, name, color, isDefault }])
+    handle('workflow:savePriorities', async (_event, levels) => {
+        return await workflowController.savePriorityLevels(levels);
+    });
+
+    // Replace the user's statuses, in workflow order ([{ key?, name, color, isDone }])
+    handle('workflow:saveStatuses', async (_event, statuses) => {
+        return await workflowController.saveStatuses(statuses);
+    });
+}
+
+module.exports = { registerWorkflowHandlers };
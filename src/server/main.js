@@ -41,8 +41,24 @@ const { initializeDatabase, connectMssql, disconnectMssql, isMssqlConnected } =
 const authController = require('./controllers/authController');
 const { registerAuthHandlers } = require('./ipc/authHandlers');
 const { registerItemHandlers } = require('./ipc/itemHandlers');
+const { registerTagHandlers } = require('./ipc/tagHandlers');
+const { registerCustomFieldHandlers } = require('./ipc/customFieldHandlers');
+const { registerListHandlers } = require('./ipc/listHandlers');
+const { registerReminderHandlers } = require('./ipc/reminderHandlers');
+const { registerAttachmentHandlers } = require('./ipc/attachmentHandlers');
+const { registerLinkHandlers } = require('./ipc/linkHandlers');
+const { registerViewHandlers } = require('./ipc/viewHandlers');
+const { registerStatsHandlers } = require('./ipc/statsHandlers');
+const { registerTemplateHandlers } = require('./ipc/templateHandlers');
+const { registerTimeEntryHandlers } = require('./ipc/timeEntryHandlers');
+const { registerWorkflowHandlers } = require('./ipc/workflowHandlers');
 const syncService = require('./services/syncService');
 const autoUpdateService = require('./services/autoUpdateService');
+const reminderService = require('./services/reminderService');
+const trashService = require('./services/trashService');
+const archiveService = require('./services/archiveService');
+const linkService = require('./services/linkService');
+const attachmentController = require('./controllers/attachmentController');
 
 if (require('electron-squirrel-startup')) {
     app.quit();
@@ -175,6 +191,9 @@ const createWindow = () => {
         mainWindow.webContents.openDevTools();
     }
 
+    // Links in descriptions open in the browser, never inside the app
+    linkService.guardWindow(mainWindow);
+
     // Log any loading errors
     mainWindow.webContents.on('did-fail-load', (event, errorCode, errorDescription) => {
         console.error('Failed to load:', errorCode, errorDescription);
@@ -198,6 +217,7 @@ const createWindow = () => {
     authController.setMainWindow(mainWindow);
     syncService.setMainWindow(mainWindow);
     autoUpdateService.setMainWindow(mainWindow);
+    reminderService.setMainWindow(mainWindow);
 };
 
 const focusMainWindow = () => {
@@ -274,6 +294,17 @@ if (!gotTheLock) {
 
             registerAuthHandlers();
             registerItemHandlers();
+            registerTagHandlers();
+            registerCustomFieldHandlers();
+            registerListHandlers();
+            registerReminderHandlers();
+            registerAttachmentHandlers();
+            registerLinkHandlers();
+            registerViewHandlers();
+            registerStatsHandlers();
+            registerTemplateHandlers();
+            registerTimeEntryHandlers();
+            registerWorkflowHandlers();
 
             console.log('Creating window...');
             createWindow();
@@ -281,6 +312,15 @@ if (!gotTheLock) {
 
             autoUpdateService.initialize();
 
+            // Fires reminders that came due while the app was closed
+            reminderService.start();
+
+            // Permanently removes items kept in the trash past the retention period
+            trashService.start();
+
+            // Archives items completed more than ARCHIVE_AFTER_DAYS ago
+            archiveService.start();
+
             const protocolUrl = process.argv.find((arg) => arg.startsWith(`${PROTOCOL_SCHEME}://`));
             if (protocolUrl) {
                 setTimeout(() => handleProtocolUrl(protocolUrl), 500);
@@ -304,4 +344,9 @@ if (!gotTheLock) {
             app.quit();
         }
     });
+
+    // Remove decrypted copies of attachments opened during this session
+    app.on('will-quit', () => {
+        attachmentController.clearOpenedAttachments();
+    });
 }
@@ -60,6 +60,12 @@ contextBridge.exposeInMainWorld('electronAPI', {
         // Get all items
         getAll: () => ipcRenderer.invoke('items:getAll'),
 
+        // Query items with filters, sort and cursor pagination
+        query: (options) => ipcRenderer.invoke('items:query', options),
+
+        // Full-text search over titles and descriptions
+        search: (text, options) => ipcRenderer.invoke('items:search', text, options),
+
         // Get single item by ID
         getById: (id) => ipcRenderer.invoke('items:getById', id),
 
@@ -69,11 +75,253 @@ contextBridge.exposeInMainWorld('electronAPI', {
         // Update existing item
         update: (id, itemData) => ipcRenderer.invoke('items:update', id, itemData),
 
-        // Delete item
-        delete: (id) => ipcRenderer.invoke('items:delete', id),
+        // Move item to the trash ({ cascade: true } also deletes its subtasks)
+        delete: (id, options) => ipcRenderer.invoke('items:delete', id, options),
+
+        // List items in the trash (each with purgeAt)
+        trash: () => ipcRenderer.invoke('items:trash'),
+
+        // Restore item from the trash
+        restore: (id) => ipcRenderer.invoke('items:restore', id),
+
+        // Permanently delete item from the trash
+        purge: (id) => ipcRenderer.invoke('items:purge', id),
+
+        // Move item out of the archive
+        unarchive: (id) => ipcRenderer.invoke('items:unarchive', id),
+
+        // Toggle item completion status ({ cascade: true } applies it to its subtasks)
+        toggle: (id, options) => ipcRenderer.invoke('items:toggle', id, options),
+
+        // Move item under another parent item (null for top level)
+        reparent: (id, parentId) => ipcRenderer.invoke('items:reparent', id, parentId),
+
+        // Move items (with their subtasks) into a list (null listId: the Inbox)
+        moveToList: (ids, listId) => ipcRenderer.invoke('items:moveToList', ids, listId),
+
+        // Reorder item between two siblings ({ previousId, nextId }, null at either end)
+        move: (id, placement) => ipcRenderer.invoke('items:move', id, placement),
+
+        // List who an item is shared with ([{ email, role }], owner only)
+        getShares: (id) => ipcRenderer.invoke('items:getShares', id),
+
+        // Share item with a user by email as 'viewer' or 'editor' (needs a connection)
+        share: (id, email, role) => ipcRenderer.invoke('items:share', id, email, role),
+
+        // Stop sharing item with a user (needs a connection)
+        unshare: (id, email) => ipcRenderer.invoke('items:unshare', id, email),
+
+        // Make an item blocked by another until it is completed (refused if it would create a cycle)
+        addDependency: (id, blockerId) => ipcRenderer.invoke('items:addDependency', id, blockerId),
+
+        // Stop an item being blocked by another
+        removeDependency: (id, blockerId) => ipcRenderer.invoke('items:removeDependency', id, blockerId),
+
+        // Get item history (revisions with changed fields, newest first)
+        history: (id) => ipcRenderer.invoke('items:history', id),
+
+        // Restore item to how it was right after a revision
+        restoreRevision: (revisionId) => ipcRenderer.invoke('items:restoreRevision', revisionId),
+
+        // Create several items in one transaction (results per item)
+        bulkCreate: (itemsData) => ipcRenderer.invoke('items:bulkCreate', itemsData),
+
+        // Apply the same changes to several items in one transaction
+        bulkUpdate: (ids, changes) => ipcRenderer.invoke('items:bulkUpdate', ids, changes),
+
+        // Move several items to the trash in one transaction
+        bulkDelete: (ids, options) => ipcRenderer.invoke('items:bulkDelete', ids, options),
+
+        // Save the items matching items:query filters as CSV ({ filters }; asks where,
+        // data is null when canceled)
+        exportCsv: (options) => ipcRenderer.invoke('items:exportCsv', options),
+
+        // Pick a CSV file to import: { fileName, columns, rowCount, mapping } (null when canceled)
+        importCsv: () => ipcRenderer.invoke('items:importCsv'),
+
+        // Check the picked file's rows with a column mapping ({ [field]: column index or null })
+        previewCsvImport: (mapping) => ipcRenderer.invoke('items:previewCsvImport', mapping),
+
+        // Create the valid rows of the picked file (rows whose UUID exists are skipped)
+        confirmCsvImport: (mapping) => ipcRenderer.invoke('items:confirmCsvImport', mapping),
+    },
+
+    // Tag methods
+    tags: {
+        // Get all tags
+        getAll: () => ipcRenderer.invoke('tags:getAll'),
+
+        // Create new tag
+        create: (tagData) => ipcRenderer.invoke('tags:create', tagData),
+
+        // Update existing tag (name, color)
+        update: (id, tagData) => ipcRenderer.invoke('tags:update', id, tagData),
+
+        // Delete tag (removes it from all items)
+        delete: (id) => ipcRenderer.invoke('tags:delete', id),
+
+        // Add a tag to an item
+        assign: (itemId, tagId) => ipcRenderer.invoke('tags:assign', itemId, tagId),
+
+        // Remove a tag from an item
+        unassign: (itemId, tagId) => ipcRenderer.invoke('tags:unassign', itemId, tagId),
+    },
+
+    // List methods
+    lists: {
+        // Get all lists
+        getAll: () => ipcRenderer.invoke('lists:getAll'),
+
+        // Create new list (name, color, icon)
+        create: (listData) => ipcRenderer.invoke('lists:create', listData),
+
+        // Update existing list (name, color, icon, archived)
+        update: (id, listData) => ipcRenderer.invoke('lists:update', id, listData),
+
+        // Delete list; options: { items: 'move' | 'delete', targetListId }
+        delete: (id, options) => ipcRenderer.invoke('lists:delete', id, options),
+    },
+
+    // Custom field definition methods (values are set via items.create/update)
+    fields: {
+        // Get all field definitions
+        getAll: () => ipcRenderer.invoke('fields:getAll'),
+
+        // Create new field definition (name, type, required, options)
+        create: (fieldData) => ipcRenderer.invoke('fields:create', fieldData),
+
+        // Update field definition (name, required, options)
+        update: (id, fieldData) => ipcRenderer.invoke('fields:update', id, fieldData),
+
+        // Delete field definition (removes its values from all items)
+        delete: (id) => ipcRenderer.invoke('fields:delete', id),
+    },
+
+    // Attachment methods
+    attachments: {
+        // Pick files with the native dialog and attach them to an item
+        add: (itemId) => ipcRenderer.invoke('attachments:add', itemId),
+
+        // Open an attachment with the default application
+        open: (id) => ipcRenderer.invoke('attachments:open', id),
+
+        // Remove an attachment
+        remove: (id) => ipcRenderer.invoke('attachments:remove', id),
+    },
+
+    // Reminder methods
+    reminders: {
+        // Snooze an item's reminder ('10m' | '1h' | 'tomorrow')
+        snooze: (itemId, option) => ipcRenderer.invoke('reminders:snooze', itemId, option),
+
+        // Listen for reminders coming due
+        onReminder: (callback) => {
+            const handler = (_event, data) => callback(data);
+            ipcRenderer.on('reminders:fired', handler);
+            // Return cleanup function
+            return () => ipcRenderer.removeListener('reminders:fired', handler);
+        },
+
+        // Listen for reminder notification clicks (open the item)
+        onOpenItem: (callback) => {
+            const handler = (_event, data) => callback(data);
+            ipcRenderer.on('reminders:open', handler);
+            // Return cleanup function
+            return () => ipcRenderer.removeListener('reminders:open', handler);
+        },
+    },
+
+    // Saved view methods
+    views: {
+        // Get the user's views, each with the number of items it matches
+        getAll: () => ipcRenderer.invoke('views:getAll'),
+
+        // Check a query and count the items it matches
+        count: (query) => ipcRenderer.invoke('views:count', query),
+
+        // Create new view ({ name, query })
+        create: (viewData) => ipcRenderer.invoke('views:create', viewData),
+
+        // Update existing view (name, query)
+        update: (id, viewData) => ipcRenderer.invoke('views:update', id, viewData),
+
+        // Delete view
+        delete: (id) => ipcRenderer.invoke('views:delete', id),
+    },
+
+    // Dashboard statistics methods
+    stats: {
+        // Get the statistics for a range ({ from, to, groupBy: 'day' | 'week' })
+        get: (options) => ipcRenderer.invoke('stats:get', options),
+    },
+
+    // Item template methods
+    templates: {
+        // Get the user's templates, each with the prompts it asks for
+        getAll: () => ipcRenderer.invoke('templates:getAll'),
+
+        // Save an item and its subtasks as a new template ({ name })
+        createFromItem: (itemId, templateData) => ipcRenderer.invoke('templates:createFromItem', itemId, templateData),
+
+        // Rename template ({ name })
+        update: (id, templateData) => ipcRenderer.invoke('templates:update', id, templateData),
+
+        // Delete template (items created from it are kept)
+        delete: (id) => ipcRenderer.invoke('templates:delete', id),
+
+        // Create items from a template ({ values: { [prompt]: value }, listUuid })
+        instantiate: (id, options) => ipcRenderer.invoke('templates:instantiate', id, options),
+    },
+
+    // Time tracking methods
+    timeEntries: {
+        // Get the running timer (null when none is), on this or another device
+        getRunning: () => ipcRenderer.invoke('timeEntries:getRunning'),
+
+        // Start a timer on an item; the running timer, if any, is stopped (returned as stopped)
+        start: (itemId) => ipcRenderer.invoke('timeEntries:start', itemId),
+
+        // Stop the running timer
+        stop: () => ipcRenderer.invoke('timeEntries:stop'),
+
+        // Get the time tracked on an item (entries newest first, and totalMs)
+        getForItem: (itemId) => ipcRenderer.invoke('timeEntries:getForItem', itemId),
+
+        // Add time to an item by hand ({ startedAt, endedAt, note })
+        add: (itemId, entryData) => ipcRenderer.invoke('timeEntries:add', itemId, entryData),
+
+        // Update time entry (startedAt, endedAt, note)
+        update: (id, entryData) => ipcRenderer.invoke('timeEntries:update', id, entryData),
+
+        // Delete time entry
+        delete: (id) => ipcRenderer.invoke('timeEntries:delete', id),
+
+        // Get the timesheet of the week a date falls in ({ weekOf }, default this week)
+        getTimesheet: (options) => ipcRenderer.invoke('timeEntries:getTimesheet', options),
+
+        // Save the timesheet of a week as CSV (asks where; data is null when canceled)
+        exportTimesheet: (options) => ipcRenderer.invoke('timeEntries:exportTimesheet', options),
+    },
+
+    // Priority level and workflow status methods
+    workflow: {
+        // Get the user's priority levels (lowest first) and statuses (in order)
+        get: () => ipcRenderer.invoke('workflow:get'),
+
+        // Replace the priority levels ([{ key?, name, color, isDefault }]); items on a
+        // removed level move to the default one
+        savePriorities: (levels) => ipcRenderer.invoke('workflow:savePriorities', levels),
+
+        // Replace the statuses ([{ key?, name, color, isDone }]); items on a removed
+        // status move to the first open or done status like it
+        saveStatuses: (statuses) => ipcRenderer.invoke('workflow:saveStatuses', statuses),
+    },
 
-        // Toggle item completion status
-        toggle: (id) => ipcRenderer.invoke('items:toggle', id),
+    // Link methods
+    links: {
+        // Open a link from an item description in the default browser
+        // (only http, https and mailto links are opened)
+        open: (url) => ipcRenderer.invoke('links:open', url),
     },
 
     // Network status methods
@@ -101,8 +349,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
         // Push local changes to MSSQL
         push: () => ipcRenderer.invoke('sync:push'),
 
-        // Pull remote changes from MSSQL
-        pull: () => ipcRenderer.invoke('sync:pull'),
+        // Pull remote changes from MSSQL ({ includeArchived: true } also pulls archived items)
+        pull: (options) => ipcRenderer.invoke('sync:pull', options),
 
         // Listen for sync status updates
         onStatusChange: (callback) => {
@@ -0,0 +1,114 @@
+/**
+ * Archive Service
+ * Moves old completed items out of the main list
+ *
+ * - A job that runs on start and every hour archives the signed-in
+ *   user's top-level items completed (and left unchanged) more than
+ *   ARCHIVE_AFTER_DAYS ago, together with their subtasks. Items with an open
+ *   subtask stay where they are
+ * - Archiving sets archivedAt and marks the items pending, so the archive
+ *   syncs like any other change. Unarchiving (itemController.unarchiveItem)
+ *   counts as a change too, which keeps the job from archiving the item again
+ *   right away
+ */
+
+const { Op } = require('sequelize');
+const { getSqliteItemModel, getSqliteSequelize } = require('../database');
+const { topLevelCondition, getDescendantUuids } = require('../database/itemTree');
+const { getArchiveConfig } = require('../config/dbConfig');
+const authController = require('../controllers/authController');
+
+// Time between archive runs (short enough to pick up a sign-in soon after start)
+const ARCHIVE_INTERVAL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let archiveTimer = null;
+
+/**
+ * Items completed before this date are due for the archive
+ */
+const getArchiveCutoff = (now = new Date()) => (
+    new Date(now.getTime() - getArchiveConfig().afterDays * DAY_MS)
+);
+
+/**
+ * Archive the signed-in user's items that were completed long enough ago
+ * Returns how many items (subtasks included) were archived
+ */
+const archiveCompletedItems = async () => {
+    const Item = getSqliteItemModel();
+    const ownerId = authController.getOwnerId();
+    if (!Item || !ownerId || getArchiveConfig().afterDays === 0) return 0;
+
+    try {
+        const cutoff = getArchiveCutoff();
+        const candidates = await Item.findAll({
+            where: {
+                [Op.and]: [
+                    {
+                        ownerId,
+                        isDeleted: false,
+                        archivedAt: null,
+                        completed: true,
+                        completedAt: { [Op.lt]: cutoff },
+                        updatedAt: { [Op.lt]: cutoff },
+                    },
+                    topLevelCondition(),
+                ],
+            },
+        });
+
+        let archived = 0;
+        for (const item of candidates) {
+            const descendantUuids = await getDescendantUuids(getSqliteSequelize(), item.uuid);
+            const openSubtasks = descendantUuids.length === 0 ? 0 : await Item.count({
+                where: { uuid: { [Op.in]: descendantUuids }, completed: false, isDeleted: false },
+            });
+            if (openSubtasks > 0) continue;
+
+            const archivedAt = new Date();
+            await item.update({ archivedAt, syncStatus: 'pending' });
+            if (descendantUuids.length > 0) {
+                const [count] = await Item.update(
+                    { archivedAt, syncStatus: 'pending' },
+                    { where: { uuid: { [Op.in]: descendantUuids }, archivedAt: null } }
+                );
+                archived += count;
+            }
+            archived += 1;
+        }
+
+        if (archived > 0) {
+            console.log(`Archived ${archived} completed item(s) (pending sync)`);
+        }
+        return archived;
+    } catch (error) {
+        console.error('Archive job failed:', error);
+        return 0;
+    }
+};
+
+/**
+ * Start the archive job (runs now, then every ARCHIVE_INTERVAL_MS)
+ */
+const start = () => {
+    if (archiveTimer) return;
+    archiveCompletedItems();
+    archiveTimer = setInterval(archiveCompletedItems, ARCHIVE_INTERVAL_MS);
+};
+
+/**
+ * Stop the archive job
+ */
+const stop = () => {
+    clearInterval(archiveTimer);
+    archiveTimer = null;
+};
+
+module.exports = {
+    getArchiveCutoff,
+    archiveCompletedItems,
+    start,
+    stop,
+};
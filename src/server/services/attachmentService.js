@@ -0,0 +1,161 @@
+/**
+ * Attachment Service
+ * Stores attachment contents as SHA-256 addressed chunks (AttachmentChunk)
+ *
+ * - Identical files are stored once, whichever items they are attached to
+ * - Contents move between SQLite and MSSQL one chunk per request, and a copy
+ *   interrupted half way resumes from the chunks that are still missing
+ * - Contents are removed once no attachment refers to them any more
+ */
+
+const crypto = require('crypto');
+const { getAttachmentConfig } = require('../config/dbConfig');
+const {
+    getSqliteAttachmentModel,
+    getMssqlAttachmentModel,
+    getSqliteAttachmentChunkModel,
+    getMssqlAttachmentChunkModel,
+} = require('../database');
+
+/**
+ * Hex SHA-256 of a buffer
+ */
+const hashContent = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Number of chunks contents of the given size are split into
+ * (empty files are stored as one empty chunk)
+ */
+const getChunkCount = (size) => Math.max(1, Math.ceil(size / getAttachmentConfig().chunkBytes));
+
+/**
+ * Get the indexes of the chunks of some contents already stored in a database
+ */
+const getStoredChunkIndexes = async (ChunkModel, sha256) => {
+    const chunks = await ChunkModel.findAll({
+        where: { sha256 },
+        attributes: ['chunkIndex'],
+    });
+    return new Set(chunks.map((chunk) => chunk.chunkIndex));
+};
+
+/**
+ * Store contents locally, returning their hash
+ * Chunks already stored (identical file attached before) are not written again
+ */
+const storeContent = async (buffer) => {
+    const Chunk = getSqliteAttachmentChunkModel();
+    const { chunkBytes } = getAttachmentConfig();
+    const sha256 = hashContent(buffer);
+    const stored = await getStoredChunkIndexes(Chunk, sha256);
+
+    for (let index = 0; index < getChunkCount(buffer.length); index++) {
+        if (!stored.has(index)) {
+            await Chunk.create({
+                sha256,
+                chunkIndex: index,
+                data: buffer.subarray(index * chunkBytes, (index + 1) * chunkBytes),
+            });
+        }
+    }
+
+    return sha256;
+};
+
+/**
+ * Read and verify locally stored contents
+ */
+const readContent = async (sha256, size) => {
+    const Chunk = getSqliteAttachmentChunkModel();
+    const chunks = await Chunk.findAll({
+        where: { sha256 },
+        order: [['chunkIndex', 'ASC']],
+    });
+
+    if (chunks.length < getChunkCount(size)) {
+        throw new Error('Attachment contents are not available on this device yet');
+    }
+
+    const buffer = Buffer.concat(chunks.map((chunk) => Buffer.from(chunk.data)));
+    if (hashContent(buffer) !== sha256) {
+        throw new Error('Attachment contents are corrupted');
+    }
+    return buffer;
+};
+
+/**
+ * Copy contents between databases one chunk at a time, skipping chunks the
+ * target already has. Returns the number of chunks copied.
+ */
+const copyContent = async (FromChunk, ToChunk, sha256, size) => {
+    const present = await getStoredChunkIndexes(ToChunk, sha256);
+    let copied = 0;
+
+    for (let index = 0; index < getChunkCount(size); index++) {
+        if (present.has(index)) continue;
+
+        const chunk = await FromChunk.findOne({ where: { sha256, chunkIndex: index } });
+        if (!chunk) {
+            throw new Error(`Attachment contents ${sha256} are incomplete (chunk ${index} missing)`);
+        }
+        await ToChunk.create({ sha256, chunkIndex: index, data: chunk.data });
+        copied++;
+    }
+
+    return copied;
+};
+
+/**
+ * Upload contents to MSSQL (before pushing the attachment referring to them)
+ */
+const uploadContent = async (sha256, size) => {
+    const copied = await copyContent(getSqliteAttachmentChunkModel(), getMssqlAttachmentChunkModel(), sha256, size);
+    if (copied > 0) {
+        console.log(`Uploaded ${copied} attachment chunk(s) for ${sha256}`);
+    }
+};
+
+/**
+ * Download contents from MSSQL (before creating the attachment locally)
+ */
+const downloadContent = async (sha256, size) => {
+    const copied = await copyContent(getMssqlAttachmentChunkModel(), getSqliteAttachmentChunkModel(), sha256, size);
+    if (copied > 0) {
+        console.log(`Downloaded ${copied} attachment chunk(s) for ${sha256}`);
+    }
+};
+
+/**
+ * Remove contents from one database when no attachment there refers to them
+ */
+const deleteContentIfUnused = async (AttachmentModel, ChunkModel, sha256) => {
+    const references = await AttachmentModel.count({ where: { sha256 } });
+    if (references === 0) {
+        await ChunkModel.destroy({ where: { sha256 } });
+    }
+};
+
+/**
+ * Remove local contents no local attachment (including soft-deleted ones
+ * waiting to sync) refers to
+ */
+const deleteLocalContentIfUnused = (sha256) => (
+    deleteContentIfUnused(getSqliteAttachmentModel(), getSqliteAttachmentChunkModel(), sha256)
+);
+
+/**
+ * Remove MSSQL contents no remote attachment refers to
+ */
+const deleteRemoteContentIfUnused = (sha256) => (
+    deleteContentIfUnused(getMssqlAttachmentModel(), getMssqlAttachmentChunkModel(), sha256)
+);
+
+module.exports = {
+    hashContent,
+    storeContent,
+    readContent,
+    uploadContent,
+    downloadContent,
+    deleteLocalContentIfUnused,
+    deleteRemoteContentIfUnused,
+};
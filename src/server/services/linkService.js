@@ -0,0 +1,66 @@
+/**
+ * Link Service
+ * Opens links from item descriptions in the user's browser
+ *
+ * Descriptions are synced from other devices and users, so a link is only
+ * handed to the OS when its protocol is on LINK_PROTOCOLS (file:, custom
+ * protocol handlers and the like could run programs). The app window itself
+ * never navigates away or opens new windows.
+ */
+
+const { shell } = require('electron');
+
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/**
+ * Whether a URL may be opened externally
+ */
+const isAllowedLink = (url) => {
+    try {
+        return LINK_PROTOCOLS.includes(new URL(url).protocol);
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Open a link in the default browser (or mail client)
+ */
+const openLink = async (url) => {
+    if (typeof url !== 'string' || !isAllowedLink(url)) {
+        console.warn('Blocked opening link:', url);
+        return { success: false, error: 'This link cannot be opened' };
+    }
+
+    try {
+        await shell.openExternal(url);
+        return { success: true };
+    } catch (error) {
+        console.error('Error opening link:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Keep a window on the app: links that would navigate it or open a new
+ * window are opened externally instead (when allowed)
+ */
+const guardWindow = (window) => {
+    window.webContents.setWindowOpenHandler(({ url }) => {
+        openLink(url);
+        return { action: 'deny' };
+    });
+
+    window.webContents.on('will-navigate', (event, url) => {
+        if (url !== window.webContents.getURL()) {
+            event.preventDefault();
+            openLink(url);
+        }
+    });
+};
+
+module.exports = {
+    isAllowedLink,
+    openLink,
+    guardWindow,
+};
@@ -0,0 +1,281 @@
+/**
+ * Reminder Service
+ * Shows desktop notifications when an item's remindAt comes due
+ *
+ * - A single timer is armed for the next reminder (re-checked at least every minute)
+ * - On start, reminders that came due while the app was closed fire immediately
+ * - A reminder fires once per remindAt value: reminderFiredAt records when this
+ *   device showed it, so moving remindAt later (snooze, edit, sync) re-arms it
+ */
+
+const { Notification } = require('electron');
+const { Op, col } = require('sequelize');
+const { getSqliteItemModel, getUserSqliteItemModel } = require('../database');
+const authController = require('../controllers/authController');
+const shareController = require('../controllers/shareController');
+
+// Longest time between checks, so clock changes and pulled items are picked up
+const MAX_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Hour of day "tomorrow" snoozes land on
+const TOMORROW_HOUR = 9;
+
+const SNOOZE_OPTIONS = ['10m', '1h', 'tomorrow'];
+const SNOOZE_LABELS = {
+    '10m': 'Snooze 10 min',
+    '1h': 'Snooze 1 hour',
+    tomorrow: 'Remind me tomorrow',
+};
+
+let mainWindow = null;
+let checkTimer = null;
+let isRunning = false;
+
+// Keep references to shown notifications so they are not garbage collected
+// (which would drop their click handlers)
+const activeNotifications = new Map();
+
+/**
+ * Set the main window for focusing and sending reminder events
+ */
+const setMainWindow = (window) => {
+    mainWindow = window;
+};
+
+/**
+ * Send reminder event to renderer
+ */
+const sendToRenderer = (channel, data) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send(channel, data);
+    }
+};
+
+/**
+ * Bring the main window to the front and ask the renderer to open the item
+ */
+const openItem = (itemId) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        if (mainWindow.isMinimized()) mainWindow.restore();
+        mainWindow.show();
+        mainWindow.focus();
+    }
+    sendToRenderer('reminders:open', { itemId });
+};
+
+/**
+ * Compute the new reminder time for a snooze option
+ */
+const getSnoozeTime = (option, from = new Date()) => {
+    switch (option) {
+        case '10m':
+            return new Date(from.getTime() + 10 * 60 * 1000);
+        case '1h':
+            return new Date(from.getTime() + 60 * 60 * 1000);
+        case 'tomorrow': {
+            const tomorrow = new Date(from);
+            tomorrow.setDate(tomorrow.getDate() + 1);
+            tomorrow.setHours(TOMORROW_HOUR, 0, 0, 0);
+            return tomorrow;
+        }
+        default:
+            throw new Error(`Invalid snooze option '${option}'`);
+    }
+};
+
+/**
+ * Where clause for reminders that are due at the given time and not yet shown
+ */
+const dueRemindersWhere = (now) => ({
+    isDeleted: false,
+    completed: false,
+    remindAt: { [Op.lte]: now },
+    [Op.or]: [
+        { reminderFiredAt: null },
+        { reminderFiredAt: { [Op.lt]: col('remind_at') } },
+    ],
+});
+
+/**
+ * Show the notification for one item
+ */
+const showNotification = (item) => {
+    const payload = {
+        itemId: item.id,
+        uuid: item.uuid,
+        title: item.title,
+        dueAt: item.dueAt,
+        remindAt: item.remindAt,
+    };
+
+    // Renderer shows an in-app reminder with snooze buttons too
+    sendToRenderer('reminders:fired', payload);
+
+    if (!Notification.isSupported()) {
+        return;
+    }
+
+    const notification = new Notification({
+        title: 'Reminder',
+        body: item.dueAt
+            ? `${item.title}\nDue ${new Date(item.dueAt).toLocaleString()}`
+            : item.title,
+        // Action buttons are only rendered on macOS; elsewhere snooze from the app
+        actions: SNOOZE_OPTIONS.map((option) => ({ type: 'button', text: SNOOZE_LABELS[option] })),
+    });
+
+    notification.on('click', () => {
+        openItem(item.id);
+    });
+
+    notification.on('action', (_event, index) => {
+        snoozeReminder(item.id, SNOOZE_OPTIONS[index]);
+    });
+
+    notification.on('close', () => {
+        activeNotifications.delete(item.id);
+    });
+
+    activeNotifications.set(item.id, notification);
+    notification.show();
+};
+
+/**
+ * Fire all due reminders of the signed-in user, then arm the timer for the next one
+ * While nobody is signed in, reminders wait for the next check
+ */
+const checkReminders = async () => {
+    if (!getSqliteItemModel() || !isRunning) return;
+
+    clearTimeout(checkTimer);
+    checkTimer = null;
+
+    const ownerId = authController.getOwnerId();
+    if (!ownerId) {
+        scheduleCheck(MAX_CHECK_INTERVAL_MS);
+        return;
+    }
+    const Item = getUserSqliteItemModel(ownerId);
+
+    try {
+        const now = new Date();
+        const dueItems = await Item.findAll({
+            where: dueRemindersWhere(now),
+            order: [['remindAt', 'ASC']],
+        });
+
+        for (const item of dueItems) {
+            console.log('Reminder due:', item.id, item.title);
+            showNotification(item);
+            // Local bookkeeping only - does not touch sync status or updatedAt
+            await item.update({ reminderFiredAt: now }, { silent: true });
+        }
+
+        const nextItem = await Item.findOne({
+            where: {
+                isDeleted: false,
+                completed: false,
+                remindAt: { [Op.gt]: now },
+            },
+            order: [['remindAt', 'ASC']],
+        });
+
+        const delay = nextItem
+            ? Math.min(new Date(nextItem.remindAt).getTime() - now.getTime(), MAX_CHECK_INTERVAL_MS)
+            : MAX_CHECK_INTERVAL_MS;
+        scheduleCheck(Math.max(delay, 0));
+    } catch (error) {
+        console.error('Reminder check failed:', error);
+        scheduleCheck(MAX_CHECK_INTERVAL_MS);
+    }
+};
+
+/**
+ * Arm the check timer
+ */
+const scheduleCheck = (delay) => {
+    if (!isRunning) return;
+    clearTimeout(checkTimer);
+    checkTimer = setTimeout(checkReminders, delay);
+};
+
+/**
+ * Start the scheduler (fires reminders missed while the app was closed)
+ */
+const start = () => {
+    if (isRunning) return;
+    isRunning = true;
+    console.log('Reminder scheduler started');
+    checkReminders();
+};
+
+/**
+ * Stop the scheduler
+ */
+const stop = () => {
+    isRunning = false;
+    clearTimeout(checkTimer);
+    checkTimer = null;
+};
+
+/**
+ * Re-evaluate reminders after items changed (edit, snooze, sync pull)
+ */
+const refresh = () => {
+    if (isRunning) {
+        checkReminders();
+    }
+};
+
+/**
+ * Snooze an item's reminder ('10m' | '1h' | 'tomorrow')
+ * remindAt is synced, so the item is marked pending
+ */
+const snoozeReminder = async (itemId, option) => {
+    try {
+        const Item = getUserSqliteItemModel(authController.requireOwnerId());
+        const item = await Item.findOne({
+            where: { id: itemId, isDeleted: false },
+        });
+
+        if (!item) {
+            return { success: false, error: 'Item not found' };
+        }
+
+        const denied = await shareController.checkCanEdit(item);
+        if (denied) {
+            return { success: false, error: denied };
+        }
+
+        if (!SNOOZE_OPTIONS.includes(option)) {
+            return { success: false, error: `Invalid snooze option '${option}'` };
+        }
+
+        item.remindAt = getSnoozeTime(option);
+        item.syncStatus = 'pending';
+        await item.save();
+
+        const notification = activeNotifications.get(item.id);
+        if (notification) {
+            notification.close();
+            activeNotifications.delete(item.id);
+        }
+
+        console.log('Reminder snoozed:', item.id, 'until', item.remindAt.toISOString(), '(pending sync)');
+        refresh();
+        return { success: true, data: item.toJSON() };
+    } catch (error) {
+        console.error('Error snoozing reminder:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+module.exports = {
+    setMainWindow,
+    start,
+    stop,
+    refresh,
+    snoozeReminder,
+    getSnoozeTime,
+    SNOOZE_OPTIONS,
+};
@@ -6,19 +6,231 @@
  * 1. Push: Local changes (pending) → Remote
  * 2. Pull: Remote changes → Local (for multi-device support)
  * 3. Conflict resolution: Last-write-wins based on updatedAt
+ *
+ * Deleted items are synced like any other change (deletedAt) and stay in
+ * both databases while in the trash; purged items are removed from both
+ * (see trashService)
+ *
+ * Items are only pushed and pulled for the signed-in user: the items they
+ * own (Item.ownerId) and the items shared with them (ItemShare, read from
+ * MSSQL). Changes the user has no permission to make are not pushed, and
+ * are undone locally from the copy in MSSQL. Records attached to items
+ * (tags, field values, attachments, dependencies, history) only sync with
+ * the items the user can see, and are pushed only when the user may change
+ * the item. Nothing is synced while signed out
  */
 
 const { Op } = require('sequelize');
 const {
     getSqliteItemModel,
     getMssqlItemModel,
+    getSqliteTagModel,
+    getMssqlTagModel,
+    getSqliteItemTagModel,
+    getMssqlItemTagModel,
+    getSqliteAttachmentModel,
+    getMssqlAttachmentModel,
+    getSqliteItemRevisionModel,
+    getMssqlItemRevisionModel,
+    getSqliteCustomFieldModel,
+    getMssqlCustomFieldModel,
+    getSqliteItemFieldValueModel,
+    getMssqlItemFieldValueModel,
+    getSqliteListModel,
+    getMssqlListModel,
+    getSqliteItemShareModel,
+    getMssqlItemShareModel,
+    getSqliteSavedViewModel,
+    getMssqlSavedViewModel,
+    getSqliteItemTemplateModel,
+    getMssqlItemTemplateModel,
+    getSqliteItemDependencyModel,
+    getMssqlItemDependencyModel,
+    getSqliteTimeEntryModel,
+    getMssqlTimeEntryModel,
+    getSqlitePriorityLevelModel,
+    getMssqlPriorityLevelModel,
+    getSqliteWorkflowStatusModel,
+    getMssqlWorkflowStatusModel,
+    getUserSqliteItemModel,
+    getSqliteSequelize,
     isMssqlConnected,
     connectMssql,
 } = require('../database');
+const reminderService = require('./reminderService');
+const attachmentService = require('./attachmentService');
+const trashService = require('./trashService');
+const authController = require('../controllers/authController');
+const { getWorkflow } = require('../controllers/workflowController');
+const { backfillItemPositions } = require('../database/itemOrder');
+const { backfillCompletedAt } = require('../database/itemStats');
+const { claimUnownedItems, claimUnownedRecords } = require('../database/itemOwnership');
+const { stopConcurrentTimers } = require('../database/timeEntries');
+const { reconcileItemStatuses } = require('../database/itemWorkflow');
 
 let isSyncing = false;
 let mainWindow = null;
 
+/**
+ * Synced record types other than items
+ * Each is pushed/pulled by pushPendingRecords/pullRemoteRecords, in this order
+ * (referenced records before the records referencing them)
+ *
+ * - key: attributes identifying a record in both databases
+ * - fields: attributes copied between databases
+ * - prune: remove local synced records that no longer exist remotely
+ * - owned: records belong to one user (ownerId) and only sync for them
+ * - itemBound: records belong to an item (itemUuid) and only sync for the
+ *   items the user owns or that are shared with them
+ * - beforeRemoteSave / beforeLocalSave: run before a record is written to
+ *   MSSQL / SQLite (e.g. to copy data the record refers to)
+ * - afterRemoteDelete / afterLocalDelete: run after a record was removed
+ */
+const RECORD_TYPES = [
+    {
+        name: 'list',
+        getSqliteModel: getSqliteListModel,
+        getMssqlModel: getMssqlListModel,
+        key: ['uuid'],
+        fields: ['ownerId', 'name', 'color', 'icon', 'archived'],
+        // Items of a deleted list were moved or deleted with it (synced as items)
+        prune: true,
+        owned: true,
+    },
+    {
+        name: 'tag',
+        getSqliteModel: getSqliteTagModel,
+        getMssqlModel: getMssqlTagModel,
+        key: ['uuid'],
+        fields: ['ownerId', 'name', 'color'],
+        prune: true,
+        owned: true,
+        // Removing a tag removes it from every item
+        afterRemoteDelete: async (record) => {
+            await getMssqlItemTagModel().destroy({ where: { tagUuid: record.uuid } });
+        },
+    },
+    {
+        name: 'item tag',
+        getSqliteModel: getSqliteItemTagModel,
+        getMssqlModel: getMssqlItemTagModel,
+        key: ['itemUuid', 'tagUuid'],
+        fields: [],
+        prune: true,
+        itemBound: true,
+    },
+    {
+        name: 'item dependency',
+        getSqliteModel: getSqliteItemDependencyModel,
+        getMssqlModel: getMssqlItemDependencyModel,
+        key: ['itemUuid', 'blockedByUuid'],
+        fields: [],
+        // Either item may be deleted on another device; purging removes both directions
+        prune: true,
+        itemBound: true,
+    },
+    {
+        name: 'custom field',
+        getSqliteModel: getSqliteCustomFieldModel,
+        getMssqlModel: getMssqlCustomFieldModel,
+        key: ['uuid'],
+        fields: ['ownerId', 'name', 'type', 'required', 'options'],
+        prune: true,
+        owned: true,
+        // Removing a field removes its values from every item
+        afterRemoteDelete: async (record) => {
+            await getMssqlItemFieldValueModel().destroy({ where: { fieldUuid: record.uuid } });
+        },
+    },
+    {
+        name: 'item field value',
+        getSqliteModel: getSqliteItemFieldValueModel,
+        getMssqlModel: getMssqlItemFieldValueModel,
+        key: ['itemUuid', 'fieldUuid'],
+        fields: ['value'],
+        prune: true,
+        itemBound: true,
+    },
+    {
+        name: 'attachment',
+        getSqliteModel: getSqliteAttachmentModel,
+        getMssqlModel: getMssqlAttachmentModel,
+        key: ['uuid'],
+        fields: ['itemUuid', 'fileName', 'mimeType', 'size', 'sha256'],
+        prune: true,
+        itemBound: true,
+        // Contents are copied chunk by chunk before the attachment refers to them
+        beforeRemoteSave: (record) => attachmentService.uploadContent(record.sha256, record.size),
+        beforeLocalSave: (record) => attachmentService.downloadContent(record.sha256, record.size),
+        afterRemoteDelete: (record) => attachmentService.deleteRemoteContentIfUnused(record.sha256),
+        afterLocalDelete: (record) => attachmentService.deleteLocalContentIfUnused(record.sha256),
+    },
+    {
+        name: 'item revision',
+        getSqliteModel: getSqliteItemRevisionModel,
+        getMssqlModel: getMssqlItemRevisionModel,
+        key: ['uuid'],
+        fields: [
+            'itemUuid',
+            'action',
+            'changes',
+            'restoredFromUuid',
+            'userId',
+            'userName',
+            'deviceId',
+            'deviceName',
+        ],
+        // Removed along with purged items
+        prune: true,
+        itemBound: true,
+    },
+    {
+        name: 'saved view',
+        getSqliteModel: getSqliteSavedViewModel,
+        getMssqlModel: getMssqlSavedViewModel,
+        key: ['uuid'],
+        fields: ['ownerId', 'name', 'query'],
+        prune: true,
+        owned: true,
+    },
+    {
+        name: 'item template',
+        getSqliteModel: getSqliteItemTemplateModel,
+        getMssqlModel: getMssqlItemTemplateModel,
+        key: ['uuid'],
+        fields: ['ownerId', 'name', 'content'],
+        prune: true,
+        owned: true,
+    },
+    {
+        name: 'time entry',
+        getSqliteModel: getSqliteTimeEntryModel,
+        getMssqlModel: getMssqlTimeEntryModel,
+        key: ['uuid'],
+        fields: ['itemUuid', 'ownerId', 'startedAt', 'endedAt', 'note', 'deviceId', 'deviceName'],
+        prune: true,
+        owned: true,
+    },
+    {
+        name: 'priority level',
+        getSqliteModel: getSqlitePriorityLevelModel,
+        getMssqlModel: getMssqlPriorityLevelModel,
+        key: ['ownerId', 'key'],
+        fields: ['name', 'color', 'position', 'isDefault'],
+        prune: true,
+        owned: true,
+    },
+    {
+        name: 'workflow status',
+        getSqliteModel: getSqliteWorkflowStatusModel,
+        getMssqlModel: getMssqlWorkflowStatusModel,
+        key: ['ownerId', 'key'],
+        fields: ['name', 'color', 'position', 'isDone'],
+        prune: true,
+        owned: true,
+    },
+];
+
 /**
  * Set the main window for sending sync status updates
  */
@@ -36,6 +248,40 @@ const sendSyncStatus = (status, details = {}) => {
     console.log('Sync status:', status, details);
 };
 
+/**
+ * Get the signed-in user as sync sees them: { ownerId, email } or null
+ */
+const getSyncUser = () => {
+    const user = authController.getUser();
+    if (!user?.homeAccountId) {
+        return null;
+    }
+    return { ownerId: user.homeAccountId, email: (user.email || '').toLowerCase() };
+};
+
+/**
+ * Give the signed-in user the items, lists, tags and custom fields in MSSQL
+ * that have no owner yet and that they own on this device (claimed locally at
+ * sign-in). Unowned rows pushed from other devices are left to their users
+ */
+const claimRemoteRecords = async (MssqlItem, user) => {
+    const localUuids = async (Model) => (await Model.findAll({
+        attributes: ['uuid'],
+        where: { ownerId: user.ownerId },
+    })).map((row) => row.uuid);
+
+    await claimUnownedItems(MssqlItem, user.ownerId, await localUuids(getSqliteItemModel()));
+    await claimUnownedRecords({
+        List: getMssqlListModel(),
+        Tag: getMssqlTagModel(),
+        CustomField: getMssqlCustomFieldModel(),
+    }, user.ownerId, {
+        List: await localUuids(getSqliteListModel()),
+        Tag: await localUuids(getSqliteTagModel()),
+        CustomField: await localUuids(getSqliteCustomFieldModel()),
+    });
+};
+
 /**
  * Sync all pending items to MSSQL
  */
@@ -45,6 +291,11 @@ const syncToMssql = async () => {
         return { success: false, reason: 'already_syncing' };
     }
 
+    const user = getSyncUser();
+    if (!user) {
+        return { success: false, reason: 'not_signed_in' };
+    }
+
     if (!isMssqlConnected()) {
         console.log('MSSQL not connected, attempting to connect...');
         const connected = await connectMssql();
@@ -69,8 +320,12 @@ const syncToMssql = async () => {
     let errorCount = 0;
 
     try {
-        // Get all pending items (including deleted ones)
-        const pendingItems = await SqliteItem.findAll({
+        // Items, lists, tags and fields pushed before they had owners become the signed-in user's
+        await claimRemoteRecords(MssqlItem, user);
+
+        // Get the pending items the user owns or that are shared with them
+        // (including deleted ones)
+        const pendingItems = await getUserSqliteItemModel(user.ownerId).findAll({
             where: {
                 syncStatus: 'pending',
             },
@@ -78,31 +333,60 @@ const syncToMssql = async () => {
 
         console.log(`Found ${pendingItems.length} items to sync`);
 
-        for (const localItem of pendingItems) {
+        for (const localItem of await orderForPush(pendingItems, SqliteItem)) {
             try {
-                if (localItem.isDeleted) {
-                    // Handle deletion
-                    await syncDeletedItem(localItem, MssqlItem, SqliteItem);
+                if (localItem.isPurged) {
+                    // Handle permanent deletion
+                    await syncPurgedItem(localItem, MssqlItem, user);
+                } else if (localItem.isDeleted) {
+                    // Handle move to the trash
+                    await syncDeletedItem(localItem, MssqlItem, SqliteItem, user);
+                } else if (!(await isParentSynced(localItem, MssqlItem, SqliteItem))) {
+                    // Stays pending and is retried once its parent has been pushed
+                    console.log(`Parent not in MSSQL yet, deferring: ${localItem.uuid}`);
+                    continue;
                 } else {
                     // Handle create/update
-                    await syncItem(localItem, MssqlItem, SqliteItem);
+                    await syncItem(localItem, MssqlItem, SqliteItem, user);
                 }
                 syncedCount++;
             } catch (error) {
                 console.error(`Failed to sync item ${localItem.uuid}:`, error);
-                // Mark as error
-                await localItem.update({ syncStatus: 'error' });
+                if (error.permissionDenied) {
+                    await resetRejectedItem(localItem, MssqlItem);
+                } else {
+                    // Mark as error, keeping the reason for the renderer
+                    await localItem.update({ syncStatus: 'error', syncError: error.message.slice(0, 255) });
+                }
                 errorCount++;
             }
         }
 
+        // Records attached to items are pushed for the items the user sees here
+        const localItems = await getUserSqliteItemModel(user.ownerId).findAll({ attributes: ['uuid'] });
+        const itemUuids = localItems.map((item) => item.uuid);
+
+        let totalPending = pendingItems.length;
+        for (const type of RECORD_TYPES) {
+            const recordResult = await pushPendingRecords(type, user, itemUuids);
+            syncedCount += recordResult.syncedCount;
+            errorCount += recordResult.errorCount;
+            totalPending += recordResult.totalPending;
+        }
+
+        try {
+            await trashService.purgeExpiredRemoteItems(user.ownerId);
+        } catch (error) {
+            console.error('Failed to purge expired items from MSSQL:', error);
+        }
+
         isSyncing = false;
 
         const result = {
             success: true,
             syncedCount,
             errorCount,
-            totalPending: pendingItems.length,
+            totalPending,
         };
 
         sendSyncStatus('completed', result);
@@ -116,25 +400,217 @@ const syncToMssql = async () => {
     }
 };
 
+/**
+ * Order pending items for push: live items parents first, then deleted items
+ * children first, so MSSQL never holds a child whose parent is missing
+ */
+const orderForPush = async (pendingItems, SqliteItem) => {
+    const allItems = await SqliteItem.findAll({ attributes: ['uuid', 'parentUuid'] });
+    const parentOf = new Map(allItems.map((item) => [item.uuid, item.parentUuid]));
+
+    const depthOf = (uuid) => {
+        const seen = new Set();
+        let depth = 0;
+        let current = parentOf.get(uuid);
+        // seen guards against cycles from concurrent moves on two devices
+        while (current && parentOf.has(current) && !seen.has(current)) {
+            seen.add(current);
+            depth++;
+            current = parentOf.get(current);
+        }
+        return depth;
+    };
+
+    const live = pendingItems.filter((item) => !item.isDeleted);
+    const deleted = pendingItems.filter((item) => item.isDeleted);
+    live.sort((a, b) => depthOf(a.uuid) - depthOf(b.uuid));
+    deleted.sort((a, b) => depthOf(b.uuid) - depthOf(a.uuid));
+    return [...live, ...deleted];
+};
+
+/**
+ * Check that an item's parent exists in MSSQL before pushing the item
+ * A parent that no longer exists locally either (deleted on another device)
+ * will never arrive, so the item is detached and pushed as top-level
+ */
+const isParentSynced = async (localItem, MssqlItem, SqliteItem) => {
+    if (!localItem.parentUuid) {
+        return true;
+    }
+
+    if (await MssqlItem.findOne({ where: { uuid: localItem.parentUuid } })) {
+        return true;
+    }
+
+    const localParent = await SqliteItem.findOne({
+        where: { uuid: localItem.parentUuid, isDeleted: false },
+    });
+    if (localParent) {
+        return false;
+    }
+
+    console.log(`Parent of ${localItem.uuid} no longer exists, moving it to the top level`);
+    localItem.parentUuid = null;
+    await localItem.save();
+    return true;
+};
+
+/**
+ * Build the error thrown for a change the user has no permission to push
+ * (the change is then undone locally, see resetRejectedItem)
+ */
+const permissionError = (message) => Object.assign(new Error(message), { permissionDenied: true });
+
+/**
+ * The fields of an item copied from MSSQL to SQLite
+ * localItem: the local copy being overwritten, if any
+ */
+const remoteItemFields = (remoteItem, localItem = null) => ({
+    ownerId: remoteItem.ownerId,
+    title: remoteItem.title,
+    description: remoteItem.description,
+    completed: remoteItem.completed,
+    completedAt: remoteItem.completedAt,
+    archivedAt: remoteItem.archivedAt,
+    priority: remoteItem.priority,
+    status: remoteItem.status,
+    dueAt: remoteItem.dueAt,
+    remindAt: remoteItem.remindAt,
+    parentUuid: remoteItem.parentUuid,
+    listUuid: remoteItem.listUuid,
+    // Rows pushed before manual ordering have no position yet
+    position: remoteItem.position ?? localItem?.position ?? null,
+    recurrenceRule: remoteItem.recurrenceRule,
+    recurrenceStart: remoteItem.recurrenceStart,
+    seriesUuid: remoteItem.seriesUuid,
+    occurrenceIndex: remoteItem.occurrenceIndex,
+    deletedAt: remoteItem.deletedAt,
+    isDeleted: remoteItem.deletedAt !== null,
+});
+
+/**
+ * Undo a change to an item the user had no permission to push: the local
+ * copy is replaced by the one in MSSQL, or removed when there is none
+ */
+const resetRejectedItem = async (localItem, MssqlItem) => {
+    const remoteItem = await MssqlItem.findOne({ where: { uuid: localItem.uuid } });
+    if (!remoteItem) {
+        await trashService.removeLocalItems([localItem.uuid]);
+        return;
+    }
+    await localItem.update({
+        ...remoteItemFields(remoteItem, localItem),
+        isPurged: false,
+        syncStatus: 'synced',
+        syncedAt: new Date(),
+        syncError: null,
+        updatedAt: remoteItem.updatedAt,
+    });
+    console.log(`Undid rejected change to item: ${localItem.uuid}`);
+};
+
+/**
+ * Find the latest earlier occurrence of a recurring item's series in MSSQL
+ * (null for items outside a series and for the first occurrence)
+ */
+const findPreviousOccurrence = async (item) => {
+    if (!item.seriesUuid || !item.occurrenceIndex) {
+        return null;
+    }
+    return await getMssqlItemModel().findOne({
+        where: {
+            seriesUuid: item.seriesUuid,
+            ownerId: item.ownerId,
+            occurrenceIndex: { [Op.lt]: item.occurrenceIndex },
+        },
+        order: [['occurrenceIndex', 'DESC']],
+    });
+};
+
+/**
+ * Share a new occurrence of a recurring item with the same users as the
+ * occurrence it follows
+ */
+const copyOccurrenceShares = async (item) => {
+    const previous = await findPreviousOccurrence(item);
+    if (!previous) {
+        return;
+    }
+    const MssqlItemShare = getMssqlItemShareModel();
+    for (const share of await MssqlItemShare.findAll({ where: { itemUuid: previous.uuid } })) {
+        await MssqlItemShare.findOrCreate({
+            where: { itemUuid: item.uuid, email: share.email },
+            defaults: { ownerId: share.ownerId, role: share.role },
+        });
+    }
+};
+
+/**
+ * Check that the user may push a change to an item (throws with the reason)
+ * Owners may make any change; users the item is shared with may change and
+ * trash it as editors, and make no changes as viewers. A new occurrence of a
+ * recurring item is not shared yet, so the shares of the occurrence it
+ * follows decide
+ */
+const checkPushPermission = async (localItem, remoteItem, user, options = {}) => {
+    const ownerId = remoteItem ? remoteItem.ownerId : localItem.ownerId;
+    if (ownerId === user.ownerId) {
+        return;
+    }
+
+    if (options.purge) {
+        throw permissionError('Only the owner can permanently delete this item');
+    }
+
+    const sharedItem = (!remoteItem && await findPreviousOccurrence(localItem)) || localItem;
+    const share = await getMssqlItemShareModel().findOne({
+        where: { itemUuid: sharedItem.uuid, email: user.email },
+    });
+    if (!share) {
+        throw permissionError('This item is no longer shared with you');
+    }
+    if (share.role !== 'editor') {
+        throw permissionError('You only have view access to this item');
+    }
+};
+
 /**
  * Sync a single item to MSSQL
+ * Returns false when the remote item was newer and has been kept
  */
-const syncItem = async (localItem, MssqlItem, SqliteItem) => {
+const syncItem = async (localItem, MssqlItem, SqliteItem, user) => {
     // Check if item exists in MSSQL
     const remoteItem = await MssqlItem.findOne({
         where: { uuid: localItem.uuid },
     });
 
+    await checkPushPermission(localItem, remoteItem, user);
+
     const itemData = {
         uuid: localItem.uuid,
+        ownerId: localItem.ownerId,
         title: localItem.title,
         description: localItem.description,
         completed: localItem.completed,
+        completedAt: localItem.completedAt,
+        archivedAt: localItem.archivedAt,
         priority: localItem.priority,
+        status: localItem.status,
+        dueAt: localItem.dueAt,
+        remindAt: localItem.remindAt,
+        parentUuid: localItem.parentUuid,
+        listUuid: localItem.listUuid,
+        position: localItem.position,
+        recurrenceRule: localItem.recurrenceRule,
+        recurrenceStart: localItem.recurrenceStart,
+        seriesUuid: localItem.seriesUuid,
+        occurrenceIndex: localItem.occurrenceIndex,
+        deletedAt: localItem.isDeleted ? (localItem.deletedAt || localItem.updatedAt) : null,
         createdAt: localItem.createdAt,
         updatedAt: localItem.updatedAt,
     };
 
+    let written = true;
     if (remoteItem) {
         // Update existing item (last-write-wins)
         if (localItem.updatedAt > remoteItem.updatedAt) {
@@ -142,10 +618,12 @@ const syncItem = async (localItem, MssqlItem, SqliteItem) => {
             console.log(`Updated item in MSSQL: ${localItem.uuid}`);
         } else {
             console.log(`Remote item is newer, skipping: ${localItem.uuid}`);
+            written = false;
         }
     } else {
         // Create new item
         await MssqlItem.create(itemData);
+        await copyOccurrenceShares(localItem);
         console.log(`Created item in MSSQL: ${localItem.uuid}`);
     }
 
@@ -153,32 +631,365 @@ const syncItem = async (localItem, MssqlItem, SqliteItem) => {
     await localItem.update({
         syncStatus: 'synced',
         syncedAt: new Date(),
+        syncError: null,
     });
+    return written;
 };
 
 /**
- * Sync a deleted item (remove from MSSQL)
+ * Sync an item moved to the trash (kept in MSSQL with its deletedAt)
  */
-const syncDeletedItem = async (localItem, MssqlItem, SqliteItem) => {
-    // Delete from MSSQL
-    await MssqlItem.destroy({
-        where: { uuid: localItem.uuid },
+const syncDeletedItem = async (localItem, MssqlItem, SqliteItem, user) => {
+    if (!(await syncItem(localItem, MssqlItem, SqliteItem, user))) {
+        // Restored (or edited) on another device since
+        return;
+    }
+
+    // Subtasks added on other devices since move up instead of becoming orphans
+    await MssqlItem.update(
+        { parentUuid: localItem.parentUuid },
+        { where: { parentUuid: localItem.uuid, ownerId: localItem.ownerId, deletedAt: null } }
+    );
+
+    console.log(`Moved item to the trash in MSSQL: ${localItem.uuid}`);
+};
+
+/**
+ * Sync a purged item (remove it from MSSQL, then from SQLite)
+ */
+const syncPurgedItem = async (localItem, MssqlItem, user) => {
+    const remoteItem = await MssqlItem.findOne({ where: { uuid: localItem.uuid } });
+    await checkPushPermission(localItem, remoteItem, user, { purge: true });
+
+    await trashService.removeRemoteItems([localItem.uuid]);
+    await trashService.removeLocalItems([localItem.uuid]);
+    console.log(`Purged item from MSSQL: ${localItem.uuid}`);
+};
+
+/**
+ * Build the identifying where clause of a record
+ */
+const recordKeyWhere = (record, key) => Object.fromEntries(key.map((attr) => [attr, record[attr]]));
+
+/**
+ * Build a string identity for a record (for matching local and remote rows)
+ */
+const recordKeyString = (record, key) => key.map((attr) => record[attr]).join('|');
+
+/**
+ * Where clause selecting the records of a type the user syncs: all of them,
+ * the user's own for owned types, or those of the given items for
+ * item-bound types
+ */
+const syncedRecordsWhere = (type, user, itemUuids) => {
+    if (type.owned) {
+        return { ownerId: user.ownerId };
+    }
+    if (type.itemBound) {
+        return { itemUuid: { [Op.in]: itemUuids } };
+    }
+    return {};
+};
+
+/**
+ * Check that the user may push a change to a record (throws with the reason)
+ * Records of owned types can only be changed by their owner; records attached
+ * to an item by whoever may change the item (see checkPushPermission)
+ */
+const checkRecordPushPermission = async (type, localRecord, remoteRecord, user) => {
+    if (type.owned && remoteRecord && remoteRecord.ownerId !== user.ownerId) {
+        throw permissionError(`This ${type.name} belongs to another user`);
+    }
+    if (type.itemBound) {
+        const where = { uuid: localRecord.itemUuid };
+        const localItem = await getSqliteItemModel().findOne({ where });
+        const remoteItem = await getMssqlItemModel().findOne({ where });
+        if (localItem || remoteItem) {
+            await checkPushPermission(localItem || remoteItem, remoteItem, user);
+        }
+    }
+};
+
+/**
+ * Undo a change to a record the user had no permission to push: the local
+ * copy is replaced by the one in MSSQL, or removed when there is none
+ */
+const resetRejectedRecord = async (type, localRecord) => {
+    const remoteRecord = await type.getMssqlModel().findOne({ where: recordKeyWhere(localRecord, type.key) });
+    if (!remoteRecord) {
+        await localRecord.destroy();
+        if (type.afterLocalDelete) {
+            await type.afterLocalDelete(localRecord);
+        }
+        return;
+    }
+    if (type.beforeLocalSave) {
+        await type.beforeLocalSave(remoteRecord);
+    }
+    await localRecord.update({
+        ...recordKeyWhere(remoteRecord, type.fields),
+        isDeleted: false,
+        syncStatus: 'synced',
+        syncedAt: new Date(),
+        updatedAt: remoteRecord.updatedAt,
+    });
+};
+
+/**
+ * Push all pending records of one type to MSSQL
+ * Mirrors syncItem/syncDeletedItem: last-write-wins on update, hard delete
+ * remotely and then locally for soft-deleted records
+ */
+const pushPendingRecords = async (type, user, itemUuids) => {
+    const SqliteModel = type.getSqliteModel();
+    const MssqlModel = type.getMssqlModel();
+    let syncedCount = 0;
+    let errorCount = 0;
+
+    if (!SqliteModel || !MssqlModel) {
+        return { syncedCount, errorCount, totalPending: 0 };
+    }
+
+    const pendingRecords = await SqliteModel.findAll({
+        where: { syncStatus: 'pending', ...syncedRecordsWhere(type, user, itemUuids) },
     });
 
-    console.log(`Deleted item from MSSQL: ${localItem.uuid}`);
+    if (pendingRecords.length > 0) {
+        console.log(`Found ${pendingRecords.length} ${type.name} records to sync`);
+    }
+
+    for (const localRecord of pendingRecords) {
+        const where = recordKeyWhere(localRecord, type.key);
+        try {
+            const remoteRecord = await MssqlModel.findOne({ where });
+            await checkRecordPushPermission(type, localRecord, remoteRecord, user);
+
+            if (localRecord.isDeleted) {
+                await MssqlModel.destroy({ where });
+                if (type.afterRemoteDelete) {
+                    await type.afterRemoteDelete(localRecord);
+                }
+                await localRecord.destroy();
+                if (type.afterLocalDelete) {
+                    await type.afterLocalDelete(localRecord);
+                }
+                console.log(`Deleted ${type.name} from MSSQL: ${recordKeyString(localRecord, type.key)}`);
+            } else {
+                const data = {
+                    ...where,
+                    ...recordKeyWhere(localRecord, type.fields),
+                    createdAt: localRecord.createdAt,
+                    updatedAt: localRecord.updatedAt,
+                };
+
+                if (type.beforeRemoteSave && (!remoteRecord || localRecord.updatedAt > remoteRecord.updatedAt)) {
+                    await type.beforeRemoteSave(localRecord);
+                }
+
+                if (!remoteRecord) {
+                    await MssqlModel.create(data, { silent: true });
+                } else if (localRecord.updatedAt > remoteRecord.updatedAt) {
+                    await remoteRecord.update(data, { silent: true });
+                }
+
+                await localRecord.update(
+                    { syncStatus: 'synced', syncedAt: new Date() },
+                    { silent: true }
+                );
+            }
+            syncedCount++;
+        } catch (error) {
+            console.error(`Failed to sync ${type.name} ${recordKeyString(localRecord, type.key)}:`, error);
+            if (error.permissionDenied) {
+                await resetRejectedRecord(type, localRecord);
+            } else {
+                await localRecord.update({ syncStatus: 'error' }, { silent: true });
+            }
+            errorCount++;
+        }
+    }
 
-    // Now we can actually delete from SQLite
-    await localItem.destroy();
+    return { syncedCount, errorCount, totalPending: pendingRecords.length };
+};
+
+/**
+ * Pull all records of one type from MSSQL (of the given items for item-bound types)
+ * Local pending/error records are never overwritten; local synced records
+ * missing remotely were deleted on another device and are removed when
+ * the type prunes
+ */
+const pullRemoteRecords = async (type, user, itemUuids) => {
+    const SqliteModel = type.getSqliteModel();
+    const MssqlModel = type.getMssqlModel();
+    let pulledCount = 0;
+
+    if (!SqliteModel || !MssqlModel) {
+        return pulledCount;
+    }
+
+    const where = syncedRecordsWhere(type, user, itemUuids);
+    const remoteRecords = await MssqlModel.findAll({ where });
+    const localRecords = await SqliteModel.findAll({ where });
+    const localByKey = new Map(localRecords.map((record) => [recordKeyString(record, type.key), record]));
+    const remoteKeys = new Set();
+
+    for (const remoteRecord of remoteRecords) {
+        const keyString = recordKeyString(remoteRecord, type.key);
+        const localRecord = localByKey.get(keyString);
+        const fields = recordKeyWhere(remoteRecord, type.fields);
+        remoteKeys.add(keyString);
+
+        try {
+            if (!localRecord) {
+                if (type.beforeLocalSave) {
+                    await type.beforeLocalSave(remoteRecord);
+                }
+                await SqliteModel.create({
+                    ...recordKeyWhere(remoteRecord, type.key),
+                    ...fields,
+                    syncStatus: 'synced',
+                    syncedAt: new Date(),
+                    isDeleted: false,
+                    createdAt: remoteRecord.createdAt,
+                    updatedAt: remoteRecord.updatedAt,
+                }, { silent: true });
+                pulledCount++;
+            } else if (localRecord.syncStatus === 'synced' && remoteRecord.updatedAt > localRecord.updatedAt) {
+                if (type.beforeLocalSave) {
+                    await type.beforeLocalSave(remoteRecord);
+                }
+                await localRecord.update({
+                    ...fields,
+                    syncedAt: new Date(),
+                    updatedAt: remoteRecord.updatedAt,
+                });
+                pulledCount++;
+            }
+        } catch (error) {
+            // Left out locally and retried on the next pull
+            console.error(`Failed to pull ${type.name} ${keyString}:`, error);
+        }
+    }
+
+    if (type.prune) {
+        for (const localRecord of localRecords) {
+            if (localRecord.syncStatus === 'synced' && !remoteKeys.has(recordKeyString(localRecord, type.key))) {
+                await localRecord.destroy();
+                if (type.afterLocalDelete) {
+                    await type.afterLocalDelete(localRecord);
+                }
+                pulledCount++;
+            }
+        }
+    }
+
+    return pulledCount;
+};
+
+/**
+ * Replace the local copy of the shares relevant to the user (of the items
+ * they own and of the items shared with them) with the shares in MSSQL
+ * Returns the uuids of the items shared with the user { before, after }
+ */
+const pullItemShares = async (user) => {
+    const SqliteItemShare = getSqliteItemShareModel();
+    const remoteShares = await getMssqlItemShareModel().findAll({
+        where: { [Op.or]: [{ ownerId: user.ownerId }, { email: user.email }] },
+    });
+    const localShares = await SqliteItemShare.findAll({
+        where: { [Op.or]: [{ ownerId: user.ownerId }, { recipientId: user.ownerId }, { email: user.email }] },
+    });
+
+    // Shares of the user's items may also be the shares of another local user
+    const recipients = new Map(localShares.map((share) => [share.uuid, share.recipientId]));
+
+    await getSqliteSequelize().transaction(async (transaction) => {
+        await SqliteItemShare.destroy({
+            where: { id: { [Op.in]: localShares.map((share) => share.id) } },
+            transaction,
+        });
+        await SqliteItemShare.bulkCreate(remoteShares.map((share) => ({
+            uuid: share.uuid,
+            itemUuid: share.itemUuid,
+            ownerId: share.ownerId,
+            email: share.email,
+            role: share.role,
+            recipientId: share.email === user.email ? user.ownerId : (recipients.get(share.uuid) ?? null),
+            createdAt: share.createdAt,
+            updatedAt: share.updatedAt,
+        })), { transaction, silent: true });
+    });
+
+    return {
+        before: localShares.filter((share) => share.recipientId === user.ownerId).map((share) => share.itemUuid),
+        after: remoteShares.filter((share) => share.email === user.email).map((share) => share.itemUuid),
+    };
+};
+
+/**
+ * Condition selecting the items the user can see in MSSQL: the items they
+ * own and the items shared with them
+ */
+const visibleItemsWhere = (user, sharedUuids) => ({
+    [Op.or]: [
+        { ownerId: user.ownerId },
+        { uuid: { [Op.in]: sharedUuids } },
+    ],
+});
+
+/**
+ * Find the user's items and the items shared with them in MSSQL
+ *
+ * Archived items are left out unless options.includeArchived is set; only
+ * their uuids and change times are read, and the full row is fetched just for
+ * archived items this device holds an older copy of (so archiving on another
+ * device still takes them out of the main list here). Returns { remoteItems,
+ * archivedUuids } where archivedUuids are the archived items left out
+ */
+const findRemoteItems = async (MssqlItem, SqliteItem, user, sharedUuids, options = {}) => {
+    const visible = visibleItemsWhere(user, sharedUuids);
+
+    if (options.includeArchived) {
+        return { remoteItems: await MssqlItem.findAll({ where: visible }), archivedUuids: [] };
+    }
+
+    const remoteItems = await MssqlItem.findAll({ where: { [Op.and]: [visible, { archivedAt: null }] } });
+    const archived = await MssqlItem.findAll({
+        where: { [Op.and]: [visible, { archivedAt: { [Op.ne]: null } }] },
+        attributes: ['uuid', 'updatedAt'],
+    });
+    if (archived.length === 0) {
+        return { remoteItems, archivedUuids: [] };
+    }
+
+    const localItems = await SqliteItem.findAll({ attributes: ['uuid', 'updatedAt'] });
+    const localUpdatedAt = new Map(localItems.map((item) => [item.uuid, item.updatedAt]));
+    const staleUuids = archived
+        .filter((item) => localUpdatedAt.has(item.uuid) && item.updatedAt > localUpdatedAt.get(item.uuid))
+        .map((item) => item.uuid);
+    if (staleUuids.length > 0) {
+        remoteItems.push(...await MssqlItem.findAll({ where: { uuid: { [Op.in]: staleUuids } } }));
+    }
+
+    const stale = new Set(staleUuids);
+    return { remoteItems, archivedUuids: archived.map((item) => item.uuid).filter((uuid) => !stale.has(uuid)) };
 };
 
 /**
  * Pull items from MSSQL to SQLite (for multi-device support)
+ * Archived items this device has not seen yet are only pulled with
+ * options.includeArchived (when the archive is opened)
  */
-const syncFromMssql = async () => {
+const syncFromMssql = async (options = {}) => {
     if (!isMssqlConnected()) {
         return { success: false, reason: 'not_connected' };
     }
 
+    const user = getSyncUser();
+    if (!user) {
+        return { success: false, reason: 'not_signed_in' };
+    }
+
     const SqliteItem = getSqliteItemModel();
     const MssqlItem = getMssqlItemModel();
 
@@ -187,12 +998,25 @@ const syncFromMssql = async () => {
     }
 
     try {
-        // Get all items from MSSQL
-        const remoteItems = await MssqlItem.findAll();
+        await claimRemoteRecords(MssqlItem, user);
+        const sharedUuids = await pullItemShares(user);
+
+        // Get the user's items and the items shared with them from MSSQL
+        // (in no particular order - a child pulled before its parent is shown
+        // top-level until the parent arrives, see database/itemTree.js)
+        const { remoteItems, archivedUuids } = await findRemoteItems(
+            MssqlItem, SqliteItem, user, sharedUuids.after, options
+        );
+        const retentionCutoff = trashService.getRetentionCutoff();
 
         let pulledCount = 0;
 
         for (const remoteItem of remoteItems) {
+            // Expired trash is purged rather than pulled
+            if (remoteItem.deletedAt && remoteItem.deletedAt < retentionCutoff) {
+                continue;
+            }
+
             const localItem = await SqliteItem.findOne({
                 where: { uuid: remoteItem.uuid },
             });
@@ -201,13 +1025,9 @@ const syncFromMssql = async () => {
                 // Create locally
                 await SqliteItem.create({
                     uuid: remoteItem.uuid,
-                    title: remoteItem.title,
-                    description: remoteItem.description,
-                    completed: remoteItem.completed,
-                    priority: remoteItem.priority,
+                    ...remoteItemFields(remoteItem),
                     syncStatus: 'synced',
                     syncedAt: new Date(),
-                    isDeleted: false,
                     createdAt: remoteItem.createdAt,
                     updatedAt: remoteItem.updatedAt,
                 });
@@ -215,10 +1035,7 @@ const syncFromMssql = async () => {
             } else if (localItem.syncStatus === 'synced' && remoteItem.updatedAt > localItem.updatedAt) {
                 // Update local if remote is newer and local isn't pending
                 await localItem.update({
-                    title: remoteItem.title,
-                    description: remoteItem.description,
-                    completed: remoteItem.completed,
-                    priority: remoteItem.priority,
+                    ...remoteItemFields(remoteItem, localItem),
                     syncedAt: new Date(),
                     updatedAt: remoteItem.updatedAt,
                 });
@@ -226,6 +1043,51 @@ const syncFromMssql = async () => {
             }
         }
 
+        // Synced items missing remotely were purged on another device. Shared
+        // items missing remotely were purged or unshared by their owner, and
+        // go even with unpushed edits, which could no longer be pushed.
+        // Archived items left out of the pull are not missing
+        const remoteUuids = new Set([...remoteItems.map((item) => item.uuid), ...archivedUuids]);
+        const purged = await SqliteItem.findAll({
+            where: {
+                [Op.or]: [
+                    { ownerId: user.ownerId, syncStatus: 'synced' },
+                    { ownerId: { [Op.ne]: user.ownerId }, uuid: { [Op.in]: sharedUuids.before } },
+                ],
+            },
+            attributes: ['uuid'],
+        });
+        const purgedUuids = purged.map((item) => item.uuid).filter((uuid) => !remoteUuids.has(uuid));
+        await trashService.removeLocalItems(purgedUuids);
+        pulledCount += purgedUuids.length;
+
+        await backfillItemPositions(SqliteItem);
+        await backfillCompletedAt(SqliteItem);
+
+        // Records attached to items are pulled for every item the user can see,
+        // archived ones included (whether or not this device holds them yet)
+        const visibleItems = await MssqlItem.findAll({
+            where: visibleItemsWhere(user, sharedUuids.after),
+            attributes: ['uuid'],
+        });
+        const itemUuids = visibleItems.map((item) => item.uuid);
+
+        for (const type of RECORD_TYPES) {
+            pulledCount += await pullRemoteRecords(type, user, itemUuids);
+        }
+
+        // Rows pushed before workflows, or moved off a status by a workflow
+        // change on another device, get a status matching their completion
+        await reconcileItemStatuses(SqliteItem, await getWorkflow(user.ownerId), user.ownerId);
+
+        // Timers started on two devices in between syncs: only one keeps running
+        await stopConcurrentTimers(getSqliteTimeEntryModel(), user.ownerId);
+
+        // Pulled items may carry new or changed reminders
+        if (pulledCount > 0) {
+            reminderService.refresh();
+        }
+
         return { success: true, pulledCount };
 
     } catch (error) {
@@ -257,15 +1119,16 @@ const fullSync = async () => {
 };
 
 /**
- * Get sync status summary
+ * Get sync status summary (of the items the signed-in user can see)
  */
 const getSyncStatus = async () => {
-    const SqliteItem = getSqliteItemModel();
+    const ownerId = authController.getOwnerId();
 
-    if (!SqliteItem) {
+    if (!getSqliteItemModel() || !ownerId) {
         return { pending: 0, synced: 0, error: 0 };
     }
 
+    const SqliteItem = getUserSqliteItemModel(ownerId);
     const pending = await SqliteItem.count({ where: { syncStatus: 'pending', isDeleted: false } });
     const synced = await SqliteItem.count({ where: { syncStatus: 'synced', isDeleted: false } });
     const error = await SqliteItem.count({ where: { syncStatus: 'error', isDeleted: false } });
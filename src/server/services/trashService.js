@@ -0,0 +1,205 @@
+/**
+ * Trash Service
+ * Permanently removes items from the trash
+ *
+ * - Deleted items stay in the trash (in both databases) for the retention
+ *   period (TRASH_RETENTION_DAYS), then are purged by a job that runs on
+ *   start and every few hours
+ * - Purging removes an item with its tag assignments, custom field values,
+ *   attachments, shares, dependencies (both ways) and history. Time entries
+ *   are kept, so the time spent still shows on timesheets. Items MSSQL
+ *   still holds a live or trashed copy of are marked isPurged and removed
+ *   from both databases by the next sync
+ * - Expired items left in MSSQL (e.g. by a device that never synced again)
+ *   are swept from there during sync as well
+ */
+
+const { Op } = require('sequelize');
+const {
+    getSqliteItemModel,
+    getMssqlItemModel,
+    getSqliteItemTagModel,
+    getMssqlItemTagModel,
+    getSqliteAttachmentModel,
+    getMssqlAttachmentModel,
+    getSqliteItemRevisionModel,
+    getMssqlItemRevisionModel,
+    getSqliteItemFieldValueModel,
+    getMssqlItemFieldValueModel,
+    getSqliteItemShareModel,
+    getMssqlItemShareModel,
+    getSqliteItemDependencyModel,
+    getMssqlItemDependencyModel,
+} = require('../database');
+const { getTrashConfig } = require('../config/dbConfig');
+const attachmentService = require('./attachmentService');
+
+// Time between purge runs
+const PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let purgeTimer = null;
+
+/**
+ * Items moved to the trash before this date have expired
+ */
+const getRetentionCutoff = (now = new Date()) => (
+    new Date(now.getTime() - getTrashConfig().retentionDays * DAY_MS)
+);
+
+/**
+ * When an item moved to the trash at deletedAt will be purged
+ */
+const getPurgeDate = (deletedAt) => (
+    new Date(new Date(deletedAt).getTime() + getTrashConfig().retentionDays * DAY_MS)
+);
+
+/**
+ * Remove items and everything attached to them from one database
+ * Attachment contents no other attachment uses are removed too
+ */
+const removeItems = async (models, deleteContentIfUnused, uuids) => {
+    if (uuids.length === 0) return;
+
+    const where = { itemUuid: { [Op.in]: uuids } };
+    const attachments = await models.Attachment.findAll({ where, attributes: ['sha256'] });
+
+    await models.ItemTag.destroy({ where });
+    await models.ItemFieldValue.destroy({ where });
+    await models.Attachment.destroy({ where });
+    await models.ItemRevision.destroy({ where });
+    await models.ItemShare.destroy({ where });
+    await models.ItemDependency.destroy({
+        where: { [Op.or]: [where, { blockedByUuid: { [Op.in]: uuids } }] },
+    });
+    await models.Item.destroy({ where: { uuid: { [Op.in]: uuids } } });
+
+    for (const sha256 of new Set(attachments.map((attachment) => attachment.sha256))) {
+        await deleteContentIfUnused(sha256);
+    }
+};
+
+/**
+ * Permanently remove items from SQLite
+ */
+const removeLocalItems = (uuids) => removeItems({
+    Item: getSqliteItemModel(),
+    ItemTag: getSqliteItemTagModel(),
+    ItemFieldValue: getSqliteItemFieldValueModel(),
+    Attachment: getSqliteAttachmentModel(),
+    ItemRevision: getSqliteItemRevisionModel(),
+    ItemShare: getSqliteItemShareModel(),
+    ItemDependency: getSqliteItemDependencyModel(),
+}, attachmentService.deleteLocalContentIfUnused, uuids);
+
+/**
+ * Permanently remove items from MSSQL
+ */
+const removeRemoteItems = (uuids) => removeItems({
+    Item: getMssqlItemModel(),
+    ItemTag: getMssqlItemTagModel(),
+    ItemFieldValue: getMssqlItemFieldValueModel(),
+    Attachment: getMssqlAttachmentModel(),
+    ItemRevision: getMssqlItemRevisionModel(),
+    ItemShare: getMssqlItemShareModel(),
+    ItemDependency: getMssqlItemDependencyModel(),
+}, attachmentService.deleteRemoteContentIfUnused, uuids);
+
+/**
+ * Purge trashed items
+ *
+ * Items never pushed to MSSQL are removed right away. So are expired items
+ * whose deletion has been pushed, since every device (and the sweep in sync)
+ * removes expired items by itself. The rest are marked for removal by sync.
+ */
+const purgeItems = async (items, options = {}) => {
+    const removeNow = items.filter((item) => (
+        !item.syncedAt || (options.expired && item.syncStatus === 'synced')
+    ));
+    const removeOnSync = items.filter((item) => !removeNow.includes(item));
+
+    await removeLocalItems(removeNow.map((item) => item.uuid));
+    for (const item of removeOnSync) {
+        await item.update({ isPurged: true, syncStatus: 'pending' }, { silent: true });
+    }
+
+    return { removed: removeNow.length, pendingSync: removeOnSync.length };
+};
+
+/**
+ * Purge every item that has been in the trash longer than the retention period
+ */
+const purgeExpiredItems = async () => {
+    const Item = getSqliteItemModel();
+    if (!Item) return;
+
+    try {
+        // Items deleted before the trash existed start their retention period now
+        await Item.update(
+            { deletedAt: new Date() },
+            { where: { isDeleted: true, deletedAt: null }, silent: true }
+        );
+
+        const expired = await Item.findAll({
+            where: {
+                isDeleted: true,
+                isPurged: false,
+                deletedAt: { [Op.lt]: getRetentionCutoff() },
+            },
+        });
+
+        if (expired.length > 0) {
+            const result = await purgeItems(expired, { expired: true });
+            console.log(`Purged ${expired.length} expired item(s) from the trash`, result);
+        }
+    } catch (error) {
+        console.error('Trash purge failed:', error);
+    }
+};
+
+/**
+ * Remove one user's expired items still held in MSSQL (called during sync)
+ */
+const purgeExpiredRemoteItems = async (ownerId) => {
+    const MssqlItem = getMssqlItemModel();
+    const expired = await MssqlItem.findAll({
+        where: { ownerId, deletedAt: { [Op.lt]: getRetentionCutoff() } },
+        attributes: ['uuid'],
+    });
+
+    await removeRemoteItems(expired.map((item) => item.uuid));
+    if (expired.length > 0) {
+        console.log(`Purged ${expired.length} expired item(s) from MSSQL`);
+    }
+    return expired.length;
+};
+
+/**
+ * Start the purge job (runs now, then every PURGE_INTERVAL_MS)
+ */
+const start = () => {
+    if (purgeTimer) return;
+    purgeExpiredItems();
+    purgeTimer = setInterval(purgeExpiredItems, PURGE_INTERVAL_MS);
+};
+
+/**
+ * Stop the purge job
+ */
+const stop = () => {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+};
+
+module.exports = {
+    getRetentionCutoff,
+    getPurgeDate,
+    removeLocalItems,
+    removeRemoteItems,
+    purgeItems,
+    purgeExpiredItems,
+    purgeExpiredRemoteItems,
+    start,
+    stop,
+};
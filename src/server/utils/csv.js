@@ -0,0 +1,105 @@
+/**
+ * CSV
+ * Writes comma-separated values as spreadsheet applications read them
+ * (RFC 4180: fields with commas, quotes or line breaks are quoted, rows end
+ * with CRLF), and reads them back
+ *
+ * Text starting with =, +, -, @, a tab or a carriage return is prefixed with
+ * an apostrophe so a spreadsheet does not run it as a formula; reading drops
+ * the apostrophe again. Text that already starts with apostrophes before one
+ * of those gets one more, so it reads back unchanged. Numbers are written as
+ * they are.
+ */
+
+// Text a spreadsheet would run as a formula, after any apostrophes
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+const NEEDS_QUOTES = /[",\r\n]|^\s|\s$/;
+
+/**
+ * Write one value as a CSV field
+ */
+const formatField = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (typeof value === 'number') {
+        return String(value);
+    }
+    let text = String(value);
+    if (FORMULA_START.test(text)) {
+        text = `'${text}`;
+    }
+    return NEEDS_QUOTES.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows (arrays of values, the first usually the header) as CSV
+ */
+const toCsv = (rows) => rows.map(row => row.map(formatField).join(',')).join('\r\n') + '\r\n';
+
+/**
+ * Read one field as written by formatField
+ */
+const readField = (text) => (text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text);
+
+/**
+ * Read CSV text into rows (arrays of strings), skipping a byte order mark
+ * and blank lines; line breaks may be CRLF or LF
+ * Throws when a quoted field is not closed
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let index = text.startsWith('\uFEFF') ? 1 : 0;
+
+    const endRow = () => {
+        row.push(readField(field));
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+
+    while (index < text.length) {
+        const char = text[index];
+        if (quoted) {
+            if (char === '"' && text[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(readField(field));
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[index + 1] === '\n') {
+                index++;
+            }
+            endRow();
+        } else {
+            field += char;
+        }
+        index++;
+    }
+
+    if (quoted) {
+        throw new Error('The file is not valid CSV: a quoted field is not closed');
+    }
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+    return rows;
+};
+
+module.exports = {
+    toCsv,
+    parseCsv,
+};
@@ -0,0 +1,326 @@
+/**
+ * Item Query Builder
+ * Translates renderer query options into Sequelize where/order clauses
+ * executed against the local SQLite items table
+ *
+ * Supports:
+ * - Filters: completed, status, priority, created/updated/due date ranges, text, tags, parent,
+ *   list, and saved view queries (see utils/viewQuery.js)
+ * - Multi-column sort (always tie-broken by id); priorities and statuses sort
+ *   in the order of the user's workflow (options.workflow, see
+ *   controllers/workflowController.js)
+ * - Keyset (cursor) pagination: the cursor holds the sort values of the
+ *   last row returned, so the next page is a range scan instead of an OFFSET
+ */
+
+const { Op, Sequelize } = require('sequelize');
+const { topLevelCondition } = require('../database/itemTree');
+const { buildViewConditions, sqlString, containsText } = require('./viewQuery');
+const { DEFAULT_WORKFLOW } = require('../../shared/ipcSchemas');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * Rank of a priority or status key: its index in the workflow list, so
+ * sorting follows the workflow instead of the alphabet (-1 for unknown keys)
+ */
+const rankOf = (entries, key) => entries.findIndex((entry) => entry.key === key);
+
+/**
+ * SQL computing the rank of a priority or status column
+ */
+const rankSql = (column, entries) => {
+    const cases = entries.map((entry, index) => `WHEN ${sqlString(entry.key)} THEN ${index}`).join(' ');
+    return Sequelize.literal(`CASE ${column} ${cases} ELSE -1 END`);
+};
+
+/**
+ * Sortable fields and how their cursor values are (de)serialized
+ * Ranked fields name the workflow list giving their order
+ */
+const SORT_FIELDS = {
+    createdAt: { type: 'date' },
+    updatedAt: { type: 'date' },
+    title: { type: 'string' },
+    completed: { type: 'boolean' },
+    priority: { type: 'rank', list: 'priorities' },
+    status: { type: 'rank', list: 'statuses' },
+    // Manual order (fractional index key)
+    position: { type: 'string' },
+};
+
+const DEFAULT_SORT = [{ field: 'position', direction: 'asc' }];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Parse a date filter value (ISO string, timestamp or Date)
+ */
+const parseDate = (value, name) => {
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid date for ${name}`);
+    }
+    return date;
+};
+
+/**
+ * Build a condition matching items tagged with any (or all) of the given tag uuids
+ * Uuids are validated before being inlined into the subquery
+ */
+const buildTagCondition = (tagUuids, tagMatch = 'any') => {
+    for (const uuid of tagUuids) {
+        if (typeof uuid !== 'string' || !UUID_PATTERN.test(uuid)) {
+            throw new Error('Invalid tag filter');
+        }
+    }
+
+    const list = tagUuids.map((uuid) => `'${uuid}'`).join(', ');
+    const required = tagMatch === 'all' ? tagUuids.length : 1;
+
+    return {
+        uuid: {
+            [Op.in]: Sequelize.literal(`(
+                SELECT item_uuid FROM item_tags
+                WHERE is_deleted = 0 AND tag_uuid IN (${list})
+                GROUP BY item_uuid
+                HAVING COUNT(DISTINCT tag_uuid) >= ${required}
+            )`),
+        },
+    };
+};
+
+/**
+ * Build the filter part of the where clause (excludes soft-deleted items, and
+ * archived items unless filters.archived selects the archive)
+ * workflow: the user's priorities and statuses, for view queries
+ * ownerId: the user whose tags and lists view queries name
+ */
+const buildFilterWhere = (filters = {}, workflow = DEFAULT_WORKFLOW, ownerId = null) => {
+    const {
+        completed, status, priority, createdFrom, createdTo, updatedFrom, updatedTo, dueFrom, dueTo, text, tags,
+        tagMatch, parentUuid, listUuid, query, archived,
+    } = filters;
+    const conditions = [
+        { isDeleted: false },
+        { archivedAt: archived ? { [Op.ne]: null } : null },
+    ];
+
+    if (completed !== undefined && completed !== null) {
+        conditions.push({ completed: Boolean(completed) });
+    }
+
+    for (const [field, value] of [['status', status], ['priority', priority]]) {
+        if (value !== undefined && value !== null) {
+            const keys = Array.isArray(value) ? value : [value];
+            if (keys.length > 0) {
+                conditions.push({ [field]: { [Op.in]: keys } });
+            }
+        }
+    }
+
+    const createdRange = {};
+    if (createdFrom) createdRange[Op.gte] = parseDate(createdFrom, 'createdFrom');
+    if (createdTo) createdRange[Op.lte] = parseDate(createdTo, 'createdTo');
+    if (Reflect.ownKeys(createdRange).length > 0) {
+        conditions.push({ createdAt: createdRange });
+    }
+
+    const updatedRange = {};
+    if (updatedFrom) updatedRange[Op.gte] = parseDate(updatedFrom, 'updatedFrom');
+    if (updatedTo) updatedRange[Op.lte] = parseDate(updatedTo, 'updatedTo');
+    if (Reflect.ownKeys(updatedRange).length > 0) {
+        conditions.push({ updatedAt: updatedRange });
+    }
+
+    const dueRange = {};
+    if (dueFrom) dueRange[Op.gte] = parseDate(dueFrom, 'dueFrom');
+    if (dueTo) dueRange[Op.lte] = parseDate(dueTo, 'dueTo');
+    if (Reflect.ownKeys(dueRange).length > 0) {
+        conditions.push({ dueAt: dueRange });
+    }
+
+    if (typeof text === 'string' && text.trim() !== '') {
+        const term = text.trim();
+        conditions.push({
+            [Op.or]: [containsText('title', term), containsText('description', term)],
+        });
+    }
+
+    if (Array.isArray(tags) && tags.length > 0) {
+        conditions.push(buildTagCondition([...new Set(tags)], tagMatch));
+    }
+
+    if (query !== undefined && query !== null) {
+        conditions.push(...buildViewConditions(query, workflow, ownerId));
+    }
+
+    // null selects top-level items, a uuid selects that item's direct children
+    if (parentUuid === null) {
+        conditions.push(topLevelCondition());
+    } else if (parentUuid !== undefined) {
+        conditions.push({ parentUuid });
+    }
+
+    // null selects items in the Inbox (no list), a uuid selects that list
+    if (listUuid !== undefined) {
+        conditions.push({ listUuid });
+    }
+
+    return conditions;
+};
+
+/**
+ * Normalize the requested sort into [{ field, direction }] with an id tie-breaker
+ */
+const normalizeSort = (sort) => {
+    const requested = Array.isArray(sort) && sort.length > 0 ? sort : DEFAULT_SORT;
+    const normalized = [];
+
+    for (const entry of requested) {
+        const field = typeof entry === 'string' ? entry : entry?.field;
+        const direction = String(entry?.direction || 'asc').toLowerCase();
+
+        if (!SORT_FIELDS[field]) {
+            throw new Error(`Cannot sort by '${field}'`);
+        }
+        if (direction !== 'asc' && direction !== 'desc') {
+            throw new Error(`Invalid sort direction '${entry.direction}'`);
+        }
+        if (!normalized.some((s) => s.field === field)) {
+            normalized.push({ field, direction });
+        }
+    }
+
+    // Tie-break on id so the ordering (and therefore the cursor) is total
+    normalized.push({ field: 'id', direction: normalized[normalized.length - 1].direction });
+    return normalized;
+};
+
+/**
+ * The column (or rank expression) a sort field sorts by
+ */
+const sortExpression = (field, workflow) => {
+    const list = SORT_FIELDS[field]?.list;
+    return list ? rankSql(field, workflow[list]) : field;
+};
+
+/**
+ * Build a Sequelize order clause from a normalized sort
+ */
+const buildOrder = (sort, workflow = DEFAULT_WORKFLOW) => sort.map(({ field, direction }) => (
+    [sortExpression(field, workflow), direction.toUpperCase()]
+));
+
+/**
+ * Build a single comparison against a sort field
+ */
+const compareField = (field, op, value, workflow) => {
+    if (SORT_FIELDS[field]?.list) {
+        return Sequelize.where(sortExpression(field, workflow), { [op]: value });
+    }
+    return { [field]: { [op]: value } };
+};
+
+/**
+ * Build the keyset condition selecting rows after the cursor position:
+ * (a > x) OR (a = x AND b > y) OR (a = x AND b = y AND id > z)
+ */
+const buildKeysetWhere = (sort, values, workflow = DEFAULT_WORKFLOW) => {
+    const branches = sort.map(({ field, direction }, index) => {
+        const equalities = sort.slice(0, index).map((prev, i) => compareField(prev.field, Op.eq, values[i], workflow));
+        const op = direction === 'desc' ? Op.lt : Op.gt;
+        return { [Op.and]: [...equalities, compareField(field, op, values[index], workflow)] };
+    });
+    return { [Op.or]: branches };
+};
+
+/**
+ * Read the value of a sort field from an item row
+ */
+const readSortValue = (item, field, workflow) => {
+    const list = SORT_FIELDS[field]?.list;
+    if (list) {
+        return rankOf(workflow[list], item[field]);
+    }
+    const value = item[field];
+    return value instanceof Date ? value.toISOString() : value;
+};
+
+/**
+ * Encode the position after the given item as an opaque cursor string
+ */
+const encodeCursor = (item, sort, workflow = DEFAULT_WORKFLOW) => {
+    const payload = {
+        s: sort.map((s) => `${s.field}:${s.direction}`).join(','),
+        v: sort.map(({ field }) => readSortValue(item, field, workflow)),
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor and check it was produced for the same sort
+ */
+const decodeCursor = (cursor, sort) => {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new Error('Invalid cursor');
+    }
+
+    const signature = sort.map((s) => `${s.field}:${s.direction}`).join(',');
+    if (!payload || payload.s !== signature || !Array.isArray(payload.v) || payload.v.length !== sort.length) {
+        throw new Error('Cursor does not match the requested sort');
+    }
+
+    return payload.v.map((value, index) => {
+        const type = SORT_FIELDS[sort[index].field]?.type;
+        if (type === 'date' && value !== null) return new Date(value);
+        if (type === 'boolean') return Boolean(value);
+        return value;
+    });
+};
+
+/**
+ * Clamp the requested page size
+ */
+const normalizeLimit = (limit) => {
+    const parsed = parseInt(limit, 10);
+    if (!Number.isFinite(parsed) || parsed <= 0) return DEFAULT_LIMIT;
+    return Math.min(parsed, MAX_LIMIT);
+};
+
+/**
+ * Build everything needed to run one page of an item query
+ * Returns { filterWhere, where, order, sort, limit }
+ */
+const buildItemQuery = (options = {}) => {
+    const workflow = options.workflow || DEFAULT_WORKFLOW;
+    const filterConditions = buildFilterWhere(options.filters, workflow, options.ownerId);
+    const sort = normalizeSort(options.sort);
+    const conditions = [...filterConditions];
+
+    if (options.cursor) {
+        conditions.push(buildKeysetWhere(sort, decodeCursor(options.cursor, sort), workflow));
+    }
+
+    return {
+        filterWhere: { [Op.and]: filterConditions },
+        where: { [Op.and]: conditions },
+        order: buildOrder(sort, workflow),
+        sort,
+        limit: normalizeLimit(options.limit),
+    };
+};
+
+module.exports = {
+    buildItemQuery,
+    buildFilterWhere,
+    encodeCursor,
+    decodeCursor,
+    SORT_FIELDS,
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+};
@@ -0,0 +1,223 @@
+/**
+ * Order Keys
+ * Fractional index keys for manual item ordering (Item.position)
+ *
+ * Keys are strings compared byte by byte (SQLite's default BINARY collation),
+ * so a key can always be generated between any two others and moving an item
+ * only rewrites that item's key. A key is an integer part followed by an
+ * optional fraction:
+ * - The first character gives the length of the integer part ('a' = 1 digit,
+ *   'b' = 2, ...; 'Z', 'Y', ... for the negative side), so appending at either
+ *   end grows keys logarithmically rather than linearly
+ * - The fraction never ends in '0', so there is always room between two keys
+ *
+ * Two devices inserting at the same spot offline may produce the same key;
+ * callers break such ties (see itemController.moveItem).
+ */
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const INTEGER_ZERO = 'a0';
+const SMALLEST_INTEGER = 'A' + '0'.repeat(26);
+
+/**
+ * Length of the integer part of a key, from its first character
+ */
+const getIntegerLength = (head) => {
+    if (head >= 'a' && head <= 'z') {
+        return head.charCodeAt(0) - 'a'.charCodeAt(0) + 2;
+    }
+    if (head >= 'A' && head <= 'Z') {
+        return 'Z'.charCodeAt(0) - head.charCodeAt(0) + 2;
+    }
+    throw new Error(`Invalid order key head '${head}'`);
+};
+
+/**
+ * Integer part of a key
+ */
+const getIntegerPart = (key) => {
+    const length = getIntegerLength(key[0]);
+    if (length > key.length) {
+        throw new Error(`Invalid order key '${key}'`);
+    }
+    return key.slice(0, length);
+};
+
+/**
+ * Throw unless key is a well-formed order key
+ */
+const validateKey = (key) => {
+    if (typeof key !== 'string' || key === '' || key === SMALLEST_INTEGER) {
+        throw new Error(`Invalid order key '${key}'`);
+    }
+    const fraction = key.slice(getIntegerPart(key).length);
+    if (fraction.endsWith('0')) {
+        throw new Error(`Invalid order key '${key}'`);
+    }
+};
+
+/**
+ * Fraction strictly between two fractions (b null: between a and 1)
+ */
+const midpoint = (a, b) => {
+    if (b !== null) {
+        // Keep the common prefix, then find a midpoint of the rest
+        let n = 0;
+        while ((a[n] || '0') === b[n]) {
+            n++;
+        }
+        if (n > 0) {
+            return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+        }
+    }
+
+    const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+    const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+    if (digitB - digitA > 1) {
+        return DIGITS[Math.round((digitA + digitB) / 2)];
+    }
+    // Digits are consecutive: b's first digit alone fits, or go one digit deeper
+    if (b && b.length > 1) {
+        return b.slice(0, 1);
+    }
+    return DIGITS[digitA] + midpoint(a.slice(1), null);
+};
+
+/**
+ * Next integer part, or null past the largest one
+ */
+const incrementInteger = (integer) => {
+    const head = integer[0];
+    const digits = integer.slice(1).split('');
+    for (let i = digits.length - 1; i >= 0; i--) {
+        const next = DIGITS.indexOf(digits[i]) + 1;
+        if (next < DIGITS.length) {
+            digits[i] = DIGITS[next];
+            return head + digits.join('');
+        }
+        digits[i] = '0';
+    }
+    // Every digit carried over: one more digit on the positive side
+    if (head === 'Z') return INTEGER_ZERO;
+    if (head === 'z') return null;
+    const nextHead = String.fromCharCode(head.charCodeAt(0) + 1);
+    if (nextHead > 'a') {
+        digits.push('0');
+    } else {
+        digits.pop();
+    }
+    return nextHead + digits.join('');
+};
+
+/**
+ * Previous integer part, or null before the smallest one
+ */
+const decrementInteger = (integer) => {
+    const head = integer[0];
+    const digits = integer.slice(1).split('');
+    const lastDigit = DIGITS[DIGITS.length - 1];
+    for (let i = digits.length - 1; i >= 0; i--) {
+        const previous = DIGITS.indexOf(digits[i]) - 1;
+        if (previous >= 0) {
+            digits[i] = DIGITS[previous];
+            return head + digits.join('');
+        }
+        digits[i] = lastDigit;
+    }
+    if (head === 'a') return 'Z' + lastDigit;
+    if (head === 'A') return null;
+    const previousHead = String.fromCharCode(head.charCodeAt(0) - 1);
+    if (previousHead < 'Z') {
+        digits.push(lastDigit);
+    } else {
+        digits.pop();
+    }
+    return previousHead + digits.join('');
+};
+
+/**
+ * Generate a key sorting between a and b (null: no bound on that side)
+ */
+const generateKeyBetween = (a, b) => {
+    if (a !== null) validateKey(a);
+    if (b !== null) validateKey(b);
+    if (a !== null && b !== null && a >= b) {
+        throw new Error(`Order key '${a}' is not before '${b}'`);
+    }
+
+    if (a === null) {
+        if (b === null) {
+            return INTEGER_ZERO;
+        }
+        const integerB = getIntegerPart(b);
+        const fractionB = b.slice(integerB.length);
+        if (integerB === SMALLEST_INTEGER) {
+            return integerB + midpoint('', fractionB);
+        }
+        if (integerB < b) {
+            return integerB;
+        }
+        const previous = decrementInteger(integerB);
+        if (previous === null) {
+            throw new Error('Cannot generate an order key before the smallest one');
+        }
+        return previous;
+    }
+
+    const integerA = getIntegerPart(a);
+    const fractionA = a.slice(integerA.length);
+
+    if (b === null) {
+        const next = incrementInteger(integerA);
+        return next === null ? integerA + midpoint(fractionA, null) : next;
+    }
+
+    const integerB = getIntegerPart(b);
+    const fractionB = b.slice(integerB.length);
+    if (integerA === integerB) {
+        return integerA + midpoint(fractionA, fractionB);
+    }
+    const next = incrementInteger(integerA);
+    if (next === null) {
+        throw new Error('Cannot generate an order key after the largest one');
+    }
+    return next < b ? next : integerA + midpoint(fractionA, null);
+};
+
+/**
+ * Generate n ascending keys between a and b (null: no bound on that side)
+ */
+const generateNKeysBetween = (a, b, n) => {
+    if (n === 0) return [];
+    if (n === 1) return [generateKeyBetween(a, b)];
+
+    if (b === null) {
+        const keys = [generateKeyBetween(a, b)];
+        while (keys.length < n) {
+            keys.push(generateKeyBetween(keys[keys.length - 1], b));
+        }
+        return keys;
+    }
+
+    if (a === null) {
+        const keys = [generateKeyBetween(a, b)];
+        while (keys.length < n) {
+            keys.push(generateKeyBetween(a, keys[keys.length - 1]));
+        }
+        return keys.reverse();
+    }
+
+    // Split the range so keys stay short
+    const middle = Math.floor(n / 2);
+    const key = generateKeyBetween(a, b);
+    return [
+        ...generateNKeysBetween(a, key, middle),
+        key,
+        ...generateNKeysBetween(key, b, n - middle - 1),
+    ];
+};
+
+module.exports = {
+    generateKeyBetween,
+    generateNKeysBetween,
+};
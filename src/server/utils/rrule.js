@@ -0,0 +1,273 @@
+/**
+ * Recurrence Rules (RFC 5545 RRULE subset)
+ *
+ * Supported: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY, COUNT, UNTIL
+ * - WEEKLY BYDAY takes plain weekdays (MO,WE,FR)
+ * - MONTHLY BYDAY may carry an ordinal (1MO = first Monday, -1FR = last Friday);
+ *   without BYDAY a monthly rule repeats on the start date's day of month
+ *   (months without that day are skipped, as in RFC 5545)
+ *
+ * Occurrences are computed in local time from the series start (DTSTART),
+ * which is always the first occurrence.
+ */
+
+const crypto = require('crypto');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_INTERVAL = 999;
+const MAX_COUNT = 9999;
+
+// Upper bound on days scanned when looking for the next occurrence
+const MAX_SCAN_DAYS = 366 * 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse an RFC 5545 UNTIL value (20261231 or 20261231T235959Z)
+ */
+const parseUntil = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+    if (!match) {
+        throw new Error(`Invalid UNTIL '${value}'`);
+    }
+    const [, year, month, day, hour, minute, second, utc] = match;
+    if (hour === undefined) {
+        // Date-only UNTIL includes the whole day
+        return new Date(Number(year), Number(month) - 1, Number(day), 23, 59, 59, 999);
+    }
+    const parts = [Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second)];
+    return utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+};
+
+/**
+ * Format a Date as an RFC 5545 UTC date-time (for UNTIL)
+ */
+const formatUntil = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Parse a BYDAY entry ('MO', '2TU', '-1FR')
+ */
+const parseByDay = (entry, freq) => {
+    const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(entry);
+    if (!match) {
+        throw new Error(`Invalid BYDAY '${entry}'`);
+    }
+    const ordinal = match[1] ? parseInt(match[1], 10) : null;
+    if (ordinal !== null) {
+        if (freq !== 'MONTHLY') {
+            throw new Error('BYDAY ordinals are only supported for MONTHLY rules');
+        }
+        if (ordinal === 0 || Math.abs(ordinal) > 5) {
+            throw new Error(`Invalid BYDAY ordinal in '${entry}'`);
+        }
+    }
+    return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+};
+
+/**
+ * Parse and validate a rule string (with or without the 'RRULE:' prefix)
+ * Returns { freq, interval, byDay: [{ weekday, ordinal }], count, until }
+ */
+const parseRRule = (rule) => {
+    if (typeof rule !== 'string' || rule.trim() === '') {
+        throw new Error('Recurrence rule is empty');
+    }
+
+    const parts = {};
+    for (const part of rule.trim().replace(/^RRULE:/i, '').split(';')) {
+        if (!part) continue;
+        const [name, value] = part.split('=');
+        if (!name || value === undefined || value === '') {
+            throw new Error(`Invalid recurrence rule part '${part}'`);
+        }
+        parts[name.toUpperCase()] = value.toUpperCase();
+    }
+
+    const unsupported = Object.keys(parts).filter((name) => !['FREQ', 'INTERVAL', 'BYDAY', 'COUNT', 'UNTIL'].includes(name));
+    if (unsupported.length > 0) {
+        throw new Error(`Unsupported recurrence rule part ${unsupported.join(', ')}`);
+    }
+
+    if (!FREQUENCIES.includes(parts.FREQ)) {
+        throw new Error(`Unsupported FREQ '${parts.FREQ || ''}' (use DAILY, WEEKLY or MONTHLY)`);
+    }
+    const freq = parts.FREQ;
+
+    const interval = parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1;
+    if (!/^\d+$/.test(parts.INTERVAL || '1') || interval < 1 || interval > MAX_INTERVAL) {
+        throw new Error(`Invalid INTERVAL '${parts.INTERVAL}'`);
+    }
+
+    let count = null;
+    if (parts.COUNT !== undefined) {
+        count = parseInt(parts.COUNT, 10);
+        if (!/^\d+$/.test(parts.COUNT) || count < 1 || count > MAX_COUNT) {
+            throw new Error(`Invalid COUNT '${parts.COUNT}'`);
+        }
+    }
+
+    const until = parts.UNTIL !== undefined ? parseUntil(parts.UNTIL) : null;
+    if (count !== null && until !== null) {
+        throw new Error('COUNT and UNTIL cannot be combined');
+    }
+
+    let byDay = [];
+    if (parts.BYDAY !== undefined) {
+        if (freq === 'DAILY') {
+            throw new Error('BYDAY is not supported for DAILY rules');
+        }
+        byDay = parts.BYDAY.split(',').map((entry) => parseByDay(entry, freq));
+    }
+
+    return { freq, interval, byDay, count, until };
+};
+
+/**
+ * Serialize a parsed rule back to its canonical string form
+ */
+const formatRRule = ({ freq, interval = 1, byDay = [], count = null, until = null }) => {
+    const parts = [`FREQ=${freq}`];
+    if (interval > 1) parts.push(`INTERVAL=${interval}`);
+    if (byDay.length > 0) {
+        parts.push(`BYDAY=${byDay.map(({ weekday, ordinal }) => `${ordinal ?? ''}${WEEKDAYS[weekday]}`).join(',')}`);
+    }
+    if (count !== null) parts.push(`COUNT=${count}`);
+    if (until !== null) parts.push(`UNTIL=${formatUntil(until)}`);
+    return parts.join(';');
+};
+
+/**
+ * Normalize a rule string (validates it)
+ */
+const normalizeRRule = (rule) => formatRRule(parseRRule(rule));
+
+/**
+ * Whole local calendar days from a to b
+ */
+const daysBetween = (a, b) => {
+    const startA = Date.UTC(a.getFullYear(), a.getMonth(), a.getDate());
+    const startB = Date.UTC(b.getFullYear(), b.getMonth(), b.getDate());
+    return Math.round((startB - startA) / DAY_MS);
+};
+
+/**
+ * Monday of the week containing the date (RFC 5545 default WKST=MO)
+ */
+const startOfWeek = (date) => {
+    const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    result.setDate(result.getDate() - ((result.getDay() + 6) % 7));
+    return result;
+};
+
+/**
+ * Check whether a day is the nth (or nth-from-last) given weekday of its month
+ */
+const isNthWeekdayOfMonth = (date, weekday, ordinal) => {
+    if (date.getDay() !== weekday) return false;
+    if (ordinal > 0) {
+        return Math.ceil(date.getDate() / 7) === ordinal;
+    }
+    const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    return Math.ceil((daysInMonth - date.getDate() + 1) / 7) === -ordinal;
+};
+
+/**
+ * Check whether a calendar day matches the rule for a series starting at start
+ */
+const matchesDay = (rule, start, day) => {
+    switch (rule.freq) {
+        case 'DAILY':
+            return daysBetween(start, day) % rule.interval === 0;
+
+        case 'WEEKLY': {
+            const weeks = Math.round(daysBetween(startOfWeek(start), startOfWeek(day)) / 7);
+            if (weeks % rule.interval !== 0) return false;
+            const weekdays = rule.byDay.length > 0 ? rule.byDay.map((d) => d.weekday) : [start.getDay()];
+            return weekdays.includes(day.getDay());
+        }
+
+        case 'MONTHLY': {
+            const months = (day.getFullYear() - start.getFullYear()) * 12 + (day.getMonth() - start.getMonth());
+            if (months % rule.interval !== 0) return false;
+            if (rule.byDay.length === 0) {
+                return day.getDate() === start.getDate();
+            }
+            return rule.byDay.some(({ weekday, ordinal }) => (
+                ordinal === null ? day.getDay() === weekday : isNthWeekdayOfMonth(day, weekday, ordinal)
+            ));
+        }
+
+        default:
+            return false;
+    }
+};
+
+/**
+ * Find the occurrence following the given one
+ *
+ * rule: rule string or parsed rule
+ * start: series start (first occurrence)
+ * current: date of the occurrence just completed
+ * currentIndex: 1-based index of that occurrence in the series (for COUNT)
+ *
+ * Returns { date, index } or null when the series has ended
+ */
+const getNextOccurrence = (rule, start, current, currentIndex = 1) => {
+    const parsed = typeof rule === 'string' ? parseRRule(rule) : rule;
+    const startDate = new Date(start);
+    const currentDate = new Date(current);
+
+    if (parsed.count !== null && currentIndex >= parsed.count) {
+        return null;
+    }
+
+    for (let offset = 1; offset <= MAX_SCAN_DAYS; offset++) {
+        // Keep the series' time of day on every occurrence
+        const candidate = new Date(
+            currentDate.getFullYear(),
+            currentDate.getMonth(),
+            currentDate.getDate() + offset,
+            startDate.getHours(),
+            startDate.getMinutes(),
+            startDate.getSeconds()
+        );
+
+        if (parsed.until !== null && candidate > parsed.until) {
+            return null;
+        }
+
+        if (candidate > currentDate && matchesDay(parsed, startDate, candidate)) {
+            return { date: candidate, index: currentIndex + 1 };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Deterministic uuid for an occurrence of a series
+ * Every device completing the same occurrence derives the same uuid for the
+ * next one, so sync merges them instead of creating duplicates
+ */
+const getOccurrenceUuid = (seriesUuid, occurrenceDate) => {
+    const hash = crypto
+        .createHash('sha1')
+        .update(`${seriesUuid}:${new Date(occurrenceDate).toISOString()}`)
+        .digest();
+
+    // Format as an RFC 4122 name-based (version 5) uuid
+    hash[6] = (hash[6] & 0x0f) | 0x50;
+    hash[8] = (hash[8] & 0x3f) | 0x80;
+    const hex = hash.subarray(0, 16).toString('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+module.exports = {
+    parseRRule,
+    formatRRule,
+    normalizeRRule,
+    getNextOccurrence,
+    getOccurrenceUuid,
+    WEEKDAYS,
+};
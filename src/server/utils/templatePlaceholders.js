@@ -0,0 +1,60 @@
+/**
+ * Template Placeholders
+ * Placeholders in the titles and descriptions of item templates, filled in
+ * when a template is used:
+ * - {{date}} today (YYYY-MM-DD), {{time}} now (HH:MM), {{weekday}} (Monday),
+ *   {{month}} (October), {{year}} (2026), all in local time
+ * - {{prompt:Customer}} a value the user is asked for ('Customer'); every
+ *   occurrence of the same prompt gets the same value
+ * Anything else in double braces is left as written
+ */
+
+const PLACEHOLDER = /\{\{\s*([a-z]+)(?:\s*:\s*([^{}]*?))?\s*\}\}/gi;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Values of the built-in placeholders at a point in time
+const BUILT_INS = {
+    date: (now) => `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    time: (now) => `${pad(now.getHours())}:${pad(now.getMinutes())}`,
+    weekday: (now) => now.toLocaleDateString(undefined, { weekday: 'long' }),
+    month: (now) => now.toLocaleDateString(undefined, { month: 'long' }),
+    year: (now) => String(now.getFullYear()),
+};
+
+/**
+ * The prompts used in some texts, in order of first use (without duplicates)
+ */
+const listPrompts = (texts) => {
+    const prompts = [];
+    for (const text of texts) {
+        for (const [, name, argument] of (text || '').matchAll(PLACEHOLDER)) {
+            if (name.toLowerCase() === 'prompt' && argument && !prompts.includes(argument)) {
+                prompts.push(argument);
+            }
+        }
+    }
+    return prompts;
+};
+
+/**
+ * Fill in the placeholders of a text
+ * values: { [prompt]: value }; prompts without a value are left as written
+ */
+const fillPlaceholders = (text, values = {}, now = new Date()) => {
+    if (!text) {
+        return text;
+    }
+    return text.replace(PLACEHOLDER, (placeholder, name, argument) => {
+        const key = name.toLowerCase();
+        if (key === 'prompt') {
+            return argument && typeof values[argument] === 'string' ? values[argument] : placeholder;
+        }
+        return BUILT_INS[key] && argument === undefined ? BUILT_INS[key](now) : placeholder;
+    });
+};
+
+module.exports = {
+    listPrompts,
+    fillPlaceholders,
+};
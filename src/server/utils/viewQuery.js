@@ -0,0 +1,274 @@
+/**
+ * View Query Language
+ * Parses the queries of saved views into Sequelize conditions on the local
+ * SQLite items table (used through the `query` filter of utils/itemQuery.js)
+ * Tags and lists are those of the user running the query
+ *
+ * A query is a list of terms, all of which must match:
+ * - word or "quoted phrase": in the title or description
+ * - priority:high (or priority:high,medium), status:doing (or status:"in progress"):
+ *   the user's priority levels and statuses, by key or name
+ * - is:open, is:completed (is:done), is:overdue, is:recurring
+ * - has:due, has:reminder, has:description, has:tags, has:attachments
+ * - tag:name, list:name (list:inbox for items in no list); quote names with spaces
+ * - created:, updated:, due: followed by a date, optionally compared:
+ *   created:2026-01-01 (that day), created:>2026-01-01, due:<=today,
+ *   updated:>=-7d, due:2026-01-01..2026-01-31
+ *   Dates are YYYY-MM-DD, today, yesterday, tomorrow, or days/weeks from
+ *   today (-7d, +2w), in local time
+ * A leading '-' negates a term: -tag:someday -"draft"
+ *
+ * e.g. priority:high is:open created:>2026-01-01 "invoice"
+ */
+
+const { Op, Sequelize } = require('sequelize');
+const { DEFAULT_WORKFLOW } = require('../../shared/ipcSchemas');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One term: optional '-', optional 'key:', then a quoted or bare value
+const TERM_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+const DATE_FIELDS = { created: 'createdAt', updated: 'updatedAt', due: 'dueAt' };
+
+// Terms naming workflow entries: the workflow list and item field they match
+const WORKFLOW_TERMS = {
+    priority: { list: 'priorities', field: 'priority' },
+    status: { list: 'statuses', field: 'status' },
+};
+
+/**
+ * Quote a string for inlining into SQLite SQL
+ */
+const sqlString = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+/**
+ * Condition for a column containing text as typed: % and _ in the text match
+ * themselves instead of acting as LIKE wildcards (case-insensitive for ASCII)
+ * negated: the column must not contain the text instead
+ */
+const containsText = (column, text, negated = false) => Sequelize.where(
+    Sequelize.col(column),
+    negated ? 'NOT LIKE' : 'LIKE',
+    Sequelize.literal(`${sqlString(`%${text.replace(/[\\%_]/g, '\\$&')}%`)} ESCAPE '\\'`)
+);
+
+/**
+ * Split a query into terms: [{ negated, key, value }] (key null for text)
+ */
+const parseViewQuery = (query) => {
+    if (typeof query !== 'string' || query.trim() === '') {
+        throw new Error('The query is empty');
+    }
+
+    const terms = [];
+    for (const match of query.matchAll(TERM_PATTERN)) {
+        const [, negation, key, quoted, bare] = match;
+        const value = quoted ?? bare;
+        if (!key && value === '-') continue;
+        if (value === '' && !key) continue;
+        // 'due:' on its own (no value) reads as a bare word
+        const missing = key ? value === '' : /^[a-z]+:$/i.test(value);
+        if (missing) {
+            throw new Error(`Missing value after '${key || value.slice(0, -1)}:'`);
+        }
+        terms.push({ negated: negation === '-', key: key ? key.toLowerCase() : null, value });
+    }
+
+    if (terms.length === 0) {
+        throw new Error('The query is empty');
+    }
+    return terms;
+};
+
+/**
+ * Start of the local day a date value names
+ */
+const parseDay = (value, now) => {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const lower = value.toLowerCase();
+
+    if (lower === 'today') return today;
+    if (lower === 'yesterday') return new Date(today.getTime() - DAY_MS);
+    if (lower === 'tomorrow') return new Date(today.getTime() + DAY_MS);
+
+    const relative = lower.match(/^([+-]?)(\d{1,4})([dw])$/);
+    if (relative) {
+        const days = Number(relative[2]) * (relative[3] === 'w' ? 7 : 1) * (relative[1] === '-' ? -1 : 1);
+        return new Date(today.getFullYear(), today.getMonth(), today.getDate() + days);
+    }
+
+    const absolute = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (absolute) {
+        const [year, month, day] = absolute.slice(1).map(Number);
+        const date = new Date(year, month - 1, day);
+        if (date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day) {
+            return date;
+        }
+    }
+
+    throw new Error(`Invalid date '${value}' (use YYYY-MM-DD, today, or -7d)`);
+};
+
+const nextDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+
+/**
+ * Build the range a date term selects, e.g. '>2026-01-01' or 'a..b'
+ */
+const buildDateRange = (value, now) => {
+    const range = value.match(/^(.+)\.\.(.+)$/);
+    if (range) {
+        return { [Op.gte]: parseDay(range[1], now), [Op.lt]: nextDay(parseDay(range[2], now)) };
+    }
+
+    const [, operator, day] = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+    const start = parseDay(day, now);
+    switch (operator) {
+        case '>': return { [Op.gte]: nextDay(start) };
+        case '>=': return { [Op.gte]: start };
+        case '<': return { [Op.lt]: start };
+        case '<=': return { [Op.lt]: nextDay(start) };
+        default: return { [Op.gte]: start, [Op.lt]: nextDay(start) };
+    }
+};
+
+/**
+ * Condition matching items whose uuid is returned by a subquery
+ */
+const uuidIn = (subquery) => ({ uuid: { [Op.in]: Sequelize.literal(`(${subquery})`) } });
+
+/**
+ * Resolve the comma-separated priorities or statuses of a term to their keys
+ */
+const resolveWorkflowKeys = (key, value, workflow) => {
+    const entries = workflow[WORKFLOW_TERMS[key].list];
+    const names = value.toLowerCase().split(',').map((name) => name.trim()).filter(Boolean);
+    if (names.length === 0) {
+        throw new Error(`Missing value after '${key}:'`);
+    }
+    return names.map((name) => {
+        const entry = entries.find((candidate) => (
+            candidate.key === name || candidate.name.toLowerCase() === name
+        ));
+        if (!entry) {
+            throw new Error(`Unknown ${key} '${name}' (use ${entries.map((candidate) => candidate.key).join(', ')})`);
+        }
+        return entry.key;
+    });
+};
+
+/**
+ * Build the condition for one term (before negation)
+ */
+const buildTermCondition = ({ key, value }, workflow, ownerId, now) => {
+    if (key === null) {
+        return { [Op.or]: [containsText('title', value), containsText('description', value)] };
+    }
+
+    if (DATE_FIELDS[key]) {
+        return { [DATE_FIELDS[key]]: buildDateRange(value, now) };
+    }
+
+    if (WORKFLOW_TERMS[key]) {
+        return { [WORKFLOW_TERMS[key].field]: { [Op.in]: resolveWorkflowKeys(key, value, workflow) } };
+    }
+
+    const lower = value.toLowerCase();
+    switch (key) {
+        case 'is':
+            switch (lower) {
+                case 'open': return { completed: false };
+                case 'completed':
+                case 'done': return { completed: true };
+                case 'overdue': return { completed: false, dueAt: { [Op.lt]: now } };
+                case 'recurring': return { recurrenceRule: { [Op.ne]: null } };
+                default: throw new Error(`Unknown 'is:${value}' (use open, completed, overdue or recurring)`);
+            }
+
+        case 'has':
+            switch (lower) {
+                case 'due': return { dueAt: { [Op.ne]: null } };
+                case 'reminder': return { remindAt: { [Op.ne]: null } };
+                case 'description': return { description: { [Op.and]: [{ [Op.ne]: null }, { [Op.ne]: '' }] } };
+                case 'tags': return uuidIn(`
+                    SELECT item_tags.item_uuid FROM item_tags
+                    JOIN tags ON tags.uuid = item_tags.tag_uuid
+                    WHERE item_tags.is_deleted = 0 AND tags.is_deleted = 0 AND tags.owner_id = ${sqlString(ownerId)}
+                `);
+                case 'attachments': return uuidIn('SELECT item_uuid FROM attachments WHERE is_deleted = 0');
+                default: throw new Error(`Unknown 'has:${value}' (use due, reminder, description, tags or attachments)`);
+            }
+
+        case 'tag':
+            return uuidIn(`
+                SELECT item_tags.item_uuid FROM item_tags
+                JOIN tags ON tags.uuid = item_tags.tag_uuid
+                WHERE item_tags.is_deleted = 0 AND tags.is_deleted = 0 AND tags.owner_id = ${sqlString(ownerId)}
+                AND lower(tags.name) = lower(${sqlString(value)})
+            `);
+
+        case 'list':
+            if (lower === 'inbox') {
+                return { listUuid: null };
+            }
+            return {
+                listUuid: {
+                    [Op.in]: Sequelize.literal(`(
+                        SELECT uuid FROM lists
+                        WHERE is_deleted = 0 AND owner_id = ${sqlString(ownerId)}
+                        AND lower(name) = lower(${sqlString(value)})
+                    )`),
+                },
+            };
+
+        default:
+            throw new Error(`Unknown filter '${key}:'`);
+    }
+};
+
+/**
+ * Negate a condition; items with no value for a negated nullable column
+ * (no description, no due date, no list) count as not matching the term
+ */
+const negateCondition = (term, condition, now) => {
+    const lower = term.value.toLowerCase();
+
+    if (term.key === null) {
+        return {
+            [Op.and]: [
+                containsText('title', term.value, true),
+                { [Op.or]: [{ description: null }, containsText('description', term.value, true)] },
+            ],
+        };
+    }
+    if (term.key === 'list' && lower !== 'inbox') {
+        return { [Op.or]: [{ listUuid: null }, { [Op.not]: condition }] };
+    }
+    if (term.key === 'due') {
+        return { [Op.or]: [{ dueAt: null }, { [Op.not]: condition }] };
+    }
+    if (term.key === 'is' && lower === 'overdue') {
+        return { [Op.or]: [{ completed: true }, { dueAt: null }, { dueAt: { [Op.gte]: now } }] };
+    }
+    return { [Op.not]: condition };
+};
+
+/**
+ * Parse a query into a list of conditions (all of which must hold)
+ * workflow: the user's priorities and statuses the query may name
+ * ownerId: the user whose tags and lists the query may name
+ * Throws with a readable message when the query is invalid
+ */
+const buildViewConditions = (query, workflow = DEFAULT_WORKFLOW, ownerId = null, now = new Date()) => (
+    parseViewQuery(query).map((term) => {
+        const condition = buildTermCondition(term, workflow, ownerId, now);
+        return term.negated ? negateCondition(term, condition, now) : condition;
+    })
+);
+
+module.exports = {
+    parseViewQuery,
+    buildViewConditions,
+    sqlString,
+    containsText,
+};
@@ -0,0 +1,444 @@
+/**
+ * IPC Schemas
+ * Declarative schemas for the arguments of IPC channels, shared by the main
+ * process (every call is validated before its controller runs, see
+ * server/ipc/validation.js) and the renderer (form validation in App.jsx)
+ *
+ * A schema describes one value:
+ *   type: 'string' | 'integer' | 'boolean' | 'date' | 'enum' | 'array' | 'object' | 'any'
+ *   label: name used in error messages
+ *   required: undefined is an error; nullable: null is allowed
+ *   string: notBlank, maxLength; integer: min, max; enum: values
+ *   date: a Date, or a string or timestamp that parses as one ('' clears it when nullable)
+ *   array: items (element schema), minItems, maxItems
+ *   object: fields (field schemas); unknown fields are errors unless open is set
+ *
+ * Errors are [{ field, message }], field being the path of the offending value
+ * ('title', 'tags[2]', 'placement.nextId'; '' for the arguments themselves)
+ *
+ * Written as CommonJS so both the main and the renderer bundles can load it.
+ */
+
+const SHARE_ROLES = ['viewer', 'editor'];
+
+// Priority levels (lowest first) and workflow statuses (in workflow order) of
+// users who have not defined their own (see server/controllers/workflowController.js)
+const DEFAULT_WORKFLOW = {
+    priorities: [
+        { key: 'low', name: 'Low', color: '#27ae60', isDefault: false },
+        { key: 'medium', name: 'Medium', color: '#f39c12', isDefault: true },
+        { key: 'high', name: 'High', color: '#e74c3c', isDefault: false },
+    ],
+    statuses: [
+        { key: 'todo', name: 'Todo', color: '#95a5a6', isDone: false },
+        { key: 'doing', name: 'In Progress', color: '#3498db', isDone: false },
+        { key: 'done', name: 'Done', color: '#27ae60', isDone: true },
+    ],
+};
+// Longest priority or status key (items store the key)
+const WORKFLOW_KEY_MAX_LENGTH = 10;
+// Most priority levels or statuses a user may define
+const MAX_WORKFLOW_ENTRIES = 20;
+
+// Largest page items:query returns (see utils/itemQuery.js)
+const MAX_QUERY_LIMIT = 500;
+// Largest number of search results
+const MAX_SEARCH_LIMIT = 200;
+// Most items one bulk call may touch
+const MAX_BULK_ITEMS = 1000;
+
+// Item columns of CSV exports, in order; the fields a CSV import can fill
+// from a column are those that are not exportOnly (see
+// server/controllers/itemCsvController.js)
+const CSV_ITEM_COLUMNS = [
+    { field: 'uuid', header: 'UUID' },
+    { field: 'title', header: 'Title' },
+    { field: 'description', header: 'Description' },
+    { field: 'status', header: 'Status' },
+    { field: 'priority', header: 'Priority' },
+    { field: 'completed', header: 'Completed' },
+    { field: 'dueAt', header: 'Due' },
+    { field: 'remindAt', header: 'Reminder' },
+    { field: 'recurrenceRule', header: 'Repeat' },
+    { field: 'list', header: 'List' },
+    { field: 'tags', header: 'Tags' },
+    { field: 'parentUuid', header: 'Parent UUID' },
+    { field: 'createdAt', header: 'Created', exportOnly: true },
+    { field: 'completedAt', header: 'Completed at', exportOnly: true },
+];
+
+const describe = (value) => (Array.isArray(value) ? 'a list' : value === null ? 'empty' : typeof value);
+
+const isPlainObject = (value) => (
+    typeof value === 'object' && value !== null && !Array.isArray(value) && !(value instanceof Date)
+);
+
+/**
+ * Validate a value against a schema
+ * Returns the errors found ([] when valid)
+ */
+const validateValue = (schema, value, field = '') => {
+    const label = schema.label || field || 'Value';
+    const error = (message) => [{ field, message }];
+
+    if (value === undefined) {
+        return schema.required ? error(`${label} is required`) : [];
+    }
+    if (value === null) {
+        if (schema.nullable) return [];
+        return schema.required ? error(`${label} is required`) : error(`${label} cannot be empty`);
+    }
+
+    switch (schema.type) {
+        case 'string':
+            if (typeof value !== 'string') {
+                return error(`${label} must be text, not ${describe(value)}`);
+            }
+            if (schema.notBlank && value.trim() === '') {
+                return schema.required ? error(`${label} is required`) : error(`${label} cannot be empty`);
+            }
+            if (schema.maxLength !== undefined && value.trim().length > schema.maxLength) {
+                return error(`${label} must be at most ${schema.maxLength} characters`);
+            }
+            return [];
+
+        case 'integer':
+            if (!Number.isInteger(value)) {
+                return error(`${label} must be a whole number`);
+            }
+            if (schema.min !== undefined && value < schema.min) {
+                return error(`${label} must be at least ${schema.min}`);
+            }
+            if (schema.max !== undefined && value > schema.max) {
+                return error(`${label} must be at most ${schema.max}`);
+            }
+            return [];
+
+        case 'boolean':
+            return typeof value === 'boolean' ? [] : error(`${label} must be true or false`);
+
+        case 'date': {
+            if (value === '' && schema.nullable) return [];
+            const valid = value instanceof Date || typeof value === 'string' || typeof value === 'number';
+            return valid && !Number.isNaN(new Date(value).getTime())
+                ? []
+                : error(`${label} is not a valid date`);
+        }
+
+        case 'enum':
+            return schema.values.includes(value)
+                ? []
+                : error(`${label} must be one of ${schema.values.join(', ')}`);
+
+        case 'array': {
+            if (!Array.isArray(value)) {
+                return error(`${label} must be a list, not ${describe(value)}`);
+            }
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                return error(schema.minItems === 1 ? `${label} cannot be empty` : `${label} needs at least ${schema.minItems} entries`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                return error(`${label} can have at most ${schema.maxItems} entries`);
+            }
+            if (!schema.items) return [];
+            return value.flatMap((entry, index) => validateValue(schema.items, entry, `${field}[${index}]`));
+        }
+
+        case 'object': {
+            if (!isPlainObject(value)) {
+                return error(`${label} must be an object, not ${describe(value)}`);
+            }
+            if (!schema.fields) return [];
+            const prefix = field ? `${field}.` : '';
+            const unknown = schema.open
+                ? []
+                : Object.keys(value)
+                    .filter((key) => !schema.fields[key] && value[key] !== undefined)
+                    .map((key) => ({ field: `${prefix}${key}`, message: `Unknown field '${key}'` }));
+            return [
+                ...Object.entries(schema.fields).flatMap(([key, fieldSchema]) => (
+                    validateValue(fieldSchema, value[key], `${prefix}${key}`)
+                )),
+                ...unknown,
+            ];
+        }
+
+        default:
+            return [];
+    }
+};
+
+/**
+ * Turn errors into { field: message } (the first error of each field)
+ */
+const toFieldErrors = (errors) => {
+    const fieldErrors = {};
+    for (const { field, message } of errors) {
+        if (!(field in fieldErrors)) {
+            fieldErrors[field] = message;
+        }
+    }
+    return fieldErrors;
+};
+
+// Shared value schemas
+
+const id = (label) => ({ type: 'integer', label, min: 1, required: true });
+const optionalId = (label) => ({ type: 'integer', label, min: 1, nullable: true });
+const uuid = (label) => ({ type: 'string', label, maxLength: 36, nullable: true });
+const ids = { type: 'array', label: 'Items', items: id('Item id'), minItems: 1, maxItems: MAX_BULK_ITEMS, required: true };
+const cascadeOptions = { type: 'object', label: 'Options', nullable: true, fields: {
+    cascade: { type: 'boolean', label: 'Cascade' },
+} };
+const csvMapping = { type: 'object', label: 'Column mapping', required: true, fields: Object.fromEntries(
+    CSV_ITEM_COLUMNS.filter(column => !column.exportOnly).map(({ field, header }) => (
+        [field, { type: 'integer', label: `${header} column`, nullable: true, min: 0 }]
+    ))
+) };
+
+// Fields an item can be given when created or updated
+const ITEM_FIELDS = {
+    title: { type: 'string', label: 'Title', notBlank: true, maxLength: 255 },
+    description: { type: 'string', label: 'Description', nullable: true, maxLength: 20000 },
+    // Priority and status keys are checked against the user's workflow by itemController
+    priority: { type: 'string', label: 'Priority', notBlank: true, maxLength: WORKFLOW_KEY_MAX_LENGTH },
+    status: { type: 'string', label: 'Status', notBlank: true, maxLength: WORKFLOW_KEY_MAX_LENGTH },
+    tags: { type: 'array', label: 'Tags', items: { type: 'string', label: 'Tag', maxLength: 36 }, maxItems: 100 },
+    dueAt: { type: 'date', label: 'Due date', nullable: true },
+    remindAt: { type: 'date', label: 'Reminder', nullable: true },
+    recurrenceRule: { type: 'string', label: 'Repeat rule', nullable: true, maxLength: 255 },
+    // Values by custom field uuid, checked against the field definitions by customFieldController
+    customFields: { type: 'object', label: 'Custom fields', nullable: true },
+};
+
+// items:create (parentUuid: make it a subtask; listUuid: put it in a list)
+const ITEM_CREATE = {
+    type: 'object',
+    label: 'Item',
+    required: true,
+    fields: {
+        ...ITEM_FIELDS,
+        title: { ...ITEM_FIELDS.title, required: true },
+        parentUuid: uuid('Parent item'),
+        listUuid: uuid('List'),
+    },
+};
+
+// items:update (only the fields given change)
+const ITEM_UPDATE = {
+    type: 'object',
+    label: 'Item',
+    required: true,
+    fields: {
+        ...ITEM_FIELDS,
+        completed: { type: 'boolean', label: 'Completed' },
+    },
+};
+
+// Fields of a saved view (the query itself is checked by utils/viewQuery.js)
+const VIEW_FIELDS = {
+    name: { type: 'string', label: 'Name', notBlank: true, maxLength: 100 },
+    query: { type: 'string', label: 'Query', notBlank: true, maxLength: 1000 },
+};
+
+// A template's name (its items are captured from an existing item)
+const TEMPLATE = { type: 'object', label: 'Template', required: true, fields: {
+    name: { type: 'string', label: 'Name', notBlank: true, maxLength: 100, required: true },
+} };
+
+// Fields of a time entry added or changed by hand
+const TIME_ENTRY_FIELDS = {
+    startedAt: { type: 'date', label: 'Start time' },
+    endedAt: { type: 'date', label: 'End time' },
+    note: { type: 'string', label: 'Note', nullable: true, maxLength: 500 },
+};
+const timesheetOptions = { type: 'object', label: 'Options', nullable: true, fields: {
+    weekOf: { type: 'date', label: 'Week', nullable: true },
+} };
+
+// A priority level or status as edited: existing entries keep their key, new
+// ones leave it out (the order of the list is their order)
+const workflowEntries = (label, entryLabel, flags) => ({
+    type: 'array', label, minItems: 1, maxItems: MAX_WORKFLOW_ENTRIES, required: true,
+    items: { type: 'object', label: entryLabel, fields: {
+        key: { type: 'string', label: 'Key', nullable: true, maxLength: WORKFLOW_KEY_MAX_LENGTH },
+        name: { type: 'string', label: 'Name', notBlank: true, maxLength: 50, required: true },
+        color: { type: 'string', label: 'Colour', maxLength: 7, required: true },
+        ...flags,
+    } },
+});
+
+// Argument schemas of each IPC channel, in order
+const IPC_SCHEMAS = {
+    // Authentication
+    'auth:login': [],
+    'auth:logout': [],
+    'auth:getUser': [],
+    'auth:getAccessToken': [],
+    'auth:getActiveSessions': [],
+    'auth:terminateSession': [{ type: 'string', label: 'Session', notBlank: true, maxLength: 255, required: true }],
+    'auth:forceLogin': [],
+
+    // Items
+    'items:getAll': [],
+    'items:query': [{ type: 'object', label: 'Query', nullable: true, fields: {
+        // Filter values are checked by utils/itemQuery.js
+        filters: { type: 'object', label: 'Filters', nullable: true },
+        sort: { type: 'array', label: 'Sort', maxItems: 10, items: { type: 'object', label: 'Sort', fields: {
+            field: { type: 'string', label: 'Sort field', maxLength: 64, required: true },
+            direction: { type: 'enum', label: 'Sort direction', values: ['asc', 'desc'] },
+        } } },
+        limit: { type: 'integer', label: 'Limit', min: 1, max: MAX_QUERY_LIMIT },
+        cursor: { type: 'string', label: 'Cursor', nullable: true, maxLength: 1000 },
+        includeCounts: { type: 'boolean', label: 'Include counts' },
+    } }],
+    'items:search': [
+        { type: 'string', label: 'Search text', maxLength: 500, required: true },
+        { type: 'object', label: 'Options', nullable: true, fields: {
+            limit: { type: 'integer', label: 'Limit', min: 1, max: MAX_SEARCH_LIMIT },
+            archived: { type: 'boolean', label: 'Search the archive' },
+        } },
+    ],
+    'items:getById': [id('Item id')],
+    'items:create': [ITEM_CREATE],
+    'items:update': [id('Item id'), ITEM_UPDATE],
+    'items:delete': [id('Item id'), cascadeOptions],
+    'items:trash': [],
+    'items:restore': [id('Item id')],
+    'items:purge': [id('Item id')],
+    'items:unarchive': [id('Item id')],
+    'items:toggle': [id('Item id'), cascadeOptions],
+    'items:reparent': [id('Item id'), optionalId('Parent item id')],
+    'items:moveToList': [ids, optionalId('List id')],
+    'items:move': [id('Item id'), { type: 'object', label: 'Placement', nullable: true, fields: {
+        previousId: optionalId('Previous item id'),
+        nextId: optionalId('Next item id'),
+    } }],
+    'items:getShares': [id('Item id')],
+    'items:share': [
+        id('Item id'),
+        { type: 'string', label: 'Email', notBlank: true, maxLength: 255, required: true },
+        { type: 'enum', label: 'Role', values: SHARE_ROLES, required: true },
+    ],
+    'items:unshare': [
+        id('Item id'),
+        { type: 'string', label: 'Email', notBlank: true, maxLength: 255, required: true },
+    ],
+    'items:addDependency': [id('Item id'), id('Blocking item id')],
+    'items:removeDependency': [id('Item id'), id('Blocking item id')],
+    'items:history': [id('Item id')],
+    'items:restoreRevision': [id('Revision id')],
+    // Each item is checked against ITEM_CREATE by the controller, so one
+    // invalid item fails alone
+    'items:bulkCreate': [{ type: 'array', label: 'Items', minItems: 1, maxItems: MAX_BULK_ITEMS, required: true,
+        items: { type: 'object', label: 'Item' } }],
+    'items:bulkUpdate': [ids, { type: 'object', label: 'Changes', required: true, fields: {
+        completed: ITEM_UPDATE.fields.completed,
+        priority: ITEM_FIELDS.priority,
+        status: ITEM_FIELDS.status,
+        dueAt: ITEM_FIELDS.dueAt,
+    } }],
+    'items:bulkDelete': [ids, cascadeOptions],
+    // Export the items matching items:query filters (all pages)
+    'items:exportCsv': [{ type: 'object', label: 'Export', nullable: true, fields: {
+        filters: { type: 'object', label: 'Filters', nullable: true },
+    } }],
+    // Pick a CSV file to import, then preview and confirm it with a column
+    // mapping ({ [field]: column index, or null to leave the field out })
+    'items:importCsv': [],
+    'items:previewCsvImport': [csvMapping],
+    'items:confirmCsvImport': [csvMapping],
+
+    // Saved views
+    'views:getAll': [],
+    'views:count': [{ ...VIEW_FIELDS.query, required: true }],
+    'views:create': [{ type: 'object', label: 'View', required: true, fields: {
+        name: { ...VIEW_FIELDS.name, required: true },
+        query: { ...VIEW_FIELDS.query, required: true },
+    } }],
+    'views:update': [id('View id'), { type: 'object', label: 'View', required: true, fields: VIEW_FIELDS }],
+    'views:delete': [id('View id')],
+
+    // Item templates
+    'templates:getAll': [],
+    'templates:createFromItem': [id('Item id'), TEMPLATE],
+    'templates:update': [id('Template id'), TEMPLATE],
+    'templates:delete': [id('Template id')],
+    'templates:instantiate': [id('Template id'), { type: 'object', label: 'Options', nullable: true, fields: {
+        // Values by prompt; templateController checks each prompt has one
+        values: { type: 'object', label: 'Values', nullable: true },
+        listUuid: uuid('List'),
+    } }],
+
+    // Time tracking
+    'timeEntries:getRunning': [],
+    'timeEntries:start': [id('Item id')],
+    'timeEntries:stop': [],
+    'timeEntries:getForItem': [id('Item id')],
+    'timeEntries:add': [id('Item id'), { type: 'object', label: 'Time entry', required: true, fields: {
+        ...TIME_ENTRY_FIELDS,
+        startedAt: { ...TIME_ENTRY_FIELDS.startedAt, required: true },
+        endedAt: { ...TIME_ENTRY_FIELDS.endedAt, required: true },
+    } }],
+    'timeEntries:update': [id('Time entry id'), { type: 'object', label: 'Time entry', required: true, fields: TIME_ENTRY_FIELDS }],
+    'timeEntries:delete': [id('Time entry id')],
+    'timeEntries:getTimesheet': [timesheetOptions],
+    'timeEntries:exportTimesheet': [timesheetOptions],
+
+    // Priority levels and workflow statuses
+    'workflow:get': [],
+    'workflow:savePriorities': [workflowEntries('Priority levels', 'Priority level', {
+        isDefault: { type: 'boolean', label: 'Default priority' },
+    })],
+    'workflow:saveStatuses': [workflowEntries('Statuses', 'Status', {
+        isDone: { type: 'boolean', label: 'Counts as done' },
+    })],
+
+    // Dashboard statistics
+    'stats:get': [{ type: 'object', label: 'Range', nullable: true, fields: {
+        from: { type: 'date', label: 'Start date', nullable: true },
+        to: { type: 'date', label: 'End date', nullable: true },
+        groupBy: { type: 'enum', label: 'Grouping', values: ['day', 'week'] },
+    } }],
+
+    // Sync
+    'sync:getStatus': [],
+    'sync:trigger': [],
+    'sync:push': [],
+    'sync:pull': [{ type: 'object', label: 'Pull options', nullable: true, fields: {
+        includeArchived: { type: 'boolean', label: 'Include archived items' },
+    } }],
+};
+
+/**
+ * Validate the arguments of an IPC call
+ * Returns the errors found ([] when valid)
+ */
+const validateArgs = (channel, args) => {
+    const schemas = IPC_SCHEMAS[channel];
+    if (!schemas) {
+        return [{ field: '', message: `No schema for ${channel}` }];
+    }
+
+    const extra = args.slice(schemas.length).some((arg) => arg !== undefined);
+    if (extra) {
+        return [{ field: '', message: `Too many arguments for ${channel}` }];
+    }
+
+    // Fields of object arguments are reported by their own names ('title')
+    return schemas.flatMap((schema, index) => validateValue(schema, args[index], ''));
+};
+
+module.exports = {
+    DEFAULT_WORKFLOW,
+    WORKFLOW_KEY_MAX_LENGTH,
+    MAX_WORKFLOW_ENTRIES,
+    CSV_ITEM_COLUMNS,
+    SHARE_ROLES,
+    ITEM_CREATE,
+    ITEM_UPDATE,
+    IPC_SCHEMAS,
+    validateValue,
+    validateArgs,
+    toFieldErrors,
+};